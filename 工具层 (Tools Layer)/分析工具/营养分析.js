@@ -1 +1,239 @@
+// 菜谱营养分析工具
+// 按 分类索引/食材营养.json 中每100克食材的营养成分，从 标准份量 的食材和调味料计算整道菜的营养，
+// 并与菜谱中手工填写的 营养成分 对比，标出相差过大的菜谱
+//
+// 营养成分 与 NutritionCalculator 的约定一致：是 标准份量.基准人数 整份菜的总量
+//
+// 用法: node 工具层/分析工具/营养分析.js [--root <数据层目录>] [--fill]
+//   --fill  为缺少 营养成分 的菜谱写入计算值（完成后需重新运行 生成索引.js）
 
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { REPO_ROOT, resolveDataRoot, scanRecipes } from '../管理工具/生成索引.js';
+import {
+  parseQuantity, toBaseUnit, unitType, isQualitative
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/用量解析.js';
+import { IngredientResolver } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/食材解析.js';
+
+// 菜谱 营养成分 中手工填写的项目
+export const MACRO_NUTRIENTS = ['热量', '蛋白质', '碳水化合物', '脂肪', '纤维素'];
+
+export const NUTRIENTS = [...MACRO_NUTRIENTS, '钙', '铁', '钠', '维生素A', '维生素C'];
+
+// 标注值与计算值相差超过这个倍数时标出
+const MISMATCH_RATIO = 2;
+
+// 相差太小时不标出，避免纤维素这类小数值被放大（与 MACRO_NUTRIENTS 对应）
+const MISMATCH_FLOOR = { 热量: 50, 蛋白质: 5, 碳水化合物: 5, 脂肪: 5, 纤维素: 2 };
+
+// 读取食材营养表；个、根等计数单位的克数在 食材索引.json 的 单位重量 中，通过 食材解析器 查询
+export function loadNutrientTable(dataRoot) {
+  const file = path.join(dataRoot, '分类索引', '食材营养.json');
+  if (!fs.existsSync(file)) {
+    throw new Error('未找到 分类索引/食材营养.json');
+  }
+  const table = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  const indexFile = path.join(dataRoot, '分类索引', '食材索引.json');
+  const index = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf-8')) : null;
+  table.食材解析器 = new IngredientResolver(index);
+
+  return table;
+}
+
+// 解析用量，如 500、1.5、半、1/2、2-3（取中间值）；定性用量或无法解析时返回null
+export function parseAmount(value) {
+  const quantity = parseQuantity(value);
+  return quantity && !isQualitative(quantity) ? (quantity.最小 + quantity.最大) / 2 : null;
+}
+
+// 把食材名称对应到营养表：先查全名和别名，再找名称中包含的最长食材名，如 猪里脊肉 → 里脊肉
+export function resolveIngredient(name, table) {
+  if (!name) return null;
+  if (table.食材[name]) return name;
+  if (table.别名?.[name]) return table.别名[name];
+
+  const matches = Object.keys(table.食材).filter(key => name.includes(key));
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// 把用量换算为克数，无法换算时返回null；范围用量取中间值
+// name 为菜谱中的食材名称，计数单位的克数先按它查，查不到再按营养表中对应的食材查
+export function toGrams(key, amount, unit, table, name = key) {
+  const measure = table.计量 || {};
+  const quantity = parseQuantity(amount, unit);
+
+  // 适量 或用量和单位都没填时，按 计量.适量用量 估算
+  if (isQualitative(quantity) || (amount === '' && !unit)) {
+    return measure.适量用量?.[key] ?? null;
+  }
+  if (!quantity) return null;
+
+  const value = (quantity.最小 + quantity.最大) / 2;
+  const base = toBaseUnit(quantity);
+  const baseValue = (base.最小 + base.最大) / 2;
+
+  if (unitType(quantity.单位) === '重量') return baseValue;
+  if (unitType(quantity.单位) === '体积') return baseValue * (measure.密度?.[key] ?? 1);
+
+  const resolver = table.食材解析器;
+  const unitWeight = resolver?.getUnitWeight(name, quantity.单位) ?? resolver?.getUnitWeight(key, quantity.单位);
+  return unitWeight != null ? value * unitWeight : null;
+}
+
+// 计算整道菜（标准份量）的营养成分
+export function computeRecipeNutrition(recipe, table) {
+  const portion = recipe.标准份量 || {};
+  const total = Object.fromEntries(NUTRIENTS.map(key => [key, 0]));
+  const 明细 = [];
+  const 未识别 = [];
+  const 未计入 = [];
+
+  const items = [
+    ...(portion.食材列表 || []).map(item => ({ 名称: item.食材名称, 用量: item.用量, 单位: item.单位 })),
+    ...(portion.调味料 || []).map(item => ({ 名称: item.名称, 用量: item.用量, 单位: item.单位 }))
+  ];
+
+  items.forEach(item => {
+    const key = resolveIngredient(item.名称, table);
+    if (!key) {
+      未识别.push(item.名称);
+      return;
+    }
+
+    const grams = toGrams(key, item.用量, item.单位, table, item.名称);
+    if (grams === null) {
+      未计入.push(`${item.名称} ${item.用量 ?? ''}${item.单位 ?? ''}`.trim());
+      return;
+    }
+
+    const per100g = table.食材[key];
+    NUTRIENTS.forEach(nutrient => {
+      total[nutrient] += (per100g[nutrient] || 0) * grams / 100;
+    });
+    明细.push({ 名称: item.名称, 对应食材: key, 克数: round(grams) });
+  });
+
+  const servings = portion.基准人数 || 1;
+
+  return {
+    基准人数: servings,
+    总量: roundAll(total),
+    每人份: roundAll(Object.fromEntries(NUTRIENTS.map(key => [key, total[key] / servings]))),
+    明细,
+    未识别,
+    未计入
+  };
+}
+
+// 对比手工填写的营养成分，返回相差过大的项目
+export function compareDeclared(recipe, computed) {
+  const declared = recipe.营养成分;
+  if (!declared) return [];
+
+  return MACRO_NUTRIENTS.flatMap(key => {
+    const value = declared[key];
+    const actual = computed.总量[key];
+    if (typeof value !== 'number') return [];
+    if (Math.abs(value - actual) < MISMATCH_FLOOR[key]) return [];
+
+    const ratio = actual > 0 ? value / actual : Infinity;
+    if (ratio <= MISMATCH_RATIO && ratio >= 1 / MISMATCH_RATIO) return [];
+
+    // 标注值接近每人份计算值时，多半是按每人份填写的
+    const perServing = computed.每人份[key];
+    const perServingRatio = perServing > 0 ? value / perServing : Infinity;
+
+    return [{
+      营养素: key,
+      标注值: value,
+      计算值: actual,
+      倍数: isFinite(ratio) ? round(ratio) : null,
+      ...(perServingRatio >= 0.67 && perServingRatio <= 1.5 ? { 提示: '与每人份计算值接近，可能按每人份填写' } : {})
+    }];
+  });
+}
+
+// 按计算结果生成可写入菜谱的 营养成分，标签需人工补充
+export function toDeclaredNutrition(computed, tags = []) {
+  return {
+    ...Object.fromEntries(MACRO_NUTRIENTS.map(key => [key, Math.round(computed.总量[key])])),
+    标签: tags,
+    来源: '按食材计算'
+  };
+}
+
+// 分析全部菜谱
+export function analyzeRecipes(dataRoot, { fill = false } = {}) {
+  const table = loadNutrientTable(dataRoot);
+  const { entries, skipped } = scanRecipes(dataRoot);
+
+  const recipes = entries.map(entry => {
+    const file = path.resolve(REPO_ROOT, entry.路径);
+    const recipe = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const computed = computeRecipeNutrition(recipe, table);
+    const result = {
+      菜品名称: recipe.菜品名称,
+      路径: entry.路径,
+      已标注: Boolean(recipe.营养成分),
+      计算结果: computed,
+      偏差: compareDeclared(recipe, computed)
+    };
+
+    if (fill && !recipe.营养成分 && computed.明细.length > 0) {
+      recipe.营养成分 = toDeclaredNutrition(computed);
+      fs.writeFileSync(file, JSON.stringify(recipe, null, 2) + '\n');
+      result.已写入 = true;
+    }
+
+    return result;
+  });
+
+  const report = {
+    说明: '计算值为标准份量整份菜的营养，钙、铁、钠、维生素C单位为毫克，维生素A为微克视黄醇当量',
+    菜谱总数: recipes.length,
+    缺少营养成分: recipes.filter(item => !item.已标注).map(item => item.菜品名称),
+    偏差过大: recipes.filter(item => item.偏差.length > 0).map(item => item.菜品名称),
+    菜谱: recipes
+  };
+
+  fs.writeFileSync(path.join(dataRoot, '分类索引', '营养分析.json'), JSON.stringify(report, null, 2) + '\n');
+  return { report, skipped };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function roundAll(values) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, round(value)]));
+}
+
+// 命令行入口
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    const fill = process.argv.includes('--fill');
+    const { report, skipped } = analyzeRecipes(resolveDataRoot(), { fill });
+
+    skipped.forEach(item => console.warn(`跳过 ${item.路径}: ${item.原因}`));
+
+    report.菜谱.forEach(item => {
+      const { 总量, 未识别, 未计入 } = item.计算结果;
+      console.log(`${item.菜品名称}: ${总量.热量}千卡 蛋白质${总量.蛋白质}克 钠${总量.钠}毫克${item.已写入 ? '（已写入营养成分）' : ''}`);
+      if (未识别.length > 0) console.warn(`  未识别的食材: ${未识别.join('、')}`);
+      if (未计入.length > 0) console.warn(`  无法换算的用量: ${未计入.join('、')}`);
+      item.偏差.forEach(diff => {
+        console.warn(`  ${diff.营养素}标注${diff.标注值}，计算${diff.计算值}${diff.提示 ? `（${diff.提示}）` : ''}`);
+      });
+    });
+
+    console.log(`分析完成: 共${report.菜谱总数}道菜谱，${report.偏差过大.length}道与计算值相差过大，${report.缺少营养成分.length}道缺少营养成分`);
+    if (fill && report.菜谱.some(item => item.已写入)) {
+      console.log('已写入计算值，请重新运行 生成索引.js 更新菜谱清单');
+    }
+  } catch (error) {
+    console.error('营养分析失败:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,48 @@
+// 价格估算 单元测试：使用 分类索引 中的价格表和食材索引
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PriceEstimator } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/价格估算.js';
+import { IngredientResolver } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/食材解析.js';
+
+const load = file => JSON.parse(readFileSync(new URL(`../../数据层 (Data Layer)/分类索引/${file}`, import.meta.url), 'utf8'));
+const estimator = new PriceEstimator(load('食材价格.json'), new IngredientResolver(load('食材索引.json')));
+
+const item = (食材名称, 用量, 单位, options) => estimator.estimateItems([{ 食材名称, 用量, 单位 }], 1, options).明细[0];
+
+test('计数用量按单位重量换算为重量后计价', () => {
+  // 番茄每个约150克，2个为0.6斤
+  assert.deepEqual(item('番茄', '2', '个'), {
+    名称: '番茄', 金额: 2.4, 单价: 4, 单位: '斤', 计价数量: 0.6, 来源: '价格表'
+  });
+  assert.equal(item('西红柿', '300', '克').金额, 2.4);
+});
+
+test('没有单位重量的计数单位不计价，并说明原因', () => {
+  assert.deepEqual(item('青菜', '1', '把'), { 名称: '青菜', 金额: null, 原因: '无法把把换算为斤' });
+  assert.deepEqual(item('盐', '适量', ''), { 名称: '盐', 金额: null, 原因: '用量未定' });
+});
+
+test('按季节系数调整，价格表中没有的食材按大类估算', () => {
+  assert.equal(item('春笋', '500', '克', { 季节: '春季' }).金额, 6.4);
+  assert.equal(item('春笋', '500', '克', { 季节: '夏季' }).金额, 14.4);
+  assert.equal(item('猪里脊肉片', '250', '克').单价, estimator.getUnitPrice('里脊肉').单价);
+  assert.equal(item('某种野菜', '500', '克').来源, '分类估算');
+});
+
+test('estimateRecipe 按用餐人数折算，适量的调味料不算未计价', () => {
+  const result = estimator.estimateRecipe({
+    菜品名称: '番茄炒蛋',
+    标准份量: {
+      基准人数: 2,
+      食材列表: [{ 食材名称: '番茄', 用量: '2', 单位: '个' }, { 食材名称: '鸡蛋', 用量: '3', 单位: '个' }],
+      调味料: [{ 名称: '盐', 用量: '适量' }]
+    }
+  }, 4);
+
+  assert.equal(result.明细[0].计价数量, 1.2);
+  assert.equal(result.金额, 8.76);
+  assert.equal(result.每人, 2.19);
+  assert.deepEqual(result.未计价, []);
+});
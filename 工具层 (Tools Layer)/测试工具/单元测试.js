@@ -0,0 +1,25 @@
+// 单元测试入口
+// 加载本目录下的全部 *.test.js，测试用 node:test 编写，有测试失败时退出码不为0
+//
+// 用法: node 工具层/测试工具/单元测试.js [文件名关键字]
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const filter = process.argv[2] || '';
+
+const files = fs.readdirSync(TEST_DIR)
+  .filter(name => name.endsWith('.test.js') && name.includes(filter))
+  .sort();
+
+// 指定了关键字却没有匹配的文件时视为失败，避免写错关键字时误以为测试通过
+if (files.length === 0) {
+  console.error(`没有找到测试文件${filter ? `: ${filter}` : ''}`);
+  process.exit(filter ? 1 : 0);
+}
+
+for (const file of files) {
+  await import(pathToFileURL(path.join(TEST_DIR, file)).href);
+}
@@ -0,0 +1,136 @@
+// 幂等请求 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withIdempotency } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/幂等请求.js';
+
+const corsHeaders = { 'Content-Type': 'application/json; charset=utf-8' };
+const 用户 = { sub: 'user-1', name: 'alice' };
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.has(key) ? store.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, value);
+    }
+  };
+}
+
+// 记录执行次数的 handler，每次执行返回不同的结果
+function createHandler(status = 201) {
+  const handler = async () => {
+    handler.calls++;
+    return new Response(JSON.stringify({ 成功: status < 400, 次数: handler.calls }), { status, headers: corsHeaders });
+  };
+  handler.calls = 0;
+  return handler;
+}
+
+function post(body, key = 'offline-0001', { method = 'POST', path = '/api/sync/favorites' } = {}) {
+  return new Request(`https://example.com${path}`, {
+    method,
+    headers: key ? { 'Idempotency-Key': key } : {},
+    body: method === 'POST' ? JSON.stringify(body) : undefined
+  });
+}
+
+async function read(response) {
+  return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), data: await response.json() };
+}
+
+test('重发同一个键和请求体时返回保存的响应，不再执行', async () => {
+  const env = { USER_DATA: createKV() };
+  const handler = createHandler();
+
+  const first = await read(await withIdempotency(post({ 菜品标识: 'SPRING001' }), env, corsHeaders, 用户, handler));
+  const replay = await read(await withIdempotency(post({ 菜品标识: 'SPRING001' }), env, corsHeaders, 用户, handler));
+
+  assert.equal(handler.calls, 1);
+  assert.equal(first.status, 201);
+  assert.equal(first.replayed, null);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.replayed, 'true');
+  assert.deepEqual(replay.data, first.data);
+  assert.ok(env.USER_DATA.store.has('idem:user-1:/api/sync/favorites:offline-0001'));
+});
+
+test('同一个键换了请求体时返回422，不执行', async () => {
+  const env = { USER_DATA: createKV() };
+  const handler = createHandler();
+
+  await withIdempotency(post({ 菜品标识: 'SPRING001' }), env, corsHeaders, 用户, handler);
+  const { status, data } = await read(await withIdempotency(post({ 菜品标识: 'SUMMER001' }), env, corsHeaders, 用户, handler));
+
+  assert.equal(status, 422);
+  assert.equal(data.成功, false);
+  assert.equal(data.错误, '同一个 Idempotency-Key 已用于不同的请求');
+  assert.equal(handler.calls, 1);
+});
+
+test('响应按账号和路径分开保存', async () => {
+  const env = { USER_DATA: createKV() };
+  const handler = createHandler();
+  const body = { 菜品标识: 'SPRING001' };
+
+  await withIdempotency(post(body), env, corsHeaders, 用户, handler);
+  await withIdempotency(post(body), env, corsHeaders, { sub: 'user-2' }, handler);
+  await withIdempotency(post(body, 'offline-0001', { path: '/api/sync/history' }), env, corsHeaders, 用户, handler);
+
+  assert.equal(handler.calls, 3);
+});
+
+test('5xx 响应不保存，重试时重新执行', async () => {
+  const env = { USER_DATA: createKV() };
+  const failing = createHandler(503);
+
+  assert.equal((await withIdempotency(post({}), env, corsHeaders, 用户, failing)).status, 503);
+  assert.equal(env.USER_DATA.store.size, 0);
+
+  const handler = createHandler();
+  const retry = await read(await withIdempotency(post({}), env, corsHeaders, 用户, handler));
+  assert.equal(retry.status, 201);
+  assert.equal(retry.replayed, null);
+  assert.equal(handler.calls, 1);
+});
+
+test('4xx 响应也会保存并重放', async () => {
+  const env = { USER_DATA: createKV() };
+  const handler = createHandler(400);
+
+  await withIdempotency(post({}), env, corsHeaders, 用户, handler);
+  const replay = await read(await withIdempotency(post({}), env, corsHeaders, 用户, handler));
+
+  assert.equal(replay.status, 400);
+  assert.equal(replay.replayed, 'true');
+  assert.equal(handler.calls, 1);
+});
+
+test('键格式无效时返回400', async () => {
+  const env = { USER_DATA: createKV() };
+  const handler = createHandler();
+
+  for (const key of ['short', 'has space!', 'x'.repeat(129)]) {
+    const { status, data } = await read(await withIdempotency(post({}, key), env, corsHeaders, 用户, handler));
+    assert.equal(status, 400, key);
+    assert.match(data.错误, /Idempotency-Key/);
+  }
+  assert.equal(handler.calls, 0);
+});
+
+test('没有键或不是POST时直接执行', async () => {
+  const env = { USER_DATA: createKV() };
+  const handler = createHandler();
+
+  await withIdempotency(post({}, null), env, corsHeaders, 用户, handler);
+  await withIdempotency(post({}, null), env, corsHeaders, 用户, handler);
+  await withIdempotency(post(null, 'offline-0001', { method: 'GET' }), env, corsHeaders, 用户, handler);
+  await withIdempotency(post(null, 'offline-0001', { method: 'GET' }), env, corsHeaders, 用户, handler);
+
+  assert.equal(handler.calls, 4);
+  assert.equal(env.USER_DATA.store.size, 0);
+});
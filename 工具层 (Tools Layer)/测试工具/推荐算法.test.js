@@ -0,0 +1,134 @@
+// 推荐算法 单元测试：菜谱库和数据文件预先放进内存KV，不请求GitHub
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRandom, shuffle } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/随机种子.js';
+import worker from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/推荐算法.js';
+
+const DATA_ROOT = '数据层 (Data Layer)';
+const DATA_FILES = ['分类索引/时令数据.json', '分类索引/食材索引.json', '分类索引/食材价格.json'];
+
+// 同类菜品的各项条件都相同，评分相同，菜单中选哪几道只由种子决定
+function createRecipes() {
+  const courses = { 主菜: ['猪肉', '牛肉', '鸡肉', '鱼', '虾', '豆腐'], 配菜: ['青菜', '土豆', '茄子', '豆角'], 汤品: ['冬瓜', '番茄'] };
+  return Object.entries(courses).flatMap(([菜品分类, 食材]) =>
+    食材.flatMap(名称 => [1, 2].map(序号 => ({
+      菜品标识: `${菜品分类}-${名称}-${序号}`,
+      菜品名称: `${名称}${菜品分类}${序号}`,
+      菜品分类: [菜品分类],
+      适用季节: ['春季', '夏季', '秋季', '冬季'],
+      难度等级: '初级',
+      总时间: 20,
+      标准份量: { 基准人数: 2, 食材列表: [{ 食材名称: 名称, 用量: '300', 单位: '克' }] }
+    })))
+  );
+}
+
+function createEnv() {
+  const store = new Map([['corpus:v1', JSON.stringify({ 检查时间: Date.now(), 文件: {}, 菜谱: createRecipes() })]]);
+  DATA_FILES.forEach(path => {
+    store.set(`file:${DATA_ROOT}/${path}`, readFileSync(new URL(`../../${DATA_ROOT}/${path}`, import.meta.url), 'utf8'));
+  });
+
+  return {
+    RECIPE_CACHE: {
+      store,
+      async get(key) {
+        return store.has(key) ? store.get(key) : null;
+      },
+      async put(key, value) {
+        store.set(key, value);
+      }
+    }
+  };
+}
+
+// 每次请求使用新的KV，结果不会来自推荐缓存
+async function request(path, env = createEnv()) {
+  const response = await worker.fetch(new Request(`https://example.com${encodeURI(path)}`), env, { waitUntil() {} });
+  return { status: response.status, data: await response.json() };
+}
+
+const menuNames = data => Object.fromEntries(
+  Object.entries(data.菜单).map(([course, recipes]) => [course, recipes.map(recipe => recipe.菜品名称)])
+);
+
+const planNames = data => data.计划.map(day =>
+  Object.values(day.餐次).map(meal => Object.values(meal.菜单).flat().map(recipe => recipe.菜品名称))
+);
+
+test('createRandom 相同种子得到相同序列，shuffle 不修改原数组', () => {
+  const first = createRandom('abc');
+  const second = createRandom('abc');
+  const values = Array.from({ length: 5 }, () => first());
+
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  assert.notDeepEqual(Array.from({ length: 5 }, createRandom('abd')), values);
+
+  const items = [1, 2, 3, 4, 5, 6];
+  assert.deepEqual(shuffle(items, createRandom('abc')), shuffle(items, createRandom('abc')));
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6]);
+});
+
+test('推荐菜单：相同的种子和参数得到相同的菜单', async () => {
+  const path = '/api/recommend?日期=2026-05-10&人数=4&seed=fixed123';
+  const first = await request(path);
+  const second = await request(path);
+
+  assert.equal(first.status, 200);
+  assert.equal(first.data.seed, 'fixed123');
+  assert.deepEqual(menuNames(second.data), menuNames(first.data));
+  assert.ok(menuNames(first.data).主菜.length > 0);
+
+  // 种子决定同分菜品的选择，不同的种子会得到不同的菜单
+  const menus = new Set();
+  for (const seed of ['s1', 's2', 's3', 's4', 's5', 's6']) {
+    menus.add(JSON.stringify(menuNames((await request(`/api/recommend?日期=2026-05-10&人数=4&seed=${seed}`)).data)));
+  }
+  assert.ok(menus.size > 1);
+});
+
+test('推荐菜单：未指定种子时返回生成的种子，用它可以复现菜单', async () => {
+  const first = await request('/api/recommend?日期=2026-05-10&人数=4');
+  assert.match(first.data.seed, /^[0-9a-z]{8}$/);
+
+  const replay = await request(`/api/recommend?日期=2026-05-10&人数=4&seed=${first.data.seed}`);
+  assert.deepEqual(menuNames(replay.data), menuNames(first.data));
+});
+
+test('膳食计划：相同的种子和参数得到相同的计划', async () => {
+  const path = '/api/plan?开始日期=2026-05-10&结束日期=2026-05-12&不重复天数=0&seed=plan42';
+  const first = await request(path);
+  const second = await request(path);
+
+  assert.equal(first.status, 200);
+  assert.equal(first.data.计划.length, 3);
+  assert.deepEqual(planNames(second.data), planNames(first.data));
+});
+
+test('候选不足时放宽难度，饮食限制不放宽并说明无法满足的需求', async () => {
+  const relaxed = (await request('/api/recommend?日期=2026-05-10&人数=4&难度=高级&seed=relax')).data;
+  assert.deepEqual(relaxed.推荐说明.放宽条件, ['难度']);
+  assert.equal(relaxed.推荐说明.过滤.find(step => step.名称 === '时令').剩余, 24);
+  assert.ok(menuNames(relaxed).主菜.length > 0);
+
+  const vegetarian = (await request('/api/recommend?日期=2026-05-10&人数=4&需求=素食&seed=relax')).data;
+  assert.deepEqual(vegetarian.推荐说明.过滤.find(step => step.名称 === '饮食限制'), { 名称: '饮食限制', 剩余: 14 });
+  assert.ok(Object.values(vegetarian.菜单).flat().every(recipe => !/猪肉|牛肉|鸡肉|鱼|虾/.test(recipe.菜品名称)));
+  assert.deepEqual(vegetarian.未满足需求, []);
+
+  const lowSalt = (await request('/api/recommend?日期=2026-05-10&人数=4&需求=低盐&seed=relax')).data;
+  assert.deepEqual(lowSalt.未满足需求, [{ 需求: ['低盐'], 原因: '当前条件下没有符合「低盐」的菜谱' }]);
+  assert.deepEqual(Object.values(lowSalt.菜单).flat(), []);
+});
+
+test('带种子的推荐结果写入缓存，未带种子的不缓存', async () => {
+  const env = createEnv();
+  await request('/api/recommend?日期=2026-05-10&人数=4', env);
+  assert.equal([...env.RECIPE_CACHE.store.keys()].filter(key => key.startsWith('recommend:')).length, 0);
+
+  await request('/api/recommend?日期=2026-05-10&人数=4&seed=fixed123', env);
+  assert.equal([...env.RECIPE_CACHE.store.keys()].filter(key => key.startsWith('recommend:')).length, 1);
+});
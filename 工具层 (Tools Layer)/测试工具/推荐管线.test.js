@@ -0,0 +1,100 @@
+// 推荐管线 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  SolarTermScore, matchFestivalDish, meetsDietaryNeed, isMeatDish, splitNeeds,
+  SeasonalFilter, DietaryFilter, BalanceFilter, TimeFilter
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/推荐管线.js';
+import { IngredientResolver } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/食材解析.js';
+
+const 食材索引 = JSON.parse(readFileSync(new URL('../../数据层 (Data Layer)/分类索引/食材索引.json', import.meta.url), 'utf8'));
+
+const recipe = (菜品名称, extra = {}) => ({ 菜品名称, 标准份量: { 食材列表: [] }, ...extra });
+const withIngredients = (...names) => recipe('测试菜', { 标准份量: { 食材列表: names.map(食材名称 => ({ 食材名称 })) } });
+
+test('素食按原料判断，名称含荤腥字样的香料和菌菇不算荤', () => {
+  assert.equal(meetsDietaryNeed(withIngredients('苹果', '肉桂', '肉豆蔻'), '素食'), true);
+  assert.equal(meetsDietaryNeed(withIngredients('素鸡', '鸡腿菇', '牛油果'), '纯素'), true);
+  assert.equal(meetsDietaryNeed(withIngredients('番茄', '鸡蛋'), '素食'), true);
+  assert.equal(meetsDietaryNeed(withIngredients('番茄', '鸡蛋'), '纯素'), false);
+  assert.equal(meetsDietaryNeed(withIngredients('肉桂', '猪肉末'), '素食'), false);
+  assert.equal(meetsDietaryNeed(withIngredients('鸡腿'), '素食'), false);
+});
+
+test('无麸质不把 荞麦、藜麦 当成麦类', () => {
+  assert.equal(meetsDietaryNeed(withIngredients('荞麦', '藜麦'), '无麸质'), true);
+  assert.equal(meetsDietaryNeed(withIngredients('荞麦面'), '无麸质'), false);
+  assert.equal(meetsDietaryNeed(withIngredients('燕麦', '小麦粉'), '无麸质'), false);
+});
+
+test('isMeatDish 按食材大类判断，肉桂、肉豆蔻 归为香料', () => {
+  const resolver = new IngredientResolver(食材索引);
+  assert.equal(resolver.categorize('肉桂'), '调味品类');
+  assert.equal(resolver.categorize('肉豆蔻'), '调味品类');
+  assert.equal(isMeatDish(withIngredients('红薯', '肉桂'), resolver), false);
+  assert.equal(isMeatDish(withIngredients('牛奶', '鸡蛋'), resolver), false);
+  assert.equal(isMeatDish(withIngredients('土豆', '五花肉'), resolver), true);
+});
+
+test('matchFestivalDish 按整道菜名或结尾匹配节日菜品', () => {
+  const dishes = ['饺子', '年糕', '鱼', '汤圆'];
+  assert.equal(matchFestivalDish(recipe('饺子'), dishes, '春节'), '饺子');
+  assert.equal(matchFestivalDish(recipe('三鲜饺子'), dishes, '春节'), '饺子');
+  assert.equal(matchFestivalDish(recipe('清蒸鲈鱼'), dishes, '春节'), '鱼');
+  assert.equal(matchFestivalDish(recipe('鱼香肉丝'), dishes, '春节'), null);
+  assert.equal(matchFestivalDish(recipe('饺子皮炸春卷'), dishes, '春节'), null);
+  assert.equal(matchFestivalDish(recipe('四喜丸子', { 菜品标签: ['春节'] }), dishes, '春节'), '四喜丸子');
+});
+
+test('SolarTermScore 临近节日的节日菜得满分', () => {
+  const scorer = new SolarTermScore({ 节日菜谱: { 春节: ['饺子', '鱼'] } });
+  const params = { 季节: '冬季', 节令: { 节日: [{ 名称: '春节', 距今天数: 3 }] } };
+
+  assert.equal(scorer.calculate(recipe('红烧鱼'), params), 1);
+  assert.equal(scorer.explain(recipe('红烧鱼'), params), '春节节日菜: 鱼');
+  assert.equal(scorer.calculate(recipe('鱼香肉丝'), params), 0.5);
+  assert.equal(scorer.explain(recipe('鱼香肉丝'), params), null);
+});
+
+test('splitNeeds 饮食限制为硬性约束，其余为加分项', () => {
+  assert.deepEqual(splitNeeds(['素食', '儿童', '低盐', '快手']), { hard: ['素食', '低盐'], soft: ['儿童', '快手'] });
+});
+
+test('过滤器：时令、时间和饮食限制', () => {
+  const spring = recipe('春笋', { 适用季节: ['春季'], 烹饪时间: 20 });
+  const allYear = recipe('炒青菜', { 烹饪时间: 60 });
+
+  assert.deepEqual(new SeasonalFilter().apply([spring, allYear], { 季节: '夏季' }), [allYear]);
+  assert.deepEqual(new SeasonalFilter().apply([spring, allYear], { 季节: '不限' }), [spring, allYear]);
+  assert.deepEqual(new TimeFilter().apply([spring, allYear], { 烹饪时间: 30 }), [spring]);
+
+  const filter = new DietaryFilter();
+  const 素菜 = withIngredients('青菜');
+  const 荤菜 = withIngredients('五花肉');
+  assert.deepEqual(filter.apply([素菜, 荤菜], { 特殊需求: ['素食', '儿童'] }), [素菜]);
+  assert.deepEqual(filter.explain([素菜, 荤菜], { 特殊需求: ['儿童'] }), null);
+  assert.deepEqual(filter.explain([素菜, 荤菜], { 特殊需求: ['素食', '低盐'] }), {
+    硬性约束: ['素食', '低盐'],
+    无法满足: [{ 需求: ['低盐'], 原因: '当前条件下没有符合「低盐」的菜谱' }]
+  });
+
+  const 低盐荤菜 = { ...荤菜, 菜品标签: ['低盐'] };
+  assert.deepEqual(filter.explain([素菜, 低盐荤菜], { 特殊需求: ['素食', '低盐'] }).无法满足, [
+    { 需求: ['素食', '低盐'], 原因: '没有同时符合「素食、低盐」的菜谱' }
+  ]);
+});
+
+test('BalanceFilter 有素配菜时去掉荤配菜，没有时保留', () => {
+  const resolver = new IngredientResolver(食材索引);
+  const filter = new BalanceFilter(resolver);
+  const side = (name, 食材) => ({ ...withIngredients(食材), 菜品名称: name, 菜品分类: ['配菜'] });
+  const main = { ...withIngredients('五花肉'), 菜品名称: '红烧肉', 菜品分类: ['主菜'] };
+
+  assert.deepEqual(
+    filter.apply([main, side('炒青菜', '青菜'), side('小炒肉', '五花肉')], {}).map(item => item.菜品名称),
+    ['红烧肉', '炒青菜']
+  );
+  assert.equal(filter.apply([main, side('小炒肉', '五花肉')], {}).length, 2);
+});
@@ -0,0 +1,18 @@
+// 数据同步 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { handleSync } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/数据同步.js';
+
+const env = {
+  USER_DATA: { get: async () => null, put: async () => {} }
+};
+
+test('handleSync 请求体不是JSON对象时返回400', async () => {
+  for (const body of ['null', '[]', '42', '"字符串"']) {
+    const request = new Request('https://example.com/api/sync', { method: 'POST', body });
+    const response = await handleSync(request, env, {}, { sub: 'user-1' });
+    assert.equal(response.status, 400, body);
+    assert.equal((await response.json()).错误, '请求体必须是JSON对象');
+  }
+});
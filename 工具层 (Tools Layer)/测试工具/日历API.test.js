@@ -0,0 +1,100 @@
+// 日历API 单元测试：导出菜单日历、读取忙碌时段
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  exportMenuCalendar, parseCalendar, parseBusySlots, getAvailableTimes, parseMealTimes
+} from '../../服务层(Service Layer)/外部服务集成/日历API/index.js';
+import { foldLine, formatDuration, parseDuration } from '../../服务层(Service Layer)/外部服务集成/日历API/日历格式.js';
+
+const 红烧肉 = {
+  菜品名称: '红烧肉',
+  准备时间: 10,
+  烹饪时间: 60,
+  烹饪步骤: [
+    { 步骤序号: 1, 步骤描述: '五花肉加料酒腌制2小时', 预计时间: 10 },
+    { 步骤序号: 2, 步骤描述: '切块', 预计时间: 10 },
+    { 步骤序号: 3, 步骤描述: '加水小火炖1小时', 预计时间: 60 }
+  ]
+};
+
+const BUSY = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'DTSTART;TZID=Asia/Shanghai:20261020T170000',
+  'DTEND;TZID=Asia/Shanghai:20261020T180000',
+  'SUMMARY:开会\\, 周报',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'STATUS:CANCELLED',
+  'DTSTART:20261021T090000Z',
+  'DURATION:PT2H',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261022',
+  'SUMMARY:出差',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test('parseMealTimes 未指定或无效的餐次使用默认时间', () => {
+  assert.deepEqual(parseMealTimes('午餐:12:30,晚餐:25:00,夜宵:22:00'), { 早餐: '07:30', 午餐: '12:30', 晚餐: '18:30' });
+});
+
+test('formatDuration 和 parseDuration 互为逆运算', () => {
+  assert.equal(formatDuration(-120), '-PT2H');
+  assert.equal(formatDuration(90), 'PT1H30M');
+  assert.equal(formatDuration(0), 'PT0M');
+  assert.equal(parseDuration('-PT1H30M'), -90);
+  assert.equal(parseDuration('P1D'), 1440);
+  assert.equal(parseDuration('一小时'), null);
+});
+
+test('foldLine 按75字节折行，不拆开汉字', () => {
+  const lines = foldLine(`DESCRIPTION:${'腌'.repeat(40)}`).split('\r\n');
+  assert.ok(lines.length > 1);
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+  assert.equal(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join(''), `DESCRIPTION:${'腌'.repeat(40)}`);
+});
+
+test('exportMenuCalendar 事件结束于开饭时间，长步骤改为提前提醒', () => {
+  const ics = exportMenuCalendar(
+    { seed: 'abc', 参数: { 日期: '2026-10-20', 餐次: '晚餐' }, 菜单: { 主菜: [红烧肉] } },
+    { 生成时间: new Date('2026-10-18T00:00:00Z'), 链接: { 购物清单: 'https://example.com/api/recommend?seed=abc' } }
+  );
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /\r\nTRIGGER:-PT2H\r\n/);
+
+  const [event] = parseCalendar(ics);
+  const value = name => event.属性[name][0].值;
+  assert.equal(event.类型, 'VEVENT');
+  assert.equal(value('UID'), '2026-10-20-晚餐-abc@smart-recipe-system');
+  // 北京时间 17:20 开始切块，18:30 开饭；腌制的2小时不计入事件
+  assert.equal(value('DTSTART'), '20261020T092000Z');
+  assert.equal(value('DTEND'), '20261020T103000Z');
+  assert.equal(value('SUMMARY'), '晚餐：红烧肉');
+  assert.match(value('DESCRIPTION'), /提前准备：\\n· 红烧肉：五花肉加料酒腌制2小时（约120分钟）/);
+  assert.match(value('DESCRIPTION'), /购物清单：https:\/\/example\.com\/api\/recommend\?seed=abc$/);
+});
+
+test('parseBusySlots 忽略取消的事件，全天事件按整天忙碌', () => {
+  const slots = parseBusySlots(BUSY);
+
+  assert.deepEqual(slots.map(slot => [slot.开始.toISOString(), slot.结束.toISOString(), slot.摘要, slot.全天]), [
+    ['2026-10-20T09:00:00.000Z', '2026-10-20T10:00:00.000Z', '开会, 周报', false],
+    ['2026-10-21T16:00:00.000Z', '2026-10-22T16:00:00.000Z', '出差', true]
+  ]);
+});
+
+test('getAvailableTimes 只列出受忙碌时段影响的餐次', () => {
+  const times = getAvailableTimes(parseBusySlots(BUSY), ['2026-10-20', '2026-10-21', '2026-10-22'], ['午餐', '晚餐'], {
+    开饭时间: parseMealTimes('晚餐:18:30')
+  });
+
+  assert.deepEqual(times, {
+    '2026-10-20': { 晚餐: 30 },
+    '2026-10-22': { 午餐: 0, 晚餐: 0 }
+  });
+});
@@ -0,0 +1,108 @@
+// 烹饪排程 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  scheduleCooking, getRecipeSteps, parseMentionedMinutes
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/烹饪排程.js';
+
+const 红烧肉 = {
+  菜品名称: '红烧肉',
+  烹饪步骤: [
+    { 步骤序号: 1, 步骤描述: '五花肉切块', 预计时间: 10 },
+    { 步骤序号: 2, 步骤描述: '加水小火炖1小时', 预计时间: 60 }
+  ]
+};
+
+const 炒青菜 = {
+  菜品名称: '炒青菜',
+  烹饪步骤: [
+    { 步骤序号: 1, 步骤描述: '洗菜', 预计时间: 5 },
+    { 步骤序号: 2, 步骤描述: '热油翻炒', 预计时间: 5 }
+  ]
+};
+
+// 每分钟同时进行的主动步骤不超过人手，占灶眼的步骤不超过灶眼
+function assertWithinKitchen(timeline) {
+  for (let minute = 0; minute < timeline.总时长; minute++) {
+    const active = timeline.步骤.filter(step => step.开始 <= minute && minute < step.结束);
+    assert.ok(active.filter(step => step.类型 === '主动').length <= timeline.资源.人手, `第${minute}分钟人手不够`);
+    assert.ok(active.filter(step => step.需要灶眼).length <= timeline.资源.灶眼, `第${minute}分钟灶眼不够`);
+  }
+}
+
+test('parseMentionedMinutes 读出描述中写明的时长', () => {
+  assert.equal(parseMentionedMinutes('浸泡2小时'), 120);
+  assert.equal(parseMentionedMinutes('腌制半小时'), 30);
+  assert.equal(parseMentionedMinutes('小火炖一个半小时'), 90);
+  assert.equal(parseMentionedMinutes('焖十五分钟，再收汁3分钟'), 15);
+  assert.equal(parseMentionedMinutes('黄豆泡过夜'), 720);
+  assert.equal(parseMentionedMinutes('切丝'), 0);
+});
+
+test('getRecipeSteps 按描述判断被动步骤和灶眼，按写明的依赖并行', () => {
+  const steps = getRecipeSteps({
+    烹饪步骤: [
+      { 步骤序号: 1, 步骤描述: '排骨腌制半小时', 预计时间: 5 },
+      { 步骤序号: 2, 步骤描述: '切丝', 预计时间: 5, 依赖: [] },
+      { 步骤序号: 3, 步骤描述: '下锅同炒', 预计时间: 3, 依赖: [1, 2] },
+      { 步骤序号: 4, 步骤描述: '盖上锅盖焖2分钟' }
+    ]
+  });
+
+  assert.deepEqual(steps.map(step => [step.时长, step.被动, step.需要灶眼, step.依赖]), [
+    [30, true, false, []],
+    [5, false, false, []],
+    [3, false, true, [0, 1]],
+    [2, false, true, [2]]
+  ]);
+});
+
+test('getRecipeSteps 没有烹饪步骤时按准备时间和烹饪时间生成，依赖有环时按顺序进行', () => {
+  assert.deepEqual(getRecipeSteps({ 准备时间: 10, 烹饪时间: 15 }).map(step => [step.步骤描述, step.时长, step.需要灶眼]), [
+    ['备料', 10, false],
+    ['烹饪', 15, true]
+  ]);
+
+  const cyclic = getRecipeSteps({
+    烹饪步骤: [{ 步骤序号: 1, 步骤描述: '切', 依赖: [2] }, { 步骤序号: 2, 步骤描述: '炒', 依赖: [1] }]
+  });
+  assert.deepEqual(cyclic.map(step => step.依赖), [[], [0]]);
+});
+
+test('scheduleCooking 炖肉时穿插炒青菜，两道菜同时做好', () => {
+  const timeline = scheduleCooking([红烧肉, 炒青菜], { 开饭时间: '18:30' });
+
+  assert.equal(timeline.总时长, 70);
+  assert.equal(timeline.逐道时长, 80);
+  assert.equal(timeline.节省, 10);
+  assert.equal(timeline.开始时刻, '17:20');
+  assert.deepEqual(timeline.菜品, [
+    { 菜品名称: '红烧肉', 开始: 0, 完成: 70, 等待: 0 },
+    { 菜品名称: '炒青菜', 开始: 60, 完成: 70, 等待: 0 }
+  ]);
+  assert.deepEqual(timeline.步骤.map(step => [step.步骤描述, step.开始时刻, step.结束时刻]), [
+    ['五花肉切块', '17:20', '17:30'],
+    ['加水小火炖1小时', '17:30', '18:30'],
+    ['洗菜', '18:20', '18:25'],
+    ['热油翻炒', '18:25', '18:30']
+  ]);
+  assertWithinKitchen(timeline);
+});
+
+test('scheduleCooking 灶眼不够时错开，不超出厨房条件', () => {
+  const timeline = scheduleCooking([红烧肉, 炒青菜], { 灶眼: 1 });
+
+  assert.equal(timeline.总时长, 80);
+  assert.equal(timeline.开始时刻, undefined);
+  assertWithinKitchen(timeline);
+
+  const crowded = scheduleCooking([红烧肉, 炒青菜, { 菜品名称: '凉拌黄瓜', 准备时间: 10 }], { 灶眼: 2, 人手: 2 });
+  assertWithinKitchen(crowded);
+  assert.ok(crowded.总时长 >= 70);
+});
+
+test('scheduleCooking 开饭时间太早时开始时刻写成前一天', () => {
+  assert.equal(scheduleCooking([{ 菜品名称: '粥', 准备时间: 10 }], { 开饭时间: '00:05' }).开始时刻, '前一天 23:55');
+  assert.deepEqual(scheduleCooking([]).步骤, []);
+});
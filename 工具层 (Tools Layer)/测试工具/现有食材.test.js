@@ -0,0 +1,57 @@
+// 现有食材 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  parseAvailableIngredients, matchAvailable, rankByAvailable
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/现有食材.js';
+import { IngredientResolver } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/食材解析.js';
+
+const resolver = new IngredientResolver(
+  JSON.parse(readFileSync(new URL('../../数据层 (Data Layer)/分类索引/食材索引.json', import.meta.url), 'utf8'))
+);
+
+const recipe = (菜品名称, ...names) => ({ 菜品名称, 标准份量: { 食材列表: names.map(食材名称 => ({ 食材名称 })) } });
+
+test('parseAvailableIngredients 解析过期日期和剩余天数，去掉重复的食材', () => {
+  const available = parseAvailableIngredients('番茄:2026-10-20, 鸡蛋：2,豆腐（嫩）,番茄:1,', Date.UTC(2026, 9, 18));
+
+  assert.deepEqual(available, [
+    { 名称: '番茄', 剩余天数: 2 },
+    { 名称: '鸡蛋', 剩余天数: 2 },
+    { 名称: '豆腐', 剩余天数: null }
+  ]);
+  assert.deepEqual(parseAvailableIngredients('', Date.UTC(2026, 9, 18)), []);
+});
+
+test('matchAvailable 按别名匹配，不把含有原料名称的食材当成已有', () => {
+  const available = [{ 名称: '西红柿', 剩余天数: 1 }, { 名称: '鸡蛋', 剩余天数: null }];
+  const match = matchAvailable(recipe('番茄炒蛋', '番茄', '鸡蛋', '葱'), available, resolver);
+
+  assert.deepEqual(match.已有, ['番茄', '鸡蛋']);
+  assert.deepEqual(match.缺少, ['葱']);
+  assert.equal(Math.round(match.覆盖率 * 100), 67);
+  assert.deepEqual(match.临期食材, ['西红柿']);
+  assert.equal(match.临期程度, 1);
+
+  assert.deepEqual(matchAvailable(recipe('番茄酱意面', '番茄酱', '意面'), available, resolver).已有, []);
+});
+
+test('rankByAvailable 按覆盖率排序，覆盖率相同时先用临期食材', () => {
+  const available = parseAvailableIngredients('番茄:1,豆腐:10,鸡蛋', Date.UTC(2026, 9, 18));
+  const ranked = rankByAvailable([
+    recipe('麻婆豆腐', '豆腐', '牛肉'),
+    recipe('番茄炒蛋', '番茄', '鸡蛋'),
+    recipe('番茄牛腩', '番茄', '牛腩'),
+    recipe('清炒时蔬', '青菜')
+  ], available, resolver);
+
+  assert.deepEqual(ranked.map(item => [item.菜品名称, item.覆盖率]), [
+    ['番茄炒蛋', 100],
+    ['番茄牛腩', 50],
+    ['麻婆豆腐', 50]
+  ]);
+  assert.deepEqual(ranked[1].临期食材, ['番茄']);
+  assert.deepEqual(ranked[1].缺少, ['牛腩']);
+});
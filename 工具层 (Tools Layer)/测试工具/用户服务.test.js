@@ -0,0 +1,134 @@
+// 用户服务 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { handleAuth, signToken, verifyToken } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/用户服务.js';
+import worker from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/推荐算法.js';
+
+const SECRET = 'test-secret-test-secret-test-secret';
+
+const env = {
+  USER_DATA: { get: async () => null, put: async () => {}, delete: async () => {} },
+  JWT_SECRET: SECRET
+};
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.has(key) ? store.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, value);
+    },
+    async delete(key) {
+      store.delete(key);
+    }
+  };
+}
+
+// 通过 Worker 的路由请求接口
+async function call(path, { body, token, kv } = {}) {
+  const request = new Request(`https://example.com${path}`, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const response = await worker.fetch(request, { USER_DATA: kv, JWT_SECRET: SECRET }, { waitUntil() {} });
+  return { status: response.status, data: await response.json() };
+}
+
+function encodePart(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('handleAuth 请求体不是JSON对象时返回400', async () => {
+  for (const action of ['register', 'login', 'refresh', 'logout']) {
+    for (const body of ['null', '[]', '42', '"字符串"']) {
+      const request = new Request(`https://example.com/api/auth/${action}`, { method: 'POST', body });
+      const response = await handleAuth(request, env, {});
+      assert.equal(response.status, 400, `${action} ${body}`);
+      assert.equal((await response.json()).错误, '请求体必须是JSON对象');
+    }
+  }
+});
+
+test('注册、登录、刷新令牌，访问令牌可以访问 /api/user', async () => {
+  const kv = createKV();
+  const credentials = { 用户名: 'Alice', 密码: 'correct-horse' };
+
+  const registered = await call('/api/auth/register', { body: { ...credentials, 昵称: '小爱' }, kv });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.data.用户.用户名, 'alice');
+  assert.equal(registered.data.用户.昵称, '小爱');
+  assert.equal(registered.data.用户.密码, undefined);
+  assert.equal((await call('/api/auth/register', { body: credentials, kv })).status, 409);
+
+  assert.equal((await call('/api/auth/login', { body: { ...credentials, 密码: 'wrong-password' }, kv })).status, 401);
+  const login = await call('/api/auth/login', { body: { 用户名: 'ALICE', 密码: credentials.密码 }, kv });
+  assert.equal(login.status, 200);
+  assert.equal(login.data.用户.用户标识, registered.data.用户.用户标识);
+
+  const refreshed = await call('/api/auth/refresh', { body: { 刷新令牌: login.data.刷新令牌 }, kv });
+  assert.equal(refreshed.status, 200);
+  assert.equal(refreshed.data.令牌类型, 'Bearer');
+
+  const me = await call('/api/user', { token: refreshed.data.访问令牌, kv });
+  assert.equal(me.status, 200);
+  assert.equal(me.data.用户.用户标识, registered.data.用户.用户标识);
+  assert.equal((await call('/api/user', { kv })).status, 401);
+});
+
+test('刷新令牌不能当作访问令牌，访问令牌也不能用来刷新', async () => {
+  const kv = createKV();
+  const { data } = await call('/api/auth/register', { body: { 用户名: 'bob', 密码: 'correct-horse' }, kv });
+
+  assert.ok(await verifyToken(data.刷新令牌, SECRET, 'refresh'));
+  assert.equal(await verifyToken(data.刷新令牌, SECRET, 'access'), null);
+
+  const me = await call('/api/user', { token: data.刷新令牌, kv });
+  assert.equal(me.status, 401);
+  assert.equal(me.data.错误, '访问令牌无效或已过期');
+
+  assert.equal((await call('/api/auth/refresh', { body: { 刷新令牌: data.访问令牌 }, kv })).status, 401);
+});
+
+test('verifyToken 拒绝非 HS256 的令牌、签名不对和过期的令牌', async () => {
+  const payload = { sub: 'U1', name: 'alice', typ: 'access' };
+  const token = await signToken(payload, SECRET, 60);
+  const [, body, signature] = token.split('.');
+
+  assert.equal((await verifyToken(token, SECRET)).sub, 'U1');
+  assert.equal(await verifyToken(`${encodePart({ alg: 'none', typ: 'JWT' })}.${body}.`, SECRET), null);
+  assert.equal(await verifyToken(`${encodePart({ alg: 'HS512', typ: 'JWT' })}.${body}.${signature}`, SECRET), null);
+  assert.equal(await verifyToken(`${token.split('.')[0]}.${encodePart({ ...payload, sub: 'U2', exp: 9999999999 })}.${signature}`, SECRET), null);
+  assert.equal(await verifyToken(token, 'another-secret-another-secret'), null);
+  assert.equal(await verifyToken(await signToken(payload, SECRET, -1), SECRET), null);
+  assert.equal(await verifyToken('not-a-token', SECRET), null);
+});
+
+test('退出登录后令牌版本加一，之前的刷新令牌全部失效', async () => {
+  const kv = createKV();
+  const credentials = { 用户名: 'carol', 密码: 'correct-horse' };
+  const first = (await call('/api/auth/register', { body: credentials, kv })).data;
+  const second = (await call('/api/auth/login', { body: credentials, kv })).data;
+
+  const logout = await call('/api/auth/logout', { body: { 刷新令牌: first.刷新令牌 }, kv });
+  assert.equal(logout.status, 200);
+  assert.equal(JSON.parse(kv.store.get('user:carol')).令牌版本, 2);
+
+  for (const token of [first.刷新令牌, second.刷新令牌]) {
+    const { status, data } = await call('/api/auth/refresh', { body: { 刷新令牌: token }, kv });
+    assert.equal(status, 401);
+    assert.equal(data.错误, '刷新令牌无效或已过期');
+  }
+
+  // 用失效的令牌再次退出不会继续增加版本；重新登录后得到新版本的令牌
+  await call('/api/auth/logout', { body: { 刷新令牌: second.刷新令牌 }, kv });
+  assert.equal(JSON.parse(kv.store.get('user:carol')).令牌版本, 2);
+
+  const again = (await call('/api/auth/login', { body: credentials, kv })).data;
+  assert.equal((await call('/api/auth/refresh', { body: { 刷新令牌: again.刷新令牌 }, kv })).status, 200);
+});
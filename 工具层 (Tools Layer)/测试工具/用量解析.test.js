@@ -0,0 +1,117 @@
+// 用量解析 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseNumber, parseQuantity, scaleQuantity, convertQuantity, convertWithUnitWeight,
+  addQuantities, simplifyQuantity, formatQuantity
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/用量解析.js';
+
+const quantity = (最小, 单位, 最大 = 最小) => ({ 最小, 最大, 单位, 定性: null });
+
+test('parseNumber 解析阿拉伯数字和分数', () => {
+  assert.equal(parseNumber('500'), 500);
+  assert.equal(parseNumber('1.5'), 1.5);
+  assert.equal(parseNumber('1/2'), 0.5);
+  assert.equal(parseNumber('1/0'), null);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber('abc'), null);
+});
+
+test('parseNumber 解析中文数字', () => {
+  assert.equal(parseNumber('半'), 0.5);
+  assert.equal(parseNumber('一半'), 0.5);
+  assert.equal(parseNumber('两'), 2);
+  assert.equal(parseNumber('十'), 10);
+  assert.equal(parseNumber('十二'), 12);
+  assert.equal(parseNumber('二十五'), 25);
+  assert.equal(parseNumber('一百'), 100);
+  assert.equal(parseNumber('一百二十'), 120);
+  assert.equal(parseNumber('一百零五'), 105);
+  assert.equal(parseNumber('一百二'), 120);
+  assert.equal(parseNumber('两千'), 2000);
+  assert.equal(parseNumber('三千五百'), 3500);
+  assert.equal(parseNumber('三五'), null);
+  assert.equal(parseNumber('十百'), null);
+});
+
+test('parseNumber 解析 分之 和带分数', () => {
+  assert.equal(parseNumber('三分之一'), 1 / 3);
+  assert.equal(parseNumber('四分之三'), 0.75);
+  assert.equal(parseNumber('零分之一'), null);
+  assert.equal(parseNumber('1又1/2'), 1.5);
+  assert.equal(parseNumber('一又二分之一'), 1.5);
+  assert.equal(parseNumber('两又四分之一'), 2.25);
+  assert.equal(parseNumber('2又3/2'), null);
+});
+
+test('parseQuantity 解析单位、范围和定性用量', () => {
+  assert.deepEqual(parseQuantity('500', '克'), quantity(500, '克'));
+  assert.deepEqual(parseQuantity('2-3', '个'), quantity(2, '个', 3));
+  assert.deepEqual(parseQuantity('两到三', '个'), quantity(2, '个', 3));
+  assert.deepEqual(parseQuantity('约300', '克'), quantity(300, '克'));
+  assert.deepEqual(parseQuantity('2汤匙'), quantity(2, '汤匙'));
+  assert.deepEqual(parseQuantity('1个半'), quantity(1.5, '个'));
+  assert.deepEqual(parseQuantity('二两'), quantity(2, '两'));
+  assert.deepEqual(parseQuantity('1千克'), quantity(1, '千克'));
+  assert.deepEqual(parseQuantity('三分之一杯'), quantity(1 / 3, '杯'));
+  assert.deepEqual(parseQuantity('1又1/2杯'), quantity(1.5, '杯'));
+  assert.deepEqual(parseQuantity('一百二十克'), quantity(120, '克'));
+  assert.deepEqual(parseQuantity('适量', '克'), { 最小: null, 最大: null, 单位: '克', 定性: '适量' });
+  assert.equal(parseQuantity(''), null);
+  assert.equal(parseQuantity('很多', '克'), null);
+});
+
+test('scaleQuantity 按比例缩放，定性用量不变', () => {
+  assert.deepEqual(scaleQuantity(quantity(300, '克'), 0.5), quantity(150, '克'));
+  assert.deepEqual(scaleQuantity(quantity(2, '个', 3), 2), quantity(4, '个', 6));
+  assert.deepEqual(scaleQuantity(quantity(1, '个'), 1 / 3), quantity(0.33, '个'));
+
+  const 适量 = parseQuantity('适量', '克');
+  assert.equal(scaleQuantity(适量, 2), 适量);
+});
+
+test('convertQuantity 在同类单位之间换算', () => {
+  assert.deepEqual(convertQuantity(quantity(1, '斤'), '克'), quantity(500, '克'));
+  assert.deepEqual(convertQuantity(quantity(750, '克'), '斤'), quantity(1.5, '斤'));
+  assert.deepEqual(convertQuantity(quantity(2, '汤匙'), '毫升'), quantity(30, '毫升'));
+  assert.deepEqual(convertQuantity(quantity(3, '茶匙'), '汤匙'), quantity(1, '汤匙'));
+  assert.equal(convertQuantity(quantity(100, '克'), '毫升'), null);
+  assert.equal(convertQuantity(quantity(2, '个'), '克'), null);
+});
+
+test('convertWithUnitWeight 按单位重量换算计数单位', () => {
+  const getUnitWeight = unit => ({ 个: 150, 根: 200 })[unit] ?? null;
+
+  assert.deepEqual(convertWithUnitWeight(quantity(2, '个'), '克', getUnitWeight), quantity(300, '克'));
+  assert.deepEqual(convertWithUnitWeight(quantity(1, '斤'), '个', getUnitWeight), quantity(3.33, '个'));
+  assert.deepEqual(convertWithUnitWeight(quantity(3, '个'), '根', getUnitWeight), quantity(2.25, '根'));
+  assert.equal(convertWithUnitWeight(quantity(2, '片'), '克', getUnitWeight), null);
+});
+
+test('addQuantities 相加可换算的用量', () => {
+  assert.deepEqual(addQuantities(quantity(300, '克'), quantity(1, '斤')), quantity(800, '克'));
+  assert.deepEqual(addQuantities(quantity(1, '汤匙'), quantity(1, '茶匙')), quantity(1.33, '汤匙'));
+  assert.deepEqual(addQuantities(quantity(2, '个'), quantity(1, '个', 2)), quantity(3, '个', 4));
+  assert.equal(addQuantities(quantity(2, '根'), quantity(1, '个')), null);
+  assert.equal(addQuantities(quantity(100, '克'), quantity(1, '汤匙')), null);
+});
+
+test('addQuantities 处理空值和定性用量', () => {
+  const 适量 = parseQuantity('适量', '');
+
+  assert.deepEqual(addQuantities(null, quantity(1, '个')), quantity(1, '个'));
+  assert.deepEqual(addQuantities(quantity(1, '个'), null), quantity(1, '个'));
+  assert.deepEqual(addQuantities(适量, quantity(5, '克')), quantity(5, '克'));
+  assert.deepEqual(addQuantities(quantity(5, '克'), 适量), quantity(5, '克'));
+  assert.equal(addQuantities(null, null), null);
+});
+
+test('simplifyQuantity 和 formatQuantity', () => {
+  assert.equal(formatQuantity(simplifyQuantity(quantity(1500, '克'))), '3斤');
+  assert.equal(formatQuantity(simplifyQuantity(quantity(100, '克'))), '2两');
+  assert.equal(formatQuantity(simplifyQuantity(quantity(30, '克'))), '30克');
+  assert.equal(formatQuantity(simplifyQuantity(quantity(1500, '毫升'))), '1.5升');
+  assert.equal(formatQuantity(quantity(2, '个', 3)), '2-3个');
+  assert.equal(formatQuantity(parseQuantity('少许', '')), '少许');
+});
@@ -0,0 +1,72 @@
+// 节气历法 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDate, formatDate, addDays, getSolarTerms, getSolarTerm, getUpcomingFestivals
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/节气历法.js';
+import worker from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/推荐算法.js';
+
+test('parseDate 解析 YYYY-MM-DD', () => {
+  assert.equal(formatDate(parseDate('2026-04-05')), '2026-04-05');
+  assert.equal(formatDate(parseDate('2026-4-5')), '2026-04-05');
+  assert.equal(formatDate(parseDate('2028-02-29')), '2028-02-29');
+});
+
+test('parseDate 格式不对或日期不存在时返回null，不顺延', () => {
+  ['2026-13-45', '2026-02-29', '2026-04-31', '2026-00-10', 'abc', '2026/04/05', '0050-01-01'].forEach(text => {
+    assert.equal(parseDate(text), null, text);
+  });
+});
+
+test('parseDate 未提供日期时为今天', () => {
+  const today = parseDate();
+  assert.ok(today instanceof Date);
+  assert.equal(formatDate(today), formatDate(parseDate('')));
+  assert.equal(today.getUTCHours(), 0);
+});
+
+test('getSolarTerms 与2026年的节气日期一致', () => {
+  const terms = Object.fromEntries(getSolarTerms(2026).map(term => [term.名称, formatDate(term.日期)]));
+  assert.equal(terms.小寒, '2026-01-05');
+  assert.equal(terms.立春, '2026-02-04');
+  assert.equal(terms.雨水, '2026-02-18');
+  assert.equal(terms.清明, '2026-04-05');
+  assert.equal(terms.夏至, '2026-06-21');
+  assert.equal(terms.冬至, '2026-12-22');
+});
+
+test('getSolarTerm 返回当前和下一个节气，跨年时取相邻年份', () => {
+  assert.deepEqual(getSolarTerm(parseDate('2026-04-05')), {
+    当前: { 名称: '清明', 日期: '2026-04-05' },
+    下一个: { 名称: '谷雨', 日期: '2026-04-20', 距今天数: 15 }
+  });
+  assert.equal(getSolarTerm(parseDate('2026-04-04')).当前.名称, '春分');
+  assert.equal(getSolarTerm(parseDate('2026-01-02')).当前.名称, '冬至');
+  assert.equal(getSolarTerm(parseDate('2026-12-30')).下一个.名称, '小寒');
+});
+
+test('getUpcomingFestivals 返回两周内的节日', () => {
+  assert.deepEqual(getUpcomingFestivals(parseDate('2026-02-10')), [
+    { 名称: '春节', 日期: '2026-02-17', 距今天数: 7 }
+  ]);
+  assert.deepEqual(getUpcomingFestivals(parseDate('2026-12-15')).map(item => item.名称), ['冬至']);
+  assert.deepEqual(getUpcomingFestivals(parseDate('2026-05-01')), []);
+  assert.equal(getUpcomingFestivals(addDays(parseDate('2026-02-10'), 8)).length, 0);
+});
+
+test('日期参数无效时 /api/recommend、/api/plan、/api/calendar 返回400', async () => {
+  const paths = [
+    '/api/recommend?日期=2026-13-45',
+    '/api/plan?开始日期=2026-02-30',
+    '/api/plan?开始日期=2026-02-01&结束日期=2026-02-31',
+    '/api/calendar?类型=菜单&日期=abc',
+    '/api/calendar?开始日期=2026-1-32'
+  ];
+
+  for (const path of paths) {
+    const response = await worker.fetch(new Request(`https://example.com${encodeURI(path)}`), {}, { waitUntil() {} });
+    assert.equal(response.status, 400, path);
+    assert.match((await response.json()).error, /日期应为有效的 YYYY-MM-DD 格式/);
+  }
+});
@@ -0,0 +1,262 @@
+// 菜谱投稿 单元测试：GitHub API 由本地的模拟服务提供（API_BASE_URL 指向它）
+
+import test, { describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { handleUpload, recipePath } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/菜谱投稿.js';
+
+const REPO = 'owner/recipes';
+const EXISTING = '数据层 (Data Layer)/菜谱数据库/春季菜谱/主菜/春笋炒肉片.json';
+
+// 模拟 GitHub：仓库只有 main 分支和一个已有的菜谱文件，记录收到的请求
+function createGitHub() {
+  const github = {
+    refs: { main: 'sha-main' },
+    files: { main: new Set([EXISTING]) },
+    contents: {},
+    pulls: [],
+    log: [],
+    fail: null
+  };
+
+  const routes = [
+    ['GET', /^$/, () => [200, { default_branch: 'main' }]],
+    ['GET', /^\/git\/ref\/heads\/(.+)$/, ([branch]) => (
+      github.refs[branch] ? [200, { object: { sha: github.refs[branch] } }] : [404, { message: 'Not Found' }]
+    )],
+    ['POST', /^\/git\/refs$/, (params, body) => {
+      const branch = body.ref.replace('refs/heads/', '');
+      if (github.refs[branch]) return [422, { message: 'Reference already exists' }];
+      github.refs[branch] = body.sha;
+      github.files[branch] = new Set(github.files.main);
+      return [201, {}];
+    }],
+    ['DELETE', /^\/git\/refs\/heads\/(.+)$/, ([branch]) => {
+      delete github.refs[branch];
+      delete github.files[branch];
+      return [204, null];
+    }],
+    ['GET', /^\/contents\/(.+)$/, ([path], body, query) => (
+      github.files[query.get('ref')]?.has(path) ? [200, { sha: 'file-sha' }] : [404, { message: 'Not Found' }]
+    )],
+    ['PUT', /^\/contents\/(.+)$/, ([path], body) => {
+      github.files[body.branch].add(path);
+      github.contents[path] = { message: body.message, text: Buffer.from(body.content, 'base64').toString('utf8') };
+      return [201, {}];
+    }],
+    ['POST', /^\/pulls$/, (params, body) => {
+      const number = github.pulls.length + 1;
+      github.pulls.push({ number, state: 'open', merged_at: null, ...body });
+      return [201, { number, html_url: `https://github.com/${REPO}/pull/${number}` }];
+    }],
+    ['GET', /^\/pulls\/(\d+)$/, ([number]) => {
+      const pull = github.pulls[number - 1];
+      return pull ? [200, pull] : [404, { message: 'Not Found' }];
+    }]
+  ];
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const path = decodeURIComponent(url.pathname.slice(`/repos/${REPO}`.length));
+      github.log.push(`${req.method} ${path}`);
+
+      let [status, data] = [404, { message: 'Not Found' }];
+      if (!req.headers.authorization) {
+        [status, data] = [401, { message: 'Bad credentials' }];
+      } else if (github.fail && github.fail(req.method, path)) {
+        [status, data] = [500, { message: 'Server Error' }];
+      } else {
+        for (const [method, pattern, handler] of routes) {
+          const match = req.method === method && path.match(pattern);
+          if (match) {
+            [status, data] = handler(match.slice(1), raw ? JSON.parse(raw) : null, url.searchParams);
+            break;
+          }
+        }
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(data === null ? '' : JSON.stringify(data));
+    });
+  });
+
+  return { github, server };
+}
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.has(key) ? store.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, value);
+    }
+  };
+}
+
+const 用户 = { sub: 'user-1', name: 'alice' };
+
+const recipe = {
+  菜品名称: '春笋炒肉片',
+  菜品分类: ['主菜'],
+  适用季节: ['三月', '春季'],
+  标准份量: { 基准人数: 2, 食材列表: [{ 名称: '春笋', 用量: '300克' }] }
+};
+
+// 模拟服务只在这组测试中启动，钩子不影响同一进程中其他文件的测试
+describe('菜谱投稿', () => {
+  let github;
+  let server;
+  let env;
+
+  beforeEach(async () => {
+    ({ github, server } = createGitHub());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    env = {
+      GITHUB_TOKEN: 'test-token',
+      GITHUB_REPO: REPO,
+      API_BASE_URL: `http://127.0.0.1:${server.address().port}/repos`,
+      USER_DATA: createKV()
+    };
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  async function upload(path = '', { method = 'GET', body } = {}, 账号 = 用户) {
+    const request = new Request(`https://example.com/api/upload${path}`, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const response = await handleUpload(request, env, {}, 账号);
+    return { status: response.status, data: await response.json() };
+  }
+
+  // 跳过状态查询的时间间隔，下次读取投稿时立即查询 Pull Request
+  function expireStatusChecks() {
+    for (const [key, value] of env.USER_DATA.store) {
+      if (key.startsWith('submission:')) {
+        env.USER_DATA.store.set(key, JSON.stringify({ ...JSON.parse(value), 检查时间: 0 }));
+      }
+    }
+  }
+
+  test('recipePath 在数据层目录下按季节和分类分目录', () => {
+    assert.equal(recipePath({}, recipe), EXISTING);
+    assert.equal(
+      recipePath({ DATA_ROOT: 'data/' }, { ...recipe, 菜品名称: '夏日/../凉面', 适用季节: ['夏季'] }, '-USER1'),
+      'data/菜谱数据库/夏季菜谱/主菜/夏日..凉面-USER1.json'
+    );
+  });
+
+  test('提交投稿：新建分支、提交菜谱文件并发起 Pull Request', async () => {
+    const { status, data } = await upload('', { method: 'POST', body: { ...recipe, 菜品名称: '香椿炒蛋', 菜品标识: 'HACK' } });
+    const 菜品标识 = data.菜品标识;
+    const 路径 = '数据层 (Data Layer)/菜谱数据库/春季菜谱/主菜/香椿炒蛋.json';
+
+    assert.equal(status, 201);
+    assert.match(菜品标识, /^USER\d+$/);
+    assert.equal(data.投稿.状态, 'pending');
+    assert.equal(data.投稿.路径, 路径);
+    assert.equal(data.投稿.PR编号, 1);
+    assert.deepEqual(github.log, [
+      'GET ',
+      'GET /git/ref/heads/main',
+      'POST /git/refs',
+      `GET /contents/${路径}`,
+      `PUT /contents/${路径}`,
+      'POST /pulls'
+    ]);
+
+    const saved = JSON.parse(github.contents[路径].text);
+    assert.equal(saved.菜品标识, 菜品标识);
+    assert.equal(saved.元数据.来源, '用户投稿');
+    assert.equal(saved.元数据.作者, 'alice');
+    assert.equal(github.contents[路径].message, '添加菜谱：香椿炒蛋');
+
+    assert.equal(github.pulls[0].head, `recipe/${菜品标识}`);
+    assert.equal(github.pulls[0].base, 'main');
+    assert.match(github.pulls[0].body, new RegExp(`文件：\`${路径.replace(/[()]/g, '\\$&')}\``));
+  });
+
+  test('已有同名菜谱时文件名加上 -<菜品标识>', async () => {
+    const { status, data } = await upload('', { method: 'POST', body: recipe });
+
+    assert.equal(status, 201);
+    assert.equal(data.投稿.路径, EXISTING.replace('.json', `-${data.菜品标识}.json`));
+    assert.ok(github.contents[data.投稿.路径]);
+    assert.equal(github.contents[EXISTING], undefined);
+  });
+
+  test('查询投稿状态：审核中、已通过、未通过', async () => {
+    const first = (await upload('', { method: 'POST', body: { ...recipe, 菜品名称: '香椿炒蛋' } })).data.菜品标识;
+    const second = (await upload('', { method: 'POST', body: { ...recipe, 菜品名称: '荠菜馄饨' } })).data.菜品标识;
+
+    let result = await upload(`/${first}`);
+    assert.equal(result.status, 200);
+    assert.equal(result.data.投稿.状态, 'pending');
+    assert.equal(result.data.投稿.状态说明, '审核中');
+
+    github.pulls[0].state = 'closed';
+    github.pulls[0].merged_at = '2026-03-01T00:00:00Z';
+    github.pulls[1].state = 'closed';
+
+    // 刚提交的投稿在查询间隔内不查询GitHub
+    assert.equal((await upload(`/${first}`)).data.投稿.状态, 'pending');
+
+    expireStatusChecks();
+    result = await upload(`/${first}`);
+    assert.equal(result.data.投稿.状态, 'approved');
+    assert.equal(result.data.投稿.状态说明, '已通过');
+
+    result = await upload('');
+    assert.deepEqual(result.data.投稿.map(投稿 => [投稿.菜品标识, 投稿.状态]), [
+      [second, 'rejected'],
+      [first, 'approved']
+    ]);
+
+    assert.equal((await upload(`/${first}`, {}, { sub: 'user-2', name: 'bob' })).status, 404);
+    assert.equal((await upload('/USER0')).status, 404);
+  });
+
+  test('GitHub请求失败时返回502并删除新建的分支', async t => {
+    t.mock.method(console, 'error', () => {});
+    github.fail = (method, path) => method === 'PUT' && path.startsWith('/contents/');
+
+    const { status, data } = await upload('', { method: 'POST', body: recipe });
+
+    assert.equal(status, 502);
+    assert.equal(data.成功, false);
+    assert.equal(data.错误, '提交到GitHub失败，请稍后重试');
+    assert.match(data.详情, /PUT .* 500 Server Error/);
+    assert.match(github.log.at(-1), /^DELETE \/git\/refs\/heads\/recipe\/USER\d+$/);
+    assert.deepEqual(Object.keys(github.refs), ['main']);
+    assert.equal(github.pulls.length, 0);
+    assert.deepEqual((await upload('')).data.投稿, []);
+  });
+
+  test('GitHub不可用时查询投稿保持原状态', async t => {
+    t.mock.method(console, 'error', () => {});
+    const 菜品标识 = (await upload('', { method: 'POST', body: recipe })).data.菜品标识;
+    github.pulls[0].state = 'closed';
+    github.fail = () => true;
+    expireStatusChecks();
+
+    const { status, data } = await upload(`/${菜品标识}`);
+    assert.equal(status, 200);
+    assert.equal(data.投稿.状态, 'pending');
+  });
+
+  test('菜品标识编码无效时返回400', async () => {
+    const { status, data } = await upload('/%E0%A4%A');
+
+    assert.equal(status, 400);
+    assert.equal(data.错误, '菜品标识编码无效');
+    assert.equal(github.log.length, 0);
+  });
+});
@@ -0,0 +1,69 @@
+// 营养优化 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NutritionOptimizer, parseNutritionTargets, perPersonNutrition
+} from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/营养优化.js';
+
+// 营养成分为基准人数2人的总量，推荐评分故意偏向不达标的菜
+const dish = (菜品名称, 热量, 蛋白质, 总分) => ({
+  菜品名称,
+  标准份量: { 基准人数: 2 },
+  营养成分: { 热量, 蛋白质 },
+  推荐评分: { 总分 }
+});
+
+const categories = {
+  主菜: [dish('清炒时蔬', 400, 10, 9), dish('土豆烧鸡', 800, 40, 8), dish('红烧牛肉', 1200, 60, 5)],
+  汤品: [dish('玉米排骨汤', 400, 10, 9), dish('紫菜蛋花汤', 100, 4, 3)]
+};
+
+const names = selected => Object.fromEntries(
+  Object.entries(selected).map(([course, recipes]) => [course, recipes.map(recipe => recipe.菜品名称)])
+);
+
+test('parseNutritionTargets 解析范围和下限，忽略无效的项', () => {
+  assert.deepEqual(parseNutritionTargets('热量:600-800,蛋白质：30'), {
+    热量: { 最小: 600, 最大: 800 },
+    蛋白质: { 最小: 30, 最大: null }
+  });
+  assert.deepEqual(parseNutritionTargets('脂肪:-20,维生素:1-2,热量:800-600'), { 脂肪: { 最小: 0, 最大: 20 } });
+  assert.equal(parseNutritionTargets('维生素:1-2'), null);
+  assert.equal(parseNutritionTargets(''), null);
+});
+
+test('perPersonNutrition 按基准人数折算，缺少的营养素为0', () => {
+  assert.deepEqual(perPersonNutrition(dish('红烧牛肉', 1200, 60, 0)), {
+    热量: 600, 蛋白质: 30, 碳水化合物: 0, 脂肪: 0, 纤维素: 0
+  });
+  assert.equal(perPersonNutrition({ 营养成分: { 热量: 300 } }).热量, 300);
+});
+
+test('按营养目标选出达标的组合，不按推荐评分', () => {
+  const optimizer = new NutritionOptimizer(parseNutritionTargets('热量:550-700,蛋白质:30-40'));
+  const { selected, 报告 } = optimizer.optimize(categories, { 主菜: 1, 汤品: 1 });
+
+  assert.deepEqual(names(selected), { 主菜: ['红烧牛肉'], 汤品: ['紫菜蛋花汤'] });
+  assert.equal(报告.达标数, 2);
+  assert.equal(报告.目标数, 2);
+  assert.deepEqual(报告.达成.热量, { 目标: '550-700', 实际: 650, 状态: '达标', 偏差百分比: 0 });
+});
+
+test('目标无法达到时选最接近的组合并报告偏差', () => {
+  const optimizer = new NutritionOptimizer(parseNutritionTargets('蛋白质:50'));
+  const { selected, 报告 } = optimizer.optimize(categories, { 主菜: 1, 汤品: 1 });
+
+  assert.deepEqual(names(selected), { 主菜: ['红烧牛肉'], 汤品: ['玉米排骨汤'] });
+  assert.deepEqual(报告.达成.蛋白质, { 目标: '≥50', 实际: 35, 状态: '偏低', 偏差百分比: -30 });
+  assert.equal(报告.达标数, 0);
+});
+
+test('候选不足时只填满能填的位置', () => {
+  const optimizer = new NutritionOptimizer(parseNutritionTargets('热量:500-900'));
+  const { selected } = optimizer.optimize(categories, { 主菜: 2, 汤品: 3, 主食: 1 });
+
+  assert.equal(selected.主菜.length, 2);
+  assert.equal(selected.汤品.length, 2);
+  assert.deepEqual(selected.主食, []);
+});
@@ -0,0 +1,85 @@
+// 预算控制 单元测试：每道菜的花费直接写在菜谱的 价格、未计价 中
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BudgetOptimizer, parseBudget } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/预算控制.js';
+
+const estimator = {
+  resolver: { normalize: name => name },
+  estimateRecipe: recipe => ({ 金额: recipe.价格, 未计价: recipe.未计价 || [] })
+};
+
+const dish = (菜品名称, 价格, 总分, extra = {}) => ({ 菜品名称, 价格, 推荐评分: { 总分 }, ...extra });
+
+function optimize(selected, categories, budget, isFixed) {
+  return new BudgetOptimizer(estimator, budget, { 用餐人数: 2 }).optimize(selected, categories, isFixed);
+}
+
+const names = selected => Object.fromEntries(
+  Object.entries(selected).map(([course, recipes]) => [course, recipes.map(recipe => recipe.菜品名称)])
+);
+
+test('parseBudget 只接受正数', () => {
+  assert.equal(parseBudget('80'), 80);
+  assert.equal(parseBudget('12.5'), 12.5);
+  ['', '0', '-5', 'abc', null].forEach(text => assert.equal(parseBudget(text), null, String(text)));
+});
+
+test('一次替换就能不超预算时，选评分损失最小的替换', () => {
+  const categories = {
+    主菜: [dish('红烧牛肉', 30, 9), dish('土豆烧鸡', 25, 8.5), dish('番茄炒蛋', 15, 5)],
+    配菜: [dish('油焖春笋', 20, 8), dish('清炒时蔬', 8, 7.5)]
+  };
+  const { selected, 报告 } = optimize({ 主菜: [categories.主菜[0]], 配菜: [categories.配菜[0]] }, categories, 40);
+
+  assert.deepEqual(names(selected), { 主菜: ['红烧牛肉'], 配菜: ['清炒时蔬'] });
+  assert.deepEqual(报告.替换, [{ 类别: '配菜', 原菜品: '油焖春笋', 替换为: '清炒时蔬', 节省: 12 }]);
+  assert.equal(报告.原预计花费, 50);
+  assert.equal(报告.预计花费, 38);
+  assert.equal(报告.是否超出, false);
+});
+
+test('一次替换不够时按节省金额与评分损失之比逐步替换', () => {
+  const categories = {
+    主菜: [dish('红烧牛肉', 40, 9), dish('土豆烧鸡', 30, 8.5), dish('番茄炒蛋', 12, 4)],
+    配菜: [dish('油焖春笋', 20, 8), dish('清炒时蔬', 10, 7)]
+  };
+  const { selected, 报告 } = optimize({ 主菜: [categories.主菜[0]], 配菜: [categories.配菜[0]] }, categories, 30);
+
+  assert.deepEqual(报告.替换.map(swap => [swap.原菜品, swap.替换为, swap.节省]), [
+    ['红烧牛肉', '土豆烧鸡', 10],
+    ['油焖春笋', '清炒时蔬', 10],
+    ['土豆烧鸡', '番茄炒蛋', 18]
+  ]);
+  assert.deepEqual(names(selected), { 主菜: ['番茄炒蛋'], 配菜: ['清炒时蔬'] });
+  assert.equal(报告.预计花费, 22);
+  assert.equal(报告.是否超出, false);
+});
+
+test('固定的菜和有额外未计价食材的候选菜不参与替换，换不下来时报告超出', () => {
+  const festival = dish('年夜饭鱼', 60, 9, { 节日菜品: '春节' });
+  const categories = {
+    主菜: [festival, dish('家常豆腐', 10, 6)],
+    配菜: [dish('油焖春笋', 20, 8, { 未计价: ['春笋'] }), dish('松茸炒饭', 5, 7, { 未计价: ['松茸'] })]
+  };
+  const { selected, 报告 } = optimize(
+    { 主菜: [festival], 配菜: [categories.配菜[0]] },
+    categories,
+    50,
+    recipe => Boolean(recipe.节日菜品)
+  );
+
+  assert.deepEqual(names(selected), { 主菜: ['年夜饭鱼'], 配菜: ['油焖春笋'] });
+  assert.deepEqual(报告.替换, []);
+  assert.equal(报告.预计花费, 80);
+  assert.equal(报告.是否超出, true);
+});
+
+test('不超预算时不替换', () => {
+  const menu = { 主菜: [dish('番茄炒蛋', 12, 5)], 配菜: [] };
+  const { selected, 报告 } = optimize(menu, { 主菜: [dish('白灼菜心', 6, 4)] }, 30);
+
+  assert.deepEqual(names(selected), { 主菜: ['番茄炒蛋'], 配菜: [] });
+  assert.equal(报告.原预计花费, 12);
+  assert.deepEqual(报告.替换, []);
+});
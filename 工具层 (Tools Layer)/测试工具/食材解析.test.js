@@ -0,0 +1,66 @@
+// 食材解析 单元测试
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { IngredientResolver, cleanName } from '../../服务层(Service Layer)/Cloudflare Workers(API服务)/食材解析.js';
+
+const resolver = new IngredientResolver({
+  食材分类: {
+    蔬菜类: { 瓜果类: ['番茄', '辣椒'] },
+    肉类: { 猪肉: ['五花肉', '里脊肉'] },
+    主食类: { 面类: ['面粉'] },
+    调味品类: { 酱料: ['番茄酱'] },
+    蛋奶豆制品: { 蛋类: ['鸡蛋'] }
+  },
+  别名: {
+    番茄: ['西红柿'],
+    里脊肉: ['猪里脊']
+  },
+  分类关键词: {
+    说明: '名称和别名都未匹配时，按包含的最长关键词归类',
+    蔬菜类: ['茄', '椒'],
+    肉类: ['肉', '鸡'],
+    主食类: ['面', '饼'],
+    调味品类: ['酱', '油'],
+    蛋奶豆制品: ['蛋']
+  }
+});
+
+test('cleanName 去掉空格和括号里的说明', () => {
+  assert.equal(cleanName(' 番茄（大） '), '番茄');
+  assert.equal(cleanName(null), '');
+});
+
+test('resolve 默认只按标准名称和别名精确匹配', () => {
+  assert.equal(resolver.resolve('西红柿').标识, '番茄');
+  assert.equal(resolver.resolve('西红柿').匹配, '精确');
+  assert.equal(resolver.resolve('鸡蛋饼'), null);
+  assert.equal(resolver.resolve('猪里脊肉片'), null);
+});
+
+test('resolve 指定 contained 时按包含的最长名称匹配', () => {
+  const entry = resolver.resolve('猪里脊肉片', { contained: true });
+  assert.equal(entry.标识, '里脊肉');
+  assert.equal(entry.匹配, '包含');
+  assert.equal(resolver.resolve('番茄酱汁', { contained: true }).标识, '番茄酱');
+});
+
+test('isSame 不把包含原料名称的食材当成原料', () => {
+  assert.equal(resolver.isSame('鸡蛋饼', '鸡蛋'), false);
+  assert.equal(resolver.isSame('番茄酱汁', '番茄'), false);
+  assert.equal(resolver.isSame('肉', '五花肉'), false);
+  assert.equal(resolver.isSame('西红柿', '番茄'), true);
+  assert.equal(resolver.isSame('猪里脊', '里脊肉'), true);
+  assert.equal(resolver.isSame('豆腐乳', '豆腐乳'), true);
+  assert.equal(resolver.isSame('', ''), false);
+});
+
+test('categorize 未匹配的名称按最靠后的分类关键词归类', () => {
+  assert.equal(resolver.categorize('西红柿'), '蔬菜类');
+  assert.equal(resolver.categorize('鸡蛋'), '蛋奶豆制品');
+  assert.equal(resolver.categorize('鸡蛋饼'), '主食类');
+  assert.equal(resolver.categorize('番茄酱汁'), '调味品类');
+  assert.equal(resolver.categorize('辣椒油'), '调味品类');
+  assert.equal(resolver.categorize('猪里脊肉片'), '肉类');
+  assert.equal(resolver.categorize('桂花'), '其他');
+});
@@ -0,0 +1,69 @@
+// 菜谱数据统计工具
+// 读取 生成索引.js 输出的菜谱清单，汇总各季节、分类、难度的菜谱数量
+//
+// 用法: node 工具层/管理工具/数据统计.js [--root <数据层目录>]
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { resolveDataRoot } from './生成索引.js';
+
+// 统计数组字段中每个值出现的次数
+function countValues(entries, field) {
+  const counts = {};
+
+  entries.forEach(entry => {
+    const values = Array.isArray(entry[field]) ? entry[field] : [entry[field]];
+    values.forEach(value => {
+      if (value) counts[value] = (counts[value] || 0) + 1;
+    });
+  });
+
+  return counts;
+}
+
+// 取出现次数最多的若干项
+function topValues(counts, limit) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'zh-CN'))
+    .slice(0, limit)
+    .map(([value]) => value);
+}
+
+// 生成统计数据
+export function generateStats(dataRoot) {
+  const indexDir = path.join(dataRoot, '分类索引');
+  const manifestPath = path.join(indexDir, '菜谱清单.json');
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error('未找到菜谱清单，请先运行 生成索引.js');
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const entries = manifest.菜谱;
+  const totalTime = entries.reduce((sum, entry) => sum + entry.总时间, 0);
+
+  const stats = {
+    版本: manifest.版本,
+    菜谱总数: entries.length,
+    季节统计: countValues(entries, '适用季节'),
+    分类统计: countValues(entries, '菜品分类'),
+    难度统计: countValues(entries, '难度等级'),
+    平均总时间: entries.length > 0 ? Math.round(totalTime / entries.length) : 0,
+    热门标签: topValues(countValues(entries, '菜品标签'), 10)
+  };
+
+  fs.writeFileSync(path.join(indexDir, '数据统计.json'), JSON.stringify(stats, null, 2) + '\n');
+  return stats;
+}
+
+// 命令行入口
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    const stats = generateStats(resolveDataRoot());
+    console.log(`统计完成: 共${stats.菜谱总数}道菜谱`);
+  } catch (error) {
+    console.error('生成统计失败:', error.message);
+    process.exit(1);
+  }
+}
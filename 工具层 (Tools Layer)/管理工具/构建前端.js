@@ -0,0 +1,159 @@
+// 前端构建工具
+// 把 表现层 的页面、脚本和 Service Worker 平铺复制到输出目录根下，与 Worker 共用的模块也复制过去，
+// 分类索引/ 复制到输出目录的 分类索引/ 下
+// 页面和 Service Worker 都按这个结构引用文件，如 /脚本.js、/食材解析.js、/分类索引/食材索引.json
+//
+// 本地预览和开发也用这个工具，看到的文件结构与部署的相同：
+// --serve 构建后在 --port（默认 5173）上提供输出目录；再加 --watch 时源文件改动后重新构建
+//
+// 用法: node 工具层/管理工具/构建前端.js [--root <数据层目录>] [--out <输出目录>] [--serve [--port <端口>] [--watch]]
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { REPO_ROOT, resolveDataRoot } from './生成索引.js';
+
+// 平铺到输出目录根下的前端目录
+const FRONTEND_DIRS = [
+  '表现层(Presentation Layer)/前端界面',
+  '表现层(Presentation Layer)/导出模块',
+  '表现层(Presentation Layer)/移动端适配'
+];
+
+// Worker 和前端共用的模块，前端用 import() 加载
+const WORKER_DIR = '服务层(Service Layer)/Cloudflare Workers(API服务)';
+const SHARED_MODULES = ['食材解析.js', '用量解析.js', '价格估算.js'];
+
+const DEFAULT_PORT = 5173;
+
+// 本地服务按扩展名返回的类型
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+// 输出目录
+export function resolveOutDir(argv = process.argv.slice(2)) {
+  const outIndex = argv.indexOf('--out');
+  return outIndex !== -1 && argv[outIndex + 1]
+    ? path.resolve(argv[outIndex + 1])
+    : path.join(REPO_ROOT, 'dist');
+}
+
+// 清空输出目录后复制全部文件，返回复制的文件数（不含 分类索引）
+// 平铺后文件重名时抛出错误
+export function buildFrontend(outDir, dataRoot) {
+  const copied = new Map();
+  const copy = source => {
+    const name = path.basename(source);
+    if (copied.has(name)) {
+      throw new Error(`文件重名: ${path.relative(REPO_ROOT, copied.get(name))} 和 ${path.relative(REPO_ROOT, source)}`);
+    }
+    copied.set(name, source);
+  };
+
+  FRONTEND_DIRS.forEach(dir => {
+    fs.readdirSync(path.join(REPO_ROOT, dir), { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .forEach(entry => copy(path.join(REPO_ROOT, dir, entry.name)));
+  });
+  SHARED_MODULES.forEach(name => copy(path.join(REPO_ROOT, WORKER_DIR, name)));
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const [name, source] of copied) {
+    fs.copyFileSync(source, path.join(outDir, name));
+  }
+  fs.cpSync(path.join(dataRoot, '分类索引'), path.join(outDir, '分类索引'), { recursive: true });
+
+  return copied.size;
+}
+
+// 在 port 上提供 outDir 中的文件，/ 返回 index.html
+export function serveFrontend(outDir, port = DEFAULT_PORT) {
+  const server = http.createServer((req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const file = path.join(outDir, pathname === '/' ? 'index.html' : pathname);
+    if (!file.startsWith(outDir + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('未找到该文件');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+// 源文件（前端目录、共用模块和分类索引）改动后调用 rebuild，短时间内的多次改动只构建一次
+function watchSources(dataRoot, rebuild) {
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, 100);
+  };
+
+  FRONTEND_DIRS.forEach(dir => fs.watch(path.join(REPO_ROOT, dir), schedule));
+  fs.watch(path.join(REPO_ROOT, WORKER_DIR), (event, name) => {
+    if (SHARED_MODULES.includes(name)) schedule();
+  });
+  fs.watch(path.join(dataRoot, '分类索引'), { recursive: true }, schedule);
+}
+
+// 命令行入口
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const argv = process.argv.slice(2);
+  const outDir = resolveOutDir(argv);
+  const dataRoot = resolveDataRoot(argv);
+  const relativeOut = path.relative(process.cwd(), outDir) || '.';
+
+  const build = () => {
+    const count = buildFrontend(outDir, dataRoot);
+    console.log(`前端构建完成: ${count}个文件和分类索引已复制到 ${relativeOut}`);
+  };
+
+  try {
+    build();
+  } catch (error) {
+    console.error('前端构建失败:', error.message);
+    process.exit(1);
+  }
+
+  if (argv.includes('--serve')) {
+    const portIndex = argv.indexOf('--port');
+    const port = portIndex !== -1 ? Number(argv[portIndex + 1]) : DEFAULT_PORT;
+
+    await serveFrontend(outDir, port);
+    console.log(`本地服务: http://localhost:${port}/`);
+
+    if (argv.includes('--watch')) {
+      // 开发时构建失败只打印错误，改正后下次改动时重新构建
+      watchSources(dataRoot, () => {
+        try {
+          build();
+        } catch (error) {
+          console.error('前端构建失败:', error.message);
+        }
+      });
+      console.log('正在监视源文件改动');
+    }
+  }
+}
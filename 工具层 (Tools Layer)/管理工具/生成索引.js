@@ -0,0 +1,241 @@
+// 菜谱索引生成工具
+// 扫描 菜谱数据库/**.json，生成菜谱清单、按季节/分类的分片和关键词倒排索引
+//
+// 用法: node 工具层/管理工具/生成索引.js [--root <数据层目录>]
+//
+// 无效的菜谱文件（空文件、JSON格式错误、缺少菜品名称、菜品标识重复）与 Worker 加载菜谱时的处理相同：
+// 逐个打印警告并跳过，其余菜谱照常写入索引（CI 的 生成索引 步骤据此报告无效文件）
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const SEASONS = ['春季', '夏季', '秋季', '冬季'];
+
+// 仓库根目录（本文件位于 工具层/管理工具/ 下）
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// 查找数据层目录
+export function resolveDataRoot(argv = process.argv.slice(2)) {
+  const rootIndex = argv.indexOf('--root');
+  if (rootIndex !== -1 && argv[rootIndex + 1]) {
+    return path.resolve(argv[rootIndex + 1]);
+  }
+
+  const candidates = ['数据层 (Data Layer)', '数据层', '.'];
+  for (const candidate of candidates) {
+    const dir = path.join(REPO_ROOT, candidate);
+    if (fs.existsSync(path.join(dir, '菜谱数据库'))) {
+      return dir;
+    }
+  }
+
+  throw new Error('未找到菜谱数据库目录，请使用 --root 指定数据层目录');
+}
+
+// 计算与git一致的文件哈希（Worker可直接用它读取 git/blobs）
+export function gitBlobHash(buffer) {
+  return crypto.createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+// 递归列出目录下的所有JSON文件
+function listJsonFiles(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listJsonFiles(fullPath));
+    } else if (entry.name.endsWith('.json')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+// 扫描菜谱数据库，返回清单条目和被跳过的文件
+export function scanRecipes(dataRoot) {
+  const recipeDir = path.join(dataRoot, '菜谱数据库');
+  const entries = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const file of listJsonFiles(recipeDir)) {
+    const relativePath = path.relative(REPO_ROOT, file).split(path.sep).join('/');
+    const buffer = fs.readFileSync(file);
+
+    let recipe;
+    try {
+      recipe = JSON.parse(buffer.toString('utf-8'));
+    } catch (error) {
+      const reason = buffer.toString('utf-8').trim() === '' ? '文件为空' : `JSON解析错误: ${error.message}`;
+      skipped.push({ 路径: relativePath, 原因: reason });
+      continue;
+    }
+
+    if (!recipe || typeof recipe !== 'object' || !recipe.菜品名称) {
+      skipped.push({ 路径: relativePath, 原因: '缺少菜品名称' });
+      continue;
+    }
+
+    const id = recipe.菜品标识 || relativePath;
+    if (seen.has(id)) {
+      skipped.push({ 路径: relativePath, 原因: `菜品标识重复: ${id}` });
+      continue;
+    }
+    seen.add(id);
+
+    entries.push(createManifestEntry(recipe, id, relativePath, gitBlobHash(buffer)));
+  }
+
+  return { entries, skipped };
+}
+
+// 生成清单条目（只保留检索和推荐过滤需要的字段）
+function createManifestEntry(recipe, id, relativePath, hash) {
+  const seasons = (recipe.适用季节 || []).filter(season => SEASONS.includes(season));
+
+  // 未标注季节时按所在目录推断，如 夏季菜谱/ → 夏季
+  if (seasons.length === 0) {
+    const folderSeason = SEASONS.find(season => relativePath.includes(`/${season}菜谱/`));
+    if (folderSeason) seasons.push(folderSeason);
+  }
+
+  const prep = Number(recipe.准备时间) || 0;
+  const cook = Number(recipe.烹饪时间) || 0;
+
+  return {
+    菜品标识: id,
+    菜品名称: recipe.菜品名称,
+    菜品分类: recipe.菜品分类 || [],
+    适用季节: seasons,
+    菜品标签: recipe.菜品标签 || [],
+    烹饪技法: recipe.烹饪技法 || [],
+    难度等级: recipe.难度等级 || '初级',
+    准备时间: prep,
+    烹饪时间: cook,
+    总时间: Number(recipe.总时间) || prep + cook,
+    路径: relativePath,
+    哈希: hash,
+    关键词: collectKeywords(recipe)
+  };
+}
+
+// 收集菜谱的检索关键词
+function collectKeywords(recipe) {
+  const words = new Set();
+  const add = value => {
+    if (typeof value === 'string' && value.trim()) words.add(value.trim());
+  };
+
+  add(recipe.菜品名称);
+  add(recipe.菜系);
+  (recipe.菜品分类 || []).forEach(add);
+  (recipe.菜品标签 || []).forEach(add);
+  (recipe.烹饪技法 || []).forEach(add);
+  (recipe.口味特点 || []).forEach(add);
+  (recipe.标准份量?.食材列表 || []).forEach(item => add(item.食材名称));
+
+  // 菜名按双字切分，支持"春笋"、"肉片"这类部分匹配
+  const name = recipe.菜品名称 || '';
+  for (let i = 0; i < name.length - 1; i++) {
+    words.add(name.slice(i, i + 2));
+  }
+
+  return [...words];
+}
+
+// 生成关键词倒排索引
+function buildKeywordIndex(entries) {
+  const index = {};
+
+  entries.forEach(entry => {
+    entry.关键词.forEach(word => {
+      if (!index[word]) index[word] = [];
+      index[word].push(entry.菜品标识);
+    });
+  });
+
+  return Object.fromEntries(
+    Object.keys(index).sort().map(word => [word, index[word]])
+  );
+}
+
+// 按字段值分片
+function buildShards(entries, keys, field) {
+  const shards = Object.fromEntries(keys.map(key => [key, []]));
+
+  entries.forEach(entry => {
+    entry[field].forEach(value => {
+      if (shards[value]) shards[value].push(entry);
+    });
+  });
+
+  return shards;
+}
+
+// 写入JSON文件
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+// 生成全部索引文件
+export function generateIndex(dataRoot) {
+  const { entries, skipped } = scanRecipes(dataRoot);
+  const indexDir = path.join(dataRoot, '分类索引');
+
+  // 版本号由所有文件哈希决定，内容不变时版本不变
+  const version = crypto.createHash('sha1')
+    .update(entries.map(entry => entry.哈希).join(''))
+    .digest('hex')
+    .slice(0, 12);
+
+  const manifestEntries = entries.map(({ 关键词, ...entry }) => entry);
+
+  writeJson(path.join(indexDir, '菜谱清单.json'), {
+    版本: version,
+    菜谱总数: manifestEntries.length,
+    菜谱: manifestEntries
+  });
+
+  const seasonShards = buildShards(manifestEntries, SEASONS, '适用季节');
+  for (const [season, items] of Object.entries(seasonShards)) {
+    writeJson(path.join(indexDir, '分片', '季节', `${season}.json`), { 版本: version, 菜谱: items });
+  }
+
+  const categoryData = JSON.parse(fs.readFileSync(path.join(indexDir, '菜品分类.json'), 'utf-8'));
+  const categoryShards = buildShards(manifestEntries, Object.keys(categoryData.菜品类型), '菜品分类');
+  for (const [category, items] of Object.entries(categoryShards)) {
+    writeJson(path.join(indexDir, '分片', '分类', `${category}.json`), { 版本: version, 菜谱: items });
+  }
+
+  writeJson(path.join(indexDir, '关键词索引.json'), {
+    版本: version,
+    关键词: buildKeywordIndex(entries)
+  });
+
+  return { version, count: manifestEntries.length, skipped };
+}
+
+// 命令行入口
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    const dataRoot = resolveDataRoot();
+    const result = generateIndex(dataRoot);
+
+    result.skipped.forEach(item => console.warn(`警告: 跳过无效菜谱文件 ${item.路径}: ${item.原因}`));
+    console.log(`索引生成完成: ${result.count}道菜谱，版本 ${result.version}`);
+    if (result.skipped.length > 0) {
+      console.warn(`警告: ${result.skipped.length}个菜谱文件无效，没有写入索引`);
+    }
+  } catch (error) {
+    console.error('生成索引失败:', error.message);
+    process.exit(1);
+  }
+}
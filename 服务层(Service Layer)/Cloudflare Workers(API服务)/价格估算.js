@@ -0,0 +1,156 @@
+// 价格估算 - Worker 和前端共用的食材花费估算
+//
+// 数据来自 分类索引/食材价格.json：
+//   价格      标准名称 → { 单位, 价格, 季节 }，单位可以是 斤、升 等可换算单位，也可以是 个、只 等计数单位
+//   分类价格  价格表中没有的食材按所属大类每斤的价格估算
+//   季节系数  各大类在不同季节的价格系数，食材自己填写的 季节 优先
+//   地区系数  地区的整体系数和个别大类的系数，按城市查找所属地区
+//   门店      门店的整体系数和单独标价，单独标价直接使用，不再按地区和季节调整
+//
+// 用量和价格单位不同时先按 用量解析.js 换算，计数和重量之间按 食材索引.json 的 单位重量 换算
+// 范围用量按上限估算，与购物清单的购买量一致；适量 等定性用量不计价
+//
+// 本模块不读文件也不发请求，Worker 直接 import，前端用 import() 加载后传入价格数据和 IngredientResolver
+
+import { parseQuantity, scaleQuantity, convertWithUnitWeight, isQualitative } from './用量解析.js';
+
+// 分类价格 的计价单位
+const CATEGORY_PRICE_UNIT = '斤';
+
+export class PriceEstimator {
+  // catalog 为 食材价格.json 的内容，resolver 为 IngredientResolver
+  // options 为默认的 { 城市, 地区, 季节, 门店 }，每次估算时可以覆盖
+  constructor(catalog, resolver, options = {}) {
+    this.prices = catalog?.价格 || {};
+    this.categoryPrices = catalog?.分类价格 || {};
+    this.seasonFactors = catalog?.季节系数 || {};
+    this.regions = catalog?.地区系数 || {};
+    this.stores = catalog?.门店 || {};
+    this.resolver = resolver;
+    this.options = options;
+  }
+
+  // 城市所属的地区，如 杭州市 → 华东；未列出的城市返回null
+  getRegion(city) {
+    const name = String(city ?? '').trim().replace(/市$/, '');
+    if (!name) return null;
+
+    const found = Object.entries(this.regions)
+      .find(([, region]) => Array.isArray(region?.城市) && region.城市.includes(name));
+    return found ? found[0] : null;
+  }
+
+  // 门店名称是否存在
+  hasStore(name) {
+    return Boolean(name) && name !== '说明' && Boolean(this.stores[name]);
+  }
+
+  // 食材的单价：{ 标识, 大类, 单价, 单位, 系数, 来源 }，来源为 门店、价格表 或 分类估算
+  getUnitPrice(name, options = {}) {
+    const { 城市, 地区, 季节, 门店 } = { ...this.options, ...options };
+    // 估价时 猪里脊肉片 按 里脊肉 的价格估算，允许包含匹配
+    const entry = this.resolver.resolve(name, { contained: true });
+    const 标识 = entry?.标识 || null;
+    const 大类 = entry?.大类 || this.resolver.categorize(name);
+    const store = this.hasStore(门店) ? this.stores[门店] : null;
+
+    const storePrice = 标识 ? store?.价格?.[标识] : null;
+    if (storePrice) {
+      return { 标识, 大类, 单价: storePrice.价格, 单位: storePrice.单位, 系数: 1, 来源: '门店' };
+    }
+
+    const listed = 标识 ? this.prices[标识] : null;
+    const price = listed ? listed.价格 : this.categoryPrices[大类];
+    if (typeof price !== 'number') return null;
+
+    const 系数 = this.regionFactor(地区 || this.getRegion(城市), 大类)
+      * this.seasonFactor(listed, 大类, 季节)
+      * (store?.系数 ?? 1);
+
+    return {
+      标识,
+      大类,
+      单价: round(price * 系数),
+      单位: listed ? listed.单位 : CATEGORY_PRICE_UNIT,
+      系数: round(系数),
+      来源: listed ? '价格表' : '分类估算'
+    };
+  }
+
+  regionFactor(regionName, 大类) {
+    const region = regionName ? this.regions[regionName] : null;
+    return region?.分类系数?.[大类] ?? region?.系数 ?? 1;
+  }
+
+  seasonFactor(listed, 大类, 季节) {
+    if (!季节) return 1;
+    return listed?.季节?.[季节] ?? this.seasonFactors[大类]?.[季节] ?? 1;
+  }
+
+  // 估算一项用量的花费，quantity 为 用量解析.js 的结构化用量
+  // 返回 { 名称, 金额, 单价, 单位, 计价数量, 来源 }；定性用量或无法换算时 金额 为null，并给出 原因
+  estimate(name, quantity, options = {}) {
+    if (!quantity || isQualitative(quantity)) {
+      return { 名称: name, 金额: null, 原因: '用量未定' };
+    }
+
+    const price = this.getUnitPrice(name, options);
+    if (!price) {
+      return { 名称: name, 金额: null, 原因: '没有价格' };
+    }
+
+    const amount = this.toPriceUnit(price.标识 || name, quantity, price.单位);
+    if (amount === null) {
+      return { 名称: name, 金额: null, 原因: `无法把${quantity.单位 || '用量'}换算为${price.单位}` };
+    }
+
+    return {
+      名称: name,
+      金额: round(amount * price.单价),
+      单价: price.单价,
+      单位: price.单位,
+      计价数量: round(amount),
+      来源: price.来源
+    };
+  }
+
+  // 把用量换算为价格单位的数量，无法换算时返回null
+  toPriceUnit(name, quantity, unit) {
+    const converted = convertWithUnitWeight(quantity, unit, countUnit => this.resolver.getUnitWeight(name, countUnit));
+    return converted ? converted.最大 : null;
+  }
+
+  // 估算一组菜谱食材的花费，items 为 食材列表 或 调味料 的条目，ratio 为按人数调整的比例
+  estimateItems(items, ratio = 1, options = {}) {
+    const 明细 = (items || []).map(item => {
+      const name = item.食材名称 || item.名称;
+      const quantity = scaleQuantity(parseQuantity(item.用量, item.单位), ratio);
+      return this.estimate(name, quantity, options);
+    });
+
+    return {
+      金额: round(明细.reduce((sum, item) => sum + (item.金额 || 0), 0)),
+      明细,
+      未计价: 明细.filter(item => item.金额 === null && item.原因 !== '用量未定').map(item => item.名称)
+    };
+  }
+
+  // 一道菜按用餐人数的花费，包括食材和调味料
+  estimateRecipe(recipe, people, options = {}) {
+    const portion = recipe.标准份量 || {};
+    const ratio = people / (portion.基准人数 || people || 1);
+    const result = this.estimateItems([...(portion.食材列表 || []), ...(portion.调味料 || [])], ratio, options);
+
+    return {
+      菜品名称: recipe.菜品名称,
+      金额: result.金额,
+      每人: people > 0 ? round(result.金额 / people) : result.金额,
+      明细: result.明细,
+      未计价: result.未计价
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,70 @@
+// 幂等请求 - 带 Idempotency-Key 的写请求只执行一次
+//
+// 客户端的离线队列（表现层/移动端适配/离线队列.js）重发请求时带着第一次发送时的 Idempotency-Key；
+// 第一次的请求可能已经执行、只是响应没有回到客户端，这时直接返回保存的响应，不再执行一次
+// 响应按 账号 + 路径 + 键 保存在 USER_DATA 中 IDEMPOTENCY_TTL 秒；5xx 响应不保存，重试时重新执行
+// 同一个键换了请求体时返回 422，避免客户端的错误被当成重发
+// KV 没有事务，同一个键的两个请求几乎同时到达时仍可能都执行
+
+// 保存响应的时间（秒），超过后同一个键会重新执行
+const IDEMPOTENCY_TTL = 24 * 60 * 60;
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 没有 Idempotency-Key 的请求和非POST请求直接交给 handler
+export async function withIdempotency(request, env, corsHeaders, 用户, handler) {
+  const key = request.headers.get('Idempotency-Key');
+  if (request.method !== 'POST' || !key) {
+    return handler();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return new Response(JSON.stringify({
+      成功: false,
+      错误: 'Idempotency-Key 应为8-128个字母、数字、下划线或连字符'
+    }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+
+  const path = new URL(request.url).pathname;
+  const storeKey = `idem:${用户?.sub || 'anon'}:${path}:${key}`;
+  const 请求摘要 = await sha256(await request.clone().text());
+  const saved = await env.USER_DATA.get(storeKey, 'json');
+
+  if (saved) {
+    if (saved.请求摘要 !== 请求摘要) {
+      return new Response(JSON.stringify({
+        成功: false,
+        错误: '同一个 Idempotency-Key 已用于不同的请求'
+      }), {
+        status: 422,
+        headers: corsHeaders
+      });
+    }
+
+    return new Response(saved.body, {
+      status: saved.status,
+      headers: { ...corsHeaders, 'Content-Type': saved.contentType, 'Idempotent-Replayed': 'true' }
+    });
+  }
+
+  const response = await handler();
+
+  if (response.status < 500) {
+    await env.USER_DATA.put(storeKey, JSON.stringify({
+      请求摘要,
+      status: response.status,
+      contentType: response.headers.get('Content-Type') || corsHeaders['Content-Type'],
+      body: await response.clone().text()
+    }), { expirationTtl: IDEMPOTENCY_TTL });
+  }
+
+  return response;
+}
@@ -1,4 +1,37 @@
 // 智能菜谱推荐算法 - Cloudflare Worker
+import { fetchRecipesFromGitHub, fetchDataFile, dataPath, contentsUrl, githubHeaders, decodeBase64Utf8 } from './菜谱查询.js';
+import {
+  SeasonalFilter, DietaryFilter, BalanceFilter, DifficultyFilter, TimeFilter,
+  SeasonalScore, PreferenceScore, NutritionScore, PopularityScore, WeatherScore, SolarTermScore,
+  NoRepeatFilter, ProteinRotationScore, IngredientReuseScore, getProteinSources,
+  AvailableIngredientFilter, AvailableIngredientScore, BusySlotFilter, QuickDishScore, matchFestivalDish
+} from './推荐管线.js';
+import { parseDate, formatDate, addDays, getSolarTerm, getUpcomingFestivals } from './节气历法.js';
+import { generateSeed, createRandom, shuffle } from './随机种子.js';
+import { NutritionOptimizer, parseNutritionTargets } from './营养优化.js';
+import {
+  DEFAULT_REFERENCE, parseMembers, describeMember, getDailyReference, referenceMidpoint,
+  getMealShare, getAudienceTags
+} from './营养参考.js';
+import { parseAvailableIngredients, matchAvailable, rankByAvailable } from './现有食材.js';
+import { IngredientResolver } from './食材解析.js';
+import { PriceEstimator } from './价格估算.js';
+import { BudgetOptimizer, parseBudget } from './预算控制.js';
+import { scheduleCooking } from './烹饪排程.js';
+import { handleAuth, handleUser } from './用户服务.js';
+import { AccessControl } from './访问控制.js';
+import { handleSync } from './数据同步.js';
+import { handleUpload } from './菜谱投稿.js';
+import { withIdempotency } from './幂等请求.js';
+import {
+  parseQuantity, scaleQuantity, addQuantities, toBaseUnit, simplifyQuantity, isQualitative, unitType
+} from './用量解析.js';
+import { createWeatherProvider } from '../外部服务集成/天气API/index.js';
+import { createGroceryProvider } from '../外部服务集成/食材电商API/index.js';
+import {
+  parseMealTimes, parseBusySlots, getAvailableTimes, exportMenuCalendar, exportPlanCalendar
+} from '../外部服务集成/日历API/index.js';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -9,7 +42,7 @@ export default {
       const corsHeaders = {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Content-Type': 'application/json; charset=utf-8'
       };
       
@@ -18,20 +51,56 @@ export default {
         return new Response(null, { headers: corsHeaders });
       }
       
+      // 访问控制：上传和用户数据接口需要有效的访问令牌
+      const 认证 = await AccessControl.middleware(request, env, corsHeaders);
+      if (认证 instanceof Response) {
+        return 认证;
+      }
+      
+      // 投稿状态：/api/upload/<菜品标识>
+      if (path.startsWith('/api/upload/')) {
+        return await handleUpload(request, env, corsHeaders, 认证.用户);
+      }
+      
       // 路由分发
       switch (path) {
         case '/api/recommend':
-          return await handleRecommend(request, env, corsHeaders);
+          return await handleRecommend(request, env, corsHeaders, ctx);
+        case '/api/plan':
+          return await handlePlan(request, env, corsHeaders, ctx);
         case '/api/recipes':
-          return await handleRecipes(request, env, corsHeaders);
+          return await handleRecipes(request, env, corsHeaders, ctx);
         case '/api/categories':
           return await handleCategories(request, env, corsHeaders);
         case '/api/upload':
-          return await handleUpload(request, env, corsHeaders);
+          // 上传和同步可能由客户端的离线队列重发，带 Idempotency-Key 时只执行一次
+          return await withIdempotency(request, env, corsHeaders, 认证.用户,
+            () => handleUpload(request, env, corsHeaders, 认证.用户));
+        case '/api/cart':
+          return await handleCart(request, env, corsHeaders);
+        case '/api/calendar':
+          return await handleCalendar(request, env, corsHeaders, ctx);
+        case '/api/auth/register':
+        case '/api/auth/login':
+        case '/api/auth/refresh':
+        case '/api/auth/logout':
+          return await handleAuth(request, env, corsHeaders);
+        case '/api/user':
+          return await handleUser(request, env, corsHeaders, 认证.用户);
+        case '/api/sync':
+        case '/api/sync/favorites':
+        case '/api/sync/history':
+        case '/api/sync/settings':
+          return await withIdempotency(request, env, corsHeaders, 认证.用户,
+            () => handleSync(request, env, corsHeaders, 认证.用户));
         default:
           return new Response(JSON.stringify({ 
             error: '未找到该路径',
-            available: ['/api/recommend', '/api/recipes', '/api/categories', '/api/upload']
+            available: [
+              '/api/recommend', '/api/plan', '/api/recipes', '/api/categories', '/api/upload', '/api/cart', '/api/calendar',
+              '/api/auth/register', '/api/auth/login', '/api/auth/refresh', '/api/auth/logout', '/api/user',
+              '/api/sync', '/api/sync/favorites', '/api/sync/history', '/api/sync/settings'
+            ]
           }), { 
             status: 404, 
             headers: corsHeaders 
@@ -50,16 +119,65 @@ export default {
   }
 };
 
-// 推荐菜单处理
-async function handleRecommend(request, env, corsHeaders) {
-  const url = new URL(request.url);
-  const params = {
-    用餐人数: parseInt(url.searchParams.get('人数')) || 6,
-    季节: url.searchParams.get('季节') || getCurrentSeason(),
+// 解析推荐和计划共用的参数
+function parseMenuParams(url) {
+  // 家庭成员，如 男:35:中,女:32:轻:孕中期,女:6
+  const 成员 = parseMembers(url.searchParams.get('成员'));
+  const 人数 = parseInt(url.searchParams.get('人数')) || 成员.length || 6;
+  
+  return {
+    用餐人数: Math.max(人数, 成员.length),
+    成员: 成员,
+    // 由成员推出的人群适配标签，作为加分项
+    人群适配: getAudienceTags(成员),
+    餐次: url.searchParams.get('餐次') || '晚餐',
     口味偏好: url.searchParams.get('口味') ? url.searchParams.get('口味').split(',') : [],
     特殊需求: url.searchParams.get('需求') ? url.searchParams.get('需求').split(',') : [],
     烹饪时间: parseInt(url.searchParams.get('时间')) || 120,
-    难度等级: url.searchParams.get('难度') || '不限'
+    难度等级: url.searchParams.get('难度') || '不限',
+    天气: url.searchParams.get('天气') || '任意',
+    城市: url.searchParams.get('城市') || null,
+    // 每人本餐的营养目标，如 热量:600-800,蛋白质:25-40
+    营养目标: parseNutritionTargets(url.searchParams.get('营养目标')),
+    // 一餐菜单的预计花费上限（元），以及估算价格时使用的门店，如 菜市场、超市
+    预算: parseBudget(url.searchParams.get('预算')),
+    门店: url.searchParams.get('门店') || null,
+    // 各餐的开饭时间，如 午餐:12:30,晚餐:19:00，用于导出日历和计算忙碌时的可用时间
+    开饭时间: parseMealTimes(url.searchParams.get('开饭时间')),
+    // 厨房条件，排烹饪时间线时限制同时进行的步骤，默认2个灶眼、1个人做饭
+    灶眼: parseInt(url.searchParams.get('灶眼')) || 2,
+    人手: parseInt(url.searchParams.get('人手')) || 1,
+    // 为购物清单匹配电商商品规格，如 商品匹配=1
+    商品匹配: url.searchParams.get('商品匹配') === '1',
+    // 相同的种子和参数总是得到相同的菜单
+    seed: url.searchParams.get('seed') || generateSeed()
+  };
+}
+
+// 推荐和计划结果的缓存键，只有请求中带了 seed 时结果才可复现、才能缓存
+function menuCacheKey(prefix, url, params) {
+  return url.searchParams.get('seed') ? `${prefix}:${JSON.stringify(params)}` : null;
+}
+
+// 推荐菜单处理
+async function handleRecommend(request, env, corsHeaders, ctx) {
+  const url = new URL(request.url);
+  const 日期 = parseDate(url.searchParams.get('日期'));
+  if (!日期) {
+    return new Response(JSON.stringify({ 
+      error: '日期应为有效的 YYYY-MM-DD 格式' 
+    }), { 
+      status: 400, 
+      headers: corsHeaders 
+    });
+  }
+  
+  const params = {
+    ...parseMenuParams(url),
+    日期: formatDate(日期),
+    季节: url.searchParams.get('季节') || getCurrentSeason(日期),
+    // 家里现有的食材，提供时按食材覆盖率推荐，如 番茄:2026-10-20,鸡蛋:2
+    现有食材: parseAvailableIngredients(url.searchParams.get('现有食材'), 日期)
   };
   
   // 验证参数
@@ -72,122 +190,293 @@ async function handleRecommend(request, env, corsHeaders) {
     });
   }
   
-  // 从缓存获取数据
-  const cacheKey = `recommend:${JSON.stringify(params)}`;
-  const cached = await env.RECIPE_CACHE.get(cacheKey);
+  // 获取天气，推荐时按天气状况调整评分
+  const 天气 = await getWeather(env, params);
+  params.天气状况 = 天气 ? 天气.状况 : null;
+  
+  // 当前节气和两周内的节日
+  params.节令 = getSolarContext(日期);
+  
+  // 从缓存获取数据；没有指定种子时每次随机生成，不读写缓存
+  const cacheKey = menuCacheKey('recommend', url, params);
+  const cached = cacheKey && await env.RECIPE_CACHE.get(cacheKey);
   
   if (cached) {
     return new Response(cached, { headers: corsHeaders });
   }
   
   // 从GitHub获取菜谱数据
-  const recipes = await fetchRecipesFromGitHub(env);
+  const recipes = await fetchRecipesFromGitHub(env, ctx);
+  const 时令数据 = await fetchDataFile(env, ctx, '分类索引/时令数据.json');
+  const 食材解析器 = new IngredientResolver(await fetchDataFile(env, ctx, '分类索引/食材索引.json'));
+  const 价格估算器 = await createPriceEstimator(env, ctx, 食材解析器, params);
   
   // 智能推荐
-  const 推荐引擎 = new RecommendationEngine();
-  const menu = await 推荐引擎.recommend(recipes, params);
+  const 推荐引擎 = new RecommendationEngine({ 时令数据, 价格估算器, 食材解析器 });
+  if (params.现有食材.length > 0) {
+    // 按现有食材推荐：覆盖率评分的权重最高，现有食材过滤最先放宽
+    推荐引擎.registerFilter(new AvailableIngredientFilter(食材解析器), 0.5)
+      .registerScorer(new AvailableIngredientScore(食材解析器), 10);
+  }
+  const { 菜单: menu, 说明: 推荐说明 } = await 推荐引擎.recommend(recipes, params);
+  推荐说明.天气 = 天气;
+  
+  // 每道菜还缺哪些食材，以及全部菜谱按现有食材的排名
+  let 缺少食材 = null;
+  if (params.现有食材.length > 0) {
+    缺少食材 = {};
+    Object.values(menu).flat().forEach(recipe => {
+      const match = matchAvailable(recipe, params.现有食材, 食材解析器);
+      recipe.现有食材匹配 = {
+        覆盖率: Math.round(match.覆盖率 * 100),
+        已有: match.已有,
+        缺少: match.缺少,
+        临期食材: match.临期食材
+      };
+      缺少食材[recipe.菜品名称] = match.缺少;
+    });
+    
+    const 饮食限制 = new DietaryFilter();
+    推荐说明.现有食材 = {
+      食材: params.现有食材,
+      排名: rankByAvailable(recipes.filter(recipe => 饮食限制.test(recipe, params)), params.现有食材, 食材解析器)
+    };
+  }
   
   // 计算营养信息
   const 营养分析器 = new NutritionCalculator();
-  const 营养信息 = 营养分析器.calculate(menu, params.用餐人数);
+  const 营养信息 = 营养分析器.calculate(menu, params.用餐人数, params);
   
   // 生成购物清单
-  const 购物清单生成器 = new ShoppingListGenerator();
+  const 购物清单生成器 = new ShoppingListGenerator(食材解析器, 价格估算器);
   const 购物清单 = 购物清单生成器.generate(menu, params.用餐人数);
+  if (params.商品匹配) {
+    await matchGroceryProducts(env, 购物清单生成器, 购物清单);
+  }
+  
+  // 全部菜穿插进行的烹饪时间线，所有菜在开饭时同时做好
+  const 烹饪时间线 = scheduleCooking(Object.values(menu).flat(), {
+    开饭时间: params.开饭时间[params.餐次],
+    灶眼: params.灶眼,
+    人手: params.人手
+  });
+  
+  // 硬性约束无法满足时明确告知，而不是悄悄放宽
+  const 未满足需求 = 推荐说明.约束.饮食限制?.无法满足 || [];
   
   const responseData = {
     成功: true,
+    seed: params.seed,
     参数: params,
     菜单: menu,
+    推荐说明: 推荐说明,
+    未满足需求: 未满足需求,
+    ...(缺少食材 ? { 缺少食材 } : {}),
     营养信息: 营养信息,
     购物清单: 购物清单,
+    烹饪时间线: 烹饪时间线,
     生成时间: new Date().toISOString(),
-    提示: getCookingTips(menu, params)
+    提示: getCookingTips(menu, params, 时令数据, 烹饪时间线)
   };
   
   const responseJson = JSON.stringify(responseData, null, 2);
   
   // 缓存结果（5分钟）
-  ctx.waitUntil(env.RECIPE_CACHE.put(cacheKey, responseJson, { 
-    expirationTtl: 300 
-  }));
+  if (cacheKey) {
+    ctx.waitUntil(env.RECIPE_CACHE.put(cacheKey, responseJson, {
+      expirationTtl: 300
+    }));
+  }
   
   return new Response(responseJson, { headers: corsHeaders });
 }
 
-// 获取当前季节
-function getCurrentSeason() {
-  const month = new Date().getMonth() + 1;
-  if (month >= 3 && month <= 5) return '春季';
-  if (month >= 6 && month <= 8) return '夏季';
-  if (month >= 9 && month <= 11) return '秋季';
-  return '冬季';
-}
-
-// 从GitHub获取菜谱数据
-async function fetchRecipesFromGitHub(env) {
-  try {
-    const repo = env.GITHUB_REPO || 'your-username/smart-recipe-system';
-    const token = env.GITHUB_TOKEN;
-    
-    // 获取索引文件
-    const indexUrl = `https://api.github.com/repos/${repo}/contents/分类索引/菜品分类.json`;
-    const indexResponse = await fetch(indexUrl, {
-      headers: {
-        'Authorization': `token ${token}`,
-        'User-Agent': 'Smart-Recipe-System'
-      }
+// 多日膳食计划处理
+async function handlePlan(request, env, corsHeaders, ctx) {
+  const url = new URL(request.url);
+  const 开始日期 = parseDate(url.searchParams.get('开始日期'));
+  const 结束日期 = url.searchParams.get('结束日期')
+    ? parseDate(url.searchParams.get('结束日期'))
+    : 开始日期 && addDays(开始日期, 6);
+  if (!开始日期 || !结束日期) {
+    return new Response(JSON.stringify({
+      error: `${开始日期 ? '结束日期' : '开始日期'}应为有效的 YYYY-MM-DD 格式`
+    }), {
+      status: 400,
+      headers: corsHeaders
     });
-    
-    if (!indexResponse.ok) {
-      throw new Error(`获取索引失败: ${indexResponse.status}`);
+  }
+  
+  const 不重复天数 = parseInt(url.searchParams.get('不重复天数'));
+  
+  const params = {
+    ...parseMenuParams(url),
+    季节: url.searchParams.get('季节') || null,
+    开始日期: formatDate(开始日期),
+    结束日期: formatDate(结束日期),
+    餐次: getMealNames(parseInt(url.searchParams.get('餐数')) || 2),
+    不重复天数: Number.isNaN(不重复天数) ? 3 : 不重复天数
+  };
+  
+  // 验证参数
+  const 天数 = Math.round((结束日期 - 开始日期) / (24 * 60 * 60 * 1000)) + 1;
+  const 错误 = params.用餐人数 < 1 || params.用餐人数 > 20 ? '用餐人数应在1-20人之间'
+    : 天数 < 1 ? '结束日期不能早于开始日期'
+    : 天数 > MealPlanner.MAX_DAYS ? `计划最多${MealPlanner.MAX_DAYS}天`
+    : params.不重复天数 < 0 || params.不重复天数 > 30 ? '不重复天数应在0-30天之间'
+    : null;
+  
+  if (错误) {
+    return new Response(JSON.stringify({ error: 错误 }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+  
+  // POST 的请求体为日历（.ics）时，读取其中的忙碌时段，开饭前来不及做饭的餐次优先选快手菜
+  const 日历 = request.method === 'POST' ? await request.text() : '';
+  if (日历.trim()) {
+    const 日期列表 = Array.from({ length: 天数 }, (_, i) => formatDate(addDays(开始日期, i)));
+    const 可用时间 = getAvailableTimes(parseBusySlots(日历), 日期列表, params.餐次, {
+      开饭时间: params.开饭时间,
+      最长准备: params.烹饪时间
+    });
+    if (Object.keys(可用时间).length > 0) {
+      params.可用时间 = 可用时间;
     }
+  }
+  
+  // 从缓存获取数据；没有指定种子时每次随机生成，不读写缓存
+  const cacheKey = menuCacheKey('plan', url, params);
+  const cached = cacheKey && await env.RECIPE_CACHE.get(cacheKey);
+  
+  if (cached) {
+    return new Response(cached, { headers: corsHeaders });
+  }
+  
+  // 每天的季节、天气和节令
+  const days = [];
+  for (let i = 0; i < 天数; i++) {
+    const date = addDays(开始日期, i);
+    const 日期 = formatDate(date);
+    const 天气 = await getWeather(env, { ...params, 日期 });
     
-    const indexData = await indexResponse.json();
-    const indexContent = JSON.parse(atob(indexData.content));
-    
-    // 获取所有菜谱（简化版本，实际应该遍历目录）
-    // 这里可以从缓存或预先构建的索引中获取
-    const recipes = [];
-    
-    // 模拟数据 - 实际应该从GitHub读取
-    const sampleRecipes = [
-      {
-        菜品标识: "SPRING001",
-        菜品名称: "春笋炒肉片",
-        菜品分类: ["主菜", "时令菜"],
-        适用季节: ["春季"],
-        难度等级: "初级",
-        准备时间: 15,
-        烹饪时间: 10,
-        标准份量: {
-          基准人数: 6,
-          食材列表: [
-            { 食材名称: "春笋", 用量: 500, 单位: "克" },
-            { 食材名称: "猪里脊肉", 用量: 300, 单位: "克" }
-          ]
-        }
-      },
-      {
-        菜品标识: "SUMMER001",
-        菜品名称: "凉拌黄瓜",
-        菜品分类: ["配菜", "凉菜"],
-        适用季节: ["夏季"],
-        难度等级: "初级",
-        准备时间: 10,
-        烹饪时间: 0
-      }
-    ];
-    
-    return sampleRecipes;
+    days.push({
+      日期,
+      季节: params.季节 || getCurrentSeason(date),
+      天气状况: 天气 ? 天气.状况 : null,
+      节令: getSolarContext(date),
+      可用时间: params.可用时间?.[日期] || null
+    });
+  }
+  
+  const recipes = await fetchRecipesFromGitHub(env, ctx);
+  const 时令数据 = await fetchDataFile(env, ctx, '分类索引/时令数据.json');
+  
+  const 食材解析器 = new IngredientResolver(await fetchDataFile(env, ctx, '分类索引/食材索引.json'));
+  // 整个计划的购物清单按第一天的季节估价，每餐的预算按当天的季节
+  const 价格估算器 = await createPriceEstimator(env, ctx, 食材解析器, { ...params, 季节: days[0].季节 });
+  
+  const 计划生成器 = new MealPlanner({ 时令数据, 不重复天数: params.不重复天数, 价格估算器, 食材解析器 });
+  const 计划 = await 计划生成器.plan(recipes, days, params);
+  
+  // 汇总整个计划的购物清单
+  const 全部菜品 = 计划.flatMap(day =>
+    Object.values(day.餐次).flatMap(meal => Object.values(meal.菜单).flat())
+  );
+  const 购物清单生成器 = new ShoppingListGenerator(食材解析器, 价格估算器);
+  const 购物清单 = 购物清单生成器.generate({ 全部: 全部菜品 }, params.用餐人数);
+  if (params.商品匹配) {
+    await matchGroceryProducts(env, 购物清单生成器, 购物清单);
+  }
+  
+  const 空缺餐次 = 计划.flatMap(day =>
+    Object.entries(day.餐次)
+      .filter(([, meal]) => Object.values(meal.菜单).flat().length === 0)
+      .map(([name]) => `${day.日期} ${name}`)
+  );
+  
+  const responseJson = JSON.stringify({
+    成功: true,
+    seed: params.seed,
+    参数: params,
+    计划: 计划,
+    购物清单: 购物清单,
+    统计: {
+      天数: 天数,
+      菜品总数: 全部菜品.length,
+      不同菜品数: new Set(全部菜品.map(recipe => recipe.菜品名称)).size,
+      空缺餐次: 空缺餐次
+    },
+    生成时间: new Date().toISOString()
+  }, null, 2);
+  
+  // 缓存结果（5分钟）
+  if (cacheKey) {
+    ctx.waitUntil(env.RECIPE_CACHE.put(cacheKey, responseJson, {
+      expirationTtl: 300
+    }));
+  }
+  
+  return new Response(responseJson, { headers: corsHeaders });
+}
+
+// 每天的餐次名称
+function getMealNames(count) {
+  if (count <= 1) return ['晚餐'];
+  if (count === 2) return ['午餐', '晚餐'];
+  return ['早餐', '午餐', '晚餐'];
+}
+
+// 按 分类索引/食材价格.json 估算花费，价格数据读取失败时返回null（不估算花费，也不按预算调整菜单）
+async function createPriceEstimator(env, ctx, 食材解析器, params) {
+  const 价格数据 = await fetchDataFile(env, ctx, '分类索引/食材价格.json');
+  if (!价格数据) return null;
+  
+  return new PriceEstimator(价格数据, 食材解析器, { 城市: params.城市, 季节: params.季节, 门店: params.门店 });
+}
+
+// 获取天气，天气服务出错时不影响推荐
+async function getWeather(env, params) {
+  try {
+    const provider = createWeatherProvider(env);
+    return await provider.getWeather({ 城市: params.城市, 日期: params.日期, 天气: params.天气 });
+  } catch (error) {
+    console.error('获取天气失败:', error);
+    return null;
+  }
+}
+
+// 为购物清单匹配电商商品，电商服务出错时保留原清单
+async function matchGroceryProducts(env, 购物清单生成器, 购物清单) {
+  try {
+    await 购物清单生成器.matchProducts(购物清单, createGroceryProvider(env));
   } catch (error) {
-    console.error('获取菜谱数据失败:', error);
-    return [];
+    console.error('匹配电商商品失败:', error);
   }
 }
 
+// 获取节令信息：当前节气、下一个节气和两周内的节日
+function getSolarContext(date) {
+  const 节气 = getSolarTerm(date);
+  return {
+    节气: 节气.当前.名称,
+    下一节气: 节气.下一个,
+    节日: getUpcomingFestivals(date, 14)
+  };
+}
+
+// 获取当前季节
+function getCurrentSeason(date = parseDate()) {
+  const month = date.getUTCMonth() + 1;
+  if (month >= 3 && month <= 5) return '春季';
+  if (month >= 6 && month <= 8) return '夏季';
+  if (month >= 9 && month <= 11) return '秋季';
+  return '冬季';
+}
+
 // 菜谱查询处理
-async function handleRecipes(request, env, corsHeaders) {
+async function handleRecipes(request, env, corsHeaders, ctx) {
   const url = new URL(request.url);
   const 分类 = url.searchParams.get('分类');
   const 季节 = url.searchParams.get('季节');
@@ -196,7 +485,7 @@ async function handleRecipes(request, env, corsHeaders) {
   const 每页数量 = parseInt(url.searchParams.get('每页数量')) || 20;
   
   // 从GitHub获取菜谱数据
-  const recipes = await fetchRecipesFromGitHub(env);
+  const recipes = await fetchRecipesFromGitHub(env, ctx);
   
   // 过滤菜谱
   let filteredRecipes = recipes;
@@ -247,9 +536,9 @@ async function handleCategories(request, env, corsHeaders) {
     
     // 获取分类数据
     const categories = await Promise.all([
-      fetchFromGitHub(`${repo}/contents/分类索引/菜品分类.json`, token),
-      fetchFromGitHub(`${repo}/contents/分类索引/时令数据.json`, token),
-      fetchFromGitHub(`${repo}/contents/分类索引/食材索引.json`, token)
+      fetchFromGitHub(contentsUrl(repo, dataPath(env, '分类索引/菜品分类.json')), token),
+      fetchFromGitHub(contentsUrl(repo, dataPath(env, '分类索引/时令数据.json')), token),
+      fetchFromGitHub(contentsUrl(repo, dataPath(env, '分类索引/食材索引.json')), token)
     ]);
     
     return new Response(JSON.stringify({
@@ -271,8 +560,53 @@ async function handleCategories(request, env, corsHeaders) {
   }
 }
 
-// 菜谱上传处理
-async function handleUpload(request, env, corsHeaders) {
+// 导出日历：参数与 /api/plan 相同，类型=菜单 时与 /api/recommend 相同，返回 .ics 文件
+// 相同的种子和参数得到相同的菜单，事件中的购物清单链接指向带种子的同一份计划；
+// 用 POST 导入忙碌时段时，链接中的计划不包含按忙碌时段做的调整
+async function handleCalendar(request, env, corsHeaders, ctx) {
+  const url = new URL(request.url);
+  const 类型 = url.searchParams.get('类型') === '菜单' ? '菜单' : '计划';
+  const response = 类型 === '菜单'
+    ? await handleRecommend(request, env, corsHeaders, ctx)
+    : await handlePlan(request, env, corsHeaders, ctx);
+  
+  if (!response.ok) {
+    return response;
+  }
+  
+  const 数据 = await response.json();
+  const 数据链接 = new URL(url);
+  数据链接.pathname = 类型 === '菜单' ? '/api/recommend' : '/api/plan';
+  数据链接.searchParams.delete('类型');
+  数据链接.searchParams.set('seed', 数据.seed);
+  
+  const 名称 = 类型 === '菜单'
+    ? `${数据.参数.日期} ${数据.参数.餐次}`
+    : `膳食计划 ${数据.参数.开始日期} 至 ${数据.参数.结束日期}`;
+  const options = {
+    日历名称: 名称,
+    开饭时间: 数据.参数.开饭时间,
+    灶眼: 数据.参数.灶眼,
+    人手: 数据.参数.人手,
+    链接: {
+      菜谱: recipe => `${url.origin}/api/recipes?关键词=${encodeURIComponent(recipe.菜品名称)}`,
+      购物清单: 数据链接.toString()
+    }
+  };
+  
+  const 日历 = 类型 === '菜单' ? exportMenuCalendar(数据, options) : exportPlanCalendar(数据, options);
+  
+  return new Response(日历, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="meal-plan.ics"; filename*=UTF-8''${encodeURIComponent(名称)}.ics`
+    }
+  });
+}
+
+// 创建电商购物车，请求体为 { 商品: [{ 商品标识, 件数 }] }，通常来自购物清单中匹配的 商品
+async function handleCart(request, env, corsHeaders) {
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ 
       error: '只支持POST请求' 
@@ -282,73 +616,51 @@ async function handleUpload(request, env, corsHeaders) {
     });
   }
   
+  let 数据;
   try {
-    const 数据 = await request.json();
-    
-    // 验证菜谱数据
-    const 验证结果 = validateRecipe(数据);
-    if (!验证结果.有效) {
-      return new Response(JSON.stringify({
-        成功: false,
-        错误: '菜谱数据验证失败',
-        详情: 验证结果.错误信息
-      }), { 
-        status: 400, 
-        headers: corsHeaders 
-      });
-    }
-    
-    // 生成唯一ID
-    const 时间戳 = Date.now();
-    const 随机数 = Math.floor(Math.random() * 1000);
-    const 菜品标识 = `USER${时间戳}${随机数}`;
-    
-    // 完善菜谱数据
-    const 完整菜谱 = {
-      ...数据,
-      元数据: {
-        菜品标识: 菜品标识,
-        创建时间: new Date().toISOString(),
-        更新时间: new Date().toISOString(),
-        版本: '1.0',
-        作者: '用户上传',
-        状态: 'pending'
-      }
-    };
-    
-    // 这里应该将菜谱保存到GitHub
-    // 由于GitHub API需要认证，这里简化处理
-    console.log('收到菜谱上传:', 完整菜谱);
+    数据 = await request.json();
+  } catch (error) {
+    数据 = null;
+  }
+  
+  const 商品 = Array.isArray(数据?.商品) ? 数据.商品 : [];
+  if (商品.length === 0) {
+    return new Response(JSON.stringify({
+      成功: false,
+      错误: '请提供要加入购物车的商品'
+    }), { 
+      status: 400, 
+      headers: corsHeaders 
+    });
+  }
+  
+  try {
+    const 电商服务 = createGroceryProvider(env);
+    const 购物车 = await 电商服务.createCart(商品.map(item => ({
+      商品标识: item.商品标识,
+      件数: Number(item.件数)
+    })));
     
     return new Response(JSON.stringify({
       成功: true,
-      消息: '菜谱上传成功，等待审核',
-      菜品标识: 菜品标识,
-      预览: {
-        名称: 完整菜谱.菜品名称,
-        分类: 完整菜谱.菜品分类
-      }
+      购物车: 购物车
     }, null, 2), { headers: corsHeaders });
   } catch (error) {
     return new Response(JSON.stringify({
       成功: false,
-      错误: '处理上传时出错',
+      错误: '创建购物车失败',
       详情: error.message
     }), { 
-      status: 500, 
+      status: 400, 
       headers: corsHeaders 
     });
   }
 }
 
 // 从GitHub获取JSON数据
-async function fetchFromGitHub(path, token) {
-  const response = await fetch(`https://api.github.com/repos/${path}`, {
-    headers: {
-      'Authorization': `token ${token}`,
-      'User-Agent': 'Smart-Recipe-System',
-      'Accept': 'application/vnd.github.v3+json'
-    }
+async function fetchFromGitHub(url, token) {
+  const response = await fetch(url, {
+    headers: githubHeaders(token)
   });
   
   if (!response.ok) {
@@ -356,56 +668,20 @@ async function fetchFromGitHub(path, token) {
   }
   
   const data = await response.json();
-  return JSON.parse(atob(data.content));
-}
-
-// 验证菜谱数据
-function validateRecipe(recipe) {
-  const errors = [];
-  
-  // 检查必填字段
-  if (!recipe.菜品名称 || recipe.菜品名称.trim() === '') {
-    errors.push('菜品名称不能为空');
-  }
-  
-  if (!recipe.菜品分类 || !Array.isArray(recipe.菜品分类) || recipe.菜品分类.length === 0) {
-    errors.push('菜品分类不能为空');
-  }
-  
-  if (!recipe.适用季节 || !Array.isArray(recipe.适用季节) || recipe.适用季节.length === 0) {
-    errors.push('适用季节不能为空');
-  }
-  
-  // 检查时间
-  if (recipe.准备时间 && (recipe.准备时间 < 0 || recipe.准备时间 > 300)) {
-    errors.push('准备时间应在0-300分钟之间');
-  }
-  
-  if (recipe.烹饪时间 && (recipe.烹饪时间 < 0 || recipe.烹饪时间 > 480)) {
-    errors.push('烹饪时间应在0-480分钟之间');
-  }
-  
-  // 检查份量信息
-  if (recipe.标准份量) {
-    if (!recipe.标准份量.基准人数 || recipe.标准份量.基准人数 < 1) {
-      errors.push('基准人数应大于0');
-    }
-    
-    if (recipe.标准份量.食材列表 && !Array.isArray(recipe.标准份量.食材列表)) {
-      errors.push('食材列表格式错误');
-    }
-  }
-  
-  return {
-    有效: errors.length === 0,
-    错误信息: errors
-  };
+  return JSON.parse(decodeBase64Utf8(data.content));
 }
 
 // 获取烹饪提示
-function getCookingTips(menu, params) {
+function getCookingTips(menu, params, 时令数据 = null, 烹饪时间线 = null) {
   const tips = [];
   
+  // 临近节日的提示
+  (params.节令?.节日 || []).forEach(festival => {
+    const dishes = 时令数据?.节日菜谱?.[festival.名称] || [];
+    const when = festival.距今天数 === 0 ? '今天是' : `${festival.距今天数}天后是`;
+    tips.push(`${when}${festival.名称}${dishes.length > 0 ? `，可以准备${dishes.join('、')}` : ''}`);
+  });
+  
   // 根据季节的提示
   switch (params.季节) {
     case '春季':
@@ -422,16 +698,25 @@ function getCookingTips(menu, params) {
       break;
   }
   
+  // 季节禁忌：节气按日期计算，指定了与日期不符的季节时不提节气，只按季节提示
+  const 禁忌 = 时令数据?.季节禁忌?.[params.季节];
+  if (禁忌) {
+    const 节气 = params.季节 === getCurrentSeason(parseDate(params.日期)) ? params.节令?.节气 : null;
+    tips.push(`${节气 ? `${节气}时节` : params.季节}饮食宜忌：${禁忌}`);
+  }
+  
   // 根据人数的提示
   if (params.用餐人数 >= 8) {
     tips.push('用餐人数较多，建议提前准备，合理安排烹饪顺序');
   }
   
-  // 根据时间的提示
-  const 总时间 = Object.values(menu).flat().reduce((total, recipe) => 
-    total + (recipe.准备时间 || 0) + (recipe.烹饪时间 || 0), 0);
+  // 根据时间的提示：几道菜穿插着做，按烹饪时间线的总时长计算
+  const 时间线 = 烹饪时间线 || scheduleCooking(Object.values(menu).flat(), params);
   
-  if (总时间 > 120) {
+  if (时间线.节省 > 0) {
+    tips.push(`按烹饪时间线穿插进行约需${时间线.总时长}分钟，比逐道做节省${时间线.节省}分钟${时间线.开始时刻 ? `，${时间线.开始时刻}开始` : ''}`);
+  }
+  if (时间线.总时长 > 120) {
     tips.push('总烹饪时间较长，建议提前规划，可分阶段准备');
   }
   
@@ -439,95 +724,282 @@ function getCookingTips(menu, params) {
 }
 
 // 推荐引擎类
+// 过滤器和评分器都通过注册加入管线，见 推荐管线.js
 class RecommendationEngine {
+  // 候选菜谱少于该数量时，依次放宽可放宽的过滤器
+  static MIN_CANDIDATES = 10;
+  
+  // 时令数据: 分类索引/时令数据.json 的内容，用于节令评分和补充节日菜品
+  // 价格估算器: PriceEstimator，用于估算每道菜的花费和按预算调整菜单，为null时不估算
+  // 食材解析器: IngredientResolver，荤素平衡按食材大类判断荤菜
+  constructor({ 时令数据 = null, 价格估算器 = null, 食材解析器 = new IngredientResolver() } = {}) {
+    this.filters = [];
+    this.scorers = [];
+    this.时令数据 = 时令数据;
+    this.价格估算器 = 价格估算器;
+    
+    this.registerFilter(new SeasonalFilter(), 5)
+      .registerFilter(new DietaryFilter(), 4)
+      .registerFilter(new BalanceFilter(食材解析器), 2)
+      .registerFilter(new DifficultyFilter(), 1)
+      .registerFilter(new TimeFilter(), 3);
+    
+    this.registerScorer(new SeasonalScore(), 3)
+      .registerScorer(new PreferenceScore(), 2)
+      .registerScorer(new NutritionScore(), 1.5)
+      .registerScorer(new PopularityScore(), 1)
+      .registerScorer(new WeatherScore(), 2)
+      .registerScorer(new SolarTermScore(时令数据), 2);
+  }
+  
+  // 注册过滤器，权重越低越先被放宽
+  registerFilter(filter, weight = 1) {
+    this.unregister(filter.名称, this.filters);
+    this.filters.push({ module: filter, weight });
+    return this;
+  }
+  
+  // 注册评分器，权重决定其在总分中的占比
+  registerScorer(scorer, weight = 1) {
+    this.unregister(scorer.名称, this.scorers);
+    this.scorers.push({ module: scorer, weight });
+    return this;
+  }
+  
+  // 按名称移除过滤器或评分器
+  unregister(name, list = null) {
+    const lists = list ? [list] : [this.filters, this.scorers];
+    lists.forEach(target => {
+      const index = target.findIndex(entry => entry.module.名称 === name);
+      if (index !== -1) target.splice(index, 1);
+    });
+    return this;
+  }
+  
   async recommend(recipes, params) {
+    // 同分菜品的排列由种子决定，保证菜单可以复现
+    this.random = createRandom(params.seed ?? generateSeed());
+    
     // 过滤符合条件的菜谱
-    let filteredRecipes = this.filterRecipes(recipes, params);
+    const { recipes: filteredRecipes, report } = this.filterRecipes(recipes, params);
     
-    // 如果没有足够菜谱，放宽条件
-    if (filteredRecipes.length < 10) {
-      filteredRecipes = this.filterRecipes(recipes, { ...params, 难度等级: '不限' });
-    }
+    // 计算评分
+    const scoredRecipes = this.scoreRecipes(filteredRecipes, params);
     
     // 按类别分组
     const categories = {
-      主菜: filteredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('主菜')),
-      配菜: filteredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('配菜')),
-      汤品: filteredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('汤品')),
-      主食: filteredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('主食'))
+      主菜: scoredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('主菜')),
+      配菜: scoredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('配菜')),
+      汤品: scoredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('汤品')),
+      主食: scoredRecipes.filter(r => r.菜品分类 && r.菜品分类.includes('主食'))
     };
     
-    // 智能选择菜谱
-    const selected = {
-      主菜: this.selectMainDishes(categories.主菜, params),
-      配菜: this.selectSideDishes(categories.配菜, params),
-      汤品: this.selectSoups(categories.汤品, params),
-      主食: this.selectStaples(categories.主食, params)
-    };
+    // 智能选择菜谱，有营养目标时改为搜索最接近目标的组合
+    let selected;
+    let 营养目标 = null;
+    
+    if (params.营养目标) {
+      ({ selected, 报告: 营养目标 } = this.optimizeSelection(categories, params));
+    } else {
+      selected = {
+        主菜: this.selectMainDishes(categories.主菜, params),
+        配菜: this.selectSideDishes(categories.配菜, params),
+        汤品: this.selectSoups(categories.汤品, params),
+        主食: this.selectStaples(categories.主食, params)
+      };
+    }
+    
+    // 节日菜品不受时令过滤限制，临近节日时补充到菜单中
+    const 节日菜品 = this.injectFestivalDishes(recipes, selected, params, report.放宽条件);
+    
+    // 有预算时把超出预算的菜换成同类中更便宜的菜，节日菜品保留
+    let 预算 = null;
+    if (params.预算 && this.价格估算器) {
+      const optimizer = new BudgetOptimizer(this.价格估算器, params.预算, {
+        用餐人数: params.用餐人数,
+        季节: params.季节
+      });
+      ({ selected, 报告: 预算 } = optimizer.optimize(selected, categories, recipe => Boolean(recipe.节日菜品)));
+    }
     
     // 调整份量
-    return this.adjustServings(selected, params.用餐人数);
+    const 菜单 = this.adjustServings(selected, params.用餐人数);
+    this.addCostEstimates(菜单, params);
+    
+    return {
+      菜单,
+      说明: {
+        ...report,
+        节令: { ...params.节令, 节日菜品 },
+        营养目标,
+        预算,
+        评分权重: Object.fromEntries(this.scorers.map(({ module, weight }) => [module.名称, weight]))
+      }
+    };
   }
   
+  // 依次应用过滤器，记录每一步剩余数量；候选不足时放宽条件
   filterRecipes(recipes, params) {
-    return recipes.filter(recipe => {
-      // 季节过滤
-      if (params.季节 !== '不限' && recipe.适用季节 && !recipe.适用季节.includes(params.季节)) {
-        return false;
-      }
+    const relaxed = [];
+    const relaxable = this.filters
+      .filter(entry => entry.module.可放宽)
+      .sort((a, b) => a.weight - b.weight);
+    
+    let result = this.runFilters(recipes, params, relaxed);
+    
+    for (const entry of relaxable) {
+      if (result.recipes.length >= RecommendationEngine.MIN_CANDIDATES) break;
       
-      // 难度过滤
-      if (params.难度等级 !== '不限' && recipe.难度等级 && recipe.难度等级 !== params.难度等级) {
-        return false;
-      }
+      relaxed.push(entry.module.名称);
+      result = this.runFilters(recipes, params, relaxed);
+    }
+    
+    return {
+      recipes: result.recipes,
+      report: { 过滤: result.steps, 放宽条件: relaxed, 约束: result.notes }
+    };
+  }
+  
+  runFilters(recipes, params, skipped) {
+    let filtered = recipes;
+    const steps = [];
+    const notes = {};
+    
+    for (const { module } of this.filters) {
+      if (skipped.includes(module.名称)) continue;
       
-      // 时间过滤（如果设置了最大烹饪时间）
-      if (params.烹饪时间 && recipe.烹饪时间 && recipe.烹饪时间 > params.烹饪时间) {
-        return false;
-      }
+      // 过滤器可以补充说明，例如无法满足的硬性约束
+      const note = module.explain(filtered, params);
+      if (note) notes[module.名称] = note;
       
-      // 特殊需求过滤
-      if (params.特殊需求 && params.特殊需求.length > 0) {
-        // 这里需要根据菜谱标签进行过滤
-        // 简化处理，暂时通过
+      filtered = module.apply(filtered, params);
+      steps.push({ 名称: module.名称, 剩余: filtered.length });
+    }
+    
+    return { recipes: filtered, steps, notes };
+  }
+  
+  // 为临近的节日各补充一道节日菜，已在菜单中的不重复添加
+  // 候选菜仍需通过除时令外的全部过滤器，饮食限制等硬性约束不会被绕过
+  injectFestivalDishes(recipes, selected, params, relaxed) {
+    const table = this.时令数据?.节日菜谱 || {};
+    const festivals = params.节令?.节日 || [];
+    if (festivals.length === 0) return [];
+    
+    const { recipes: candidates } = this.runFilters(recipes, params, [...relaxed, '时令']);
+    const scored = this.scoreRecipes(candidates, params);
+    const inMenu = new Set(Object.values(selected).flat().map(recipe => recipe.菜品名称));
+    const injected = [];
+    
+    for (const festival of festivals) {
+      const dishes = table[festival.名称] || [];
+      const alreadyServed = Object.values(selected).flat()
+        .some(recipe => matchFestivalDish(recipe, dishes, festival.名称));
+      if (alreadyServed) continue;
+      
+      const match = this.selectTop(
+        scored.filter(recipe =>
+          !inMenu.has(recipe.菜品名称) && matchFestivalDish(recipe, dishes, festival.名称)
+        ),
+        1
+      )[0];
+      if (!match) continue;
+      
+      const course = Object.keys(selected).find(key => match.菜品分类?.includes(key)) || '主菜';
+      selected[course].push({ ...match, 节日菜品: festival.名称 });
+      inMenu.add(match.菜品名称);
+      injected.push({ 节日: festival.名称, 菜品名称: match.菜品名称, 类别: course });
+    }
+    
+    return injected;
+  }
+  
+  // 计算每道菜的加权总分和各评分器的明细
+  scoreRecipes(recipes, params) {
+    return recipes.map(recipe => {
+      const 明细 = {};
+      let 总分 = 0;
+      
+      for (const { module, weight } of this.scorers) {
+        const 得分 = module.calculate(recipe, params);
+        const 加权得分 = 得分 * weight;
+        
+        明细[module.名称] = {
+          得分: Math.round(得分 * 100) / 100,
+          权重: weight,
+          加权得分: Math.round(加权得分 * 100) / 100
+        };
+        
+        const 原因 = module.explain?.(recipe, params);
+        if (原因) 明细[module.名称].原因 = 原因;
+        总分 += 加权得分;
       }
       
-      return true;
+      return {
+        ...recipe,
+        推荐评分: { 总分: Math.round(总分 * 100) / 100, 明细 }
+      };
     });
   }
   
+  // 各类菜品的数量，随用餐人数增加
+  getCourseCounts(params) {
+    let 配菜;
+    if (params.用餐人数 <= 4) 配菜 = 1;
+    else if (params.用餐人数 <= 8) 配菜 = 2;
+    else 配菜 = 3;
+    
+    return {
+      主菜: params.用餐人数 >= 8 ? 2 : 1,
+      配菜,
+      汤品: 1,
+      主食: 1
+    };
+  }
+  
   selectMainDishes(recipes, params) {
     if (recipes.length === 0) return [];
     
-    // 随机选择1-2道主菜
-    const count = params.用餐人数 >= 8 ? 2 : 1;
-    return this.randomSelect(recipes, count);
+    // 选择得分最高的1-2道主菜
+    return this.selectTop(recipes, this.getCourseCounts(params).主菜);
   }
   
   selectSideDishes(recipes, params) {
     if (recipes.length === 0) return [];
     
     // 根据人数选择配菜数量
-    let count;
-    if (params.用餐人数 <= 4) count = 1;
-    else if (params.用餐人数 <= 8) count = 2;
-    else count = 3;
-    
-    return this.randomSelect(recipes, count);
+    return this.selectTop(recipes, this.getCourseCounts(params).配菜);
   }
   
   selectSoups(recipes, params) {
     if (recipes.length === 0) return [];
-    return this.randomSelect(recipes, 1);
+    return this.selectTop(recipes, this.getCourseCounts(params).汤品);
   }
   
   selectStaples(recipes, params) {
     if (recipes.length === 0) return [];
-    return this.randomSelect(recipes, 1);
+    return this.selectTop(recipes, this.getCourseCounts(params).主食);
+  }
+  
+  // 按营养目标搭配：在各类候选菜中搜索最接近目标的组合
+  optimizeSelection(categories, params) {
+    const ranked = Object.fromEntries(
+      Object.entries(categories).map(([course, recipes]) => [course, this.selectTop(recipes, recipes.length)])
+    );
+    
+    const optimizer = new NutritionOptimizer(params.营养目标);
+    return optimizer.optimize(ranked, this.getCourseCounts(params));
+  }
+  
+  // 按总分从高到低选择，同分的菜随机排列
+  selectTop(recipes, count) {
+    const ranked = this.randomSelect(recipes, recipes.length)
+      .sort((a, b) => b.推荐评分.总分 - a.推荐评分.总分);
+    return ranked.slice(0, Math.min(count, ranked.length));
   }
   
   randomSelect(recipes, count) {
-    const shuffled = [...recipes].sort(() => 0.5 - Math.random());
+    const shuffled = shuffle(recipes, this.random || Math.random);
     return shuffled.slice(0, Math.min(count, shuffled.length));
   }
   
@@ -542,10 +1014,14 @@ class RecommendationEngine {
         const adjusted = JSON.parse(JSON.stringify(recipe));
         
         if (adjusted.标准份量 && adjusted.标准份量.食材列表) {
-          adjusted.调整后食材 = adjusted.标准份量.食材列表.map(ingredient => ({
-            ...ingredient,
-            调整用量: Math.round(ingredient.用量 * ratio * 10) / 10
-          }));
+          adjusted.调整后食材 = adjusted.标准份量.食材列表.map(ingredient => {
+            const 数量 = scaleQuantity(parseQuantity(ingredient.用量, ingredient.单位), ratio);
+            return {
+              ...ingredient,
+              调整用量: quantityValue(数量, ingredient.用量),
+              数量: 数量
+            };
+          });
         }
         
         return adjusted;
@@ -554,11 +1030,97 @@ class RecommendationEngine {
     
     return adjustedMenu;
   }
+  
+  // 每道菜按用餐人数的预计花费（元）
+  addCostEstimates(menu, params) {
+    if (!this.价格估算器) return;
+    
+    Object.values(menu).flat().forEach(recipe => {
+      const { 金额, 每人, 未计价 } = this.价格估算器.estimateRecipe(recipe, params.用餐人数, { 季节: params.季节 });
+      recipe.预计花费 = { 金额, 每人, 未计价 };
+    });
+  }
+}
+
+// 多日膳食计划生成器
+// 逐餐调用推荐引擎，通过 params.计划 告知已安排的菜品、蛋白质来源和已采购食材
+class MealPlanner {
+  static MAX_DAYS = 28;
+  
+  // 不重复天数: 同一道菜在这么多天内只出现一次，0表示不限制
+  constructor({ 时令数据 = null, 不重复天数 = 3, 价格估算器 = null, 食材解析器 = new IngredientResolver() } = {}) {
+    this.engine = new RecommendationEngine({ 时令数据, 价格估算器, 食材解析器 })
+      .registerFilter(new NoRepeatFilter(), 6)
+      .registerScorer(new ProteinRotationScore(), 2)
+      .registerScorer(new IngredientReuseScore(), 1.5)
+      .registerFilter(new BusySlotFilter(), 2.5)
+      .registerScorer(new QuickDishScore(), 3);
+    this.不重复天数 = 不重复天数;
+  }
+  
+  async plan(recipes, days, params) {
+    const history = [];
+    const purchased = new Set();
+    let lastProteins = [];
+    const result = [];
+    
+    for (const [index, day] of days.entries()) {
+      const todayProteins = new Set();
+      const meals = {};
+      
+      for (const meal of params.餐次) {
+        const mealParams = {
+          ...params,
+          日期: day.日期,
+          季节: day.季节,
+          天气状况: day.天气状况,
+          节令: day.节令,
+          // 日历中开饭前有安排时，本餐可以用来做饭的分钟数
+          可用时间: day.可用时间?.[meal] ?? null,
+          seed: `${params.seed}:${day.日期}:${meal}`,
+          计划: {
+            近期菜品: history
+              .filter(item => index - item.天序 < this.不重复天数)
+              .map(item => item.菜品名称),
+            上一餐蛋白质: lastProteins,
+            当天蛋白质: [...todayProteins],
+            已购食材: [...purchased]
+          }
+        };
+        
+        const { 菜单, 说明 } = await this.engine.recommend(recipes, mealParams);
+        const dishes = Object.values(菜单).flat();
+        
+        dishes.forEach(recipe => {
+          history.push({ 天序: index, 菜品名称: recipe.菜品名称 });
+          (recipe.标准份量?.食材列表 || []).forEach(item => purchased.add(item.食材名称));
+        });
+        
+        const proteins = [...new Set(dishes.flatMap(getProteinSources))];
+        if (dishes.length > 0) lastProteins = proteins;
+        proteins.forEach(protein => todayProteins.add(protein));
+        
+        meals[meal] = { 菜单, 推荐说明: 说明 };
+      }
+      
+      result.push({
+        日期: day.日期,
+        季节: day.季节,
+        节气: day.节令.节气,
+        ...(day.可用时间 ? { 可用时间: day.可用时间 } : {}),
+        餐次: meals
+      });
+    }
+    
+    return result;
+  }
 }
 
 // 营养计算器类
 class NutritionCalculator {
-  calculate(menu, people) {
+  // 成员: 家庭成员资料，不足用餐人数的部分按标准成人计算
+  // 餐次: 早餐/午餐/晚餐，决定本餐应占全天摄入的比例
+  calculate(menu, people, { 成员 = [], 餐次 = '晚餐' } = {}) {
     let total = {
       热量: 0,
       蛋白质: 0,
@@ -567,9 +1129,14 @@ class NutritionCalculator {
       纤维素: 0
     };
     
+    // 缺少营养成分的菜不计入总量，单独列出（可用 工具层/分析工具/营养分析.js 按食材补算）
+    const missing = [];
+    
     // 汇总所有菜谱的营养信息
     Object.values(menu).flat().forEach(recipe => {
-      if (recipe.营养成分) {
+      if (!recipe.营养成分) {
+        missing.push(recipe.菜品名称);
+      } else {
         const ratio = recipe.标准份量 ? people / recipe.标准份量.基准人数 : 1;
         
         total.热量 += (recipe.营养成分.热量 || 0) * ratio;
@@ -580,31 +1147,77 @@ class NutritionCalculator {
       }
     });
     
-    // 计算百分比（以成人每日推荐摄入量为基准）
-    const dailyRecommendation = {
-      热量: 2000,
-      蛋白质: 60,
-      碳水化合物: 300,
-      脂肪: 67,
-      纤维素: 25
-    };
+    // 每位用餐者的每日参考摄入量
+    const references = [
+      ...成员.map(member => referenceMidpoint(getDailyReference(member))),
+      ...Array.from({ length: Math.max(people - 成员.length, 0) }, () => DEFAULT_REFERENCE)
+    ];
+    
+    // 全家每日需要量和本餐应摄入量
+    const household = this.sumReferences(references);
+    const mealShare = getMealShare(餐次);
+    const mealTarget = this.scale(household, mealShare);
     
+    // 百分比为本餐占全家每日参考摄入量的比例
     const percentages = {};
     for (const [key, value] of Object.entries(total)) {
-      percentages[key] = Math.round((value / dailyRecommendation[key]) * 100);
+      percentages[key] = Math.round((value / household[key]) * 100);
     }
     
-    // 评估营养均衡性
-    const evaluation = this.evaluateNutrition(total, dailyRecommendation);
+    // 按能量需要分配每人吃到的份量，计算每人的覆盖率
+    const members = 成员.map((member, index) => {
+      const reference = references[index];
+      const intake = this.scale(total, reference.热量 / household.热量);
+      
+      return {
+        成员: `${member.性别} ${member.年龄}岁 ${member.活动水平}体力${member.状态 ? ` ${member.状态}` : ''}`,
+        类型: describeMember(member),
+        每日参考: getDailyReference(member),
+        本餐摄入: this.round(intake),
+        每日覆盖率: this.coverage(intake, reference),
+        本餐覆盖率: this.coverage(intake, this.scale(reference, mealShare))
+      };
+    });
+    
+    // 评估营养均衡性（与本餐应摄入量比较）
+    const evaluation = this.evaluateNutrition(total, mealTarget);
     
     return {
-      总量: total,
+      总量: this.round(total),
+      人均: this.round(this.scale(total, 1 / people)),
       百分比: percentages,
+      餐次: 餐次,
+      本餐目标: this.round(mealTarget),
+      成员: members,
       评价: evaluation,
-      建议: this.getNutritionSuggestions(evaluation)
+      建议: this.getNutritionSuggestions(evaluation),
+      缺少营养数据: missing
     };
   }
   
+  sumReferences(references) {
+    const sum = { 热量: 0, 蛋白质: 0, 碳水化合物: 0, 脂肪: 0, 纤维素: 0 };
+    references.forEach(reference => {
+      for (const key of Object.keys(sum)) sum[key] += reference[key];
+    });
+    return sum;
+  }
+  
+  scale(values, factor) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value * factor]));
+  }
+  
+  round(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Math.round(value * 10) / 10]));
+  }
+  
+  coverage(intake, reference) {
+    return Object.fromEntries(Object.entries(intake).map(([key, value]) => [
+      key,
+      Math.round((value / reference[key]) * 100)
+    ]));
+  }
+  
   evaluateNutrition(total, recommendation) {
     const scores = {};
     
@@ -663,47 +1276,93 @@ class NutritionCalculator {
   }
 }
 
+// 用量的展示值：确定值为数字，范围为 "2-3" 这样的文字，定性用量为原写法
+// 无法解析的用量原样保留
+function quantityValue(数量, 原用量) {
+  if (!数量) return 原用量;
+  if (isQualitative(数量)) return 数量.定性;
+  return 数量.最小 === 数量.最大 ? 数量.最小 : `${数量.最小}-${数量.最大}`;
+}
+
 // 购物清单生成器类
 class ShoppingListGenerator {
+  // 食材解析器为 IngredientResolver，分类和别名都来自 分类索引/食材索引.json
+  // 价格估算器为 PriceEstimator，为null时不估算价格
+  constructor(食材解析器, 价格估算器 = null) {
+    this.食材解析器 = 食材解析器;
+    this.价格估算器 = 价格估算器;
+  }
+  
   generate(menu, people) {
     const items = {};
-    const categories = {
-      蔬菜类: [],
-      肉类: [],
-      水产类: [],
-      调味品: [],
-      主食类: [],
-      其他: []
-    };
+    const categories = Object.fromEntries(this.食材解析器.getCategories().map(category => [category, []]));
     
-    // 合并所有菜谱的食材
+    // 合并所有菜谱的食材，西红柿 和 番茄 这类别名合并为一项
+    // 用量换算为克、毫升后相加；个、根等计数单位按 食材索引.json 的 单位重量 换算为克，
+    // 没有单位重量的计数单位（如 鸡翅 的 个 和 克）分开列出
     Object.values(menu).flat().forEach(recipe => {
       if (recipe.调整后食材) {
         recipe.调整后食材.forEach(ingredient => {
-          const key = ingredient.食材名称;
-          const unit = ingredient.单位 || '适量';
+          const name = this.食材解析器.normalize(ingredient.食材名称);
+          const original = ingredient.数量 || parseQuantity(ingredient.调整用量, ingredient.单位);
+          if (!original) return;
+          
+          const unitWeight = isQualitative(original) || unitType(original.单位)
+            ? null
+            : this.食材解析器.getUnitWeight(name, original.单位);
+          const quantity = unitWeight
+            ? { ...original, 最小: original.最小 * unitWeight, 最大: original.最大 * unitWeight, 单位: '克' }
+            : toBaseUnit(original);
           
+          const key = `${name}_${isQualitative(quantity) ? '' : quantity.单位}`;
           if (!items[key]) {
             items[key] = {
-              用量: 0,
-              单位: unit,
-              分类: this.categorizeIngredient(ingredient.食材名称)
+              名称: name,
+              数量: null,
+              分类: this.categorizeIngredient(ingredient.食材名称),
+              // 换算前的计数用量；有按重量写的用量或计数单位不同时只能按重量购买
+              计数: null,
+              单位重量: null,
+              按重量: false
             };
           }
           
-          items[key].用量 += ingredient.调整用量;
+          const item = items[key];
+          item.数量 = addQuantities(item.数量, quantity);
+          if (isQualitative(quantity)) return;
+          
+          if (!unitWeight) {
+            item.按重量 = true;
+          } else {
+            if (!item.单位重量) {
+              item.单位重量 = unitWeight;
+              item.计数单位 = original.单位;
+            }
+            // 根 和 个 这类不同的计数单位不能相加，只能按重量购买，计数保留第一个单位的合计
+            if (item.计数 && item.计数.单位 !== original.单位) {
+              item.按重量 = true;
+            } else {
+              item.计数 = addQuantities(item.计数, original);
+            }
+          }
         });
       }
     });
     
-    // 按分类分组
-    for (const [name, item] of Object.entries(items)) {
+    // 按分类分组，同一食材已有具体用量时不再单列 适量
+    const measured = new Set(Object.values(items)
+      .filter(item => !isQualitative(item.数量))
+      .map(item => item.名称));
+    
+    for (const item of Object.values(items)) {
+      if (isQualitative(item.数量) && measured.has(item.名称)) continue;
+      
       const category = item.分类;
       if (categories[category]) {
         categories[category].push({
-          名称: name,
-          用量: Math.round(item.用量 * 100) / 100,
-          单位: item.单位,
+          名称: item.名称,
+          ...this.purchaseAmount(item),
+          ...this.estimatePrice(item),
           已购买: false
         });
       }
@@ -715,9 +1374,14 @@ class ShoppingListGenerator {
     }
     
     // 计算总量统计
+    const allItems = Object.values(categories).flat();
     const stats = {
-      总项数: Object.keys(items).length,
-      分类统计: {}
+      总项数: allItems.length,
+      分类统计: {},
+      ...(this.价格估算器 ? {
+        预计花费: Math.round(allItems.reduce((sum, item) => sum + (item.预计价格 || 0), 0) * 10) / 10,
+        未计价: allItems.filter(item => item.预计价格 === null).map(item => item.名称)
+      } : {})
     };
     
     for (const [category, items] of Object.entries(categories)) {
@@ -735,25 +1399,62 @@ class ShoppingListGenerator {
     };
   }
   
-  categorizeIngredient(name) {
-    // 根据食材名称判断分类
-    const categories = {
-      蔬菜类: ['菜', '笋', '菇', '菌', '椒', '瓜', '茄', '豆', '萝卜', '胡萝卜', '土豆', '红薯'],
-      肉类: ['肉', '排', '腿', '蹄', '肝', '肚', '肠'],
-      水产类: ['鱼', '虾', '蟹', '贝', '蛤', '蛏', '蚝', '参'],
-      调味品: ['油', '盐', '酱', '醋', '糖', '料酒', '生抽', '老抽', '蚝油', '香油'],
-      主食类: ['米', '面', '粉', '饭', '粥', '馒头', '包子', '饺子']
+  // 要买的用量：全是计数时按个数买并给出大约重量，如 2个（约合 200克）；
+  // 否则按重量买，换算过单位重量的再给出大约个数
+  purchaseAmount(item) {
+    const 数量 = simplifyQuantity(item.数量);
+    if (isQualitative(数量)) {
+      return { 用量: 数量.定性, 单位: '' };
+    }
+    
+    if (item.计数 && !item.按重量) {
+      // 不到一斤的直接写克数，如 约165克
+      const 重量 = item.数量.最大 >= 500 ? 数量 : item.数量;
+      return {
+        用量: quantityValue(item.计数),
+        单位: item.计数.单位,
+        约合: `约${Math.round(重量.最大 * 10) / 10}${重量.单位}`
+      };
+    }
+    
+    return {
+      用量: quantityValue(数量),
+      单位: 数量.单位,
+      ...(item.单位重量 ? { 约合: `约${Math.ceil(item.数量.最大 / item.单位重量)}${item.计数单位}` } : {})
     };
+  }
+  
+  // 为每一项匹配电商商品：item.商品 为总价最低、总量够用的规格组合和买完剩下的量，没有合适商品时为null
+  // 电商服务为 GroceryProvider，会逐项搜索商品
+  async matchProducts(购物清单, 电商服务) {
+    const allItems = Object.values(购物清单.清单).flat();
     
-    for (const [category, keywords] of Object.entries(categories)) {
-      for (const keyword of keywords) {
-        if (name.includes(keyword)) {
-          return category;
-        }
-      }
+    for (const item of allItems) {
+      const needed = parseQuantity(item.用量, item.单位);
+      item.商品 = await 电商服务.matchIngredient(
+        item.名称,
+        needed,
+        unit => this.食材解析器.getUnitWeight(item.名称, unit)
+      );
     }
     
-    return '其他';
+    const matched = allItems.filter(item => item.商品);
+    购物清单.统计.商品总价 = Math.round(matched.reduce((sum, item) => sum + item.商品.总价, 0) * 100) / 100;
+    购物清单.统计.未匹配商品 = allItems.filter(item => !item.商品).map(item => item.名称);
+    购物清单.统计.电商服务 = 电商服务.名称;
+    return 购物清单;
+  }
+  
+  // 按合并后的用量估算价格；适量 的调味品不计价也不列入 未计价
+  estimatePrice(item) {
+    if (!this.价格估算器 || isQualitative(item.数量)) return {};
+    
+    const { 金额 } = this.价格估算器.estimate(item.名称, item.数量);
+    return { 预计价格: 金额 === null ? null : Math.round(金额 * 10) / 10 };
+  }
+  
+  categorizeIngredient(name) {
+    return this.食材解析器.categorize(name);
   }
   
   getShoppingTips(categories) {
@@ -0,0 +1,611 @@
+// 推荐管线 - 可注册的过滤器和评分器
+//
+// 过滤器: { 名称, 可放宽, apply(recipes, params) } —— 返回保留的菜谱
+//   注册时的权重决定放宽顺序：候选不足时，先放宽权重低的可放宽过滤器
+//   可选 explain(recipes, params) —— 返回写入推荐说明的补充信息
+// 评分器: { 名称, calculate(recipe, params) } —— 返回 0~1 的得分
+//   注册时的权重决定该评分在总分中的占比
+//   可选 explain(recipe, params) —— 返回影响得分的原因，写入评分明细
+
+import { matchAvailable } from './现有食材.js';
+
+// 含荤腥的食材关键词（用于素食判断，蛋奶类名称先去掉，见 EGG_DAIRY_NAMES）
+const MEAT_KEYWORDS = ['肉', '排骨', '鸡', '鸭', '鹅', '牛', '羊', '猪', '鱼', '虾', '蟹', '贝'];
+
+// 荤菜的食材大类（分类索引/食材索引.json），按大类判断不会把 牛奶、鸡蛋 当成荤菜
+const MEAT_CATEGORIES = ['肉类', '水产类'];
+
+// 特殊需求中的饮食限制（与 分类索引/菜品分类.json 保持一致）
+// 饮食限制是硬性约束，必须严格满足；人群适配、烹饪特点只作为加分项
+export const HARD_NEEDS = ['素食', '纯素', '低脂', '低糖', '低盐', '无麸质'];
+
+// 口味分类（与 分类索引/菜品分类.json 保持一致），选择大类时匹配其下所有口味
+const TASTE_GROUPS = {
+  清淡: ['咸鲜', '原味', '清甜'],
+  浓郁: ['麻辣', '香辣', '酸甜', '咸香', '酱香'],
+  特殊: ['酸甜', '苦味', '怪味']
+};
+
+// 素食判断用的动物性原料关键词，蛋奶类和 PLANT_NAMES 中的素食原料先从名称中去掉
+const ANIMAL_KEYWORDS = [...MEAT_KEYWORDS, '火腿', '培根', '香肠', '腊', '蚝油', '鱼露', '猪油', '高汤'];
+const EGG_DAIRY_NAMES = /鸡蛋|鸭蛋|鹅蛋|鹌鹑蛋|牛奶|羊奶/g;
+const EGG_DAIRY_KEYWORDS = ['蛋', '奶', '芝士', '黄油', '蜂蜜'];
+
+// 名称含荤腥关键词的素食原料：香料（肉桂、肉豆蔻）、豆制品（素鸡、素肉）、菌菇和蔬果
+const PLANT_NAMES = /肉桂|肉豆蔻|素鸡|素肉|鸡腿菇|鸡枞|蟹味菇|牛肝菌|牛蒡|鱼腥草|牛油果/g;
+
+// 含麸质的原料关键词（酱油、蚝油等调味料通常含小麦）
+// 名称含"麦"的无麸质杂粮先从名称中去掉（见 GLUTEN_FREE_NAMES），荞麦面 仍因"面"按含麸质处理
+const GLUTEN_KEYWORDS = ['面', '麦', '麸', '馒头', '包子', '饺子', '面包', '酱油', '生抽', '老抽', '蚝油', '啤酒', '甜面酱'];
+const GLUTEN_FREE_NAMES = /荞麦|藜麦/g;
+
+// 菜谱声明的需求标签（特殊需求、菜品标签、营养标签）
+function declaredNeeds(recipe) {
+  return [
+    ...(recipe.特殊需求 || []),
+    ...(recipe.菜品标签 || []),
+    ...(recipe.营养成分?.标签 || [])
+  ];
+}
+
+// 菜谱用到的全部原料名称（食材和调味料）
+function ingredientNames(recipe) {
+  return [
+    ...(recipe.标准份量?.食材列表 || []).map(item => item.食材名称 || ''),
+    ...(recipe.标准份量?.调味料 || []).map(item => item.名称 || '')
+  ];
+}
+
+function containsAny(names, keywords) {
+  return names.some(name => keywords.some(keyword => name.includes(keyword)));
+}
+
+// 去掉名称中不按关键词判断的部分
+function stripNames(names, ...patterns) {
+  return names.map(name => patterns.reduce((result, pattern) => result.replace(pattern, ''), name));
+}
+
+// 饮食限制的判断规则
+// 能从原料推断的限制以原料为准（标签写错也不会放行），其余要求菜谱明确声明
+const DIETARY_RULES = {
+  素食: recipe => !containsAny(stripNames(ingredientNames(recipe), EGG_DAIRY_NAMES, PLANT_NAMES), ANIMAL_KEYWORDS),
+  纯素: recipe => DIETARY_RULES.素食(recipe) && !containsAny(ingredientNames(recipe), EGG_DAIRY_KEYWORDS),
+  无麸质: recipe => !containsAny(stripNames(ingredientNames(recipe), GLUTEN_FREE_NAMES), GLUTEN_KEYWORDS),
+  低脂: recipe => declaredNeeds(recipe).some(tag => tag === '低脂' || tag === '低脂肪'),
+  低糖: recipe => declaredNeeds(recipe).includes('低糖'),
+  低盐: recipe => declaredNeeds(recipe).includes('低盐')
+};
+
+// 菜谱是否满足某项饮食限制
+export function meetsDietaryNeed(recipe, need) {
+  const rule = DIETARY_RULES[need];
+  return rule ? rule(recipe) : declaredNeeds(recipe).includes(need);
+}
+
+// 拆分用户需求：饮食限制为硬性约束，其余为加分项
+export function splitNeeds(needs = []) {
+  return {
+    hard: needs.filter(need => HARD_NEEDS.includes(need)),
+    soft: needs.filter(need => !HARD_NEEDS.includes(need))
+  };
+}
+
+// 蛋白质来源及对应的食材关键词，按顺序匹配
+const PROTEIN_SOURCES = [
+  ['牛肉', ['牛肉', '牛腩', '牛排', '牛腱']],
+  ['羊肉', ['羊肉', '羊排', '羊腿']],
+  ['禽肉', ['鸡肉', '鸡腿', '鸡翅', '鸡胸', '鸡块', '鸭', '鹅']],
+  ['水产', ['鱼', '虾', '蟹', '贝', '鱿', '蛤', '蚝']],
+  ['猪肉', ['猪', '排骨', '五花', '里脊', '培根', '火腿', '肉']],
+  ['蛋类', ['蛋']],
+  ['豆制品', ['豆腐', '豆干', '腐竹', '千张']]
+];
+
+// 菜谱的蛋白质来源（如 猪里脊肉 → 猪肉）
+export function getProteinSources(recipe) {
+  const names = (recipe.标准份量?.食材列表 || []).map(item => item.食材名称 || '');
+  const sources = new Set();
+
+  names.forEach(name => {
+    const match = PROTEIN_SOURCES.find(([, keywords]) => keywords.some(keyword => name.includes(keyword)));
+    if (match) sources.add(match[0]);
+  });
+
+  return [...sources];
+}
+
+// 天气规则：各天气状况下适合与不宜的菜品特征
+const WEATHER_RULES = [
+  {
+    名称: '炎热宜清爽',
+    状况: '炎热',
+    适合: { 分类: ['凉菜'], 标签: ['凉菜', '开胃菜', '清爽'], 技法: ['凉拌', '蒸'] },
+    不宜: { 技法: ['炖', '煨', '煲', '炸'] }
+  },
+  {
+    名称: '雨天宜热汤',
+    状况: '雨天',
+    适合: { 分类: ['汤品'], 技法: ['煲', '炖', '煮'] },
+    不宜: { 分类: ['凉菜'], 技法: ['凉拌'] }
+  },
+  {
+    名称: '寒冷宜温补',
+    状况: '寒冷',
+    适合: { 分类: ['汤品'], 标签: ['温补', '暖身'], 技法: ['炖', '焖', '煨', '煲', '烧'], 食材: ['羊肉', '牛肉', '姜'] },
+    不宜: { 分类: ['凉菜'], 技法: ['凉拌'] }
+  },
+  {
+    名称: '潮湿宜祛湿',
+    状况: '潮湿',
+    适合: { 口味: ['麻辣', '香辣'], 食材: ['薏米', '冬瓜', '红豆', '赤小豆', '姜', '辣椒'] },
+    不宜: { 标签: ['油腻'] }
+  }
+];
+
+// 找出菜谱中符合某组特征的项
+function matchTraits(recipe, traits) {
+  const fields = {
+    分类: recipe.菜品分类 || [],
+    标签: recipe.菜品标签 || [],
+    技法: recipe.烹饪技法 || [],
+    口味: recipe.口味特点 || []
+  };
+  const matched = [];
+
+  for (const [field, values] of Object.entries(traits)) {
+    if (field === '食材') {
+      const names = ingredientNames(recipe);
+      values.filter(value => names.some(name => name.includes(value))).forEach(value => matched.push(value));
+    } else {
+      values.filter(value => fields[field].includes(value)).forEach(value => matched.push(value));
+    }
+  }
+
+  return [...new Set(matched)];
+}
+
+// 查找当前天气适用的规则及菜谱命中的特征
+function matchWeatherRule(recipe, params) {
+  const rule = WEATHER_RULES.find(item => item.状况 === params.天气状况);
+  if (!rule) return null;
+
+  return {
+    rule,
+    适合: matchTraits(recipe, rule.适合),
+    不宜: matchTraits(recipe, rule.不宜)
+  };
+}
+
+// 展开口味偏好，大类展开为其下的具体口味
+function expandTaste(taste) {
+  return [taste, ...(TASTE_GROUPS[taste] || [])];
+}
+
+// 判断是否为荤菜：有食材属于肉类或水产类，食材解析器为 IngredientResolver
+export function isMeatDish(recipe, 食材解析器) {
+  const ingredients = recipe.标准份量?.食材列表 || [];
+  return ingredients.some(ingredient =>
+    MEAT_CATEGORIES.includes(食材解析器.categorize(ingredient.食材名称))
+  );
+}
+
+// 菜谱是否为节日菜品中的一道，返回匹配的菜品，不是时返回null
+// 菜名就是这道菜或以它结尾（如 三鲜饺子、清蒸鲈鱼），或者 菜品标签 中写了这个节日；
+// 不按菜名中间出现的字匹配，鱼香肉丝 里没有鱼
+export function matchFestivalDish(recipe, dishes, 节日) {
+  const name = recipe.菜品名称 || '';
+  const dish = dishes.find(item => name.endsWith(item));
+  if (dish) return dish;
+
+  return 节日 && (recipe.菜品标签 || []).includes(节日) ? name : null;
+}
+
+// 将数值限制在 0~1 之间
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+// ============================================
+// 过滤器
+// ============================================
+
+// 过滤器基类：子类实现 test 即可逐道菜过滤
+export class RecipeFilter {
+  constructor(名称, { 可放宽 = false } = {}) {
+    this.名称 = 名称;
+    this.可放宽 = 可放宽;
+  }
+
+  apply(recipes, params) {
+    return recipes.filter(recipe => this.test(recipe, params));
+  }
+
+  test(recipe, params) {
+    return true;
+  }
+
+  explain(recipes, params) {
+    return null;
+  }
+}
+
+// 时令过滤：只保留适用于当前季节的菜谱
+export class SeasonalFilter extends RecipeFilter {
+  constructor() {
+    super('时令');
+  }
+
+  test(recipe, params) {
+    return params.季节 === '不限' || !recipe.适用季节 || recipe.适用季节.includes(params.季节);
+  }
+}
+
+// 饮食限制过滤：严格满足全部饮食限制，候选不足时也不会放宽
+export class DietaryFilter extends RecipeFilter {
+  constructor() {
+    super('饮食限制');
+  }
+
+  test(recipe, params) {
+    const { hard } = splitNeeds(params.特殊需求);
+    return hard.every(need => meetsDietaryNeed(recipe, need));
+  }
+
+  // 说明哪些饮食限制在当前候选菜谱中无法满足
+  explain(recipes, params) {
+    const { hard } = splitNeeds(params.特殊需求);
+    if (hard.length === 0) return null;
+
+    const 无法满足 = hard
+      .filter(need => !recipes.some(recipe => meetsDietaryNeed(recipe, need)))
+      .map(need => ({ 需求: [need], 原因: `当前条件下没有符合「${need}」的菜谱` }));
+
+    if (无法满足.length === 0 && hard.length > 1 && !recipes.some(recipe => this.test(recipe, params))) {
+      无法满足.push({ 需求: hard, 原因: `没有同时符合「${hard.join('、')}」的菜谱` });
+    }
+
+    return { 硬性约束: hard, 无法满足 };
+  }
+}
+
+// 荤素平衡：有素菜可选时，配菜只保留素菜，避免整桌都是荤菜
+export class BalanceFilter extends RecipeFilter {
+  constructor(食材解析器) {
+    super('荤素平衡', { 可放宽: true });
+    this.食材解析器 = 食材解析器;
+  }
+
+  apply(recipes, params) {
+    const isSide = recipe => recipe.菜品分类 && recipe.菜品分类.includes('配菜');
+    const isMeat = recipe => isMeatDish(recipe, this.食材解析器);
+    const hasVegetableSide = recipes.some(recipe => isSide(recipe) && !isMeat(recipe));
+
+    if (!hasVegetableSide) return recipes;
+
+    return recipes.filter(recipe => !isSide(recipe) || !isMeat(recipe));
+  }
+}
+
+// 难度过滤
+export class DifficultyFilter extends RecipeFilter {
+  constructor() {
+    super('难度', { 可放宽: true });
+  }
+
+  test(recipe, params) {
+    return params.难度等级 === '不限' || !recipe.难度等级 || recipe.难度等级 === params.难度等级;
+  }
+}
+
+// 时间过滤（如果设置了最大烹饪时间）
+export class TimeFilter extends RecipeFilter {
+  constructor() {
+    super('时间');
+  }
+
+  test(recipe, params) {
+    return !params.烹饪时间 || !recipe.烹饪时间 || recipe.烹饪时间 <= params.烹饪时间;
+  }
+}
+
+// 菜谱从准备到出锅的分钟数，没有时间信息时返回null
+export function getTotalTime(recipe) {
+  if (recipe.总时间) return recipe.总时间;
+  const total = (recipe.准备时间 || 0) + (recipe.烹饪时间 || 0);
+  return total > 0 ? total : null;
+}
+
+// 忙碌时段过滤：日历中本餐开饭前有安排时（params.可用时间，分钟），只保留来得及做完的菜
+// 候选不足时放宽，由 快手菜评分 优先选耗时短的
+export class BusySlotFilter extends RecipeFilter {
+  constructor() {
+    super('忙碌时段', { 可放宽: true });
+  }
+
+  test(recipe, params) {
+    const total = getTotalTime(recipe);
+    return params.可用时间 == null || total === null || total <= params.可用时间;
+  }
+}
+
+// 不重复过滤：多日计划中，近期已安排过的菜不再出现
+// 计划状态由 推荐算法.js 中的 MealPlanner 写入 params.计划
+export class NoRepeatFilter extends RecipeFilter {
+  constructor() {
+    super('不重复');
+  }
+
+  test(recipe, params) {
+    return !(params.计划?.近期菜品 || []).includes(recipe.菜品名称);
+  }
+}
+
+// 现有食材过滤：只保留至少用到一种现有食材的菜，候选不足时最先放宽
+export class AvailableIngredientFilter extends RecipeFilter {
+  constructor(食材解析器) {
+    super('现有食材', { 可放宽: true });
+    this.食材解析器 = 食材解析器;
+  }
+
+  test(recipe, params) {
+    return !params.现有食材?.length || matchAvailable(recipe, params.现有食材, this.食材解析器).已有.length > 0;
+  }
+}
+
+// ============================================
+// 评分器
+// ============================================
+
+// 时令评分：明确标注当前季节的菜得满分，四季通用的菜得一半
+export class SeasonalScore {
+  constructor() {
+    this.名称 = '时令';
+  }
+
+  calculate(recipe, params) {
+    if (params.季节 === '不限') return 0.5;
+    if (!recipe.适用季节 || recipe.适用季节.length === 0) return 0.5;
+    return recipe.适用季节.includes(params.季节) ? 1 : 0;
+  }
+}
+
+// 偏好评分：口味偏好和非硬性的特殊需求（人群适配、烹饪特点）按命中比例加分
+export class PreferenceScore {
+  constructor() {
+    this.名称 = '偏好';
+  }
+
+  calculate(recipe, params) {
+    const parts = [];
+
+    const tastes = (params.口味偏好 || []).filter(taste => taste !== '无限制');
+    if (tastes.length > 0) {
+      const flavors = recipe.口味特点 || [];
+      const matched = tastes.filter(taste => expandTaste(taste).some(flavor => flavors.includes(flavor))).length;
+      parts.push(matched / tastes.length);
+    }
+
+    // 家庭成员推出的人群适配标签也作为加分项
+    const soft = [...new Set([...splitNeeds(params.特殊需求).soft, ...(params.人群适配 || [])])];
+    if (soft.length > 0) {
+      const tags = declaredNeeds(recipe);
+      parts.push(soft.filter(need => tags.includes(need)).length / soft.length);
+    }
+
+    if (parts.length === 0) return 0.5;
+    return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+  }
+}
+
+// 营养评分：高蛋白、低脂肪、富含纤维的菜得分更高
+export class NutritionScore {
+  constructor() {
+    this.名称 = '营养';
+  }
+
+  calculate(recipe, params) {
+    const nutrition = recipe.营养成分;
+    if (!nutrition || !nutrition.热量) return 0.5;
+
+    // 蛋白质供能比 15%~30% 为佳，脂肪供能比不超过 30%
+    const proteinRatio = (nutrition.蛋白质 || 0) * 4 / nutrition.热量;
+    const fatRatio = (nutrition.脂肪 || 0) * 9 / nutrition.热量;
+
+    const proteinScore = clamp01(proteinRatio / 0.15);
+    const fatScore = fatRatio <= 0.3 ? 1 : clamp01(1 - (fatRatio - 0.3) / 0.3);
+    const fiberScore = clamp01((nutrition.纤维素 || 0) / 5);
+
+    return (proteinScore * 0.4 + fatScore * 0.4 + fiberScore * 0.2);
+  }
+}
+
+// 流行度评分：贝叶斯平均，评分人数少时向先验均值收敛
+export class PopularityScore {
+  constructor({ 先验评分 = 3.5, 先验人数 = 10 } = {}) {
+    this.名称 = '流行度';
+    this.先验评分 = 先验评分;
+    this.先验人数 = 先验人数;
+  }
+
+  calculate(recipe, params) {
+    const rating = recipe.用户评价?.平均评分;
+    const count = recipe.用户评价?.评分人数 || 0;
+
+    if (!rating || count === 0) return this.先验评分 / 5;
+
+    const average = (rating * count + this.先验评分 * this.先验人数) / (count + this.先验人数);
+    return clamp01(average / 5);
+  }
+}
+
+// 快手菜评分：本餐可用时间有限时耗时越短得分越高，用完可用时间的得0.5，超出一倍的得0
+export class QuickDishScore {
+  constructor() {
+    this.名称 = '快手菜';
+  }
+
+  calculate(recipe, params) {
+    const total = getTotalTime(recipe);
+    if (params.可用时间 == null || total === null) return 0.5;
+
+    return clamp01(1 - total / (Math.max(params.可用时间, 10) * 2));
+  }
+
+  explain(recipe, params) {
+    const total = getTotalTime(recipe);
+    if (params.可用时间 == null || total === null) return null;
+
+    return `开饭前有${params.可用时间}分钟空闲，这道菜需要${total}分钟`;
+  }
+}
+
+// 天气评分：符合当前天气规则的菜加分，不宜的菜减分
+export class WeatherScore {
+  constructor() {
+    this.名称 = '天气';
+  }
+
+  calculate(recipe, params) {
+    const match = matchWeatherRule(recipe, params);
+    if (!match) return 0.5;
+
+    if (match.适合.length > 0 && match.不宜.length === 0) return 1;
+    if (match.不宜.length > 0 && match.适合.length === 0) return 0;
+    return 0.5;
+  }
+
+  explain(recipe, params) {
+    const match = matchWeatherRule(recipe, params);
+    if (!match) return null;
+
+    const reasons = [];
+    if (match.适合.length > 0) reasons.push(`适合: ${match.适合.join('、')}`);
+    if (match.不宜.length > 0) reasons.push(`不宜: ${match.不宜.join('、')}`);
+
+    return reasons.length > 0 ? `${match.rule.名称}（${reasons.join('；')}）` : null;
+  }
+}
+
+// 节令评分：临近节日的节日菜品得满分，用到当季时令食材的菜加分
+// 时令数据 来自 分类索引/时令数据.json，缺少时只给中间分
+export class SolarTermScore {
+  constructor(时令数据 = null) {
+    this.名称 = '节令';
+    this.时令数据 = 时令数据;
+  }
+
+  calculate(recipe, params) {
+    if (this.festivalMatch(recipe, params)) return 1;
+
+    const count = this.seasonalIngredients(recipe, params).length;
+    if (count === 0) return 0.5;
+    return count === 1 ? 0.75 : 0.9;
+  }
+
+  explain(recipe, params) {
+    const festival = this.festivalMatch(recipe, params);
+    if (festival) return `${festival.名称}节日菜: ${festival.菜品}`;
+
+    const ingredients = this.seasonalIngredients(recipe, params);
+    return ingredients.length > 0 ? `${params.季节}时令食材: ${ingredients.join('、')}` : null;
+  }
+
+  // 菜谱是否为临近节日的节日菜品
+  festivalMatch(recipe, params) {
+    const table = this.时令数据?.节日菜谱 || {};
+
+    for (const festival of params.节令?.节日 || []) {
+      const dish = matchFestivalDish(recipe, table[festival.名称] || [], festival.名称);
+      if (dish) return { 名称: festival.名称, 菜品: dish };
+    }
+
+    return null;
+  }
+
+  // 菜谱用到的当季时令食材
+  seasonalIngredients(recipe, params) {
+    const groups = this.时令数据?.时令食材?.[params.季节] || {};
+    const seasonal = Object.values(groups).flat();
+    const names = (recipe.标准份量?.食材列表 || []).map(item => item.食材名称 || '');
+
+    return seasonal.filter(item => names.some(name => name.includes(item)));
+  }
+}
+
+// 蛋白质轮换评分：与上一餐蛋白质来源相同的菜得分最低，当天已用过的次之
+export class ProteinRotationScore {
+  constructor() {
+    this.名称 = '蛋白质轮换';
+  }
+
+  calculate(recipe, params) {
+    const plan = params.计划;
+    const sources = getProteinSources(recipe);
+    if (!plan || sources.length === 0) return 0.5;
+
+    if (sources.some(source => plan.上一餐蛋白质.includes(source))) return 0;
+    if (sources.some(source => plan.当天蛋白质.includes(source))) return 0.25;
+    return 1;
+  }
+
+  explain(recipe, params) {
+    const plan = params.计划;
+    const sources = getProteinSources(recipe);
+    if (!plan || sources.length === 0) return null;
+
+    const repeated = sources.filter(source => plan.上一餐蛋白质.includes(source));
+    if (repeated.length > 0) return `与上一餐重复: ${repeated.join('、')}`;
+
+    return plan.上一餐蛋白质.length > 0
+      ? `轮换为${sources.join('、')}（上一餐: ${plan.上一餐蛋白质.join('、')}）`
+      : null;
+  }
+}
+
+// 食材复用评分：用到计划中已采购食材的菜加分，减少剩余浪费
+export class IngredientReuseScore {
+  constructor() {
+    this.名称 = '食材复用';
+  }
+
+  calculate(recipe, params) {
+    const count = this.reused(recipe, params).length;
+    return Math.min(1, 0.5 + count * 0.25);
+  }
+
+  explain(recipe, params) {
+    const reused = this.reused(recipe, params);
+    return reused.length > 0 ? `复用食材: ${reused.join('、')}` : null;
+  }
+
+  reused(recipe, params) {
+    const purchased = params.计划?.已购食材 || [];
+    const names = (recipe.标准份量?.食材列表 || []).map(item => item.食材名称);
+    return [...new Set(names.filter(name => purchased.includes(name)))];
+  }
+}
+
+// 现有食材评分：按 食材列表 中已有食材的比例打分，用到临期食材的再加分
+export class AvailableIngredientScore {
+  constructor(食材解析器) {
+    this.名称 = '现有食材';
+    this.食材解析器 = 食材解析器;
+  }
+
+  calculate(recipe, params) {
+    if (!params.现有食材?.length) return 0.5;
+
+    const match = matchAvailable(recipe, params.现有食材, this.食材解析器);
+    return clamp01(match.覆盖率 * 0.8 + match.临期程度 * 0.2);
+  }
+
+  explain(recipe, params) {
+    if (!params.现有食材?.length) return null;
+
+    const match = matchAvailable(recipe, params.现有食材, this.食材解析器);
+    const parts = [`已有${match.已有.length}/${match.已有.length + match.缺少.length}种食材`];
+    if (match.缺少.length > 0) parts.push(`缺少: ${match.缺少.join('、')}`);
+    if (match.临期食材.length > 0) parts.push(`用掉临期的${match.临期食材.join('、')}`);
+    return parts.join('，');
+  }
+}
@@ -0,0 +1,197 @@
+// 数据同步 - 在 USER_DATA 中保存每个账号的收藏、历史和设置，供手机、电脑等多个设备同步
+//
+// 每条记录（一个收藏、一条历史、一项设置）单独带 更新时间（客户端修改时的毫秒时间戳），
+// 合并时逐条比较，更新时间较晚的一方获胜；设置按字段存放，两台设备改了不同的设置项都会保留
+// 删除也是一条记录（值为null），这样删除可以同步到其他设备，删除记录保留 TOMBSTONE_DAYS 天
+// 服务器给每条写入的记录标上 同步时间，客户端带上次同步得到的 服务器时间 只拉取之后的变化
+// KV 没有事务，同一账号几乎同时从两台设备同步时，后写入的一次可能覆盖先写入的合并结果
+
+// 同步的数据集合，路径 /api/sync/<名称> 只同步对应的集合
+export const SYNC_COLLECTIONS = {
+  favorites: '收藏',
+  history: '历史',
+  settings: '设置'
+};
+
+// 历史只保留最近的条数
+const MAX_HISTORY = 50;
+
+// 删除记录保留的天数，超过后其他设备上仍保留的旧数据可能重新同步回来
+const TOMBSTONE_DAYS = 90;
+
+// 客户端时钟最多允许比服务器快这么多，更晚的更新时间按服务器时间计算
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// 一次请求最多提交的记录数和请求体大小
+const MAX_RECORDS_PER_REQUEST = 500;
+const MAX_BODY_BYTES = 256 * 1024;
+
+// 记录键的最大长度
+const MAX_KEY_LENGTH = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 合并客户端提交的记录，返回 { 记录, 冲突 }，冲突为因为服务器上的版本更新而没有采用的记录数
+// records、incoming: { 键: { 值, 更新时间, 同步时间 } }
+export function mergeRecords(records, incoming, now = Date.now()) {
+  const merged = { ...records };
+  let 冲突 = 0;
+
+  Object.entries(incoming).forEach(([key, record]) => {
+    const 更新时间 = Math.min(record.更新时间, now + MAX_CLOCK_SKEW);
+    const current = merged[key];
+
+    if (current && current.更新时间 >= 更新时间) {
+      if (JSON.stringify(current.值) !== JSON.stringify(record.值)) 冲突++;
+      return;
+    }
+
+    merged[key] = { 值: record.值, 更新时间, 同步时间: now };
+  });
+
+  return { 记录: merged, 冲突 };
+}
+
+// 清理过期的删除记录，历史只保留最近 MAX_HISTORY 条
+export function pruneRecords(集合, records, now = Date.now()) {
+  const entries = Object.entries(records)
+    .filter(([, record]) => record.值 !== null || now - record.同步时间 < TOMBSTONE_DAYS * DAY_MS);
+
+  if (集合 !== '历史') return Object.fromEntries(entries);
+
+  const live = entries.filter(([, record]) => record.值 !== null)
+    .sort((a, b) => b[1].更新时间 - a[1].更新时间);
+  const dropped = new Set(live.slice(MAX_HISTORY).map(([key]) => key));
+
+  return Object.fromEntries(entries.filter(([key]) => !dropped.has(key)));
+}
+
+// 同步时间晚于 since 的记录，返回给客户端时不带 同步时间
+export function changesSince(records, since) {
+  return Object.fromEntries(Object.entries(records)
+    .filter(([, record]) => record.同步时间 > since)
+    .map(([key, { 值, 更新时间 }]) => [key, { 值, 更新时间 }]));
+}
+
+// 检查客户端提交的一个集合，返回 { 记录, 错误 }
+function validateRecords(集合, records) {
+  if (!records || typeof records !== 'object' || Array.isArray(records)) {
+    return { 记录: {}, 错误: [`${集合}应为以记录键为属性的对象`] };
+  }
+
+  const 记录 = {};
+  const 错误 = [];
+
+  Object.entries(records).forEach(([key, record]) => {
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      错误.push(`${集合}的记录键长度应为1-${MAX_KEY_LENGTH}个字符`);
+    } else if (!(Number(record?.更新时间) > 0)) {
+      错误.push(`${集合}的记录 ${key} 缺少更新时间`);
+    } else if (record.值 === undefined) {
+      错误.push(`${集合}的记录 ${key} 缺少值，删除请使用null`);
+    } else if (集合 === '收藏' && record.值 !== true && record.值 !== null) {
+      错误.push(`收藏的值只能是true或null`);
+    } else if (集合 === '历史' && record.值 !== null && typeof record.值 !== 'object') {
+      错误.push(`历史记录 ${key} 的值应为对象或null`);
+    } else {
+      记录[key] = { 值: record.值, 更新时间: Number(record.更新时间) };
+    }
+  });
+
+  return { 记录, 错误 };
+}
+
+function syncKey(用户) {
+  return `sync:${用户.sub}`;
+}
+
+// 同步接口，需要登录：
+// GET  /api/sync[/集合]?since=服务器时间  拉取之后的变化
+// POST /api/sync          { 变更: { 收藏: {...}, 历史: {...}, 设置: {...} }, since }
+// POST /api/sync/集合      { 记录: {...}, since }
+// 返回 { 成功, 变更: { 集合: { 键: { 值, 更新时间 } } }, 服务器时间, 冲突 }
+export async function handleSync(request, env, corsHeaders, 用户) {
+  const url = new URL(request.url);
+  const name = url.pathname.replace(/^\/api\/sync\/?/, '');
+  const 集合列表 = name ? [SYNC_COLLECTIONS[name]].filter(Boolean) : Object.values(SYNC_COLLECTIONS);
+
+  if (集合列表.length === 0) {
+    return syncError('未找到该同步接口', 404, corsHeaders, { available: Object.keys(SYNC_COLLECTIONS) });
+  }
+
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return syncError('只支持GET和POST请求', 405, corsHeaders);
+  }
+
+  let since = Number(url.searchParams.get('since')) || 0;
+  let incoming = {};
+
+  if (request.method === 'POST') {
+    const text = await request.text();
+    if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) {
+      return syncError('提交的数据过大', 413, corsHeaders);
+    }
+
+    let 数据;
+    try {
+      数据 = JSON.parse(text || '{}');
+    } catch (error) {
+      return syncError('请求体不是有效的JSON', 400, corsHeaders);
+    }
+
+    if (!数据 || typeof 数据 !== 'object' || Array.isArray(数据)) {
+      return syncError('请求体必须是JSON对象', 400, corsHeaders);
+    }
+
+    since = Number(数据.since) || since;
+    const 变更 = name ? { [集合列表[0]]: 数据.记录 || {} } : (数据.变更 || {});
+    const 错误 = [];
+
+    集合列表.forEach(集合 => {
+      if (变更[集合] === undefined) return;
+      const result = validateRecords(集合, 变更[集合]);
+      incoming[集合] = result.记录;
+      错误.push(...result.错误);
+    });
+
+    const count = Object.values(incoming).reduce((sum, records) => sum + Object.keys(records).length, 0);
+    if (count > MAX_RECORDS_PER_REQUEST) {
+      错误.push(`一次最多提交${MAX_RECORDS_PER_REQUEST}条记录`);
+    }
+
+    if (错误.length > 0) {
+      return syncError('同步数据无效', 400, corsHeaders, { 详情: 错误.slice(0, 20) });
+    }
+  }
+
+  const now = Date.now();
+  const stored = (await env.USER_DATA.get(syncKey(用户), 'json')) || {};
+  let 冲突 = 0;
+
+  if (Object.keys(incoming).length > 0) {
+    Object.entries(incoming).forEach(([集合, records]) => {
+      const result = mergeRecords(stored[集合] || {}, records, now);
+      stored[集合] = pruneRecords(集合, result.记录, now);
+      冲突 += result.冲突;
+    });
+    await env.USER_DATA.put(syncKey(用户), JSON.stringify(stored));
+  }
+
+  return new Response(JSON.stringify({
+    成功: true,
+    变更: Object.fromEntries(集合列表.map(集合 => [集合, changesSince(stored[集合] || {}, since)])),
+    服务器时间: now,
+    冲突
+  }), { headers: corsHeaders });
+}
+
+function syncError(错误, status, corsHeaders, extra = {}) {
+  return new Response(JSON.stringify({
+    成功: false,
+    错误,
+    ...extra
+  }), {
+    status,
+    headers: corsHeaders
+  });
+}
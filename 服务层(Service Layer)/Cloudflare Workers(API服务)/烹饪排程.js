@@ -0,0 +1,248 @@
+// 烹饪排程 - Worker 和前端共用的多道菜烹饪时间线
+//
+// 把每道菜的 烹饪步骤 排进同一条时间线，让所有菜在开饭时同时做好：
+//   主动步骤  切配、翻炒等需要人一直操作，占用一双手
+//   被动步骤  腌制、炖煮、蒸等放着等的步骤，不占手，可以同时做别的
+//   灶眼      炒、煮、蒸等要在灶上进行的步骤占用一个灶眼
+//   依赖      同一道菜的步骤默认按顺序进行，菜谱可以用 依赖 写明可以并行的步骤
+//
+// 步骤的类型和灶眼按 步骤描述 中的关键词判断，菜谱也可以直接填写：
+//   { 步骤序号, 步骤描述, 预计时间, 类型: '主动' | '被动', 需要灶眼: true | false, 依赖: [步骤序号] }
+// 没有 烹饪步骤 的菜按 准备时间（主动）和 烹饪时间（在灶上）生成两步
+//
+// 排程从开饭时间往前倒排：各菜的最后一步尽量都在开饭时结束，手和灶眼不够时再往前挪，
+// 每次优先安排从这道菜开始到这一步耗时最长的步骤（关键路径）
+//
+// 本模块不读文件也不发请求，Worker 直接 import，前端用 import() 加载
+
+// 默认的厨房条件
+export const DEFAULT_KITCHEN = { 灶眼: 2, 人手: 1 };
+
+// 放着等的步骤
+const PASSIVE_KEYWORDS = ['腌', '浸泡', '泡发', '泡软', '解冻', '发酵', '醒', '静置', '冷藏', '冷冻', '晾凉', '放凉',
+  '焖', '炖', '煲', '蒸', '烤', '卤', '熬', '小火煮', '慢煮'];
+
+// 要在灶上进行的步骤；烤箱、微波炉不占灶眼
+const BURNER_KEYWORDS = ['炒', '煎', '炸', '煮', '焯', '炖', '煲', '焖', '烧', '爆香', '熬', '蒸', '卤', '沸水',
+  '热锅', '热油', '起锅', '下锅', '出锅', '收汁', '勾芡', '翻炒'];
+
+// 短于这个分钟数的 焖、蒸 等仍需要人看着，按主动步骤处理
+const PASSIVE_MIN_MINUTES = 5;
+
+// 没有预计时间的步骤按这么多分钟计算
+const DEFAULT_STEP_MINUTES = 5;
+
+// 过夜的步骤按12小时计算
+const OVERNIGHT_MINUTES = 720;
+
+const CHINESE_DIGITS = { 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+// 步骤描述中写明的最长时长（分钟），如 浸泡2小时、腌制半小时、炖一个半小时；过夜按12小时；没有时返回0
+export function parseMentionedMinutes(text) {
+  if (/过夜|隔夜|一晚|一夜/.test(text || '')) return OVERNIGHT_MINUTES;
+
+  const pattern = /(\d+(?:\.\d+)?|[一二两三四五六七八九十]+)?(个半|半)?\s*个?\s*(小时|钟头|分钟)/g;
+  let longest = 0;
+
+  for (const [, number, half, unit] of String(text || '').matchAll(pattern)) {
+    const value = (number ? parseNumber(number) : 0) + (half ? 0.5 : 0);
+    longest = Math.max(longest, unit === '分钟' ? value : value * 60);
+  }
+  return longest;
+}
+
+// 阿拉伯数字或不超过九十九的中文数字
+function parseNumber(text) {
+  if (/^\d/.test(text)) return Number(text);
+  if (!text.includes('十')) return CHINESE_DIGITS[text] || 0;
+
+  const [tens, ones] = text.split('十');
+  return (tens ? CHINESE_DIGITS[tens] || 0 : 1) * 10 + (ones ? CHINESE_DIGITS[ones] || 0 : 0);
+}
+
+// 一道菜的步骤：[{ 序号, 步骤序号, 步骤描述, 烹饪技巧, 时长, 被动, 需要灶眼, 依赖 }]，依赖 为本菜步骤的下标
+// 被动步骤的时长取 预计时间 和描述中写明的时长中较长的，如 预计时间 10 的 腌制2小时 按120分钟计算
+export function getRecipeSteps(recipe) {
+  const source = Array.isArray(recipe.烹饪步骤) && recipe.烹饪步骤.length > 0
+    ? recipe.烹饪步骤
+    : fallbackSteps(recipe);
+
+  const steps = source.map((step, index) => {
+    const text = step.步骤描述 || '';
+    const declared = Number(step.预计时间) || 0;
+    const mentioned = parseMentionedMinutes(text);
+    const passiveWord = PASSIVE_KEYWORDS.some(keyword => text.includes(keyword));
+    const 被动 = step.类型 ? step.类型 === '被动'
+      : passiveWord && Math.max(declared, mentioned) >= PASSIVE_MIN_MINUTES;
+    const 时长 = Math.max(1, Math.round(被动 ? Math.max(declared, mentioned) : declared || mentioned || DEFAULT_STEP_MINUTES));
+
+    return {
+      序号: index,
+      步骤序号: step.步骤序号 ?? index + 1,
+      步骤描述: text,
+      烹饪技巧: step.烹饪技巧 || '',
+      时长,
+      被动,
+      需要灶眼: typeof step.需要灶眼 === 'boolean' ? step.需要灶眼 : BURNER_KEYWORDS.some(keyword => text.includes(keyword)),
+      依赖: step.依赖
+    };
+  });
+
+  // 写明的依赖换成下标；没写的依赖上一步；有环时全部按顺序进行
+  const indexOf = new Map(steps.map((step, index) => [step.步骤序号, index]));
+  steps.forEach((step, index) => {
+    step.依赖 = Array.isArray(step.依赖)
+      ? step.依赖.map(number => indexOf.get(number)).filter(i => i !== undefined && i !== index)
+      : index > 0 ? [index - 1] : [];
+  });
+  if (hasCycle(steps)) {
+    steps.forEach((step, index) => { step.依赖 = index > 0 ? [index - 1] : []; });
+  }
+
+  return steps;
+}
+
+function fallbackSteps(recipe) {
+  const steps = [];
+  if (recipe.准备时间) {
+    steps.push({ 步骤序号: 1, 步骤描述: '备料', 预计时间: recipe.准备时间, 类型: '主动', 需要灶眼: false });
+  }
+  if (recipe.烹饪时间) {
+    steps.push({ 步骤序号: steps.length + 1, 步骤描述: '烹饪', 预计时间: recipe.烹饪时间, 类型: '主动', 需要灶眼: true });
+  }
+  if (steps.length === 0) {
+    steps.push({ 步骤序号: 1, 步骤描述: '制作', 预计时间: recipe.总时间 || 30, 类型: '主动', 需要灶眼: false });
+  }
+  return steps;
+}
+
+function hasCycle(steps) {
+  const state = new Array(steps.length).fill(0);
+  const visit = index => {
+    if (state[index] === 1) return true;
+    if (state[index] === 2) return false;
+    state[index] = 1;
+    const cyclic = steps[index].依赖.some(visit);
+    state[index] = 2;
+    return cyclic;
+  };
+  return steps.some((_, index) => visit(index));
+}
+
+// 排出多道菜的烹饪时间线
+// options: { 开饭时间: 'HH:MM'（可选，提供时给出每一步的时刻）, 灶眼, 人手 }
+// 返回 {
+//   总时长, 逐道时长（一道一道做的总分钟数）, 节省, 资源: { 灶眼, 人手 },
+//   开饭时间, 开始时刻,
+//   步骤: [{ 菜品名称, 步骤序号, 步骤描述, 烹饪技巧, 类型, 需要灶眼, 开始, 结束, 时长, 开始时刻, 结束时刻 }]，按开始时间排序，
+//   菜品: [{ 菜品名称, 开始, 完成, 等待 }]，等待 为做好后到开饭的分钟数
+// }
+// 开始、结束、完成 为从开始做饭算起的分钟数
+export function scheduleCooking(recipes, options = {}) {
+  const 灶眼 = Math.max(1, parseInt(options.灶眼) || DEFAULT_KITCHEN.灶眼);
+  const 人手 = Math.max(1, parseInt(options.人手) || DEFAULT_KITCHEN.人手);
+  const dishes = (recipes || []).map(recipe => ({ recipe, steps: getRecipeSteps(recipe) }));
+
+  // 全部步骤，后继 为依赖这一步的步骤
+  const all = dishes.flatMap((dish, dishIndex) => dish.steps.map(step => ({ ...step, dishIndex, 后继: [] })));
+  const byDish = dishes.map((_, dishIndex) => all.filter(step => step.dishIndex === dishIndex));
+  all.forEach(step => {
+    step.依赖 = step.依赖.map(index => byDish[step.dishIndex][index]);
+    step.依赖.forEach(previous => previous.后继.push(step));
+  });
+
+  // 从这道菜开始到这一步结束的最长耗时，倒排时优先安排
+  const head = new Map();
+  const headOf = step => {
+    if (!head.has(step)) {
+      head.set(step, step.时长 + Math.max(0, ...step.依赖.map(headOf)));
+    }
+    return head.get(step);
+  };
+
+  // 倒排：时间从开饭往前数，usage[t] 为开饭前第 t 分钟占用的手和灶眼
+  const usage = [];
+  const fits = (start, step) => {
+    for (let t = start; t < start + step.时长; t++) {
+      const used = usage[t] || { 手: 0, 灶: 0 };
+      if (!step.被动 && used.手 + 1 > 人手) return false;
+      if (step.需要灶眼 && used.灶 + 1 > 灶眼) return false;
+    }
+    return true;
+  };
+
+  const placed = new Map();
+  while (placed.size < all.length) {
+    const ready = all.filter(step => !placed.has(step) && step.后继.every(next => placed.has(next)));
+    ready.sort((a, b) => headOf(b) - headOf(a) || a.dishIndex - b.dishIndex || a.序号 - b.序号);
+    const step = ready[0];
+
+    let start = Math.max(0, ...step.后继.map(next => placed.get(next) + next.时长));
+    while (!fits(start, step)) start++;
+
+    for (let t = start; t < start + step.时长; t++) {
+      const used = usage[t] || (usage[t] = { 手: 0, 灶: 0 });
+      if (!step.被动) used.手++;
+      if (step.需要灶眼) used.灶++;
+    }
+    placed.set(step, start);
+  }
+
+  const 总时长 = Math.max(0, ...all.map(step => placed.get(step) + step.时长));
+  const serve = parseClock(options.开饭时间);
+
+  const 步骤 = all.map(step => {
+    const 开始 = 总时长 - placed.get(step) - step.时长;
+    const 结束 = 开始 + step.时长;
+    return {
+      菜品名称: dishes[step.dishIndex].recipe.菜品名称,
+      步骤序号: step.步骤序号,
+      步骤描述: step.步骤描述,
+      烹饪技巧: step.烹饪技巧,
+      类型: step.被动 ? '被动' : '主动',
+      需要灶眼: step.需要灶眼,
+      开始,
+      结束,
+      时长: step.时长,
+      ...(serve !== null ? {
+        开始时刻: formatClock(serve - 总时长 + 开始),
+        结束时刻: formatClock(serve - 总时长 + 结束)
+      } : {})
+    };
+  }).sort((a, b) => a.开始 - b.开始 || a.结束 - b.结束);
+
+  const 逐道时长 = all.reduce((sum, step) => sum + step.时长, 0);
+
+  return {
+    总时长,
+    逐道时长,
+    节省: 逐道时长 - 总时长,
+    资源: { 灶眼, 人手 },
+    ...(serve !== null ? { 开饭时间: formatClock(serve), 开始时刻: formatClock(serve - 总时长) } : {}),
+    步骤,
+    菜品: dishes.map((dish, dishIndex) => {
+      const own = byDish[dishIndex];
+      const 完成 = Math.max(...own.map(step => 总时长 - placed.get(step)));
+      return {
+        菜品名称: dish.recipe.菜品名称,
+        开始: Math.min(...own.map(step => 总时长 - placed.get(step) - step.时长)),
+        完成,
+        等待: 总时长 - 完成
+      };
+    })
+  };
+}
+
+// 'HH:MM' 换算为当天的分钟数，无效时返回null
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text ?? '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// 分钟数写成时刻，早于当天零点的写成 前一天 HH:MM
+function formatClock(minutes) {
+  const day = Math.floor(minutes / 1440);
+  const rest = minutes - day * 1440;
+  const clock = `${String(Math.floor(rest / 60)).padStart(2, '0')}:${String(rest % 60).padStart(2, '0')}`;
+  return day < 0 ? `前一天 ${clock}` : clock;
+}
@@ -0,0 +1,86 @@
+// 现有食材 - 按家里已有的食材推荐菜谱
+//
+// 参数格式: 名称[:过期日期或剩余天数]，多个食材用逗号分隔
+//   如 番茄:2026-10-20,鸡蛋:2,豆腐
+// 按菜谱 食材列表 中已有食材的比例排序，快过期的食材优先用掉
+
+import { cleanName } from './食材解析.js';
+
+// 剩余天数不超过该值的食材算作临期，越接近过期越优先
+const EXPIRING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 解析现有食材参数，date 为推荐日期（用于计算剩余天数）
+// 这里只去掉空格和括号，别名在匹配时由 IngredientResolver 处理
+export function parseAvailableIngredients(text, date) {
+  if (!text) return [];
+
+  const seen = new Set();
+  return text.split(',').map(part => {
+    const [rawName, expiry] = part.split(/[:：]/).map(item => item.trim());
+    const 名称 = cleanName(rawName);
+    if (!名称 || seen.has(名称)) return null;
+    seen.add(名称);
+
+    let 剩余天数 = null;
+    if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(expiry || '')) {
+      const [year, month, day] = expiry.split('-').map(Number);
+      剩余天数 = Math.round((Date.UTC(year, month - 1, day) - date) / DAY_MS);
+    } else if (/^-?\d+$/.test(expiry || '')) {
+      剩余天数 = parseInt(expiry);
+    }
+
+    return { 名称, 剩余天数 };
+  }).filter(Boolean);
+}
+
+// 临期程度：已过期或1天内过期为1，EXPIRING_DAYS 天以上为0
+function urgency(item) {
+  if (item.剩余天数 === null) return 0;
+  return Math.max(0, Math.min(1, (EXPIRING_DAYS - item.剩余天数) / (EXPIRING_DAYS - 1)));
+}
+
+// 菜谱 食材列表 与现有食材的匹配情况，resolver 为 IngredientResolver
+export function matchAvailable(recipe, available, resolver) {
+  const names = [...new Set((recipe.标准份量?.食材列表 || []).map(item => item.食材名称).filter(Boolean))];
+  const 已有 = [];
+  const 缺少 = [];
+  const used = [];
+
+  names.forEach(name => {
+    const match = available.find(item => resolver.isSame(name, item.名称));
+    if (match) {
+      已有.push(name);
+      used.push(match);
+    } else {
+      缺少.push(name);
+    }
+  });
+
+  const 临期 = used.filter(item => urgency(item) > 0);
+
+  return {
+    覆盖率: names.length > 0 ? 已有.length / names.length : 0,
+    已有,
+    缺少,
+    临期食材: 临期.map(item => item.名称),
+    临期程度: Math.max(0, ...used.map(urgency))
+  };
+}
+
+// 按覆盖率排序（覆盖率相同时先用临期食材），只保留至少用到一种现有食材的菜谱
+export function rankByAvailable(recipes, available, resolver, limit = 10) {
+  return recipes
+    .map(recipe => ({ recipe, match: matchAvailable(recipe, available, resolver) }))
+    .filter(({ match }) => match.已有.length > 0)
+    .sort((a, b) => b.match.覆盖率 - a.match.覆盖率 || b.match.临期程度 - a.match.临期程度)
+    .slice(0, limit)
+    .map(({ recipe, match }) => ({
+      菜品名称: recipe.菜品名称,
+      菜品标识: recipe.菜品标识,
+      覆盖率: Math.round(match.覆盖率 * 100),
+      缺少: match.缺少,
+      临期食材: match.临期食材
+    }));
+}
@@ -1 +1,326 @@
+// 用户服务 - 注册、登录和令牌
+//
+// 账号保存在 USER_DATA（KV）中，键为 user:用户名；密码用 Web Crypto 的 PBKDF2 加盐哈希后保存
+// 登录后签发 JWT（HS256）：访问令牌有效期短，放在 Authorization: Bearer 中访问需要认证的接口；
+// 刷新令牌有效期长，只用于换取新的令牌。刷新令牌带有账号的令牌版本，退出登录时版本加一，
+// 之前签发的刷新令牌全部失效；访问令牌不查账号，到期前仍然有效
+// 签名密钥为 JWT_SECRET，用 wrangler secret put JWT_SECRET 设置
 
+import 访问控制 from '../../配置层 (Configuration Layer)/安全配置/访问控制.json' with { type: 'json' };
+
+const { 令牌有效期, 密码: 密码规则, 用户名: 用户名规则 } = 访问控制;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ============================================
+// 编码
+// ============================================
+
+function toBase64Url(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// 长度相同时逐位比较完，不因为第一个不同的字符提前返回
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// ============================================
+// 密码
+// ============================================
+
+// 计算密码哈希，返回 { 算法, 迭代次数, 盐, 哈希 }，盐和哈希为 base64url
+export async function hashPassword(password, { 盐 = null, 迭代次数 = 密码规则.迭代次数 } = {}) {
+  const salt = 盐 ? fromBase64Url(盐) : crypto.getRandomValues(new Uint8Array(密码规则.盐长度));
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: 迭代次数 },
+    key,
+    256
+  );
+
+  return {
+    算法: 密码规则.算法,
+    迭代次数,
+    盐: toBase64Url(salt),
+    哈希: toBase64Url(bits)
+  };
+}
+
+// 按保存的盐和迭代次数重新计算后比较
+export async function verifyPassword(password, record) {
+  if (!record?.盐 || !record?.哈希) return false;
+
+  const { 哈希 } = await hashPassword(password, { 盐: record.盐, 迭代次数: record.迭代次数 });
+  return safeEqual(哈希, record.哈希);
+}
+
+// ============================================
+// 令牌
+// ============================================
+
+function getSecret(env) {
+  if (!env.JWT_SECRET) {
+    throw new Error('未配置JWT_SECRET');
+  }
+  return env.JWT_SECRET;
+}
+
+function importSigningKey(secret) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// 签发令牌，payload 中的 iat、exp 由这里填写
+export async function signToken(payload, secret, 有效秒数) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = toBase64Url(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const body = toBase64Url(encoder.encode(JSON.stringify({ ...payload, iat: now, exp: now + 有效秒数 })));
+
+  const key = await importSigningKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${body}`));
+
+  return `${header}.${body}.${toBase64Url(signature)}`;
+}
+
+// 验证签名、有效期和令牌类型（access 或 refresh），有效时返回 payload，否则返回null
+export async function verifyToken(token, secret, 类型 = 'access') {
+  const parts = String(token ?? '').split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const [header, body, signature] = parts;
+    if (JSON.parse(decoder.decode(fromBase64Url(header))).alg !== 'HS256') return null;
+
+    const key = await importSigningKey(secret);
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(`${header}.${body}`));
+    if (!valid) return null;
+
+    const payload = JSON.parse(decoder.decode(fromBase64Url(body)));
+    if (payload.typ !== 类型 || !(payload.exp > Date.now() / 1000)) return null;
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 签发一对令牌
+async function issueTokens(user, env) {
+  const secret = getSecret(env);
+  const subject = { sub: user.用户标识, name: user.用户名 };
+
+  return {
+    访问令牌: await signToken({ ...subject, typ: 'access' }, secret, 令牌有效期.访问令牌),
+    刷新令牌: await signToken({ ...subject, typ: 'refresh', ver: user.令牌版本 }, secret, 令牌有效期.刷新令牌),
+    令牌类型: 'Bearer',
+    有效期: 令牌有效期.访问令牌
+  };
+}
+
+// ============================================
+// 账号
+// ============================================
+
+// 用户名不区分大小写
+export function normalizeUsername(name) {
+  return String(name ?? '').normalize('NFKC').trim().toLowerCase();
+}
+
+export async function getUser(env, 用户名) {
+  const name = normalizeUsername(用户名);
+  return name ? env.USER_DATA.get(`user:${name}`, 'json') : null;
+}
+
+async function saveUser(env, user) {
+  await env.USER_DATA.put(`user:${user.用户名}`, JSON.stringify(user));
+}
+
+// 返回给客户端的账号信息，不含密码
+export function publicProfile(user) {
+  return {
+    用户标识: user.用户标识,
+    用户名: user.用户名,
+    昵称: user.昵称,
+    创建时间: user.创建时间
+  };
+}
+
+function validateCredentials(用户名, 密码) {
+  const errors = [];
+
+  if (用户名.length < 用户名规则.最短长度 || 用户名.length > 用户名规则.最长长度) {
+    errors.push(`用户名应为${用户名规则.最短长度}-${用户名规则.最长长度}个字符`);
+  } else if (!/^[\p{L}\p{N}_-]+$/u.test(用户名)) {
+    errors.push('用户名只能包含文字、数字、下划线和连字符');
+  }
+
+  if (typeof 密码 !== 'string' || 密码.length < 密码规则.最短长度) {
+    errors.push(`密码至少需要${密码规则.最短长度}个字符`);
+  }
+
+  return errors;
+}
+
+// ============================================
+// 接口
+// ============================================
+
+// 认证接口：/api/auth/register、/api/auth/login、/api/auth/refresh、/api/auth/logout，都只支持POST
+export async function handleAuth(request, env, corsHeaders) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({
+      error: '只支持POST请求'
+    }), {
+      status: 405,
+      headers: corsHeaders
+    });
+  }
+
+  let 数据;
+  try {
+    数据 = await request.json();
+  } catch (error) {
+    数据 = {};
+  }
+
+  if (!数据 || typeof 数据 !== 'object' || Array.isArray(数据)) {
+    return authError('请求体必须是JSON对象', 400, corsHeaders);
+  }
+
+  const action = new URL(request.url).pathname.split('/').pop();
+  switch (action) {
+    case 'register':
+      return register(数据, env, corsHeaders);
+    case 'login':
+      return login(数据, env, corsHeaders);
+    case 'refresh':
+      return refresh(数据, env, corsHeaders);
+    case 'logout':
+      return logout(数据, env, corsHeaders);
+    default:
+      return authError('未找到该认证接口', 404, corsHeaders);
+  }
+}
+
+// 当前账号信息：GET /api/user，用户由访问控制中间件从访问令牌中取得
+export async function handleUser(request, env, corsHeaders, 认证用户) {
+  const user = await getUser(env, 认证用户.name);
+  if (!user || user.用户标识 !== 认证用户.sub) {
+    return authError('账号不存在', 404, corsHeaders);
+  }
+
+  return new Response(JSON.stringify({
+    成功: true,
+    用户: publicProfile(user)
+  }, null, 2), { headers: corsHeaders });
+}
+
+async function register(数据, env, corsHeaders) {
+  const 用户名 = normalizeUsername(数据.用户名);
+  const errors = validateCredentials(用户名, 数据.密码);
+  if (errors.length > 0) {
+    return authError('注册信息无效', 400, corsHeaders, errors);
+  }
+
+  // KV 没有事务，几乎同时注册同一个用户名时后写入的会覆盖先写入的
+  if (await getUser(env, 用户名)) {
+    return authError('用户名已被注册', 409, corsHeaders);
+  }
+
+  const user = {
+    用户标识: `U${crypto.randomUUID().replace(/-/g, '')}`,
+    用户名,
+    昵称: String(数据.昵称 || 数据.用户名).trim().slice(0, 32),
+    密码: await hashPassword(数据.密码),
+    令牌版本: 1,
+    创建时间: new Date().toISOString()
+  };
+  await saveUser(env, user);
+
+  return new Response(JSON.stringify({
+    成功: true,
+    用户: publicProfile(user),
+    ...(await issueTokens(user, env))
+  }, null, 2), {
+    status: 201,
+    headers: corsHeaders
+  });
+}
+
+async function login(数据, env, corsHeaders) {
+  const user = await getUser(env, 数据.用户名);
+
+  // 用户不存在时也计算一次哈希，避免从响应时间判断用户名是否已注册
+  const valid = user
+    ? await verifyPassword(String(数据.密码 ?? ''), user.密码)
+    : (await hashPassword(String(数据.密码 ?? '')), false);
+
+  if (!valid) {
+    return authError('用户名或密码错误', 401, corsHeaders);
+  }
+
+  return new Response(JSON.stringify({
+    成功: true,
+    用户: publicProfile(user),
+    ...(await issueTokens(user, env))
+  }, null, 2), { headers: corsHeaders });
+}
+
+// 用刷新令牌换取新的一对令牌
+async function refresh(数据, env, corsHeaders) {
+  const payload = await verifyToken(数据.刷新令牌, getSecret(env), 'refresh');
+  const user = payload ? await getUser(env, payload.name) : null;
+
+  if (!user || user.用户标识 !== payload.sub || user.令牌版本 !== payload.ver) {
+    return authError('刷新令牌无效或已过期', 401, corsHeaders);
+  }
+
+  return new Response(JSON.stringify({
+    成功: true,
+    ...(await issueTokens(user, env))
+  }, null, 2), { headers: corsHeaders });
+}
+
+// 退出登录：使这个账号已签发的刷新令牌全部失效
+async function logout(数据, env, corsHeaders) {
+  const payload = await verifyToken(数据.刷新令牌, getSecret(env), 'refresh');
+  const user = payload ? await getUser(env, payload.name) : null;
+
+  if (user && user.用户标识 === payload.sub && user.令牌版本 === payload.ver) {
+    user.令牌版本 += 1;
+    await saveUser(env, user);
+  }
+
+  return new Response(JSON.stringify({
+    成功: true,
+    消息: '已退出登录'
+  }), { headers: corsHeaders });
+}
+
+function authError(错误, status, corsHeaders, 详情 = null) {
+  return new Response(JSON.stringify({
+    成功: false,
+    错误,
+    ...(详情 ? { 详情 } : {})
+  }), {
+    status,
+    headers: corsHeaders
+  });
+}
@@ -0,0 +1,280 @@
+// 用量解析 - Worker、前端和工具共用的菜谱用量解析与换算
+//
+// 菜谱的 用量 是字符串，如 "500"、"1.5"、"半"、"两"、"1/2"、"三分之一"、"1又1/2"、"一百二十"、"2-3"、"适量"，
+// 有的把单位也写在用量里，如 "2汤匙"、"1个半"
+// 解析结果为 { 最小, 最大, 单位, 定性 }：
+//   数值用量 最小/最大 相同时为确定值，不同时为范围；定性 为 null
+//   定性用量（适量、少许等）没有数值，最小/最大 为 null，定性 为原写法
+//
+// 重量单位之间、体积单位之间可以互相换算；个、根、片 等计数单位只能和相同单位相加，
+// 或者由调用方提供单位重量后用 convertWithUnitWeight 和重量互相换算
+//
+// 本模块不读文件也不发请求，Worker 和工具直接 import，前端用 import() 加载
+
+// 没有具体数值的用量
+export const QUALITATIVE_AMOUNTS = ['适量', '少许', '少量', '若干', '按口味', '按需'];
+
+// 可换算的单位，换算值为对应基准单位（克、毫升）的数量
+export const UNIT_TABLE = {
+  克: { 类型: '重量', 换算: 1 },
+  g: { 类型: '重量', 换算: 1 },
+  千克: { 类型: '重量', 换算: 1000 },
+  公斤: { 类型: '重量', 换算: 1000 },
+  kg: { 类型: '重量', 换算: 1000 },
+  斤: { 类型: '重量', 换算: 500 },
+  两: { 类型: '重量', 换算: 50 },
+  毫升: { 类型: '体积', 换算: 1 },
+  ml: { 类型: '体积', 换算: 1 },
+  升: { 类型: '体积', 换算: 1000 },
+  汤匙: { 类型: '体积', 换算: 15 },
+  大勺: { 类型: '体积', 换算: 15 },
+  勺: { 类型: '体积', 换算: 15 },
+  茶匙: { 类型: '体积', 换算: 5 },
+  小勺: { 类型: '体积', 换算: 5 },
+  杯: { 类型: '体积', 换算: 240 }
+};
+
+const BASE_UNITS = { 重量: '克', 体积: '毫升' };
+
+const CHINESE_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_UNITS = { 十: 10, 百: 100, 千: 1000 };
+
+// 范围的分隔符，如 2-3、2~3、两到三
+const RANGE_SEPARATOR = /\s*(?:-|~|～|—|至|到)\s*/;
+
+// 数字部分可能用到的字符，其余视为写在用量里的单位
+// 不含 千，否则 1千克 会被拆成 1千 和 克
+const NUMBER_CHARS = '0-9.\\/半零一二两三四五六七八九十百又分之';
+
+// 解析单个数字：500、1.5、1/2、半、一半、两、十二、一百二十、三分之一、1又1/2、一又二分之一；
+// 无法解析时返回null
+export function parseNumber(text) {
+  const value = String(text ?? '').trim();
+  if (value === '') return null;
+
+  // 带分数，如 1又1/2、一又二分之一，又 后面必须是小于1的分数
+  const mixed = /^(.+?)又(.+)$/.exec(value);
+  if (mixed) {
+    const whole = parseNumber(mixed[1]);
+    const part = parseNumber(mixed[2]);
+    return whole !== null && part !== null && part < 1 ? whole + part : null;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  const fraction = /^(\d+)\s*\/\s*(\d+)$/.exec(value);
+  if (fraction) return Number(fraction[2]) > 0 ? Number(fraction[1]) / Number(fraction[2]) : null;
+
+  // 三分之一：分母在前
+  const chineseFraction = /^(.+)分之(.+)$/.exec(value);
+  if (chineseFraction) {
+    const denominator = parseNumber(chineseFraction[1]);
+    const numerator = parseNumber(chineseFraction[2]);
+    return denominator > 0 && numerator !== null ? numerator / denominator : null;
+  }
+
+  if (value === '半' || value === '一半') return 0.5;
+
+  return parseChineseInteger(value);
+}
+
+// 解析中文整数：两、十二、二十五、一百零五、一百二十、两千；
+// 百、千 后面直接跟一个数字时是省略的写法，如 一百二 = 120
+function parseChineseInteger(text) {
+  let total = 0;
+  let digit = null;
+  let lastUnit = Infinity;
+  let afterZero = false;
+
+  for (const char of text) {
+    if (char in CHINESE_DIGITS) {
+      // 两个数字连写（如 三五）没有确定的值
+      if (digit !== null && digit !== 0) return null;
+      if (char === '零') afterZero = true;
+      digit = CHINESE_DIGITS[char];
+      continue;
+    }
+
+    const unit = CHINESE_UNITS[char];
+    // 单位必须从大到小，如 一百二十，不能是 十百
+    if (!unit || unit >= lastUnit) return null;
+
+    total += (digit ?? 1) * unit;
+    digit = null;
+    lastUnit = unit;
+    afterZero = false;
+  }
+
+  if (digit === null) return total;
+
+  const abbreviated = lastUnit !== Infinity && lastUnit >= 100 && !afterZero;
+  return total + (abbreviated ? digit * lastUnit / 10 : digit);
+}
+
+// 解析用量，unit 为菜谱中单独填写的 单位；无法解析时返回null
+export function parseQuantity(amount, unit = '') {
+  if (typeof amount === 'number') {
+    return Number.isFinite(amount) ? { 最小: amount, 最大: amount, 单位: unit || '', 定性: null } : null;
+  }
+
+  let text = String(amount ?? '').trim().replace(/^(约|大约)/, '').replace(/(左右|上下)$/, '').trim();
+  let quantityUnit = unit || '';
+
+  const qualitative = QUALITATIVE_AMOUNTS.find(word => text.startsWith(word));
+  if (qualitative || text === '') {
+    return text === '' && !quantityUnit ? null : { 最小: null, 最大: null, 单位: quantityUnit, 定性: qualitative || '适量' };
+  }
+
+  // 用量里带单位，如 2汤匙、1个半、二两
+  let extra = 0;
+  const embedded = new RegExp(`^([${NUMBER_CHARS}\\s\\-~～—至到]+?)\\s*([^${NUMBER_CHARS}\\s]+)(半?)$`).exec(text);
+  if (embedded && !quantityUnit) {
+    text = embedded[1];
+    quantityUnit = embedded[2];
+    extra = embedded[3] ? 0.5 : 0;
+  } else if (!quantityUnit && text.length > 1 && text.endsWith('两')) {
+    text = text.slice(0, -1);
+    quantityUnit = '两';
+  }
+
+  const parts = text.split(RANGE_SEPARATOR);
+  if (parts.length > 2) return null;
+
+  const first = parseNumber(parts[0]);
+  const last = parts.length === 2 ? parseNumber(parts[1]) : first;
+  if (first === null || last === null) return null;
+
+  const min = first + (parts.length === 1 ? extra : 0);
+  const max = last + extra;
+
+  return {
+    最小: Math.min(min, max),
+    最大: Math.max(min, max),
+    单位: quantityUnit,
+    定性: null
+  };
+}
+
+export function isQualitative(quantity) {
+  return Boolean(quantity?.定性);
+}
+
+// 单位的类型：重量、体积，其他单位为null
+export function unitType(unit) {
+  return UNIT_TABLE[unit]?.类型 || null;
+}
+
+// 按比例缩放，如按用餐人数调整
+export function scaleQuantity(quantity, ratio) {
+  if (!quantity || isQualitative(quantity)) return quantity;
+
+  return {
+    ...quantity,
+    最小: round(quantity.最小 * ratio),
+    最大: round(quantity.最大 * ratio)
+  };
+}
+
+// 换算为指定单位，不能换算时返回null
+export function convertQuantity(quantity, unit) {
+  if (!quantity) return null;
+  if (quantity.单位 === unit) return quantity;
+  if (isQualitative(quantity)) return { ...quantity, 单位: unit };
+
+  const from = UNIT_TABLE[quantity.单位];
+  const to = UNIT_TABLE[unit];
+  if (!from || !to || from.类型 !== to.类型) return null;
+
+  const factor = from.换算 / to.换算;
+  return {
+    ...quantity,
+    最小: round(quantity.最小 * factor),
+    最大: round(quantity.最大 * factor),
+    单位: unit
+  };
+}
+
+// 换算为指定单位，个、根等计数单位和重量之间按单位重量换算，不能换算时返回null
+// getUnitWeight(单位) 返回每个计数单位的克数，没有数据时返回null，通常由 IngredientResolver.getUnitWeight 提供
+export function convertWithUnitWeight(quantity, unit, getUnitWeight) {
+  const direct = convertQuantity(quantity, unit);
+  if (direct || isQualitative(quantity)) return direct;
+
+  let grams;
+  if (unitType(quantity.单位) === '重量') {
+    grams = convertQuantity(quantity, '克');
+  } else {
+    const weight = getUnitWeight(quantity.单位);
+    if (!weight) return null;
+    grams = { ...quantity, 最小: round(quantity.最小 * weight), 最大: round(quantity.最大 * weight), 单位: '克' };
+  }
+  if (!grams) return null;
+
+  if (unitType(unit) === '重量') return convertQuantity(grams, unit);
+
+  const weight = getUnitWeight(unit);
+  if (!weight) return null;
+  return { ...grams, 最小: round(grams.最小 / weight), 最大: round(grams.最大 / weight), 单位: unit };
+}
+
+// 换算为基准单位（克、毫升），其他单位保持不变
+export function toBaseUnit(quantity) {
+  const type = unitType(quantity?.单位);
+  return type ? convertQuantity(quantity, BASE_UNITS[type]) : quantity;
+}
+
+// 两个用量能否相加
+export function isCompatible(a, b) {
+  if (!a || !b || isQualitative(a) || isQualitative(b)) return true;
+  if (a.单位 === b.单位) return true;
+
+  const type = unitType(a.单位);
+  return type !== null && type === unitType(b.单位);
+}
+
+// 两个用量相加，结果使用第一个用量的单位；单位不能换算时返回null
+// 定性用量加数值用量时取数值用量，两个定性用量相加保留第一个
+export function addQuantities(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  if (isQualitative(b)) return a;
+  if (isQualitative(a)) return b;
+  if (!isCompatible(a, b)) return null;
+
+  const converted = convertQuantity(b, a.单位);
+  return {
+    ...a,
+    最小: round(a.最小 + converted.最小),
+    最大: round(a.最大 + converted.最大)
+  };
+}
+
+// 换成便于购买的单位：重量按大小用 斤/两/克，体积用 升/毫升，其他单位不变
+export function simplifyQuantity(quantity) {
+  if (!quantity || isQualitative(quantity)) return quantity;
+
+  const type = unitType(quantity.单位);
+  if (type === '重量') {
+    const grams = toBaseUnit(quantity).最大;
+    return convertQuantity(quantity, grams >= 500 ? '斤' : grams >= 50 ? '两' : '克');
+  }
+  if (type === '体积') {
+    return convertQuantity(quantity, toBaseUnit(quantity).最大 >= 1000 ? '升' : '毫升');
+  }
+  return quantity;
+}
+
+// 格式化为文字，如 300克、2-3个、适量
+export function formatQuantity(quantity) {
+  if (!quantity) return '';
+  if (isQualitative(quantity)) return quantity.定性;
+
+  const value = quantity.最小 === quantity.最大
+    ? `${round(quantity.最小)}`
+    : `${round(quantity.最小)}-${round(quantity.最大)}`;
+  return `${value}${quantity.单位 || ''}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,146 @@
+// 节气历法 - 计算二十四节气和即将到来的传统节日
+//
+// 节气用寿星公式推算（适用于2001-2099年，个别年份按已知偏差修正）
+// 农历节日无法用公式推算，使用内置的公历日期对照表
+// 所有日期均按北京时间处理，内部以UTC零点表示某一天
+
+// 节气名称及21世纪的C值，按公历顺序从小寒开始
+const SOLAR_TERMS = [
+  ['小寒', 5.4055], ['大寒', 20.12], ['立春', 3.87], ['雨水', 18.73],
+  ['惊蛰', 5.63], ['春分', 20.646], ['清明', 4.81], ['谷雨', 20.1],
+  ['立夏', 5.52], ['小满', 21.04], ['芒种', 5.678], ['夏至', 21.37],
+  ['小暑', 7.108], ['大暑', 22.83], ['立秋', 7.5], ['处暑', 23.13],
+  ['白露', 7.646], ['秋分', 23.042], ['寒露', 8.318], ['霜降', 23.438],
+  ['立冬', 7.438], ['小雪', 22.36], ['大雪', 7.18], ['冬至', 21.94]
+];
+
+// 寿星公式在21世纪的已知偏差（天）
+const SOLAR_TERM_CORRECTIONS = {
+  2002: { 立秋: 1 },
+  2008: { 小满: 1 },
+  2016: { 小暑: 1 },
+  2019: { 小寒: -1 },
+  2021: { 冬至: -1 },
+  2026: { 雨水: -1 },
+  2082: { 大寒: 1 },
+  2084: { 春分: 1 },
+  2089: { 霜降: 1, 立冬: 1 }
+};
+
+// 农历节日的公历日期（春节为正月初一，端午为五月初五，中秋为八月十五）
+const LUNAR_FESTIVALS = {
+  2024: { 春节: '02-10', 端午: '06-10', 中秋: '09-17' },
+  2025: { 春节: '01-29', 端午: '05-31', 中秋: '10-06' },
+  2026: { 春节: '02-17', 端午: '06-19', 中秋: '09-25' },
+  2027: { 春节: '02-06', 端午: '06-09', 中秋: '09-15' },
+  2028: { 春节: '01-26', 端午: '05-28', 中秋: '10-03' },
+  2029: { 春节: '02-13', 端午: '06-16', 中秋: '09-22' },
+  2030: { 春节: '02-03', 端午: '06-05', 中秋: '09-12' },
+  2031: { 春节: '01-23', 端午: '06-24', 中秋: '10-01' },
+  2032: { 春节: '02-11', 端午: '06-12', 中秋: '09-19' },
+  2033: { 春节: '01-31', 端午: '06-01', 中秋: '09-08' },
+  2034: { 春节: '02-19', 端午: '06-20', 中秋: '09-27' },
+  2035: { 春节: '02-08', 端午: '06-10', 中秋: '09-16' }
+};
+
+// 以节气为日期的节日
+const SOLAR_TERM_FESTIVALS = ['清明', '冬至'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 解析日期参数（YYYY-MM-DD），未提供时使用北京时间的今天
+// 格式不对或日期不存在时返回null，如 2026-13-45 不会顺延成另一个日期
+export function parseDate(text) {
+  if (text) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    return valid ? date : null;
+  }
+
+  const beijing = new Date(Date.now() + 8 * 60 * 60 * 1000);
+  return new Date(Date.UTC(beijing.getUTCFullYear(), beijing.getUTCMonth(), beijing.getUTCDate()));
+}
+
+// 日期加减天数
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// 格式化为 YYYY-MM-DD
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// 计算某年的全部节气日期
+export function getSolarTerms(year) {
+  const y = year % 100;
+  const corrections = SOLAR_TERM_CORRECTIONS[year] || {};
+
+  return SOLAR_TERMS.map(([名称, c], index) => {
+    // 小寒、大寒、立春、雨水在1-2月，闰年修正按上一年计算
+    const leapDays = index < 4 ? Math.floor((y - 1) / 4) : Math.floor(y / 4);
+    const day = Math.floor(y * 0.2422 + c) - leapDays + (corrections[名称] || 0);
+    const month = Math.floor(index / 2);
+
+    return { 名称, 日期: new Date(Date.UTC(year, month, day)) };
+  });
+}
+
+// 获取某天所处的节气和下一个节气
+export function getSolarTerm(date) {
+  const year = date.getUTCFullYear();
+  const terms = [
+    ...getSolarTerms(year - 1).slice(-1),
+    ...getSolarTerms(year),
+    ...getSolarTerms(year + 1).slice(0, 1)
+  ];
+
+  const nextIndex = terms.findIndex(term => term.日期 > date);
+  const current = terms[nextIndex - 1];
+  const next = terms[nextIndex];
+
+  return {
+    当前: { 名称: current.名称, 日期: formatDate(current.日期) },
+    下一个: {
+      名称: next.名称,
+      日期: formatDate(next.日期),
+      距今天数: Math.round((next.日期 - date) / DAY_MS)
+    }
+  };
+}
+
+// 获取某年的节日日期
+function getFestivals(year) {
+  const festivals = [];
+
+  const lunar = LUNAR_FESTIVALS[year] || {};
+  for (const [名称, monthDay] of Object.entries(lunar)) {
+    const [month, day] = monthDay.split('-').map(Number);
+    festivals.push({ 名称, 日期: new Date(Date.UTC(year, month - 1, day)) });
+  }
+
+  getSolarTerms(year)
+    .filter(term => SOLAR_TERM_FESTIVALS.includes(term.名称))
+    .forEach(term => festivals.push({ 名称: term.名称, 日期: term.日期 }));
+
+  return festivals;
+}
+
+// 获取当天及之后若干天内的节日，按日期排序
+// 对照表未覆盖的年份只能得到清明、冬至
+export function getUpcomingFestivals(date, days = 14) {
+  const end = addDays(date, days);
+
+  return [...getFestivals(date.getUTCFullYear()), ...getFestivals(date.getUTCFullYear() + 1)]
+    .filter(festival => festival.日期 >= date && festival.日期 <= end)
+    .sort((a, b) => a.日期 - b.日期)
+    .map(festival => ({
+      名称: festival.名称,
+      日期: formatDate(festival.日期),
+      距今天数: Math.round((festival.日期 - date) / DAY_MS)
+    }));
+}
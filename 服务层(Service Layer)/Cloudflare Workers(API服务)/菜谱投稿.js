@@ -0,0 +1,417 @@
+// 菜谱投稿 - 用户上传的菜谱以 Pull Request 的形式提交到菜谱仓库，由维护者审核
+//
+// 每次投稿在 GITHUB_REPO 上新建分支 recipe/<菜品标识>，把菜谱提交到数据层目录（DATA_ROOT）下的
+// 菜谱数据库/<季节>菜谱/<分类>/<菜品名称>.json，
+// 再向默认分支发起 Pull Request；维护者合并即为通过（approved），关闭而不合并即为未通过（rejected）
+// 投稿记录保存在 USER_DATA 中，投稿人查询时如果仍在审核中（pending），按 Pull Request 的状态更新，
+// 同一个投稿最多每 STATUS_CHECK_INTERVAL 查询一次GitHub
+// GitHub API 地址为 API_BASE_URL（默认 https://api.github.com/repos），本地开发时可以指向模拟服务；
+// GITHUB_TOKEN 需要有仓库的写权限
+// KV 没有事务，同一账号几乎同时提交两个投稿时，投稿列表中可能少记一个（投稿本身和 Pull Request 不受影响）
+
+import { githubHeaders, encodeBase64Utf8, dataPath } from './菜谱查询.js';
+
+const DEFAULT_API_BASE = 'https://api.github.com/repos';
+
+const RECIPE_DIR = '菜谱数据库';
+
+// 按季节分目录，适用季节中的月份等不作为目录
+const SEASONS = ['春季', '夏季', '秋季', '冬季'];
+
+// 请求体大小上限
+const MAX_BODY_BYTES = 64 * 1024;
+
+// 每个账号同时在审核中的投稿数，以及保留的投稿记录数
+const MAX_PENDING_PER_USER = 10;
+const MAX_SUBMISSIONS_PER_USER = 100;
+
+// 审核中的投稿查询GitHub的最短间隔
+const STATUS_CHECK_INTERVAL = 60 * 1000;
+
+// 状态说明，写在返回给客户端的投稿中
+const STATUS_LABELS = {
+  pending: '审核中',
+  approved: '已通过',
+  rejected: '未通过'
+};
+
+// ============================================
+// 接口
+// ============================================
+
+// 投稿接口，需要登录：
+// POST /api/upload              提交菜谱，返回 { 成功, 菜品标识, 投稿 }
+// GET  /api/upload              当前账号的投稿列表，最新的在前
+// GET  /api/upload/<菜品标识>    一个投稿的状态
+export async function handleUpload(request, env, corsHeaders, 用户) {
+  let 菜品标识;
+  try {
+    菜品标识 = decodeURIComponent(new URL(request.url).pathname.replace(/^\/api\/upload\/?/, ''));
+  } catch (error) {
+    return uploadError('菜品标识编码无效', 400, corsHeaders);
+  }
+
+  if (request.method === 'GET') {
+    return 菜品标识
+      ? getSubmission(env, corsHeaders, 用户, 菜品标识)
+      : listSubmissions(env, corsHeaders, 用户);
+  }
+
+  if (request.method !== 'POST' || 菜品标识) {
+    return uploadError(菜品标识 ? '投稿状态只支持GET请求' : '只支持GET和POST请求', 405, corsHeaders);
+  }
+
+  return createSubmission(request, env, corsHeaders, 用户);
+}
+
+async function createSubmission(request, env, corsHeaders, 用户) {
+  if (!env.GITHUB_TOKEN) {
+    return uploadError('未配置GITHUB_TOKEN，暂时无法接收投稿', 503, corsHeaders);
+  }
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) {
+    return uploadError('菜谱数据过大', 413, corsHeaders);
+  }
+
+  let 数据;
+  try {
+    数据 = JSON.parse(text);
+  } catch (error) {
+    return uploadError('请求体不是有效的JSON', 400, corsHeaders);
+  }
+
+  const 验证结果 = validateRecipe(数据);
+  if (!验证结果.有效) {
+    return uploadError('菜谱数据验证失败', 400, corsHeaders, { 详情: 验证结果.错误信息 });
+  }
+
+  const 投稿列表 = await loadSubmissions(env, 用户);
+  const 审核中 = 投稿列表.filter(投稿 => 投稿.状态 === 'pending').length;
+  if (审核中 >= MAX_PENDING_PER_USER) {
+    return uploadError(`最多同时有${MAX_PENDING_PER_USER}个投稿在审核中，请等待审核后再提交`, 429, corsHeaders);
+  }
+
+  // 生成唯一ID
+  const 时间戳 = Date.now();
+  const 随机数 = Math.floor(Math.random() * 1000);
+  const 菜品标识 = `USER${时间戳}${随机数}`;
+  const 现在 = new Date().toISOString();
+
+  // 完善菜谱数据，客户端提交的菜品标识和元数据不采用
+  const 内容 = { ...数据 };
+  delete 内容.菜品标识;
+  delete 内容.元数据;
+  const 完整菜谱 = {
+    菜品标识,
+    ...内容,
+    元数据: {
+      创建时间: 现在,
+      更新时间: 现在,
+      版本: '1.0',
+      作者: 用户.name,
+      作者标识: 用户.sub,
+      来源: '用户投稿'
+    }
+  };
+
+  let 提交结果;
+  try {
+    提交结果 = await openPullRequest(env, 完整菜谱, 用户);
+  } catch (error) {
+    console.error('提交投稿到GitHub失败:', error);
+    return uploadError('提交到GitHub失败，请稍后重试', 502, corsHeaders, { 详情: error.message });
+  }
+
+  const 投稿 = {
+    菜品标识,
+    菜品名称: 完整菜谱.菜品名称,
+    状态: 'pending',
+    作者: 用户.name,
+    作者标识: 用户.sub,
+    ...提交结果,
+    创建时间: 现在,
+    更新时间: 现在,
+    检查时间: 时间戳
+  };
+  await saveSubmission(env, 投稿);
+  await env.USER_DATA.put(listKey(用户), JSON.stringify(
+    [菜品标识, ...投稿列表.map(item => item.菜品标识)].slice(0, MAX_SUBMISSIONS_PER_USER)
+  ));
+
+  return new Response(JSON.stringify({
+    成功: true,
+    消息: '菜谱已提交，等待审核',
+    菜品标识,
+    投稿: publicSubmission(投稿),
+    预览: {
+      名称: 完整菜谱.菜品名称,
+      分类: 完整菜谱.菜品分类
+    }
+  }, null, 2), {
+    status: 201,
+    headers: corsHeaders
+  });
+}
+
+async function listSubmissions(env, corsHeaders, 用户) {
+  const 投稿列表 = await loadSubmissions(env, 用户);
+
+  return new Response(JSON.stringify({
+    成功: true,
+    投稿: 投稿列表.map(publicSubmission)
+  }, null, 2), { headers: corsHeaders });
+}
+
+async function getSubmission(env, corsHeaders, 用户, 菜品标识) {
+  const 投稿 = await env.USER_DATA.get(submissionKey(菜品标识), 'json');
+  if (!投稿 || 投稿.作者标识 !== 用户.sub) {
+    return uploadError('未找到该投稿', 404, corsHeaders);
+  }
+
+  return new Response(JSON.stringify({
+    成功: true,
+    投稿: publicSubmission(await refreshStatus(env, 投稿))
+  }, null, 2), { headers: corsHeaders });
+}
+
+// ============================================
+// 投稿记录
+// ============================================
+
+function submissionKey(菜品标识) {
+  return `submission:${菜品标识}`;
+}
+
+function listKey(用户) {
+  return `submissions:${用户.sub}`;
+}
+
+async function saveSubmission(env, 投稿) {
+  await env.USER_DATA.put(submissionKey(投稿.菜品标识), JSON.stringify(投稿));
+}
+
+// 读取账号的全部投稿，审核中的按 Pull Request 更新状态
+async function loadSubmissions(env, 用户) {
+  const ids = (await env.USER_DATA.get(listKey(用户), 'json')) || [];
+  const 投稿列表 = await Promise.all(ids.map(id => env.USER_DATA.get(submissionKey(id), 'json')));
+
+  return Promise.all(投稿列表.filter(Boolean).map(投稿 => refreshStatus(env, 投稿)));
+}
+
+// 审核中的投稿查询 Pull Request：已合并为通过，已关闭未合并为未通过
+// GitHub不可用时保持原状态，下次查询时再试
+async function refreshStatus(env, 投稿, now = Date.now()) {
+  if (投稿.状态 !== 'pending' || now - (投稿.检查时间 || 0) < STATUS_CHECK_INTERVAL) {
+    return 投稿;
+  }
+
+  try {
+    const pull = await githubRequest(env, `/pulls/${投稿.PR编号}`);
+    const 状态 = pull.merged_at ? 'approved' : pull.state === 'closed' ? 'rejected' : 'pending';
+    const updated = {
+      ...投稿,
+      状态,
+      检查时间: now,
+      ...(状态 !== 投稿.状态 ? { 更新时间: new Date(now).toISOString() } : {})
+    };
+
+    await saveSubmission(env, updated);
+    return updated;
+  } catch (error) {
+    console.error(`查询投稿状态失败: ${投稿.菜品标识}`, error);
+    return 投稿;
+  }
+}
+
+// 返回给客户端的投稿，不含内部字段
+function publicSubmission(投稿) {
+  return {
+    菜品标识: 投稿.菜品标识,
+    菜品名称: 投稿.菜品名称,
+    状态: 投稿.状态,
+    状态说明: STATUS_LABELS[投稿.状态],
+    路径: 投稿.路径,
+    PR编号: 投稿.PR编号,
+    PR地址: 投稿.PR地址,
+    创建时间: 投稿.创建时间,
+    更新时间: 投稿.更新时间
+  };
+}
+
+// ============================================
+// GitHub
+// ============================================
+
+// 调用 GitHub REST API，返回解析后的JSON；失败时抛出带 status 的错误
+async function githubRequest(env, path, { method = 'GET', body = null } = {}) {
+  const base = (env.API_BASE_URL || DEFAULT_API_BASE).replace(/\/+$/, '');
+  const repo = env.GITHUB_REPO || 'your-username/smart-recipe-system';
+  const headers = githubHeaders(env.GITHUB_TOKEN);
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${base}/${repo}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    const error = new Error(`GitHub请求失败: ${method} ${decodeURIComponent(path)} ${response.status}${data?.message ? ` ${data.message}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.status === 204 ? null : response.json();
+}
+
+function contentsPath(路径) {
+  return `/contents/${路径.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+async function fileExists(env, 路径, 分支) {
+  try {
+    await githubRequest(env, `${contentsPath(路径)}?ref=${encodeURIComponent(分支)}`);
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+// 去掉路径中不能使用的字符
+function pathSegment(text) {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, 50);
+}
+
+// 菜谱在仓库中的路径，与 数据层 (Data Layer)/菜谱数据库/春季菜谱/主菜/春笋炒肉片.json 相同：
+// 按适用季节中的第一个季节和第一个分类分目录；后缀 用于和已有的同名菜谱区分
+export function recipePath(env, recipe, 后缀 = '') {
+  const 季节 = recipe.适用季节.find(item => SEASONS.includes(item));
+  return dataPath(env, `${RECIPE_DIR}/${季节}菜谱/${pathSegment(recipe.菜品分类[0])}/${pathSegment(recipe.菜品名称)}${后缀}.json`);
+}
+
+// 新建分支、提交菜谱文件并发起 Pull Request，返回 { 路径, 分支, 基础分支, PR编号, PR地址 }
+// 提交或发起 Pull Request 失败时删除新建的分支
+async function openPullRequest(env, 菜谱, 用户) {
+  const 分支 = `recipe/${菜谱.菜品标识}`;
+  const { default_branch: 基础分支 } = await githubRequest(env, '');
+  const base = await githubRequest(env, `/git/ref/heads/${encodeURIComponent(基础分支)}`);
+
+  await githubRequest(env, '/git/refs', {
+    method: 'POST',
+    body: { ref: `refs/heads/${分支}`, sha: base.object.sha }
+  });
+
+  try {
+    let 路径 = recipePath(env, 菜谱);
+    if (await fileExists(env, 路径, 分支)) {
+      路径 = recipePath(env, 菜谱, `-${菜谱.菜品标识}`);
+    }
+
+    await githubRequest(env, contentsPath(路径), {
+      method: 'PUT',
+      body: {
+        message: `添加菜谱：${菜谱.菜品名称}`,
+        content: encodeBase64Utf8(`${JSON.stringify(菜谱, null, 2)}\n`),
+        branch: 分支
+      }
+    });
+
+    const pull = await githubRequest(env, '/pulls', {
+      method: 'POST',
+      body: {
+        title: `菜谱投稿：${菜谱.菜品名称}`,
+        head: 分支,
+        base: 基础分支,
+        body: [
+          `由 ${用户.name} 通过 /api/upload 投稿，合并即为审核通过，关闭即为未通过。`,
+          '',
+          `- 菜品标识：${菜谱.菜品标识}`,
+          `- 分类：${菜谱.菜品分类.join('、')}`,
+          `- 适用季节：${菜谱.适用季节.join('、')}`,
+          `- 文件：\`${路径}\``
+        ].join('\n')
+      }
+    });
+
+    return { 路径, 分支, 基础分支, PR编号: pull.number, PR地址: pull.html_url };
+  } catch (error) {
+    await githubRequest(env, `/git/refs/heads/${分支}`, { method: 'DELETE' }).catch(deleteError => {
+      console.error(`删除投稿分支失败: ${分支}`, deleteError);
+    });
+    throw error;
+  }
+}
+
+// ============================================
+// 验证
+// ============================================
+
+// 验证菜谱数据
+export function validateRecipe(recipe) {
+  const errors = [];
+
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return { 有效: false, 错误信息: ['菜谱必须是JSON对象'] };
+  }
+
+  // 检查必填字段
+  if (typeof recipe.菜品名称 !== 'string' || !pathSegment(recipe.菜品名称)) {
+    errors.push('菜品名称不能为空');
+  }
+
+  if (!Array.isArray(recipe.菜品分类) || recipe.菜品分类.length === 0 || !pathSegment(recipe.菜品分类[0])) {
+    errors.push('菜品分类不能为空');
+  }
+
+  if (!Array.isArray(recipe.适用季节) || recipe.适用季节.length === 0) {
+    errors.push('适用季节不能为空');
+  } else if (!recipe.适用季节.some(item => SEASONS.includes(item))) {
+    errors.push(`适用季节应包含${SEASONS.join('、')}之一`);
+  }
+
+  // 检查时间
+  if (recipe.准备时间 && (recipe.准备时间 < 0 || recipe.准备时间 > 300)) {
+    errors.push('准备时间应在0-300分钟之间');
+  }
+
+  if (recipe.烹饪时间 && (recipe.烹饪时间 < 0 || recipe.烹饪时间 > 480)) {
+    errors.push('烹饪时间应在0-480分钟之间');
+  }
+
+  // 检查份量信息
+  if (recipe.标准份量) {
+    if (!recipe.标准份量.基准人数 || recipe.标准份量.基准人数 < 1) {
+      errors.push('基准人数应大于0');
+    }
+
+    if (recipe.标准份量.食材列表 && !Array.isArray(recipe.标准份量.食材列表)) {
+      errors.push('食材列表格式错误');
+    }
+  }
+
+  return {
+    有效: errors.length === 0,
+    错误信息: errors
+  };
+}
+
+function uploadError(错误, status, corsHeaders, extra = {}) {
+  return new Response(JSON.stringify({
+    成功: false,
+    错误,
+    ...extra
+  }), {
+    status,
+    headers: corsHeaders
+  });
+}
@@ -1 +1,324 @@
+// 菜谱查询 - 从GitHub加载完整菜谱库并缓存到KV
 
+// 菜谱库目录名（遍历仓库树时按路径段匹配）
+const RECIPE_DIR = '菜谱数据库';
+
+// 数据层在仓库中的目录，菜谱数据库/ 和 分类索引/ 都在它下面；可以用环境变量 DATA_ROOT 修改
+const DEFAULT_DATA_ROOT = '数据层 (Data Layer)';
+
+// 由 工具层/管理工具/生成索引.js 预先生成的菜谱清单（相对数据层目录）
+const MANIFEST_PATH = '分类索引/菜谱清单.json';
+
+// KV中缓存菜谱库的键
+const CORPUS_CACHE_KEY = 'corpus:v1';
+
+// 同时请求GitHub的最大数量
+const FETCH_CONCURRENCY = 8;
+
+// 获取全部菜谱
+// 优先使用KV缓存；超过CACHE_TTL后用ETag向GitHub重新验证，
+// 清单或仓库未变化时GitHub返回304，不会重新下载任何菜谱文件
+export async function fetchRecipesFromGitHub(env, ctx) {
+  const cached = await readCorpusCache(env);
+  const ttl = (parseInt(env.CACHE_TTL) || 3600) * 1000;
+
+  if (cached && Date.now() - cached.检查时间 < ttl) {
+    return cached.菜谱;
+  }
+
+  try {
+    const corpus = await revalidateCorpus(env, cached);
+    const saving = env.RECIPE_CACHE.put(CORPUS_CACHE_KEY, JSON.stringify(corpus));
+
+    if (ctx) {
+      ctx.waitUntil(saving);
+    } else {
+      await saving;
+    }
+
+    return corpus.菜谱;
+  } catch (error) {
+    console.error('获取菜谱数据失败:', error);
+    // GitHub不可用时退回到旧缓存
+    return cached ? cached.菜谱 : [];
+  }
+}
+
+// 获取数据层中的JSON数据文件（如 分类索引/时令数据.json），在KV中缓存CACHE_TTL秒
+// 获取失败时返回null，调用方应在缺少数据时降级处理
+export async function fetchDataFile(env, ctx, path) {
+  const filePath = dataPath(env, path);
+  const cacheKey = `file:${filePath}`;
+
+  try {
+    const cached = await env.RECIPE_CACHE.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const repo = env.GITHUB_REPO || 'your-username/smart-recipe-system';
+    const response = await fetch(contentsUrl(repo, filePath), {
+      headers: githubHeaders(env.GITHUB_TOKEN)
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub请求失败: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = decodeBase64Utf8(data.content);
+    const saving = env.RECIPE_CACHE.put(cacheKey, content, {
+      expirationTtl: parseInt(env.CACHE_TTL) || 3600
+    });
+
+    if (ctx) {
+      ctx.waitUntil(saving);
+    } else {
+      await saving;
+    }
+
+    return JSON.parse(content);
+  } catch (error) {
+    console.error(`获取数据文件失败: ${filePath}`, error);
+    return null;
+  }
+}
+
+// 数据层中的文件在仓库中的路径，如 dataPath(env, '分类索引/时令数据.json')
+export function dataPath(env, path) {
+  const root = (env.DATA_ROOT ?? DEFAULT_DATA_ROOT).replace(/\/+$/, '');
+  return root ? `${root}/${path}` : path;
+}
+
+// GitHub contents API 的地址，路径逐段编码（数据层目录名中有空格和括号）
+export function contentsUrl(repo, path) {
+  return `https://api.github.com/repos/${repo}/contents/${path.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// 读取KV中的菜谱库缓存
+async function readCorpusCache(env) {
+  try {
+    const raw = await env.RECIPE_CACHE.get(CORPUS_CACHE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('读取菜谱缓存失败:', error);
+    return null;
+  }
+}
+
+// 重新验证并组装菜谱库
+async function revalidateCorpus(env, cached) {
+  const repo = env.GITHUB_REPO || 'your-username/smart-recipe-system';
+  const listing = await listRecipeFiles(repo, env.GITHUB_TOKEN, cached, dataPath(env, MANIFEST_PATH));
+
+  if (listing.未变化) {
+    return { ...cached, 检查时间: Date.now() };
+  }
+
+  // 按文件sha复用已缓存的菜谱，只下载有变化的文件
+  const previous = cached ? cached.文件 : {};
+  const files = {};
+  const skipped = [];
+
+  await mapWithConcurrency(listing.文件, FETCH_CONCURRENCY, async entry => {
+    const known = previous[entry.path];
+    if (known && known.sha === entry.sha) {
+      files[entry.path] = known;
+      return;
+    }
+
+    try {
+      const content = await fetchBlob(repo, entry.sha, env.GITHUB_TOKEN);
+      files[entry.path] = { sha: entry.sha, 菜谱: parseRecipe(content) };
+    } catch (error) {
+      skipped.push({ 路径: entry.path, 原因: error.message });
+      files[entry.path] = { sha: entry.sha, 菜谱: null };
+    }
+  });
+
+  if (skipped.length > 0) {
+    console.warn(`跳过${skipped.length}个无效菜谱文件:`, skipped);
+  }
+
+  return {
+    来源: listing.来源,
+    etag: listing.etag,
+    版本: listing.版本 || null,
+    检查时间: Date.now(),
+    文件: files,
+    菜谱: assembleRecipes(files)
+  };
+}
+
+// 列出所有菜谱文件及其sha
+// 有菜谱清单时只需请求一个文件，否则遍历整个仓库目录树
+async function listRecipeFiles(repo, token, cached, manifestPath) {
+  const manifest = await fetchManifest(repo, token, cached, manifestPath);
+  if (manifest) {
+    return manifest;
+  }
+
+  const headers = githubHeaders(token);
+  if (cached && cached.来源 === '目录树' && cached.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+
+  const treeResponse = await fetch(
+    `https://api.github.com/repos/${repo}/git/trees/HEAD?recursive=1`,
+    { headers }
+  );
+
+  if (treeResponse.status === 304 && cached) {
+    return { 未变化: true };
+  }
+
+  if (!treeResponse.ok) {
+    throw new Error(`获取仓库目录失败: ${treeResponse.status}`);
+  }
+
+  const tree = await treeResponse.json();
+  if (tree.truncated) {
+    console.warn('仓库目录过大，GitHub返回的目录树不完整');
+  }
+
+  return {
+    来源: '目录树',
+    etag: treeResponse.headers.get('ETag'),
+    文件: tree.tree
+      .filter(entry =>
+        entry.type === 'blob' &&
+        entry.path.endsWith('.json') &&
+        entry.path.split('/').includes(RECIPE_DIR)
+      )
+      .map(entry => ({ path: entry.path, sha: entry.sha }))
+  };
+}
+
+// 读取菜谱清单，仓库中没有清单时返回null
+async function fetchManifest(repo, token, cached, manifestPath) {
+  const headers = githubHeaders(token);
+  if (cached && cached.来源 === '清单' && cached.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+
+  const response = await fetch(contentsUrl(repo, manifestPath), { headers });
+
+  if (response.status === 304 && cached) {
+    return { 未变化: true };
+  }
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`获取菜谱清单失败: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const manifest = JSON.parse(decodeBase64Utf8(data.content));
+
+  return {
+    来源: '清单',
+    etag: response.headers.get('ETag'),
+    版本: manifest.版本,
+    文件: manifest.菜谱.map(entry => ({ path: entry.路径, sha: entry.哈希 }))
+  };
+}
+
+// 下载单个文件内容
+async function fetchBlob(repo, sha, token) {
+  const response = await fetch(`https://api.github.com/repos/${repo}/git/blobs/${sha}`, {
+    headers: githubHeaders(token)
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub请求失败: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return decodeBase64Utf8(data.content);
+}
+
+// 解析菜谱文件，格式不正确时抛出错误
+function parseRecipe(content) {
+  if (!content.trim()) {
+    throw new Error('文件为空');
+  }
+
+  const recipe = JSON.parse(content);
+
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    throw new Error('菜谱必须是JSON对象');
+  }
+
+  if (!recipe.菜品名称) {
+    throw new Error('缺少菜品名称');
+  }
+
+  return recipe;
+}
+
+// 组装菜谱列表（按路径排序，菜品标识重复时保留第一个）
+function assembleRecipes(files) {
+  const seen = new Set();
+  const recipes = [];
+
+  for (const path of Object.keys(files).sort()) {
+    const recipe = files[path].菜谱;
+    if (!recipe) continue;
+
+    const id = recipe.菜品标识 || path;
+    if (seen.has(id)) {
+      console.warn(`菜品标识重复，已忽略: ${id} (${path})`);
+      continue;
+    }
+
+    seen.add(id);
+    recipes.push(recipe);
+  }
+
+  return recipes;
+}
+
+// GitHub请求头
+export function githubHeaders(token) {
+  const headers = {
+    'User-Agent': 'Smart-Recipe-System',
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+
+  return headers;
+}
+
+// 解码GitHub返回的base64内容（atob只能处理Latin-1，中文需要再按UTF-8解码）
+export function decodeBase64Utf8(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+// 把文本编码为GitHub要求的base64（先按UTF-8编码，btoa只能处理Latin-1）
+export function encodeBase64Utf8(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+// 限制并发数量的map
+async function mapWithConcurrency(items, limit, fn) {
+  let index = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (index < items.length) {
+      const item = items[index++];
+      await fn(item);
+    }
+  });
+
+  await Promise.all(workers);
+}
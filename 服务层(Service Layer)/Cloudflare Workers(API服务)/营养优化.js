@@ -0,0 +1,189 @@
+// 营养优化 - 按营养目标搭配菜单
+//
+// 目标为每人本餐的摄入范围，如 热量:600-800,蛋白质:25-40
+// 先贪心地逐个填满菜单位置，再反复尝试同类菜品互换，直到偏差不再减小
+// 菜谱的营养成分按 标准份量.基准人数 折算为每人份
+
+export const NUTRIENTS = ['热量', '蛋白质', '碳水化合物', '脂肪', '纤维素'];
+
+// 偏差相同时才考虑推荐评分，避免为了口味牺牲营养目标
+const SCORE_WEIGHT = 0.05;
+
+// 局部交换的最大轮数
+const MAX_ROUNDS = 20;
+
+// 解析营养目标参数，格式为 营养素:最小值-最大值，多个目标用逗号分隔
+// 只写一个数时表示下限，如 蛋白质:30；无效时返回null
+export function parseNutritionTargets(text) {
+  if (!text) return null;
+
+  const targets = {};
+  for (const part of text.split(',')) {
+    const match = /^\s*([^:：]+)[:：]\s*(\d+(?:\.\d+)?)?\s*(?:-\s*(\d+(?:\.\d+)?))?\s*$/.exec(part);
+    if (!match || !NUTRIENTS.includes(match[1].trim())) continue;
+
+    const min = match[2] !== undefined ? Number(match[2]) : 0;
+    const max = match[3] !== undefined ? Number(match[3]) : null;
+    if (max !== null && max < min) continue;
+
+    targets[match[1].trim()] = { 最小: min, 最大: max };
+  }
+
+  return Object.keys(targets).length > 0 ? targets : null;
+}
+
+// 每人份的营养成分
+export function perPersonNutrition(recipe) {
+  const nutrition = recipe.营养成分 || {};
+  const servings = recipe.标准份量?.基准人数 || 1;
+
+  return Object.fromEntries(NUTRIENTS.map(key => [key, (nutrition[key] || 0) / servings]));
+}
+
+// 汇总多道菜的每人营养
+function sumNutrition(recipes) {
+  const total = Object.fromEntries(NUTRIENTS.map(key => [key, 0]));
+
+  recipes.forEach(recipe => {
+    const nutrition = perPersonNutrition(recipe);
+    NUTRIENTS.forEach(key => { total[key] += nutrition[key]; });
+  });
+
+  return total;
+}
+
+// 单项营养素偏离目标范围的比例，在范围内为0
+function deviation(value, target, scale = 1) {
+  const min = target.最小 * scale;
+  const max = target.最大 === null ? null : target.最大 * scale;
+
+  if (value < min) return (min - value) / Math.max(min, 1);
+  if (max !== null && value > max) return (value - max) / Math.max(max, 1);
+  return 0;
+}
+
+export class NutritionOptimizer {
+  constructor(targets) {
+    this.targets = targets;
+  }
+
+  // 菜单的目标函数：营养偏差之和，减去少量推荐评分
+  // scale 用于贪心阶段，只填了一部分位置时按比例缩小目标
+  cost(recipes, scale = 1) {
+    const total = sumNutrition(recipes);
+    const maxScore = Math.max(...recipes.map(recipe => recipe.推荐评分?.总分 || 0), 1);
+
+    const nutritionCost = Object.entries(this.targets)
+      .reduce((sum, [key, target]) => sum + deviation(total[key], target, scale), 0);
+    const scoreBonus = recipes.reduce((sum, recipe) => sum + (recipe.推荐评分?.总分 || 0) / maxScore, 0);
+
+    return nutritionCost - SCORE_WEIGHT * scoreBonus / Math.max(recipes.length, 1);
+  }
+
+  // categories: { 类别: [已评分菜谱] }，counts: { 类别: 需要的数量 }
+  optimize(categories, counts) {
+    const slots = [];
+    for (const [course, count] of Object.entries(counts)) {
+      const available = Math.min(count, (categories[course] || []).length);
+      for (let i = 0; i < available; i++) slots.push(course);
+    }
+
+    const menu = this.greedy(categories, slots);
+    const rounds = this.localSearch(categories, slots, menu);
+
+    const selected = Object.fromEntries(Object.keys(counts).map(course => [course, []]));
+    slots.forEach((course, index) => selected[course].push(menu[index]));
+
+    return { selected, 报告: this.report(menu, rounds) };
+  }
+
+  // 贪心：按位置顺序，每次选使当前部分菜单最接近（按比例缩小的）目标的菜
+  greedy(categories, slots) {
+    const menu = [];
+
+    slots.forEach((course, index) => {
+      const scale = (index + 1) / slots.length;
+      const candidates = categories[course].filter(recipe => !menu.includes(recipe));
+
+      let best = null;
+      let bestCost = Infinity;
+      for (const candidate of candidates) {
+        const cost = this.cost([...menu, candidate], scale);
+        if (cost < bestCost) {
+          best = candidate;
+          bestCost = cost;
+        }
+      }
+
+      menu.push(best);
+    });
+
+    return menu;
+  }
+
+  // 局部交换：尝试把每个位置换成同类的其他菜，有改进就接受
+  localSearch(categories, slots, menu) {
+    let rounds = 0;
+    let improved = true;
+
+    while (improved && rounds < MAX_ROUNDS) {
+      improved = false;
+      rounds++;
+
+      for (let index = 0; index < slots.length; index++) {
+        let bestCost = this.cost(menu);
+
+        for (const candidate of categories[slots[index]]) {
+          if (menu.includes(candidate)) continue;
+
+          const trial = [...menu];
+          trial[index] = candidate;
+          const cost = this.cost(trial);
+
+          if (cost < bestCost - 1e-9) {
+            menu[index] = candidate;
+            bestCost = cost;
+            improved = true;
+          }
+        }
+      }
+    }
+
+    return rounds;
+  }
+
+  // 报告每项目标的达成情况
+  report(menu, rounds) {
+    const total = sumNutrition(menu);
+    const 达成 = {};
+
+    for (const [key, target] of Object.entries(this.targets)) {
+      const value = Math.round(total[key] * 10) / 10;
+      let 状态 = '达标';
+      let 偏差 = 0;
+
+      if (value < target.最小) {
+        状态 = '偏低';
+        偏差 = -Math.round((target.最小 - value) / Math.max(target.最小, 1) * 100);
+      } else if (target.最大 !== null && value > target.最大) {
+        状态 = '偏高';
+        偏差 = Math.round((value - target.最大) / Math.max(target.最大, 1) * 100);
+      }
+
+      达成[key] = {
+        目标: target.最大 === null ? `≥${target.最小}` : `${target.最小}-${target.最大}`,
+        实际: value,
+        状态,
+        偏差百分比: 偏差
+      };
+    }
+
+    return {
+      说明: '目标和实际值均为每人本餐摄入量',
+      达成,
+      达标数: Object.values(达成).filter(item => item.状态 === '达标').length,
+      目标数: Object.keys(达成).length,
+      交换轮数: rounds
+    };
+  }
+}
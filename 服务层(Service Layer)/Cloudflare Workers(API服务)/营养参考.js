@@ -0,0 +1,156 @@
+// 营养参考 - 按家庭成员计算每日营养参考摄入量
+//
+// 数值参考《中国居民膳食营养素参考摄入量》（2023版），做了取整和分组简化：
+// 能量按年龄段、性别和身体活动水平取值，蛋白质取推荐摄入量(RNI)，
+// 碳水化合物和脂肪按供能比换算为克数范围，膳食纤维取适宜摄入量
+//
+// 成员参数格式: 性别:年龄[:活动水平][:状态]，多个成员用逗号分隔
+//   如 男:35:中,女:32:轻:孕中期,女:6
+//   活动水平: 轻/中/重，默认轻；状态: 孕早期/孕中期/孕晚期/哺乳期/健身
+
+// 未提供成员信息时使用的成人参考值（沿用原有的每日推荐量）
+export const DEFAULT_REFERENCE = {
+  热量: 2000,
+  蛋白质: 60,
+  碳水化合物: 300,
+  脂肪: 67,
+  纤维素: 25
+};
+
+// 能量需要量（千卡/天），成人为 [轻, 中, 重]，儿童为中等活动水平
+const ENERGY_TABLE = [
+  { 最小年龄: 1, 最大年龄: 3, 男: 1100, 女: 1000 },
+  { 最小年龄: 4, 最大年龄: 6, 男: 1400, 女: 1300 },
+  { 最小年龄: 7, 最大年龄: 10, 男: 1700, 女: 1550 },
+  { 最小年龄: 11, 最大年龄: 13, 男: 2050, 女: 1800 },
+  { 最小年龄: 14, 最大年龄: 17, 男: 2500, 女: 2000 },
+  { 最小年龄: 18, 最大年龄: 49, 男: [2150, 2550, 3000], 女: [1700, 2100, 2450] },
+  { 最小年龄: 50, 最大年龄: 64, 男: [2100, 2450, 2800], 女: [1750, 2050, 2350] },
+  { 最小年龄: 65, 最大年龄: 74, 男: [2050, 2350, 2350], 女: [1700, 1950, 1950] },
+  { 最小年龄: 75, 最大年龄: 150, 男: [1950, 2200, 2200], 女: [1500, 1750, 1750] }
+];
+
+// 蛋白质推荐摄入量（克/天）
+const PROTEIN_TABLE = [
+  { 最小年龄: 1, 最大年龄: 3, 男: 28, 女: 28 },
+  { 最小年龄: 4, 最大年龄: 6, 男: 30, 女: 30 },
+  { 最小年龄: 7, 最大年龄: 10, 男: 40, 女: 40 },
+  { 最小年龄: 11, 最大年龄: 13, 男: 55, 女: 50 },
+  { 最小年龄: 14, 最大年龄: 17, 男: 70, 女: 60 },
+  { 最小年龄: 18, 最大年龄: 64, 男: 65, 女: 55 },
+  { 最小年龄: 65, 最大年龄: 150, 男: 72, 女: 62 }
+];
+
+// 膳食纤维适宜摄入量（克/天）
+const FIBER_TABLE = [
+  { 最小年龄: 1, 最大年龄: 3, 值: 10 },
+  { 最小年龄: 4, 最大年龄: 6, 值: 15 },
+  { 最小年龄: 7, 最大年龄: 10, 值: 20 },
+  { 最小年龄: 11, 最大年龄: 150, 值: 25 }
+];
+
+// 孕期和哺乳期在同龄女性基础上的增加量
+const PREGNANCY_EXTRA = {
+  孕早期: { 热量: 0, 蛋白质: 0 },
+  孕中期: { 热量: 250, 蛋白质: 15 },
+  孕晚期: { 热量: 400, 蛋白质: 30 },
+  哺乳期: { 热量: 400, 蛋白质: 25 }
+};
+
+// 儿童的活动水平系数（表中为中等活动水平）
+const CHILD_ACTIVITY_FACTOR = { 轻: 0.9, 中: 1, 重: 1.1 };
+
+const ACTIVITY_LEVELS = ['轻', '中', '重'];
+
+// 一日三餐的能量分配（3:4:3）
+const MEAL_SHARE = { 早餐: 0.3, 午餐: 0.4, 晚餐: 0.3 };
+
+function findRow(table, age) {
+  return table.find(row => age >= row.最小年龄 && age <= row.最大年龄) || table[table.length - 1];
+}
+
+// 解析成员参数，无效的成员会被忽略
+export function parseMembers(text) {
+  if (!text) return [];
+
+  return text.split(',').map(part => {
+    const [性别, 年龄文本, ...rest] = part.split(/[:：]/).map(item => item.trim());
+    const 年龄 = parseInt(年龄文本);
+    if (!['男', '女'].includes(性别) || !(年龄 >= 1 && 年龄 <= 120)) return null;
+
+    const 活动水平 = rest.find(item => ACTIVITY_LEVELS.includes(item)) || '轻';
+    const 状态 = rest.find(item => PREGNANCY_EXTRA[item] || item === '健身') || null;
+
+    return { 性别, 年龄, 活动水平, 状态: 性别 === '女' || 状态 === '健身' ? 状态 : null };
+  }).filter(Boolean);
+}
+
+// 成员类型，用于展示和人群适配
+export function describeMember(member) {
+  if (member.年龄 < 18) return member.年龄 <= 6 ? '幼儿' : '儿童';
+  if (PREGNANCY_EXTRA[member.状态]) return member.状态 === '哺乳期' ? '哺乳期' : '孕妇';
+  if (member.年龄 >= 65) return '老人';
+  return '成人';
+}
+
+// 计算成员的每日营养参考摄入量
+export function getDailyReference(member) {
+  const energyRow = findRow(ENERGY_TABLE, member.年龄);
+  const energyValue = energyRow[member.性别];
+  const activityIndex = ACTIVITY_LEVELS.indexOf(member.活动水平);
+
+  let 热量 = Array.isArray(energyValue)
+    ? energyValue[activityIndex]
+    : energyValue * CHILD_ACTIVITY_FACTOR[member.活动水平];
+  let 蛋白质 = findRow(PROTEIN_TABLE, member.年龄)[member.性别];
+
+  const extra = PREGNANCY_EXTRA[member.状态];
+  if (extra) {
+    热量 += extra.热量;
+    蛋白质 += extra.蛋白质;
+  }
+
+  // 健身人群蛋白质按每日1.2倍推荐量计
+  if (member.状态 === '健身') {
+    蛋白质 *= 1.2;
+  }
+
+  // 3岁及以下脂肪供能比上限放宽到35%
+  const fatMax = member.年龄 <= 3 ? 0.35 : 0.3;
+
+  return {
+    热量: Math.round(热量),
+    蛋白质: Math.round(蛋白质),
+    碳水化合物: { 最小: Math.round(热量 * 0.5 / 4), 最大: Math.round(热量 * 0.65 / 4) },
+    脂肪: { 最小: Math.round(热量 * 0.2 / 9), 最大: Math.round(热量 * fatMax / 9) },
+    纤维素: findRow(FIBER_TABLE, member.年龄).值
+  };
+}
+
+// 参考值中的范围取中间值，便于计算覆盖率
+export function referenceMidpoint(reference) {
+  return Object.fromEntries(Object.entries(reference).map(([key, value]) => [
+    key,
+    typeof value === 'object' ? (value.最小 + value.最大) / 2 : value
+  ]));
+}
+
+// 某一餐占全天摄入的比例
+export function getMealShare(meal) {
+  return MEAL_SHARE[meal] || MEAL_SHARE.晚餐;
+}
+
+// 由家庭成员推出 人群适配 标签（与 分类索引/菜品分类.json 保持一致）
+export function getAudienceTags(members) {
+  const tags = new Set();
+
+  members.forEach(member => {
+    const type = describeMember(member);
+    if (type === '幼儿' || type === '儿童') tags.add('儿童餐');
+    if (type === '孕妇' || type === '哺乳期') tags.add('孕妇餐');
+    if (type === '老人') tags.add('老人餐');
+    if (member.状态 === '健身' || (type === '成人' && member.活动水平 === '重')) tags.add('健身餐');
+  });
+
+  return [...tags];
+}
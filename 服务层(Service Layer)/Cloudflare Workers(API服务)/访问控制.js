@@ -0,0 +1,51 @@
+// 访问控制 - 按 配置层/安全配置/访问控制.json 检查请求是否需要登录
+//
+// 需要认证的路径（及其子路径）必须带有效的访问令牌：Authorization: Bearer <访问令牌>
+// 其余路径为公开接口，带了令牌也不检查
+
+import 访问控制 from '../../配置层 (Configuration Layer)/安全配置/访问控制.json' with { type: 'json' };
+import { verifyToken } from './用户服务.js';
+
+export class AccessControl {
+  // 路径是否需要认证，/api/sync 包括 /api/sync/settings 等子路径
+  static requiresAuth(pathname) {
+    return 访问控制.需要认证.some(route => pathname === route || pathname.startsWith(`${route}/`));
+  }
+
+  // 公开接口返回 { 用户: null }；认证通过返回 { 用户: 令牌中的 payload }；否则返回 401 响应
+  static async middleware(request, env, corsHeaders) {
+    const url = new URL(request.url);
+    if (!this.requiresAuth(url.pathname)) {
+      return { 用户: null };
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '');
+    if (!match) {
+      return this.reject('需要登录', corsHeaders);
+    }
+
+    const 用户 = await this.validateToken(match[1], env);
+    if (!用户) {
+      return this.reject('访问令牌无效或已过期', corsHeaders);
+    }
+
+    return { 用户 };
+  }
+
+  static async validateToken(token, env) {
+    if (!env.JWT_SECRET) {
+      throw new Error('未配置JWT_SECRET');
+    }
+    return verifyToken(token, env.JWT_SECRET, 'access');
+  }
+
+  static reject(错误, corsHeaders) {
+    return new Response(JSON.stringify({
+      成功: false,
+      错误
+    }), {
+      status: 401,
+      headers: { ...corsHeaders, 'WWW-Authenticate': 'Bearer' }
+    });
+  }
+}
@@ -0,0 +1,41 @@
+// 随机种子 - 可复现的伪随机数
+// 同一个种子总是产生同样的随机序列，用于生成可分享、可重现的菜单
+
+// 生成新种子（8位36进制字符串）
+export function generateSeed() {
+  const values = crypto.getRandomValues(new Uint32Array(2));
+  return Array.from(values, value => value.toString(36).padStart(7, '0').slice(-4)).join('');
+}
+
+// 将任意字符串种子散列为32位整数（FNV-1a）
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// 创建以种子驱动的随机数函数（mulberry32），返回 [0, 1) 之间的数
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 无偏的洗牌（Fisher-Yates），不修改原数组
+export function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
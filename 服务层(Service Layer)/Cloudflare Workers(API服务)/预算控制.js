@@ -0,0 +1,127 @@
+// 预算控制 - 把菜单的预计花费控制在预算以内
+//
+// 预算为一餐菜单按用餐人数估算的总花费（元），每道菜的花费由 PriceEstimator 估算
+// 超出预算时反复把某道菜换成同类中更便宜的菜：能一次降到预算以内的替换中选推荐评分损失最小的，
+// 否则选 节省金额 / 评分损失 最大的，直到不超预算或没有更便宜的菜可换
+// 节日菜品等固定的菜不参与替换，但计入总花费
+// 没有价格或无法换算的食材（未计价）不计入花费；候选菜有被替换的菜没有的未计价食材时，
+// 它的花费比实际低得更多，算出的节省不可信，不用它替换
+
+// 最多替换的次数
+const MAX_SWAPS = 20;
+
+// 解析预算参数，无效时返回null
+export function parseBudget(text) {
+  const value = Number(text);
+  return text && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+export class BudgetOptimizer {
+  // estimator 为 PriceEstimator，budget 为预算（元）
+  // options: { 用餐人数, 城市, 季节, 门店 }，后三项传给 PriceEstimator
+  constructor(estimator, budget, { 用餐人数, ...priceOptions } = {}) {
+    this.estimator = estimator;
+    this.budget = budget;
+    this.people = 用餐人数;
+    this.priceOptions = priceOptions;
+    this.estimates = new Map();
+  }
+
+  // 一道菜的估算结果 { 金额, 未计价 }，按菜品名称缓存，未计价 为标准名称
+  estimate(recipe) {
+    if (!this.estimates.has(recipe.菜品名称)) {
+      const { 金额, 未计价 } = this.estimator.estimateRecipe(recipe, this.people, this.priceOptions);
+      this.estimates.set(recipe.菜品名称, {
+        金额,
+        未计价: new Set(未计价.map(name => this.estimator.resolver.normalize(name)))
+      });
+    }
+    return this.estimates.get(recipe.菜品名称);
+  }
+
+  // 一道菜的预计花费
+  cost(recipe) {
+    return this.estimate(recipe).金额;
+  }
+
+  // candidate 有 recipe 没有的未计价食材
+  hasExtraUnpriced(candidate, recipe) {
+    const known = this.estimate(recipe).未计价;
+    return [...this.estimate(candidate).未计价].some(name => !known.has(name));
+  }
+
+  total(selected) {
+    return round(Object.values(selected).flat().reduce((sum, recipe) => sum + this.cost(recipe), 0));
+  }
+
+  // selected: { 类别: [菜谱] }，categories: { 类别: [已评分的候选菜谱] }
+  // isFixed(recipe) 为 true 的菜不参与替换
+  optimize(selected, categories, isFixed = () => false) {
+    const 原花费 = this.total(selected);
+    const 替换 = [];
+
+    while (this.total(selected) > this.budget && 替换.length < MAX_SWAPS) {
+      const swap = this.findSwap(selected, categories, isFixed);
+      if (!swap) break;
+
+      const { course, index, candidate } = swap;
+      const original = selected[course][index];
+      selected[course][index] = candidate;
+      替换.push({
+        类别: course,
+        原菜品: original.菜品名称,
+        替换为: candidate.菜品名称,
+        节省: round(this.cost(original) - this.cost(candidate))
+      });
+    }
+
+    return { selected, 报告: this.report(selected, 原花费, 替换) };
+  }
+
+  // 找出最合适的一次替换，没有更便宜的菜时返回null
+  findSwap(selected, categories, isFixed) {
+    const total = this.total(selected);
+    const inMenu = new Set(Object.values(selected).flat().map(recipe => recipe.菜品名称));
+    let best = null;
+
+    for (const [course, recipes] of Object.entries(selected)) {
+      recipes.forEach((recipe, index) => {
+        if (isFixed(recipe)) return;
+
+        for (const candidate of categories[course] || []) {
+          if (inMenu.has(candidate.菜品名称) || this.hasExtraUnpriced(candidate, recipe)) continue;
+
+          const saving = this.cost(recipe) - this.cost(candidate);
+          if (saving <= 0) continue;
+
+          const loss = Math.max(0, (recipe.推荐评分?.总分 || 0) - (candidate.推荐评分?.总分 || 0));
+          const withinBudget = total - saving <= this.budget;
+          const value = withinBudget ? -loss : saving / (loss + 1);
+
+          if (!best || (withinBudget && !best.withinBudget) ||
+              (withinBudget === best.withinBudget && value > best.value)) {
+            best = { course, index, candidate, withinBudget, value };
+          }
+        }
+      });
+    }
+
+    return best;
+  }
+
+  report(selected, 原花费, 替换) {
+    const 预计花费 = this.total(selected);
+    return {
+      说明: '花费为本餐全部菜品按用餐人数估算的食材费用（元），适量和无法换算价格的用量不计入',
+      预算: this.budget,
+      原预计花费: 原花费,
+      预计花费,
+      是否超出: 预计花费 > this.budget,
+      替换
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
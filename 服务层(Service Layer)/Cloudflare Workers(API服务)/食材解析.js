@@ -0,0 +1,143 @@
+// 食材解析 - Worker 和前端共用的食材名称标准化和分类
+//
+// 数据来自 分类索引/食材索引.json：
+//   食材分类  大类/子类/食材 三级结构，同一食材出现在多个分类时，第一次出现的为主分类
+//   别名      标准名称 → 常见叫法，标准名称就是食材的标识
+//   分类关键词 名称和别名都未匹配时用于归类
+//   单位重量  按个、根等计数的食材每个计数单位的大约克数
+//
+// 匹配规则：按标准名称和别名精确匹配；调用方明确要求时（resolve 的 contained）再找名称中包含的
+// 最长的标准名称或别名，如 猪里脊肉片 → 里脊肉。归类和判断是否同一食材只用精确匹配，
+// 未匹配时按分类关键词给出大类、没有标识：名称末尾的字说明是什么东西，鸡蛋饼 是饼不是蛋，
+// 所以取在名称中最靠后的关键词，同样靠后时取最长的
+//
+// 本模块不读文件也不发请求，Worker 直接 import，前端用 import() 加载后传入索引数据
+
+export const OTHER_CATEGORY = '其他';
+
+// 去掉空格和括号里的说明，如 "番茄（大）" → "番茄"
+export function cleanName(name) {
+  return String(name ?? '')
+    .replace(/[(（][^)）]*[)）]/g, '')
+    .replace(/[\s()（）]/g, '')
+    .trim();
+}
+
+export class IngredientResolver {
+  constructor(index) {
+    // 标识 → { 标识, 名称, 大类, 子类, 其他分类, 别名 }
+    this.entries = new Map();
+    // 标准名称或别名 → 标识
+    this.terms = new Map();
+    // [关键词, 大类]，长的在前
+    this.keywords = [];
+    this.categories = [];
+    // 标识 → { 计数单位: 克数 }
+    this.unitWeights = index?.单位重量 || {};
+
+    const hierarchy = index?.食材分类 || {};
+    for (const [大类, subcategories] of Object.entries(hierarchy)) {
+      this.categories.push(大类);
+
+      for (const [子类, names] of Object.entries(subcategories)) {
+        names.forEach(name => {
+          const existing = this.entries.get(name);
+          if (existing) {
+            existing.其他分类.push({ 大类, 子类 });
+            return;
+          }
+
+          this.entries.set(name, { 标识: name, 名称: name, 大类, 子类, 其他分类: [], 别名: [] });
+          this.terms.set(name, name);
+        });
+      }
+    }
+
+    for (const [name, aliases] of Object.entries(index?.别名 || {})) {
+      const entry = this.entries.get(name);
+      if (!entry) continue;
+
+      aliases.forEach(alias => {
+        // 别名不能覆盖其他食材的标准名称
+        if (this.terms.has(alias)) return;
+        this.terms.set(alias, name);
+        entry.别名.push(alias);
+      });
+    }
+
+    for (const [大类, words] of Object.entries(index?.分类关键词 || {})) {
+      if (!Array.isArray(words)) continue;
+      words.forEach(word => this.keywords.push([word, 大类]));
+    }
+    this.keywords.sort((a, b) => b[0].length - a[0].length);
+
+    // 包含匹配时先试长的名称
+    this.sortedTerms = [...this.terms.keys()].sort((a, b) => b.length - a.length);
+  }
+
+  // 解析食材名称，未匹配时返回null
+  // contained 为true时精确匹配不到再按包含的名称匹配，只适合估价这类取近似值的场合
+  resolve(name, { contained = false } = {}) {
+    const cleaned = cleanName(name);
+    if (!cleaned) return null;
+
+    const exact = this.terms.get(cleaned);
+    if (exact) {
+      return { ...this.entries.get(exact), 匹配: '精确' };
+    }
+    if (!contained) return null;
+
+    const containedTerm = this.sortedTerms.find(term => cleaned.includes(term));
+    if (containedTerm) {
+      return { ...this.entries.get(this.terms.get(containedTerm)), 匹配: '包含' };
+    }
+
+    return null;
+  }
+
+  // 标准名称：只换掉精确匹配的别名，如 西红柿 → 番茄；
+  // 包含匹配的名称保持原样，避免 鸡蛋饼、番茄酱汁 这类被合并到原料
+  normalize(name) {
+    const cleaned = cleanName(name);
+    return this.terms.get(cleaned) || cleaned;
+  }
+
+  // 食材所属的大类，未知食材为 其他；鸡蛋饼 归为主食类，番茄酱汁 归为调味品类
+  categorize(name) {
+    const entry = this.resolve(name);
+    if (entry) return entry.大类;
+
+    const cleaned = cleanName(name);
+    let best = null;
+    for (const [word, 大类] of this.keywords) {
+      const index = cleaned.lastIndexOf(word);
+      if (index === -1) continue;
+
+      // keywords 长的在前，同样靠后时保留先找到的
+      const end = index + word.length;
+      if (!best || end > best.end) {
+        best = { end, 大类 };
+      }
+    }
+    return best ? best.大类 : OTHER_CATEGORY;
+  }
+
+  // 某个计数单位大约多少克，如 青椒 个 → 100；没有数据时返回null
+  // 只按精确匹配的名称查，鸡蛋饼 的 个 和 鸡蛋 的 个 不是一回事
+  getUnitWeight(name, unit) {
+    const weight = this.unitWeights[this.normalize(name)]?.[unit];
+    return typeof weight === 'number' ? weight : null;
+  }
+
+  // 两个名称是否指同一种食材：比较标准名称（精确匹配的就是标识），
+  // 不按名称互相包含，否则 肉 会和所有肉类相同，鸡蛋饼 会和 鸡蛋 相同
+  isSame(a, b) {
+    const nameA = this.normalize(a);
+    return Boolean(nameA) && nameA === this.normalize(b);
+  }
+
+  // 全部大类，其他 排在最后
+  getCategories() {
+    return [...this.categories, OTHER_CATEGORY];
+  }
+}
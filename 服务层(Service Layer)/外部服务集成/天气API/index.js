@@ -0,0 +1,25 @@
+// 天气API - 按环境配置选择天气服务
+//
+// wrangler.toml 中的 WEATHER_PROVIDER 决定使用哪个服务，默认使用模拟天气
+
+import { MockWeatherProvider } from './模拟天气.js';
+
+export { WeatherProvider, WEATHER_CONDITIONS, normalizeWeather, classifyWeather } from './天气适配器.js';
+export { MockWeatherProvider };
+
+// 已注册的天气服务
+const PROVIDERS = {
+  mock: env => new MockWeatherProvider()
+};
+
+// 创建天气服务
+export function createWeatherProvider(env = {}) {
+  const name = env.WEATHER_PROVIDER || 'mock';
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`未知的天气服务: ${name}`);
+  }
+
+  return factory(env);
+}
@@ -0,0 +1,61 @@
+// 天气适配器 - 统一不同天气服务的返回格式
+//
+// 天气服务继承 WeatherProvider 并实现 getWeather({ 城市, 日期, 天气 })，返回:
+//   { 状况, 描述, 温度, 湿度, 来源 }
+// 状况 为 WEATHER_CONDITIONS 之一，推荐引擎只依据状况调整评分，其余字段仅供展示
+
+// 推荐引擎识别的天气状况
+export const WEATHER_CONDITIONS = ['炎热', '寒冷', '雨天', '潮湿', '温和'];
+
+// 天气描述与标准状况的对应关系
+const WEATHER_ALIASES = {
+  炎热: ['炎热', '高温', '酷暑', '酷热', '晴热', '暴晒', '热'],
+  寒冷: ['寒冷', '低温', '降温', '霜冻', '下雪', '小雪', '大雪', '雪', '冷'],
+  雨天: ['雨天', '下雨', '小雨', '中雨', '大雨', '暴雨', '阵雨', '雷阵雨', '雨'],
+  潮湿: ['潮湿', '闷热', '回南天', '梅雨', '多雾', '雾'],
+  温和: ['温和', '晴天', '多云', '阴天', '凉爽', '舒适', '晴', '阴']
+};
+
+// 表示不限天气的取值
+const ANY_WEATHER = ['任意', '不限', '无限制'];
+
+// 将用户选择或服务返回的天气描述归一为标准状况，无法识别时返回null
+// 先精确匹配，再取描述中包含的最长别名（"梅雨"优先于"雨"）
+export function normalizeWeather(text) {
+  if (!text || ANY_WEATHER.includes(text)) return null;
+
+  for (const [condition, aliases] of Object.entries(WEATHER_ALIASES)) {
+    if (aliases.includes(text)) return condition;
+  }
+
+  let best = null;
+  for (const [condition, aliases] of Object.entries(WEATHER_ALIASES)) {
+    for (const alias of aliases) {
+      if (text.includes(alias) && (!best || alias.length > best.alias.length)) {
+        best = { condition, alias };
+      }
+    }
+  }
+
+  return best ? best.condition : null;
+}
+
+// 根据气象数据判断状况（供接入真实天气接口的服务使用）
+export function classifyWeather({ 温度, 湿度 = 50, 降水 = 0 }) {
+  if (降水 > 0) return '雨天';
+  if (温度 >= 30) return 湿度 >= 80 ? '潮湿' : '炎热';
+  if (温度 <= 8) return '寒冷';
+  if (湿度 >= 85) return '潮湿';
+  return '温和';
+}
+
+// 天气服务基类
+export class WeatherProvider {
+  constructor(名称) {
+    this.名称 = 名称;
+  }
+
+  async getWeather(query) {
+    throw new Error(`天气服务 ${this.名称} 未实现 getWeather`);
+  }
+}
@@ -0,0 +1,48 @@
+// 模拟天气服务 - 本地开发和测试用，不请求任何外部接口
+// 用户选择了天气时直接采用；否则按日期所在月份给出典型天气
+
+import { WeatherProvider, normalizeWeather, classifyWeather } from './天气适配器.js';
+
+// 各月份的典型气象数据（以长江中下游为参考）
+const MONTHLY_WEATHER = {
+  1: { 温度: 4, 湿度: 70 },
+  2: { 温度: 6, 湿度: 72 },
+  3: { 温度: 11, 湿度: 74 },
+  4: { 温度: 17, 湿度: 75 },
+  5: { 温度: 22, 湿度: 76 },
+  6: { 温度: 26, 湿度: 86 },
+  7: { 温度: 31, 湿度: 78 },
+  8: { 温度: 30, 湿度: 76 },
+  9: { 温度: 25, 湿度: 74 },
+  10: { 温度: 19, 湿度: 70 },
+  11: { 温度: 12, 湿度: 70 },
+  12: { 温度: 6, 湿度: 68 }
+};
+
+export class MockWeatherProvider extends WeatherProvider {
+  // 固定天气: 测试时可强制返回某一天气描述
+  constructor({ 固定天气 = null } = {}) {
+    super('模拟天气');
+    this.固定天气 = 固定天气;
+  }
+
+  async getWeather({ 天气, 日期 } = {}) {
+    const 描述 = this.固定天气 || 天气;
+    const 状况 = normalizeWeather(描述);
+
+    if (状况) {
+      return { 状况, 描述, 温度: null, 湿度: null, 来源: this.固定天气 ? this.名称 : '用户选择' };
+    }
+
+    const month = (日期 ? new Date(日期) : new Date()).getMonth() + 1;
+    const typical = MONTHLY_WEATHER[month] || MONTHLY_WEATHER[1];
+
+    return {
+      状况: classifyWeather(typical),
+      描述: `${month}月典型天气`,
+      温度: typical.温度,
+      湿度: typical.湿度,
+      来源: this.名称
+    };
+  }
+}
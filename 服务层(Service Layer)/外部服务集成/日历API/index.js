@@ -0,0 +1,11 @@
+// 日历API - 导出菜单和计划到日历，读取日历中的忙碌时段
+//
+// 只处理 iCalendar 文本，不请求外部接口；订阅地址或文件由调用方读取后传入
+
+export {
+  DEFAULT_MEAL_TIMES, DEFAULT_TIME_OFFSET, parseMealTimes, parseCalendar, toCalendarTime
+} from './日历格式.js';
+export {
+  exportMenuCalendar, exportPlanCalendar, buildMealEvent, getDishTimes, getMealDuration, findLongSteps, planMeal
+} from './日历导出.js';
+export { parseBusySlots, getAvailableTimes } from './忙碌时段.js';
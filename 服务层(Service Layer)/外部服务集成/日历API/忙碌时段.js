@@ -0,0 +1,72 @@
+// 忙碌时段 - 从用户的日历（.ics）读取忙碌时段，算出每餐开饭前还有多少分钟可以做饭
+//
+// 只读取 VEVENT：取消的事件和标为空闲（TRANSP:TRANSPARENT）的事件不算忙碌，
+// 重复事件（RRULE）只按第一次计算；全天事件表示当天全天忙碌
+// 每餐从开饭时间往前看 最长准备 分钟，这段时间内最后一个忙碌时段结束后才能开始做饭
+
+import {
+  DEFAULT_TIME_OFFSET, DEFAULT_MEAL_TIMES, parseCalendar, parseCalendarTime, parseDuration, unescapeText,
+  toCalendarTime
+} from './日历格式.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// 解析忙碌时段，返回按开始时间排序的 [{ 开始, 结束, 摘要, 全天 }]
+export function parseBusySlots(text, { 时区偏移 = DEFAULT_TIME_OFFSET } = {}) {
+  return parseCalendar(text)
+    .filter(component => component.类型 === 'VEVENT')
+    .map(event => {
+      const property = name => event.属性[name]?.[0];
+      if (property('STATUS')?.值.toUpperCase() === 'CANCELLED') return null;
+      if (property('TRANSP')?.值.toUpperCase() === 'TRANSPARENT') return null;
+
+      const start = parseCalendarTime(property('DTSTART')?.值, property('DTSTART')?.参数, 时区偏移);
+      if (!start) return null;
+
+      const end = parseCalendarTime(property('DTEND')?.值, property('DTEND')?.参数, 时区偏移);
+      const duration = parseDuration(property('DURATION')?.值);
+      const 结束 = end ? end.时间
+        : duration !== null ? new Date(start.时间.getTime() + duration * MINUTE_MS)
+        : start.全天 ? new Date(start.时间.getTime() + 24 * 60 * MINUTE_MS)
+        : null;
+      if (!结束 || 结束 <= start.时间) return null;
+
+      return {
+        开始: start.时间,
+        结束,
+        摘要: unescapeText(property('SUMMARY')?.值 || ''),
+        全天: start.全天
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.开始 - b.开始);
+}
+
+// 每餐可以用来做饭的分钟数：{ 日期: { 餐次: 分钟 } }，只列出受忙碌时段影响的餐次
+// dates 为 YYYY-MM-DD 列表，meals 为餐次列表
+// options: { 开饭时间, 最长准备（分钟，一般为菜单参数的 烹饪时间）, 时区偏移 }
+export function getAvailableTimes(slots, dates, meals, options = {}) {
+  const {
+    开饭时间 = DEFAULT_MEAL_TIMES,
+    最长准备 = 120,
+    时区偏移 = DEFAULT_TIME_OFFSET
+  } = options;
+  const result = {};
+
+  dates.forEach(日期 => {
+    meals.forEach(餐次 => {
+      const serve = toCalendarTime(日期, 开饭时间[餐次] || DEFAULT_MEAL_TIMES.晚餐, 时区偏移);
+      const windowStart = new Date(serve.getTime() - 最长准备 * MINUTE_MS);
+
+      const busy = slots.filter(slot => slot.开始 < serve && slot.结束 > windowStart);
+      if (busy.length === 0) return;
+
+      const freeFrom = Math.max(...busy.map(slot => slot.结束.getTime()));
+      const 分钟 = Math.max(0, Math.round((serve.getTime() - freeFrom) / MINUTE_MS));
+
+      (result[日期] ||= {})[餐次] = 分钟;
+    });
+  });
+
+  return result;
+}
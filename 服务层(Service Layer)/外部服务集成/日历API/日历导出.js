@@ -0,0 +1,145 @@
+// 日历导出 - 把推荐菜单或多日计划导出为 iCalendar（.ics）
+//
+// 每一餐是一个事件，结束于开饭时间，开始时间按 烹饪排程.js 排出的时间线往前推，
+// 几道菜的步骤穿插进行，比逐道相加短；腌制、浸泡等需要提前开始的长步骤不计入事件，
+// 改为 VALARM 提醒，在时间线上这一步开始时提醒
+// 事件描述中附上菜谱和购物清单的链接，链接地址由调用方按部署情况提供
+
+import {
+  DEFAULT_TIME_OFFSET, DEFAULT_MEAL_TIMES, toCalendarTime, formatUtc, formatDuration, escapeText, buildCalendar
+} from './日历格式.js';
+import { scheduleCooking, getRecipeSteps } from '../../Cloudflare Workers(API服务)/烹饪排程.js';
+
+// 需要提前开始的准备步骤
+const LONG_STEP_KEYWORDS = ['腌', '浸泡', '泡发', '泡软', '解冻', '发酵', '醒面', '冷藏', '冷冻'];
+
+// 步骤不少于这么多分钟才提醒
+const LONG_STEP_MINUTES = 30;
+
+// 菜谱没有时间信息时按这么多分钟准备
+const DEFAULT_DISH_MINUTES = 30;
+
+// 一道菜的 { 准备, 烹饪 } 分钟数，用于事件描述；只有 总时间 的菜全部算作准备
+export function getDishTimes(recipe) {
+  const 准备 = Number(recipe.准备时间) || 0;
+  const 烹饪 = Number(recipe.烹饪时间) || 0;
+  if (准备 + 烹饪 > 0) return { 准备, 烹饪 };
+
+  return { 准备: Number(recipe.总时间) || DEFAULT_DISH_MINUTES, 烹饪: 0 };
+}
+
+// 菜谱中需要提前开始的长步骤：[{ 菜品名称, 步骤序号, 步骤, 分钟 }]
+// 步骤时长按 烹饪排程.js 计算，取 预计时间 和描述中写明的时长（如 腌制2小时）中较长的
+export function findLongSteps(recipe) {
+  return getRecipeSteps(recipe)
+    .filter(step => step.被动 && step.时长 >= LONG_STEP_MINUTES &&
+      LONG_STEP_KEYWORDS.some(keyword => step.步骤描述.includes(keyword)))
+    .map(step => ({ 菜品名称: recipe.菜品名称, 步骤序号: step.步骤序号, 步骤: step.步骤描述, 分钟: step.时长 }));
+}
+
+// 一餐的时间线，以及去掉提前准备的长步骤后真正开始做饭的时间
+// 返回 { 时间线, 长步骤: [{ ...findLongSteps 的结果, 开始 }], 做饭开始, 时长 }，时间都是时间线上的分钟数
+export function planMeal(dishes, kitchen = {}) {
+  const 时间线 = scheduleCooking(dishes, kitchen);
+  const longKeys = new Set(dishes.flatMap(findLongSteps).map(step => `${step.菜品名称}#${step.步骤序号}`));
+  const isLong = step => longKeys.has(`${step.菜品名称}#${step.步骤序号}`);
+
+  const cooking = 时间线.步骤.filter(step => !isLong(step));
+  const 做饭开始 = cooking.length > 0 ? Math.min(...cooking.map(step => step.开始)) : 时间线.总时长;
+  const 长步骤 = 时间线.步骤.filter(isLong).map(step => ({
+    菜品名称: step.菜品名称,
+    步骤序号: step.步骤序号,
+    步骤: step.步骤描述,
+    分钟: step.时长,
+    开始: step.开始
+  }));
+
+  return { 时间线, 长步骤, 做饭开始, 时长: 时间线.总时长 - 做饭开始 };
+}
+
+// 一餐的做饭分钟数，不含提前准备的长步骤
+export function getMealDuration(dishes, kitchen = {}) {
+  return dishes.length > 0 ? planMeal(dishes, kitchen).时长 : 0;
+}
+
+// 一餐的事件行，没有菜品时返回空数组
+// meal: { 日期, 餐次, 菜品 }
+// options: { 开饭时间, 时区偏移, 灶眼, 人手, 链接: { 菜谱(recipe), 购物清单 }, 标识, 生成时间 }
+export function buildMealEvent({ 日期, 餐次, 菜品 }, options = {}) {
+  if (!菜品 || 菜品.length === 0) return [];
+
+  const {
+    开饭时间 = DEFAULT_MEAL_TIMES,
+    时区偏移 = DEFAULT_TIME_OFFSET,
+    链接 = {},
+    标识 = '',
+    生成时间 = new Date(),
+    灶眼,
+    人手
+  } = options;
+
+  const end = toCalendarTime(日期, 开饭时间[餐次] || DEFAULT_MEAL_TIMES.晚餐, 时区偏移);
+  const { 长步骤: longSteps, 做饭开始, 时长 } = planMeal(菜品, { 灶眼, 人手 });
+  const start = new Date(end.getTime() - 时长 * 60 * 1000);
+
+  const description = [
+    '菜品：',
+    ...菜品.flatMap(recipe => {
+      const { 准备, 烹饪 } = getDishTimes(recipe);
+      const url = 链接.菜谱?.(recipe);
+      return [
+        `· ${recipe.菜品名称}（准备${准备}分钟${烹饪 ? `，烹饪${烹饪}分钟` : ''}）`,
+        ...(url ? [`  菜谱：${url}`] : [])
+      ];
+    }),
+    ...(longSteps.length > 0 ? [
+      '提前准备：',
+      ...longSteps.map(step => `· ${step.菜品名称}：${step.步骤}（约${step.分钟}分钟）`)
+    ] : []),
+    ...(链接.购物清单 ? [`购物清单：${链接.购物清单}`] : [])
+  ].join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(`${日期}-${餐次}${标识 ? `-${标识}` : ''}@smart-recipe-system`)}`,
+    `DTSTAMP:${formatUtc(生成时间)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`${餐次}：${菜品.map(recipe => recipe.菜品名称).join('、')}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'CATEGORIES:做饭',
+    'TRANSP:OPAQUE',
+    ...longSteps.flatMap(step => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:${formatDuration(step.开始 - 做饭开始)}`,
+      `DESCRIPTION:${escapeText(`${餐次}的${step.菜品名称}需要提前准备：${step.步骤}`)}`,
+      'END:VALARM'
+    ]),
+    'END:VEVENT'
+  ];
+}
+
+// 导出 /api/recommend 返回的一餐菜单
+export function exportMenuCalendar(result, options = {}) {
+  const lines = buildMealEvent({
+    日期: result.参数.日期,
+    餐次: result.参数.餐次,
+    菜品: Object.values(result.菜单 || {}).flat()
+  }, { 标识: result.seed, ...options });
+
+  return buildCalendar(lines, options);
+}
+
+// 导出 /api/plan 返回的多日计划，每天每餐一个事件
+export function exportPlanCalendar(result, options = {}) {
+  const lines = (result.计划 || []).flatMap(day =>
+    Object.entries(day.餐次 || {}).flatMap(([餐次, meal]) => buildMealEvent({
+      日期: day.日期,
+      餐次,
+      菜品: Object.values(meal.菜单 || {}).flat()
+    }, { 标识: result.seed, ...options }))
+  );
+
+  return buildCalendar(lines, options);
+}
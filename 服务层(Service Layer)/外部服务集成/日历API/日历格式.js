@@ -0,0 +1,191 @@
+// 日历格式 - iCalendar（RFC 5545）的读写工具和开饭时间约定
+//
+// 菜单只有日期没有时区，日历中的时间按 时区偏移（分钟，默认东八区）换算为 UTC 写出；
+// 读取时带 Z 的时间按 UTC 解析，不带 Z 的本地时间（包括带 TZID 的）按同一个时区偏移解析
+
+// 默认时区偏移（分钟），北京时间
+export const DEFAULT_TIME_OFFSET = 480;
+
+// 各餐的默认开饭时间，做饭时间从开饭时间往前推
+export const DEFAULT_MEAL_TIMES = {
+  早餐: '07:30',
+  午餐: '12:00',
+  晚餐: '18:30'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// 解析开饭时间参数，如 午餐:12:30,晚餐:19:00；未指定或无效的餐次使用默认时间
+export function parseMealTimes(text) {
+  const times = { ...DEFAULT_MEAL_TIMES };
+  String(text ?? '').split(',').forEach(item => {
+    const match = /^\s*(早餐|午餐|晚餐)[:：](\d{1,2})[:：](\d{2})\s*$/.exec(item);
+    if (match && Number(match[2]) < 24 && Number(match[3]) < 60) {
+      times[match[1]] = `${match[2].padStart(2, '0')}:${match[3]}`;
+    }
+  });
+  return times;
+}
+
+// 本地日期和时刻换算为时间点，如 ('2026-10-20', '18:30')
+export function toCalendarTime(日期, 时刻, offset = DEFAULT_TIME_OFFSET) {
+  const [year, month, day] = 日期.split('-').map(Number);
+  const [hour, minute] = String(时刻).split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour || 0, minute || 0) - offset * MINUTE_MS);
+}
+
+// 时间点对应的本地日期 YYYY-MM-DD
+export function toLocalDate(time, offset = DEFAULT_TIME_OFFSET) {
+  return new Date(time.getTime() + offset * MINUTE_MS).toISOString().slice(0, 10);
+}
+
+// 写成 UTC 时间，如 20261020T103000Z
+export function formatUtc(time) {
+  return time.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 分钟数写成相对时长，如 -PT1H30M
+export function formatDuration(minutes) {
+  const sign = minutes < 0 ? '-' : '';
+  const total = Math.round(Math.abs(minutes));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return `${sign}PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+// 解析时长，如 PT1H30M、P1D，返回分钟数，无法解析时返回null
+export function parseDuration(text) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(text ?? '').trim());
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = (Number(weeks) || 0) * 7 * 24 * 60 + (Number(days) || 0) * 24 * 60 +
+    (Number(hours) || 0) * 60 + (Number(minutes) || 0) + (Number(seconds) || 0) / 60;
+  return sign === '-' ? -total : total;
+}
+
+// 转义文本值中的反斜杠、逗号、分号和换行
+export function escapeText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// escapeText 的逆过程，用于读取导入日历中的文本
+export function unescapeText(text) {
+  return String(text ?? '').replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// 按 75 字节折行，续行以空格开头；按字符切分，不会拆开多字节的汉字
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// 生成日历文本，lines 为各事件已经写好的行，折行在这里统一处理
+export function buildCalendar(lines, { 日历名称 = '智能菜谱' } = {}) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//smart-recipe-system//meal-plan//ZH',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(日历名称)}`,
+    ...lines,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+// 解析日历文本中的组件，返回 [{ 类型, 属性: { 名称: [{ 值, 参数 }] } }]，只取最外层以下的 VEVENT 等组件
+export function parseCalendar(text) {
+  const lines = String(text ?? '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+
+  const components = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    const property = parseLine(line);
+    if (!property) return;
+
+    if (property.名称 === 'BEGIN') {
+      stack.push({ 类型: property.值.toUpperCase(), 属性: {} });
+      return;
+    }
+    if (property.名称 === 'END') {
+      const component = stack.pop();
+      // VCALENDAR 本身不返回，VALARM 等嵌套组件也不单独返回
+      if (component && stack.length === 1) components.push(component);
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (!current) return;
+    (current.属性[property.名称] ||= []).push({ 值: property.值, 参数: property.参数 });
+  });
+
+  return components;
+}
+
+// 解析一行，如 DTSTART;TZID=Asia/Shanghai:20261020T090000
+function parseLine(line) {
+  const colon = findValueStart(line);
+  if (colon < 0) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    名称: name.trim().toUpperCase(),
+    值: line.slice(colon + 1),
+    参数: Object.fromEntries(params.map(param => {
+      const index = param.indexOf('=');
+      return [param.slice(0, index).toUpperCase(), param.slice(index + 1).replace(/^"|"$/g, '')];
+    }))
+  };
+}
+
+// 属性名和值之间的冒号，参数值中带引号的冒号不算
+function findValueStart(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) return i;
+  }
+  return -1;
+}
+
+// 解析日期或日期时间，返回 { 时间, 全天 }，无法解析时返回null
+// 全天事件的日期按本地零点计算
+export function parseCalendarTime(value, params = {}, offset = DEFAULT_TIME_OFFSET) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { 时间: toCalendarTime(`${year}-${month}-${day}`, '00:00', offset), 全天: true };
+  }
+
+  const local = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second) || 0);
+  return { 时间: new Date(utc ? local : local - offset * MINUTE_MS), 全天: false };
+}
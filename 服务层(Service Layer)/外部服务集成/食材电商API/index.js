@@ -0,0 +1,25 @@
+// 食材电商API - 按环境配置选择电商服务
+//
+// wrangler.toml 中的 GROCERY_PROVIDER 决定使用哪个服务，默认使用模拟电商
+
+import { MockGroceryProvider } from './模拟电商.js';
+
+export { GroceryProvider, matchPackSizes, toCartLine } from './电商适配器.js';
+export { MockGroceryProvider };
+
+// 已注册的电商服务
+const PROVIDERS = {
+  mock: env => new MockGroceryProvider()
+};
+
+// 创建电商服务
+export function createGroceryProvider(env = {}) {
+  const name = env.GROCERY_PROVIDER || 'mock';
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`未知的电商服务: ${name}`);
+  }
+
+  return factory(env);
+}
@@ -0,0 +1,57 @@
+// 模拟电商服务 - 本地开发和测试用，不请求任何外部接口
+// 商品来自同目录的 模拟商品.json，按 食材 字段匹配标准名称，没有时再按商品名称包含食材名查找
+
+import { GroceryProvider, toCartLine } from './电商适配器.js';
+import 模拟商品 from './模拟商品.json' with { type: 'json' };
+
+export class MockGroceryProvider extends GroceryProvider {
+  // 商品: 测试时可替换商品目录
+  constructor({ 商品 = 模拟商品.商品 } = {}) {
+    super('模拟电商');
+    this.商品 = 商品;
+  }
+
+  async searchProducts(食材) {
+    const name = String(食材 ?? '').trim();
+    if (!name) return [];
+
+    const exact = this.商品.filter(product => product.食材 === name);
+    const found = exact.length > 0 ? exact : this.商品.filter(product => product.名称.includes(name));
+    return found.map(product => ({ ...product, 规格: { ...product.规格 } }));
+  }
+
+  async getPrices(商品标识列表 = []) {
+    return Object.fromEntries(商品标识列表
+      .map(id => this.findProduct(id))
+      .filter(Boolean)
+      .map(product => [product.商品标识, product.价格]));
+  }
+
+  async createCart(items = []) {
+    const 商品 = items.map(({ 商品标识, 件数 }) => {
+      const product = this.findProduct(商品标识);
+      if (!product) {
+        throw new Error(`商品 ${商品标识} 不存在`);
+      }
+      if (!Number.isInteger(件数) || 件数 < 1) {
+        throw new Error(`商品 ${商品标识} 的件数无效`);
+      }
+      if (件数 > product.库存) {
+        throw new Error(`${product.名称} 库存不足，剩余${product.库存}件`);
+      }
+      return toCartLine(product, 件数);
+    });
+
+    return {
+      购物车标识: `MOCK-${crypto.randomUUID()}`,
+      商品,
+      总价: Math.round(商品.reduce((sum, line) => sum + line.小计, 0) * 100) / 100,
+      来源: this.名称,
+      创建时间: new Date().toISOString()
+    };
+  }
+
+  findProduct(商品标识) {
+    return this.商品.find(product => product.商品标识 === 商品标识) || null;
+  }
+}
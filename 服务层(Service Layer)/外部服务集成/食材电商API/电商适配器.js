@@ -0,0 +1,141 @@
+// 电商适配器 - 统一不同食材电商的商品、价格和购物车接口
+//
+// 电商服务继承 GroceryProvider 并实现:
+//   searchProducts(食材, options)  按食材搜索商品，返回 [{ 商品标识, 名称, 食材, 规格, 价格, 库存 }]
+//   getPrices(商品标识列表)        查询当前价格，返回 { 商品标识: 价格 }，下架的商品不在结果中
+//   createCart(items)             items 为 [{ 商品标识, 件数 }]，返回 { 购物车标识, 商品, 总价, 来源 }
+// 规格 为每件商品的 { 数量, 单位 }，单位与菜谱用量相同，如 { 数量: 500, 单位: '克' }、{ 数量: 6, 单位: '个' }
+//
+// 规格匹配与服务无关：同一食材的各种规格按 用量解析.js 换算后，选出总价最低、总量不少于需要量的组合
+
+import {
+  parseQuantity, convertWithUnitWeight, toBaseUnit, isQualitative, unitType
+} from '../../Cloudflare Workers(API服务)/用量解析.js';
+
+// 个、根等计数单位精确到0.1个
+const COUNT_SCALE = 10;
+
+// 动态规划的最大格数，超出时按比例放粗，组合仍然保证够用
+const MAX_UNITS = 20000;
+
+// 购物车或匹配结果中的一行
+export function toCartLine(product, 件数) {
+  return {
+    商品标识: product.商品标识,
+    名称: product.名称,
+    规格: product.规格,
+    价格: product.价格,
+    件数,
+    小计: round(product.价格 * 件数)
+  };
+}
+
+// 为一项用量选择商品规格组合，needed 为 用量解析.js 的结构化用量，范围用量按上限买够
+// getUnitWeight(单位) 用于计数和重量之间的换算，如 黄瓜 2根装 和 300克 的需要量
+// 返回 { 商品, 总价, 购买量, 剩余 }，购买量 和 剩余 为 { 数量, 单位 }；没有可用的商品时返回null
+// 适量 等定性用量买最便宜的一件，不计算剩余
+export function matchPackSizes(needed, products, getUnitWeight = () => null) {
+  const available = (products || []).filter(product => product.库存 !== 0 && product.价格 > 0);
+  if (!needed) return null;
+
+  if (isQualitative(needed)) {
+    const cheapest = available.reduce((best, product) => (!best || product.价格 < best.价格 ? product : best), null);
+    if (!cheapest) return null;
+    return {
+      商品: [toCartLine(cheapest, 1)],
+      总价: round(cheapest.价格),
+      购买量: { ...cheapest.规格 },
+      剩余: null
+    };
+  }
+
+  // 重量和体积按克、毫升计算，计数单位保持不变
+  const base = toBaseUnit(needed);
+  const scale = unitType(base.单位) ? 1 : COUNT_SCALE;
+
+  const packs = available.map(product => {
+    const size = convertWithUnitWeight(parseQuantity(product.规格?.数量, product.规格?.单位), base.单位, getUnitWeight);
+    return size && size.最大 > 0 ? { product, size: size.最大 } : null;
+  }).filter(Boolean);
+  if (packs.length === 0) return null;
+
+  const exactTarget = Math.ceil(base.最大 * scale - 1e-9);
+  const largest = Math.max(...packs.map(pack => Math.ceil(pack.size * scale)));
+  const step = Math.max(1, Math.ceil((exactTarget + largest) / MAX_UNITS));
+
+  // 放粗时规格向下取整、需要量向上取整，选出的组合只会比计算的更够用
+  const target = Math.ceil(exactTarget / step);
+  const sizes = packs.map(pack => Math.max(1, Math.floor(pack.size * scale / step)));
+  const prices = packs.map(pack => Math.round(pack.product.价格 * 100));
+  const limit = target + Math.max(...sizes);
+
+  // cost[c] 为总量恰好 c 格的最低价格（分），choice[c] 为最后加入的规格
+  const cost = new Array(limit + 1).fill(Infinity);
+  const choice = new Array(limit + 1).fill(-1);
+  cost[0] = 0;
+
+  for (let c = 1; c <= limit; c++) {
+    sizes.forEach((size, i) => {
+      if (size <= c && cost[c - size] + prices[i] < cost[c]) {
+        cost[c] = cost[c - size] + prices[i];
+        choice[c] = i;
+      }
+    });
+  }
+
+  // 价格相同时选总量少的，剩下的最少
+  let best = -1;
+  for (let c = target; c <= limit; c++) {
+    if (cost[c] < Infinity && (best === -1 || cost[c] < cost[best])) best = c;
+  }
+  if (best === -1) return null;
+
+  const counts = new Array(packs.length).fill(0);
+  for (let c = best; c > 0; c -= sizes[choice[c]]) {
+    counts[choice[c]]++;
+  }
+
+  const 商品 = [];
+  let 购买量 = 0;
+  counts.forEach((件数, i) => {
+    if (件数 === 0) return;
+    商品.push(toCartLine(packs[i].product, 件数));
+    购买量 += packs[i].size * 件数;
+  });
+
+  return {
+    商品,
+    总价: round(商品.reduce((sum, line) => sum + line.小计, 0)),
+    购买量: { 数量: round(购买量), 单位: base.单位 },
+    剩余: { 数量: round(Math.max(0, 购买量 - base.最大)), 单位: base.单位 }
+  };
+}
+
+// 电商服务基类
+export class GroceryProvider {
+  constructor(名称) {
+    this.名称 = 名称;
+  }
+
+  async searchProducts(食材, options = {}) {
+    throw new Error(`电商服务 ${this.名称} 未实现 searchProducts`);
+  }
+
+  async getPrices(商品标识列表) {
+    throw new Error(`电商服务 ${this.名称} 未实现 getPrices`);
+  }
+
+  async createCart(items) {
+    throw new Error(`电商服务 ${this.名称} 未实现 createCart`);
+  }
+
+  // 搜索食材并匹配规格，没有合适的商品时返回null
+  async matchIngredient(食材, needed, getUnitWeight) {
+    const products = await this.searchProducts(食材);
+    return matchPackSizes(needed, products, getUnitWeight);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
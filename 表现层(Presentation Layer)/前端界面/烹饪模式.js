@@ -0,0 +1,591 @@
+// ============================================
+// 智能菜谱推荐系统 - 烹饪模式
+// ============================================
+
+// 全屏逐步显示菜谱步骤：大字显示当前步骤和烹饪技巧，有预计时间的步骤自动开始倒计时
+// 烹饪模式打开期间用 Wake Lock API 保持屏幕常亮
+// 计时器可以同时开多个，按名称区分；结束时间保存在 localStorage 中，刷新页面后继续计时，
+// 页面关闭期间到时的计时器在下次打开时提醒
+// 计时结束时交给 Service Worker 发出系统通知，没有 Service Worker 时直接用 Notification
+
+class CookingTimerManager {
+    constructor(options = {}) {
+        this.config = {
+            storageKey: 'cookingTimers',
+            // 检查计时器的间隔（毫秒）
+            tickInterval: 1000
+        };
+
+        // 计时器：{ 标识, 名称, 时长（秒）, 结束时间（毫秒时间戳，暂停时为null）, 剩余（暂停时的秒数）, 已结束 }
+        this.timers = [];
+        this.listeners = new Set();
+        this.onFinish = options.onFinish || null;
+        this.interval = null;
+    }
+
+    // ============================================
+    // 持久化
+    // ============================================
+
+    // 读取保存的计时器，页面关闭期间已经到时的立即结束
+    load() {
+        this.timers = loadFromStorage(this.config.storageKey, []);
+        this.check();
+        this.updateInterval();
+        return this.timers;
+    }
+
+    save() {
+        saveToStorage(this.config.storageKey, this.timers);
+    }
+
+    // ============================================
+    // 计时器操作
+    // ============================================
+
+    // 开始计时，同名的计时器重新开始
+    start(名称, 秒数) {
+        const 时长 = Math.max(1, Math.round(Number(秒数) || 0));
+        const existing = this.timers.find(timer => timer.名称 === 名称);
+        const timer = existing || { 标识: `timer_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`, 名称 };
+
+        Object.assign(timer, { 时长, 结束时间: Date.now() + 时长 * 1000, 剩余: null, 已结束: false });
+        if (!existing) this.timers.push(timer);
+
+        this.changed();
+        return timer;
+    }
+
+    pause(标识) {
+        const timer = this.get(标识);
+        if (!timer || timer.已结束 || timer.结束时间 === null) return;
+
+        timer.剩余 = this.getRemaining(timer);
+        timer.结束时间 = null;
+        this.changed();
+    }
+
+    resume(标识) {
+        const timer = this.get(标识);
+        if (!timer || timer.已结束 || timer.结束时间 !== null) return;
+
+        timer.结束时间 = Date.now() + timer.剩余 * 1000;
+        timer.剩余 = null;
+        this.changed();
+    }
+
+    // 取消计时，已结束的计时器也用它关闭
+    remove(标识) {
+        this.timers = this.timers.filter(timer => timer.标识 !== 标识);
+        this.changed();
+    }
+
+    get(标识) {
+        return this.timers.find(timer => timer.标识 === 标识) || null;
+    }
+
+    findByName(名称) {
+        return this.timers.find(timer => timer.名称 === 名称) || null;
+    }
+
+    // 剩余秒数
+    getRemaining(timer) {
+        if (timer.已结束) return 0;
+        if (timer.结束时间 === null) return timer.剩余;
+        return Math.max(0, Math.ceil((timer.结束时间 - Date.now()) / 1000));
+    }
+
+    // ============================================
+    // 计时
+    // ============================================
+
+    // 结束到时的计时器
+    check() {
+        const finished = this.timers.filter(timer =>
+            !timer.已结束 && timer.结束时间 !== null && timer.结束时间 <= Date.now());
+
+        if (finished.length > 0) {
+            finished.forEach(timer => { timer.已结束 = true; });
+            this.save();
+            finished.forEach(timer => this.onFinish?.(timer));
+        }
+
+        this.notify();
+    }
+
+    // 有正在计时的计时器时才每秒检查
+    updateInterval() {
+        const running = this.timers.some(timer => !timer.已结束 && timer.结束时间 !== null);
+
+        if (running && !this.interval) {
+            this.interval = setInterval(() => {
+                this.check();
+                this.updateInterval();
+            }, this.config.tickInterval);
+        } else if (!running && this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    changed() {
+        this.save();
+        this.updateInterval();
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.timers));
+    }
+}
+
+class CookingMode {
+    constructor(timerManager) {
+        this.timers = timerManager;
+        this.recipe = null;
+        this.stepIndex = 0;
+        this.element = null;
+        this.wakeLock = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.timers.subscribe(() => this.renderTimers());
+    }
+
+    get isOpen() {
+        return Boolean(this.recipe);
+    }
+
+    // ============================================
+    // 打开和关闭
+    // ============================================
+
+    open(recipe, stepIndex = 0) {
+        const steps = recipe?.烹饪步骤 || [];
+        if (steps.length === 0) {
+            showNotification('无法进入烹饪模式', '这道菜没有烹饪步骤', 'warning');
+            return;
+        }
+
+        this.recipe = recipe;
+        this.element = this.element || this.createElement();
+        this.element.classList.add('show');
+        document.body.classList.add('烹饪模式中');
+
+        document.addEventListener('keydown', this.handleKeydown);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.requestWakeLock();
+
+        this.goTo(stepIndex);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.recipe = null;
+        this.element.classList.remove('show');
+        document.body.classList.remove('烹饪模式中');
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.releaseWakeLock();
+
+        // 关闭后仍在计时的计时器显示在浮窗中
+        renderTimerFloat();
+    }
+
+    // ============================================
+    // 屏幕常亮
+    // ============================================
+
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator) || this.wakeLock) return;
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+
+            // 申请期间已经退出烹饪模式
+            if (!this.isOpen) {
+                await this.releaseWakeLock();
+                return;
+            }
+
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            // 省电模式或页面不可见时会被拒绝，不影响使用
+            console.warn('保持屏幕常亮失败:', error);
+        }
+    }
+
+    async releaseWakeLock() {
+        if (!this.wakeLock) return;
+
+        try {
+            await this.wakeLock.release();
+        } catch (error) {
+            console.warn('释放屏幕常亮失败:', error);
+        }
+        this.wakeLock = null;
+    }
+
+    // 切到其他页面时浏览器会自动释放，回来后重新申请
+    handleVisibilityChange() {
+        if (document.visibilityState === 'visible' && this.isOpen) {
+            this.requestWakeLock();
+        }
+    }
+
+    // ============================================
+    // 步骤切换
+    // ============================================
+
+    goTo(index) {
+        const steps = this.recipe.烹饪步骤;
+        this.stepIndex = Math.max(0, Math.min(index, steps.length - 1));
+        this.renderStep();
+
+        // 有预计时间的步骤自动开始倒计时；回到已经计过时的步骤不重新开始
+        const step = steps[this.stepIndex];
+        if (step.预计时间 && !this.timers.findByName(this.getStepTimerName())) {
+            this.timers.start(this.getStepTimerName(), step.预计时间 * 60);
+        }
+        this.renderTimers();
+    }
+
+    next() {
+        if (this.stepIndex < this.recipe.烹饪步骤.length - 1) {
+            this.goTo(this.stepIndex + 1);
+        }
+    }
+
+    previous() {
+        if (this.stepIndex > 0) {
+            this.goTo(this.stepIndex - 1);
+        }
+    }
+
+    // 当前步骤的计时器名称，如 春笋炒肉片 第2步
+    getStepTimerName(index = this.stepIndex) {
+        const step = this.recipe.烹饪步骤[index];
+        return `${this.recipe.菜品名称} 第${step.步骤序号 || index + 1}步`;
+    }
+
+    restartStepTimer() {
+        const step = this.recipe.烹饪步骤[this.stepIndex];
+        if (step.预计时间) {
+            this.timers.start(this.getStepTimerName(), step.预计时间 * 60);
+        }
+    }
+
+    handleKeydown(event) {
+        if (event.target.matches?.('input, textarea')) return;
+
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'PageDown':
+            case ' ':
+                event.preventDefault();
+                this.next();
+                break;
+
+            case 'ArrowLeft':
+            case 'PageUp':
+                event.preventDefault();
+                this.previous();
+                break;
+
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+
+    // ============================================
+    // 渲染
+    // ============================================
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = '烹饪模式';
+        element.innerHTML = `
+            <div class="烹饪模式头部">
+                <div class="烹饪模式标题"></div>
+                <div class="烹饪模式进度"></div>
+                <button class="烹饪模式关闭" data-action="close" title="退出烹饪模式">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="烹饪模式步骤">
+                <div class="烹饪模式描述"></div>
+                <div class="烹饪模式技巧"></div>
+                <div class="烹饪模式倒计时"></div>
+            </div>
+            <div class="烹饪模式计时器"></div>
+            <div class="烹饪模式操作">
+                <button class="操作按钮" data-action="previous">
+                    <i class="fas fa-chevron-left"></i> 上一步
+                </button>
+                <button class="操作按钮" data-action="add-timer">
+                    <i class="fas fa-stopwatch"></i> 添加计时
+                </button>
+                <button class="操作按钮 主要" data-action="next">
+                    下一步 <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `;
+
+        element.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            const 标识 = button.dataset.timer;
+            switch (button.dataset.action) {
+                case 'close': this.close(); break;
+                case 'previous': this.previous(); break;
+                case 'next': this.next(); break;
+                case 'add-timer': 添加计时器(); break;
+                case 'restart-step': this.restartStepTimer(); break;
+                case 'pause': this.timers.pause(标识); break;
+                case 'resume': this.timers.resume(标识); break;
+                case 'remove': this.timers.remove(标识); break;
+            }
+        });
+
+        document.body.appendChild(element);
+        return element;
+    }
+
+    renderStep() {
+        const steps = this.recipe.烹饪步骤;
+        const step = steps[this.stepIndex];
+        const $ = selector => this.element.querySelector(selector);
+
+        $('.烹饪模式标题').textContent = this.recipe.菜品名称;
+        $('.烹饪模式进度').textContent = `第 ${this.stepIndex + 1} / ${steps.length} 步`;
+        $('.烹饪模式描述').textContent = step.步骤描述;
+
+        const tip = $('.烹饪模式技巧');
+        tip.innerHTML = step.烹饪技巧 ? `<i class="fas fa-lightbulb"></i> ${step.烹饪技巧}` : '';
+        tip.style.display = step.烹饪技巧 ? '' : 'none';
+
+        $('[data-action="previous"]').disabled = this.stepIndex === 0;
+        $('[data-action="next"]').disabled = this.stepIndex === steps.length - 1;
+    }
+
+    // 当前步骤的大号倒计时和所有计时器列表
+    renderTimers() {
+        if (!this.isOpen) return;
+
+        const step = this.recipe.烹饪步骤[this.stepIndex];
+        const stepTimer = this.timers.findByName(this.getStepTimerName());
+        const countdown = this.element.querySelector('.烹饪模式倒计时');
+
+        if (!step.预计时间) {
+            countdown.innerHTML = '';
+        } else if (stepTimer?.已结束) {
+            countdown.innerHTML = `
+                <span class="倒计时数字 已结束">时间到</span>
+                <button class="操作按钮" data-action="restart-step"><i class="fas fa-redo"></i> 重新计时</button>
+            `;
+        } else if (stepTimer) {
+            countdown.innerHTML = `<span class="倒计时数字">${formatCountdown(this.timers.getRemaining(stepTimer))}</span>`;
+        } else {
+            countdown.innerHTML = `
+                <span class="倒计时数字">${formatCountdown(step.预计时间 * 60)}</span>
+                <button class="操作按钮" data-action="restart-step"><i class="fas fa-play"></i> 开始计时</button>
+            `;
+        }
+
+        updateTimerList(this.element.querySelector('.烹饪模式计时器'), this.timers);
+    }
+}
+
+// ============================================
+// 计时器列表和浮窗
+// ============================================
+
+// 秒数写成 mm:ss，超过一小时写成 h:mm:ss
+function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = seconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(rest)}` : `${pad(minutes)}:${pad(rest)}`;
+}
+
+// 计时器列表，按钮通过 data-action 和 data-timer 处理
+function renderTimerList(timerManager) {
+    return timerManager.timers.map(timer => {
+        const paused = !timer.已结束 && timer.结束时间 === null;
+        const toggle = timer.已结束 ? '' : `
+            <button data-action="${paused ? 'resume' : 'pause'}" data-timer="${timer.标识}" title="${paused ? '继续' : '暂停'}">
+                <i class="fas ${paused ? 'fa-play' : 'fa-pause'}"></i>
+            </button>
+        `;
+
+        return `
+            <div class="计时器项 ${timer.已结束 ? '已结束' : ''}">
+                <span class="计时器名称">${timer.名称}</span>
+                <span class="计时器剩余">${timer.已结束 ? '时间到' : formatCountdown(timerManager.getRemaining(timer))}</span>
+                ${toggle}
+                <button data-action="remove" data-timer="${timer.标识}" title="${timer.已结束 ? '关闭' : '取消'}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+// 更新计时器列表；计时器没有增减或改变状态时只更新剩余时间，避免每秒重建按钮导致点击失效
+function updateTimerList(container, timerManager) {
+    const signature = timerManager.timers
+        .map(timer => `${timer.标识}:${timer.已结束 ? 'done' : timer.结束时间 === null ? 'paused' : 'running'}`)
+        .join('|');
+
+    if (container.dataset.signature !== signature) {
+        container.dataset.signature = signature;
+        container.innerHTML = renderTimerList(timerManager);
+        return;
+    }
+
+    container.querySelectorAll('.计时器剩余').forEach((element, index) => {
+        const timer = timerManager.timers[index];
+        element.textContent = timer.已结束 ? '时间到' : formatCountdown(timerManager.getRemaining(timer));
+    });
+}
+
+// 烹饪模式关闭时，在页面角落显示仍在计时的计时器
+function renderTimerFloat() {
+    const manager = initCookingMode().timers;
+    let float = document.getElementById('计时器浮窗');
+
+    if (manager.timers.length === 0 || cookingMode.isOpen) {
+        if (float) float.style.display = 'none';
+        return;
+    }
+
+    if (!float) {
+        float = document.createElement('div');
+        float.id = '计时器浮窗';
+        float.className = '计时器浮窗';
+        float.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            const 标识 = button.dataset.timer;
+            switch (button.dataset.action) {
+                case 'pause': manager.pause(标识); break;
+                case 'resume': manager.resume(标识); break;
+                case 'remove': manager.remove(标识); break;
+            }
+        });
+        document.body.appendChild(float);
+    }
+
+    float.style.display = '';
+    updateTimerList(float, manager);
+}
+
+// ============================================
+// 计时结束提醒
+// ============================================
+
+// 页面内提示，同时交给 Service Worker 发出系统通知
+async function notifyTimerFinished(timer) {
+    showNotification('计时结束', `${timer.名称}的时间到了`, 'warning', 10000);
+
+    if (navigator.vibrate) {
+        navigator.vibrate([300, 100, 300]);
+    }
+
+    const notification = {
+        title: '计时结束',
+        body: `${timer.名称}的时间到了`,
+        tag: timer.标识,
+        url: window.location.pathname
+    };
+
+    try {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'SHOW_NOTIFICATION', data: notification });
+        } else {
+            new Notification(notification.title, { body: notification.body, tag: notification.tag, icon: '/图标.png' });
+        }
+    } catch (error) {
+        console.warn('发送计时通知失败:', error);
+    }
+}
+
+// ============================================
+// 初始化和全局函数
+// ============================================
+
+let cookingMode = null;
+
+function initCookingMode() {
+    if (!cookingMode) {
+        const timers = new CookingTimerManager({ onFinish: notifyTimerFinished });
+        cookingMode = new CookingMode(timers);
+        timers.subscribe(() => renderTimerFloat());
+        timers.load();
+    }
+    return cookingMode;
+}
+
+// 进入烹饪模式，第一次使用时请求通知权限，用于计时结束提醒
+function 进入烹饪模式(recipe, stepIndex = 0) {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+
+    initCookingMode().open(recipe, stepIndex);
+}
+
+// 手动添加一个计时器，如 煮饭 30分钟
+function 添加计时器(名称 = null, 分钟 = null) {
+    const name = 名称 || prompt('计时器名称', '计时');
+    if (!name) return null;
+
+    const minutes = 分钟 ?? Number(prompt('计时多少分钟？', '10'));
+    if (!(minutes > 0)) {
+        showNotification('无法计时', '请输入大于0的分钟数', 'warning');
+        return null;
+    }
+
+    return initCookingMode().timers.start(name, minutes * 60);
+}
+
+// 导出函数到全局
+window.CookingTimerManager = CookingTimerManager;
+window.CookingMode = CookingMode;
+window.initCookingMode = initCookingMode;
+window.进入烹饪模式 = 进入烹饪模式;
+window.添加计时器 = 添加计时器;
+
+// 自动初始化：恢复刷新前的计时器
+document.addEventListener('DOMContentLoaded', () => {
+    const timers = initCookingMode().timers.timers;
+    if (timers.length > 0) {
+        console.log(`已恢复计时器: ${timers.length}个`);
+    }
+});
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CookingTimerManager,
+        CookingMode,
+        进入烹饪模式,
+        添加计时器
+    };
+}
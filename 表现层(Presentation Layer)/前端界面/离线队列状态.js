@@ -0,0 +1,225 @@
+// ============================================
+// 智能菜谱推荐系统 - 离线队列状态
+// ============================================
+
+// 页面一侧的离线写入队列（队列和重放在 离线队列.js 中，Service Worker 也加载那个文件）：
+// apiRequest 网络失败的写请求通过 加入离线队列 保存，页面左下角显示等待发送和发送失败的请求数，
+// 展开后可以重试或丢弃单个请求
+// 页面打开时由这里按重试时间重放；页面关闭后由 Service Worker 的后台同步（sync-outbox）重放
+
+class OutboxStatus {
+    constructor() {
+        this.summary = { 等待: 0, 失败: 0, 下次尝试: null };
+        this.entries = [];
+        this.expanded = false;
+        this.timer = null;
+    }
+
+    // 浏览器不支持 IndexedDB 或没有加载 离线队列.js 时不排队
+    get available() {
+        return 'indexedDB' in window && typeof OfflineOutbox !== 'undefined';
+    }
+
+    // 加入队列并安排重放，返回队列中的id
+    async enqueue(request) {
+        const id = await OfflineOutbox.add(request);
+
+        if (typeof registerBackgroundSync === 'function') {
+            registerBackgroundSync('sync-outbox');
+        }
+        await this.refresh();
+        return id;
+    }
+
+    // 重放到期的请求，只给当前账号发出的请求带访问令牌，令牌过期时用 refreshAuth（脚本.js）刷新
+    async replay() {
+        if (!this.available || !navigator.onLine) return;
+        clearTimeout(this.timer);
+
+        try {
+            const result = await OfflineOutbox.replay({
+                getToken: async entry => (this.ownEntry(entry) ? AppState.auth.访问令牌 : null),
+                refreshToken: async entry => (this.ownEntry(entry) && await refreshAuth() ? AppState.auth.访问令牌 : null)
+            });
+
+            // Service Worker 正在重放，完成后会发 OUTBOX_UPDATED
+            if (!result) return;
+
+            if (result.成功 > 0) {
+                showNotification('离线操作已发送', `${result.成功}个请求已发送到服务器`, 'success', 3000);
+            }
+            await this.refresh();
+        } catch (error) {
+            console.error('重放离线队列失败:', error);
+        }
+    }
+
+    ownEntry(entry) {
+        return Boolean(AppState.auth) && OfflineOutbox.belongsTo(entry, AppState.auth.用户?.用户标识);
+    }
+
+    // 重新读取队列，更新显示并安排下一次重放
+    async refresh() {
+        if (!this.available) return;
+
+        try {
+            this.entries = await OfflineOutbox.list();
+            this.update(await OfflineOutbox.summary());
+        } catch (error) {
+            console.error('读取离线队列失败:', error);
+        }
+    }
+
+    update(summary) {
+        this.summary = summary;
+        this.render();
+
+        clearTimeout(this.timer);
+        if (summary.等待 > 0) {
+            const delay = Math.max(0, (summary.下次尝试 || 0) - Date.now());
+            this.timer = setTimeout(() => this.replay(), delay);
+        }
+    }
+
+    async retry(id) {
+        await OfflineOutbox.retry(id);
+        await this.refresh();
+        this.replay();
+    }
+
+    async discard(id) {
+        await OfflineOutbox.remove(id);
+        await this.refresh();
+    }
+
+    // ============================================
+    // 显示
+    // ============================================
+
+    render() {
+        const { 等待, 失败 } = this.summary;
+        let panel = document.getElementById('离线队列');
+
+        if (等待 + 失败 === 0) {
+            this.expanded = false;
+            if (panel) panel.style.display = 'none';
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = '离线队列';
+            panel.className = '离线队列';
+            panel.addEventListener('click', event => this.handleClick(event));
+            document.body.appendChild(panel);
+        }
+
+        const parts = [];
+        if (等待 > 0) parts.push(`${等待}个请求等待发送`);
+        if (失败 > 0) parts.push(`${失败}个发送失败`);
+
+        panel.style.display = '';
+        panel.classList.toggle('有失败', 失败 > 0);
+        panel.innerHTML = `
+            <button class="离线队列概况" data-action="toggle">
+                <i class="fas ${失败 > 0 ? 'fa-exclamation-circle' : 'fa-cloud-upload-alt'}"></i>
+                ${parts.join('，')}
+            </button>
+            ${this.expanded ? `
+                <ul class="离线队列列表">
+                    ${this.entries.map(entry => this.renderEntry(entry)).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    renderEntry(entry) {
+        const 状态 = entry.状态 === '失败'
+            ? `发送失败：${String(entry.错误 || '').replace(/</g, '&lt;')}`
+            : entry.尝试次数 > 0
+                ? `已尝试${entry.尝试次数}次，${new Date(entry.下次尝试).toLocaleTimeString()}重试`
+                : '等待网络';
+
+        return `
+            <li class="离线队列项 ${entry.状态 === '失败' ? '失败' : ''}">
+                <div>
+                    <div class="离线队列说明">${entry.说明 || `${entry.方法} ${new URL(entry.地址).pathname}`}</div>
+                    <div class="离线队列错误">${状态}</div>
+                </div>
+                <button data-action="retry" data-id="${entry.id}" title="重试"><i class="fas fa-redo"></i></button>
+                <button data-action="discard" data-id="${entry.id}" title="丢弃"><i class="fas fa-times"></i></button>
+            </li>
+        `;
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const id = Number(button.dataset.id);
+        switch (button.dataset.action) {
+            case 'toggle':
+                this.expanded = !this.expanded;
+                this.render();
+                break;
+            case 'retry':
+                this.retry(id);
+                break;
+            case 'discard':
+                if (confirm('丢弃后这个操作不会再发送到服务器，确定吗？')) {
+                    this.discard(id);
+                }
+                break;
+        }
+    }
+}
+
+// ============================================
+// 初始化和全局函数
+// ============================================
+
+let outboxStatus = null;
+
+function initOutboxStatus() {
+    if (!outboxStatus) {
+        outboxStatus = new OutboxStatus();
+    }
+    return outboxStatus;
+}
+
+// 保存一个网络失败的写请求，不支持时返回null
+async function 加入离线队列(request) {
+    const status = initOutboxStatus();
+    if (!status.available) return null;
+
+    return status.enqueue(request);
+}
+
+// Service Worker 重放后通知页面（注册服务工作者.js）
+function 更新离线队列状态(summary) {
+    const status = initOutboxStatus();
+    status.refresh();
+
+    if (summary?.成功 > 0) {
+        showNotification('离线操作已发送', `${summary.成功}个请求已发送到服务器`, 'success', 3000);
+    }
+}
+
+// 导出函数到全局
+window.OutboxStatus = OutboxStatus;
+window.initOutboxStatus = initOutboxStatus;
+window.加入离线队列 = 加入离线队列;
+window.更新离线队列状态 = 更新离线队列状态;
+
+// 打开页面时读取队列（有到期的请求时立即重放），网络恢复时重放
+document.addEventListener('DOMContentLoaded', () => initOutboxStatus().refresh());
+window.addEventListener('online', () => initOutboxStatus().replay());
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OutboxStatus,
+        加入离线队列,
+        更新离线队列状态
+    };
+}
@@ -12,7 +12,9 @@ const AppState = {
         口味偏好: ['无限制'],
         特殊需求: [],
         难度等级: '不限',
-        最大时间: 120
+        最大时间: 120,
+        // 家庭成员: [{ 性别, 年龄, 活动水平, 状态 }]，用于按成员计算营养参考量
+        家庭成员: []
     },
     
     // 当前菜单
@@ -28,6 +30,9 @@ const AppState = {
         preferences: {}
     },
     
+    // 登录状态：{ 用户, 访问令牌, 刷新令牌 }，未登录时为null
+    auth: null,
+    
     // 菜谱数据
     recipes: [],
     categories: {},
@@ -47,9 +52,17 @@ const API_CONFIG = {
     baseURL: 'https://smart-recipe-api.你的用户名.workers.dev',
     endpoints: {
         recommend: '/api/recommend',
+        plan: '/api/plan',
         recipes: '/api/recipes',
         categories: '/api/categories',
-        upload: '/api/upload'
+        upload: '/api/upload',
+        calendar: '/api/calendar',
+        register: '/api/auth/register',
+        login: '/api/auth/login',
+        refresh: '/api/auth/refresh',
+        logout: '/api/auth/logout',
+        user: '/api/user',
+        sync: '/api/sync'
     },
     // 备用API（开发环境使用本地模拟）
     fallbackMode: false
@@ -123,6 +136,12 @@ function debounce(func, wait) {
     };
 }
 
+// 生成菜单种子（相同种子和设置总能得到同一份菜单）
+function generateSeed() {
+    const values = crypto.getRandomValues(new Uint32Array(2));
+    return Array.from(values, value => value.toString(36).padStart(7, '0').slice(-4)).join('');
+}
+
 // 深拷贝
 function deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
@@ -153,8 +172,13 @@ function loadFromStorage(key, defaultValue = null) {
 // API通信函数
 // ============================================
 
-// API请求封装
-async function apiRequest(endpoint, options = {}) {
+// API请求封装，已登录时带上访问令牌；访问令牌过期时刷新一次后重试
+// options.silent 为true时不显示加载状态，用于后台同步等请求
+// 写请求（非GET）带 Idempotency-Key，网络不通时加入离线队列（离线队列状态.js），联网后自动重发，
+// 这时返回 { 成功: true, 已排队: true, 队列标识, 消息 }
+// options.noQueue 为true时不排队（登录等需要立即得到结果的请求）；options.queueKey 为合并键，
+// 合并键相同的排队请求只保留最新的一个；options.queueLabel 为队列中显示的说明
+async function apiRequest(endpoint, options = {}, retried = false) {
     const url = API_CONFIG.baseURL + endpoint;
     const defaultOptions = {
         method: 'GET',
@@ -166,9 +190,22 @@ async function apiRequest(endpoint, options = {}) {
     };
     
     const requestOptions = { ...defaultOptions, ...options };
+    const method = requestOptions.method.toUpperCase();
+    const queueable = method !== 'GET' && !options.noQueue &&
+        (requestOptions.body == null || typeof requestOptions.body === 'string');
+    const idempotencyKey = queueable ? (options.idempotencyKey || crypto.randomUUID()) : null;
+    
+    if (idempotencyKey) {
+        requestOptions.headers = { ...requestOptions.headers, 'Idempotency-Key': idempotencyKey };
+    }
+    const unauthenticatedHeaders = requestOptions.headers;
+    
+    if (AppState.auth?.访问令牌) {
+        requestOptions.headers = { ...requestOptions.headers, Authorization: `Bearer ${AppState.auth.访问令牌}` };
+    }
     
     try {
-        showLoading();
+        if (!options.silent) showLoading();
         const response = await Promise.race([
             fetch(url, requestOptions),
             new Promise((_, reject) =>
@@ -178,8 +215,15 @@ async function apiRequest(endpoint, options = {}) {
         
         hideLoading();
         
+        if (response.status === 401 && !retried && AppState.auth?.刷新令牌 && await refreshAuth()) {
+            return await apiRequest(endpoint, { ...options, idempotencyKey }, true);
+        }
+        
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const data = await response.json().catch(() => null);
+            const error = new Error(data?.错误 || data?.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
         }
         
         return await response.json();
@@ -187,6 +231,32 @@ async function apiRequest(endpoint, options = {}) {
         hideLoading();
         console.error(`API请求失败 (${endpoint}):`, error);
         
+        // 网络错误或超时（没有收到服务器的响应）时排队，超时的请求可能已经到达服务器，重发时靠幂等键去重
+        if (queueable && error.status === undefined && !API_CONFIG.fallbackMode && typeof 加入离线队列 === 'function') {
+            const 队列标识 = await 加入离线队列({
+                幂等键: idempotencyKey,
+                地址: url,
+                方法: method,
+                请求头: unauthenticatedHeaders,
+                请求体: requestOptions.body ?? null,
+                说明: options.queueLabel,
+                合并键: options.queueKey,
+                用户标识: AppState.auth?.用户?.用户标识
+            }).catch(queueError => {
+                console.error('加入离线队列失败:', queueError);
+                return null;
+            });
+            
+            if (队列标识 !== null) {
+                return {
+                    成功: true,
+                    已排队: true,
+                    队列标识,
+                    消息: '网络不可用，已保存到离线队列，联网后自动发送'
+                };
+            }
+        }
+        
         // 如果是开发环境或API不可用，使用模拟数据
         if (API_CONFIG.fallbackMode || error.message.includes('Failed to fetch')) {
             console.log('使用模拟数据');
@@ -197,6 +267,121 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
+// ============================================
+// 登录和账号
+// ============================================
+
+// 保存登录状态，传入null表示退出登录
+function setAuth(auth) {
+    AppState.auth = auth;
+    if (auth) {
+        saveToStorage('auth', auth);
+    } else {
+        localStorage.removeItem('auth');
+    }
+    saveOutboxAuth(auth);
+}
+
+// Service Worker 后台重放离线队列时从 IndexedDB 读取登录状态（离线队列.js）
+function saveOutboxAuth(auth) {
+    if (typeof OfflineOutbox === 'undefined' || !('indexedDB' in window)) return;
+    
+    OfflineOutbox.setAuth(auth ? {
+        用户标识: auth.用户?.用户标识,
+        访问令牌: auth.访问令牌,
+        刷新令牌: auth.刷新令牌,
+        刷新地址: API_CONFIG.baseURL + API_CONFIG.endpoints.refresh
+    } : null).catch(error => {
+        console.error('保存离线队列登录状态失败:', error);
+    });
+}
+
+// 用刷新令牌换取新的访问令牌；刷新令牌失效时退出登录，网络错误时保留登录状态
+async function refreshAuth() {
+    try {
+        const response = await fetch(API_CONFIG.baseURL + API_CONFIG.endpoints.refresh, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ 刷新令牌: AppState.auth.刷新令牌 })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.成功) {
+            setAuth(null);
+            showNotification('登录已过期', '请重新登录', 'warning');
+            return false;
+        }
+        
+        setAuth({ ...AppState.auth, 访问令牌: data.访问令牌, 刷新令牌: data.刷新令牌 });
+        return true;
+    } catch (error) {
+        console.error('刷新登录状态失败:', error);
+        return false;
+    }
+}
+
+// 登录或注册，action 为 login 或 register
+async function 登录账号(用户名, 密码, action = 'login') {
+    const response = await apiRequest(API_CONFIG.endpoints[action], {
+        method: 'POST',
+        noQueue: true,
+        body: JSON.stringify({ 用户名, 密码 })
+    });
+    
+    if (!response.成功) {
+        throw new Error(response.错误 || '登录失败');
+    }
+    
+    setAuth({ 用户: response.用户, 访问令牌: response.访问令牌, 刷新令牌: response.刷新令牌 });
+    
+    // 登录后合并本机和账号中的收藏、历史和设置（账号同步.js）
+    if (typeof 同步账号数据 === 'function') {
+        同步账号数据();
+    }
+    
+    return response.用户;
+}
+
+// 用户中心中的登录表单
+async function 提交登录(action = 'login') {
+    const 用户名 = document.getElementById('登录用户名')?.value.trim();
+    const 密码 = document.getElementById('登录密码')?.value;
+    
+    try {
+        if (!用户名 || !密码) {
+            throw new Error('请输入用户名和密码');
+        }
+        
+        const user = await 登录账号(用户名, 密码, action);
+        showNotification(action === 'register' ? '注册成功' : '登录成功', `欢迎，${user.昵称 || user.用户名}`, 'success');
+        显示用户中心();
+    } catch (error) {
+        console.error('登录失败:', error);
+        showNotification(action === 'register' ? '注册失败' : '登录失败', error.message, 'error');
+    }
+}
+
+// 退出登录，同时使服务器上的刷新令牌失效
+async function 退出登录() {
+    const 刷新令牌 = AppState.auth?.刷新令牌;
+    setAuth(null);
+    
+    if (刷新令牌) {
+        try {
+            await apiRequest(API_CONFIG.endpoints.logout, {
+                method: 'POST',
+                queueLabel: '退出登录',
+                body: JSON.stringify({ 刷新令牌 })
+            });
+        } catch (error) {
+            console.warn('通知服务器退出登录失败:', error);
+        }
+    }
+    
+    showNotification('已退出登录', '', 'info');
+    显示用户中心();
+}
+
 // 模拟数据（API不可用时使用）
 async function getMockData(endpoint, options) {
     await new Promise(resolve => setTimeout(resolve, 500)); // 模拟延迟
@@ -239,12 +424,88 @@ async function getRecommendations(params = {}) {
         口味: params.口味偏好 ? params.口味偏好.join(',') : AppState.settings.口味偏好.join(','),
         需求: params.特殊需求 ? params.特殊需求.join(',') : AppState.settings.特殊需求.join(','),
         时间: params.最大时间 || AppState.settings.最大时间,
-        难度: params.难度等级 || AppState.settings.难度等级
+        难度: params.难度等级 || AppState.settings.难度等级,
+        seed: params.seed || generateSeed()
     });
     
+    if (params.日期) {
+        queryParams.set('日期', params.日期);
+    }
+    
+    const members = params.家庭成员 || AppState.settings.家庭成员 || [];
+    if (members.length > 0) {
+        queryParams.set('成员', formatMembers(members));
+    }
+    
+    // 现有食材: [{ 名称, 过期日期 }]，提供时按家里已有的食材推荐
+    if (params.现有食材?.length > 0) {
+        queryParams.set('现有食材', formatAvailableIngredients(params.现有食材));
+    }
+    
     return await apiRequest(`${API_CONFIG.endpoints.recommend}?${queryParams}`);
 }
 
+// 现有食材转为接口参数，如 番茄:2026-10-20,鸡蛋
+// 同名食材只保留最早过期的一批
+function formatAvailableIngredients(items) {
+    const earliest = {};
+    items.forEach(item => {
+        const current = earliest[item.名称];
+        if (current === undefined || (item.过期日期 && (!current || item.过期日期 < current))) {
+            earliest[item.名称] = item.过期日期 || null;
+        }
+    });
+    
+    return Object.entries(earliest)
+        .map(([name, expiry]) => expiry ? `${name}:${expiry}` : name)
+        .join(',');
+}
+
+// 家庭成员转为接口参数，如 男:35:中,女:32:轻:孕中期
+function formatMembers(members) {
+    return members
+        .map(member => [member.性别, member.年龄, member.活动水平 || '轻', member.状态]
+            .filter(Boolean)
+            .join(':'))
+        .join(',');
+}
+
+// 获取多日膳食计划
+// options: { 开始日期, 结束日期, 餐数, 不重复天数, seed, 忙碌日历 }
+// 忙碌日历 为 .ics 文本，提供时开饭前有安排的餐次优先安排快手菜
+async function getMealPlan(options = {}) {
+    const settings = AppState.settings;
+    const queryParams = new URLSearchParams({
+        人数: settings.用餐人数,
+        天气: settings.天气,
+        口味: settings.口味偏好.join(','),
+        需求: settings.特殊需求.join(','),
+        时间: settings.最大时间,
+        难度: settings.难度等级,
+        餐数: options.餐数 || 2,
+        不重复天数: options.不重复天数 ?? 3,
+        seed: options.seed || generateSeed()
+    });
+    
+    if (options.开始日期) queryParams.set('开始日期', options.开始日期);
+    if (options.结束日期) queryParams.set('结束日期', options.结束日期);
+    if (settings.家庭成员.length > 0) queryParams.set('成员', formatMembers(settings.家庭成员));
+    
+    if (options.忙碌日历) {
+        return await apiRequest(`${API_CONFIG.endpoints.plan}?${queryParams}`, {
+            method: 'POST',
+            noQueue: true,
+            headers: {
+                'Content-Type': 'text/calendar',
+                'Accept': 'application/json'
+            },
+            body: options.忙碌日历
+        });
+    }
+    
+    return await apiRequest(`${API_CONFIG.endpoints.plan}?${queryParams}`);
+}
+
 // 获取菜谱列表
 async function getRecipes(filters = {}, page = 1, pageSize = 20) {
     const queryParams = new URLSearchParams({
@@ -357,17 +618,17 @@ function generateMockShoppingList() {
             肉类: [
                 { 名称: '猪里脊肉', 用量: 300, 单位: '克', 已购买: false }
             ],
-            蛋奶类: [
+            蛋奶豆制品: [
                 { 名称: '鸡蛋', 用量: 3, 单位: '个', 已购买: false }
             ],
-            调味品: [
+            调味品类: [
                 { 名称: '盐', 用量: '适量', 单位: '', 已购买: false },
                 { 名称: '生抽', 用量: '2汤匙', 单位: '', 已购买: false }
             ]
         },
         统计: {
             总项数: 7,
-            分类统计: { 蔬菜类: 3, 肉类: 1, 蛋奶类: 1, 调味品: 2 }
+            分类统计: { 蔬菜类: 3, 肉类: 1, 蛋奶豆制品: 1, 调味品类: 2 }
         }
     };
 }
@@ -519,6 +780,17 @@ function 切换标签(element) {
 // 保存设置
 function saveSettings() {
     saveToStorage('userSettings', AppState.settings);
+    
+    if (typeof initUserDataSync === 'function') {
+        initUserDataSync().recordSettings(AppState.settings);
+    }
+}
+
+// 记录需要同步到账号的收藏和历史修改，值为null表示删除（账号同步.js）
+function recordUserDataChange(集合, 键, 值) {
+    if (typeof initUserDataSync === 'function') {
+        initUserDataSync().record(集合, String(键), 值);
+    }
 }
 
 // 加载设置
@@ -571,13 +843,16 @@ function updateTagSelection(containerId, selectedValues) {
 // ============================================
 
 // 生成菜单
-async function 生成菜单() {
+// seed: 指定种子时重现同一份菜单（如打开分享链接），否则使用新种子
+async function 生成菜单(seed, 日期) {
     try {
         showNotification('开始生成', '正在为您智能搭配菜单...', 'info');
         
-        const response = await getRecommendations(AppState.settings);
+        const menuSeed = typeof seed === 'string' && seed ? seed : generateSeed();
+        const response = await getRecommendations({ ...AppState.settings, seed: menuSeed, 日期 });
         
         if (response.成功) {
+            response.seed = response.seed || menuSeed;
             AppState.currentMenu = response;
             
             // 显示菜单区域
@@ -602,9 +877,94 @@ async function 生成菜单() {
     }
 }
 
-// 重新生成菜单
+// 按家里现有的食材推荐菜单
+// items: [{ 名称, 过期日期 }] 或食材名称数组，不提供时使用食材库存中未过期的食材
+async function 用现有食材做菜(items = null) {
+    try {
+        let available = items;
+        if (!available && typeof initPantryManager === 'function') {
+            const pantry = initPantryManager();
+            await pantry.ready;
+            available = pantry.getItems().filter(item => !pantry.isExpired(item));
+        }
+        
+        available = (available || []).map(item => typeof item === 'string' ? { 名称: item } : item);
+        if (available.length === 0) {
+            showNotification('提示', '请先添加家里现有的食材', 'warning');
+            return;
+        }
+        
+        showNotification('开始生成', '正在根据现有食材搭配菜单...', 'info');
+        
+        const response = await getRecommendations({ ...AppState.settings, seed: generateSeed(), 现有食材: available });
+        if (!response.成功) {
+            throw new Error(response.错误 || '生成菜单失败');
+        }
+        
+        AppState.currentMenu = response;
+        document.getElementById('菜单区域')?.classList.add('show');
+        updateMenuUI(response);
+        saveToHistory(response);
+        
+        const missingCount = Object.values(response.缺少食材 || {}).flat().length;
+        showNotification('菜单生成成功', missingCount > 0 ? `还需购买${missingCount}种食材` : '现有食材已足够', 'success');
+    } catch (error) {
+        console.error('按现有食材生成菜单失败:', error);
+        showNotification('生成失败', error.message || '请稍后重试', 'error');
+    }
+}
+
+// 重新生成菜单（换一个种子）
 async function 重新生成() {
-    await 生成菜单();
+    await 生成菜单(generateSeed());
+}
+
+// 打开分享链接时，按链接中的设置和种子重现菜单
+async function openSharedMenu() {
+    const query = new URLSearchParams(window.location.search);
+    const seed = query.get('seed');
+    if (!seed) return;
+    
+    const list = value => value ? value.split(',').filter(Boolean) : [];
+    AppState.settings = {
+        ...AppState.settings,
+        用餐人数: parseInt(query.get('人数')) || AppState.settings.用餐人数,
+        季节: query.get('季节') || AppState.settings.季节,
+        天气: query.get('天气') || AppState.settings.天气,
+        口味偏好: query.has('口味') ? list(query.get('口味')) : AppState.settings.口味偏好,
+        特殊需求: query.has('需求') ? list(query.get('需求')) : AppState.settings.特殊需求,
+        最大时间: parseInt(query.get('时间')) || AppState.settings.最大时间,
+        难度等级: query.get('难度') || AppState.settings.难度等级
+    };
+    updateSettingsUI();
+    
+    await 生成菜单(seed, query.get('日期') || undefined);
+}
+
+// 生成包含种子和设置的分享链接
+function getShareUrl(menuData) {
+    return `${window.location.origin}${window.location.pathname}?${getMenuQuery(menuData)}`;
+}
+
+// 重现菜单所需的种子和设置
+function getMenuQuery(menuData) {
+    const settings = AppState.settings;
+    const query = new URLSearchParams({
+        seed: menuData.seed,
+        人数: settings.用餐人数,
+        季节: settings.季节,
+        天气: settings.天气,
+        口味: settings.口味偏好.join(','),
+        需求: settings.特殊需求.join(','),
+        时间: settings.最大时间,
+        难度: settings.难度等级
+    });
+    
+    if (menuData.参数?.日期) {
+        query.set('日期', menuData.参数.日期);
+    }
+    
+    return query;
 }
 
 // 更新菜单UI
@@ -617,13 +977,13 @@ function updateMenuUI(menuData) {
     if (menuDate) menuDate.textContent = '今天';
     if (menuPeople) menuPeople.textContent = AppState.settings.用餐人数;
     
-    // 计算总耗时
+    // 计算总耗时，有烹饪时间线时按穿插进行的时长显示
     if (totalTime && menuData.菜单) {
         let totalMinutes = 0;
         Object.values(menuData.菜单).flat().forEach(recipe => {
             totalMinutes += (recipe.准备时间 || 0) + (recipe.烹饪时间 || 0);
         });
-        totalTime.textContent = formatTime(totalMinutes);
+        totalTime.textContent = formatTime(menuData.烹饪时间线?.总时长 ?? totalMinutes);
     }
     
     // 渲染菜谱卡片
@@ -696,6 +1056,11 @@ function createRecipeCard(recipe, category = '') {
                     <i class="fas fa-users"></i>
                     <span>${recipe.标准份量?.基准人数 || 4}人</span>
                 </div>
+                ${recipe.预计花费 ? `
+                <div class="元信息项">
+                    <i class="fas fa-yen-sign"></i>
+                    <span>约${Math.round(recipe.预计花费.金额)}元</span>
+                </div>` : ''}
             </div>
             
             <div class="菜谱标签">
@@ -704,6 +1069,13 @@ function createRecipeCard(recipe, category = '') {
                 ).join('')}
             </div>
             
+            ${recipe.现有食材匹配 ? `
+            <div class="现有食材">
+                <span>已有${recipe.现有食材匹配.覆盖率}%的食材</span>
+                ${recipe.现有食材匹配.缺少.length > 0 ? `<span>缺少: ${recipe.现有食材匹配.缺少.join('、')}</span>` : ''}
+            </div>
+            ` : ''}
+            
             <div class="菜谱操作">
                 <button class="详情按钮" onclick="查看菜谱详情('${recipe.菜品标识}')">
                     <i class="fas fa-book-open"></i>
@@ -808,16 +1180,7 @@ async function 查看菜谱详情(recipeId) {
         showLoading();
         
         // 从当前菜单或菜谱库中查找菜谱
-        let recipe = null;
-        
-        if (AppState.currentMenu?.菜单) {
-            const allRecipes = Object.values(AppState.currentMenu.菜单).flat();
-            recipe = allRecipes.find(r => r.菜品标识 === recipeId);
-        }
-        
-        if (!recipe && AppState.recipes.length > 0) {
-            recipe = AppState.recipes.find(r => r.菜品标识 === recipeId);
-        }
+        let recipe = findLoadedRecipe(recipeId);
         
         if (!recipe) {
             // 尝试从API获取
@@ -840,6 +1203,14 @@ async function 查看菜谱详情(recipeId) {
     }
 }
 
+// 在当前菜单和已加载的菜谱库中查找菜谱
+function findLoadedRecipe(recipeId) {
+    const menuRecipes = AppState.currentMenu?.菜单 ? Object.values(AppState.currentMenu.菜单).flat() : [];
+    return menuRecipes.find(r => r.菜品标识 === recipeId) ||
+        AppState.recipes.find(r => r.菜品标识 === recipeId) ||
+        null;
+}
+
 // 显示菜谱详情模态框
 function showRecipeDetailModal(recipe) {
     const modal = document.getElementById('菜谱详情弹窗');
@@ -894,7 +1265,7 @@ function showRecipeDetailModal(recipe) {
             ${recipe.烹饪步骤 ? `
                 <div class="详情步骤">
                     <h4><i class="fas fa-list-ol"></i> 烹饪步骤</h4>
-                    ${renderCookingSteps(recipe.烹饪步骤)}
+                    ${renderCookingSteps(recipe.烹饪步骤, recipe.菜品标识)}
                 </div>
             ` : ''}
             
@@ -910,6 +1281,12 @@ function showRecipeDetailModal(recipe) {
             
             <!-- 操作按钮 -->
             <div class="详情操作">
+                ${recipe.烹饪步骤?.length ? `
+                    <button class="操作按钮 主要" onclick="开始烹饪('${recipe.菜品标识}')">
+                        <i class="fas fa-utensils"></i>
+                        烹饪模式
+                    </button>
+                ` : ''}
                 <button class="操作按钮" onclick="添加购物车('${recipe.菜品标识}')">
                     <i class="fas fa-cart-plus"></i>
                     加入购物车
@@ -969,8 +1346,8 @@ function renderIngredients(ingredients, seasonings) {
     return html;
 }
 
-// 渲染烹饪步骤
-function renderCookingSteps(steps) {
+// 渲染烹饪步骤，提供 recipeId 时有预计时间的步骤可以直接开始计时
+function renderCookingSteps(steps, recipeId = null) {
     if (!Array.isArray(steps)) return '';
     
     return `
@@ -981,7 +1358,16 @@ function renderCookingSteps(steps) {
                     <div class="步骤内容">
                         <div class="步骤描述">${step.步骤描述}</div>
                         ${step.烹饪技巧 ? `<div class="步骤技巧"><i class="fas fa-tips"></i> ${step.烹饪技巧}</div>` : ''}
-                        ${step.预计时间 ? `<div class="步骤时间"><i class="far fa-clock"></i> ${step.预计时间}分钟</div>` : ''}
+                        ${step.预计时间 ? `
+                            <div class="步骤时间">
+                                <i class="far fa-clock"></i> ${step.预计时间}分钟
+                                ${recipeId ? `
+                                    <button class="步骤计时" onclick="开始步骤计时('${recipeId}', ${index})" title="开始计时">
+                                        <i class="fas fa-stopwatch"></i>
+                                    </button>
+                                ` : ''}
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
             `).join('')}
@@ -989,6 +1375,28 @@ function renderCookingSteps(steps) {
     `;
 }
 
+// 进入全屏烹饪模式（烹饪模式.js）
+function 开始烹饪(recipeId, stepIndex = 0) {
+    const recipe = findLoadedRecipe(recipeId);
+    if (!recipe || typeof 进入烹饪模式 !== 'function') {
+        showNotification('无法进入烹饪模式', '烹饪模式未加载或找不到菜谱', 'error');
+        return;
+    }
+    
+    hideModal();
+    进入烹饪模式(recipe, stepIndex);
+}
+
+// 按步骤的预计时间开始计时，不进入烹饪模式
+function 开始步骤计时(recipeId, stepIndex) {
+    const recipe = findLoadedRecipe(recipeId);
+    const step = recipe?.烹饪步骤?.[stepIndex];
+    if (!step?.预计时间 || typeof 添加计时器 !== 'function') return;
+    
+    添加计时器(`${recipe.菜品名称} 第${step.步骤序号 || stepIndex + 1}步`, step.预计时间);
+    showNotification('开始计时', `${recipe.菜品名称} 第${step.步骤序号 || stepIndex + 1}步，${step.预计时间}分钟`, 'info');
+}
+
 // ============================================
 // 用户收藏功能
 // ============================================
@@ -1004,6 +1412,7 @@ function 切换收藏(recipeId, button) {
         favorites.add(recipeId);
         showNotification('收藏成功', '菜谱已添加到收藏夹', 'success');
     }
+    recordUserDataChange('收藏', recipeId, favorites.has(recipeId) || null);
     
     // 更新UI
     if (button) {
@@ -1027,10 +1436,12 @@ function 切换收藏(recipeId, button) {
     saveUserData();
 }
 
-// 加载收藏夹
+// 加载收藏夹，收藏随 userData 一起保存；旧版本单独保存在 userFavorites 中
 function loadFavorites() {
-    const favorites = loadFromStorage('userFavorites', []);
-    AppState.userData.favorites = new Set(favorites);
+    const favorites = loadFromStorage('userFavorites', null);
+    if (favorites) {
+        AppState.userData.favorites = new Set([...AppState.userData.favorites, ...favorites]);
+    }
     
     // 渲染收藏页面
     renderFavorites();
@@ -1057,6 +1468,7 @@ function 清空收藏() {
     }
     
     if (confirm('确定要清空所有收藏吗？')) {
+        AppState.userData.favorites.forEach(id => recordUserDataChange('收藏', id, null));
         AppState.userData.favorites.clear();
         saveUserData();
         renderFavorites();
@@ -1177,14 +1589,7 @@ function renderShoppingCart() {
     }
     
     // 按食材分类分组
-    const categories = {
-        蔬菜类: [],
-        肉类: [],
-        水产类: [],
-        调味品: [],
-        主食类: [],
-        其他: []
-    };
+    const categories = Object.fromEntries(getIngredientCategories().map(category => [category, []]));
     
     AppState.shoppingCart.forEach(item => {
         const category = categorizeIngredient(item.名称);
@@ -1216,7 +1621,7 @@ function renderShoppingCart() {
                                    ${item.已购买 ? 'checked' : ''}
                                    onchange="togglePurchase('${item.名称}', this.checked)">
                             <span class="清单项名称">${item.名称}</span>
-                            <span class="清单项用量">${item.用量} ${item.单位}</span>
+                            <span class="清单项用量">${item.用量} ${item.单位}${item.约合 ? `（${item.约合}）` : ''}</span>
                         </div>
                     `).join('')}
                 </div>
@@ -1224,8 +1629,12 @@ function renderShoppingCart() {
         `;
     }
     
-    // 添加统计
+    // 添加统计，预计花费只计还没买的
     const purchasedCount = AppState.shoppingCart.filter(item => item.已购买).length;
+    const priced = AppState.shoppingCart.filter(item => typeof item.预计价格 === 'number');
+    const remainingCost = priced
+        .filter(item => !item.已购买)
+        .reduce((sum, item) => sum + item.预计价格, 0);
     
     html += `
         <div class="清单统计">
@@ -1241,6 +1650,11 @@ function renderShoppingCart() {
                 <span>未购买</span>
                 <span>${AppState.shoppingCart.length - purchasedCount}</span>
             </div>
+            ${priced.length > 0 ? `
+            <div class="统计项">
+                <span>预计花费</span>
+                <span>约${Math.round(remainingCost)}元</span>
+            </div>` : ''}
         </div>
     `;
     
@@ -1266,25 +1680,21 @@ function 打印清单() {
     window.print();
 }
 
-// 分类食材
+// 食材解析器，由 购物清单生成.js 的 loadIngredientResolver 加载
+function getIngredientResolver() {
+    return window.ingredientResolver || null;
+}
+
+// 分类食材，分类与 分类索引/食材索引.json 的大类一致
 function categorizeIngredient(name) {
-    const categories = {
-        蔬菜类: ['菜', '笋', '菇', '菌', '椒', '瓜', '茄', '豆', '萝卜', '胡萝卜', '土豆', '红薯'],
-        肉类: ['肉', '排', '腿', '蹄', '肝', '肚', '肠'],
-        水产类: ['鱼', '虾', '蟹', '贝', '蛤', '蛏', '蚝', '参'],
-        调味品: ['油', '盐', '酱', '醋', '糖', '料酒', '生抽', '老抽', '蚝油', '香油'],
-        主食类: ['米', '面', '粉', '饭', '粥', '馒头', '包子', '饺子']
-    };
-    
-    for (const [category, keywords] of Object.entries(categories)) {
-        for (const keyword of keywords) {
-            if (name.includes(keyword)) {
-                return category;
-            }
-        }
-    }
-    
-    return '其他';
+    const resolver = getIngredientResolver();
+    return resolver ? resolver.categorize(name) : '其他';
+}
+
+// 全部食材分类，食材索引未加载时只有 其他
+function getIngredientCategories() {
+    const resolver = getIngredientResolver();
+    return resolver ? resolver.getCategories() : ['其他'];
 }
 
 // 获取分类图标
@@ -1293,8 +1703,9 @@ function getCategoryIcon(category) {
         蔬菜类: 'fa-seedling',
         肉类: 'fa-drumstick-bite',
         水产类: 'fa-fish',
-        调味品: 'fa-mortar-pestle',
         主食类: 'fa-bowl-rice',
+        调味品类: 'fa-mortar-pestle',
+        蛋奶豆制品: 'fa-egg',
         其他: 'fa-box'
     };
     return icons[category] || 'fa-box';
@@ -1437,6 +1848,27 @@ async function 导出图片() {
     }
 }
 
+// 导出日历：下载当前菜单的 .ics 文件，做饭时间和提前准备的提醒由接口按菜谱计算
+function 导出日历() {
+    if (!AppState.currentMenu) {
+        showNotification('提示', '请先生成菜单', 'warning');
+        return;
+    }
+    
+    const query = getMenuQuery(AppState.currentMenu);
+    query.set('类型', '菜单');
+    if (AppState.settings.家庭成员.length > 0) {
+        query.set('成员', formatMembers(AppState.settings.家庭成员));
+    }
+    
+    const link = document.createElement('a');
+    link.href = `${API_CONFIG.baseURL}${API_CONFIG.endpoints.calendar}?${query}`;
+    link.download = `菜单-${AppState.currentMenu.参数?.日期 || new Date().toISOString().split('T')[0]}.ics`;
+    link.click();
+    
+    showNotification('导出成功', '日历文件已开始下载', 'success');
+}
+
 // 生成购物清单
 function 生成购物清单() {
     if (!AppState.currentMenu?.购物清单) {
@@ -1447,15 +1879,40 @@ function 生成购物清单() {
     // 切换到购物车页面
     switchPage('shopping');
     
-    // 添加菜单的购物清单到购物车
+    // 添加菜单的购物清单到购物车，扣除家中库存（食材库存.js）
+    const pantry = typeof initPantryManager === 'function' ? initPantryManager() : null;
     const shoppingList = AppState.currentMenu.购物清单;
     Object.values(shoppingList.清单).flat().forEach(item => {
-        if (!AppState.shoppingCart.some(cartItem => cartItem.名称 === item.名称)) {
-            AppState.shoppingCart.push({
-                ...item,
-                已购买: false
-            });
+        if (AppState.shoppingCart.some(cartItem => cartItem.名称 === item.名称)) {
+            return;
         }
+        
+        let 用量 = item.用量;
+        let 备注 = item.备注;
+        let 预计价格 = item.预计价格;
+        let 约合 = item.约合;
+        if (pantry && typeof 用量 === 'number') {
+            const { remaining, inStock } = pantry.subtractStock(item.名称, 用量, item.单位);
+            if (remaining <= 0) return;
+            if (inStock > 0) {
+                // 价格按还要买的比例折算，原来的换算不再对应
+                if (typeof 预计价格 === 'number') {
+                    预计价格 = Math.round(预计价格 * remaining / 用量 * 10) / 10;
+                }
+                约合 = undefined;
+                用量 = remaining;
+                备注 = `家中已有${inStock}${item.单位}`;
+            }
+        }
+        
+        AppState.shoppingCart.push({
+            ...item,
+            用量,
+            预计价格,
+            约合,
+            ...(备注 ? { 备注 } : {}),
+            已购买: false
+        });
     });
     
     saveShoppingCart();
@@ -1472,10 +1929,11 @@ function 分享菜单() {
         return;
     }
     
+    const shareUrl = getShareUrl(AppState.currentMenu);
     const shareData = {
         title: '智能推荐菜单',
         text: `看看我为${AppState.settings.用餐人数}人精心搭配的${AppState.settings.季节}菜单！`,
-        url: window.location.href
+        url: shareUrl
     };
     
     if (navigator.share && navigator.canShare(shareData)) {
@@ -1483,11 +1941,11 @@ function 分享菜单() {
             .then(() => showNotification('分享成功', '菜单已分享', 'success'))
             .catch(error => {
                 console.error('分享失败:', error);
-                copyToClipboard(window.location.href);
+                copyToClipboard(shareUrl);
             });
     } else {
         // 如果不支持Web Share API，使用复制链接
-        copyToClipboard(window.location.href);
+        copyToClipboard(shareUrl);
     }
 }
 
@@ -1503,6 +1961,7 @@ function 保存收藏() {
     Object.values(AppState.currentMenu.菜单).flat().forEach(recipe => {
         if (!AppState.userData.favorites.has(recipe.菜品标识)) {
             AppState.userData.favorites.add(recipe.菜品标识);
+            recordUserDataChange('收藏', recipe.菜品标识, true);
             addedCount++;
         }
     });
@@ -1727,11 +2186,16 @@ async function 提交菜谱表单(event) {
         // 调用API上传
         const response = await apiRequest(API_CONFIG.endpoints.upload, {
             method: 'POST',
+            queueLabel: `上传菜谱：${formData.菜品名称}`,
             body: JSON.stringify(formData)
         });
         
         if (response.成功) {
-            showNotification('提交成功', '菜谱已提交，等待审核', 'success');
+            if (response.已排队) {
+                showNotification('已保存', '当前无法连接服务器，菜谱会在联网后自动提交', 'warning');
+            } else {
+                showNotification('提交成功', '菜谱已提交，审核进度可以在用户中心查看', 'success');
+            }
             隐藏添加菜谱弹窗();
             
             // 重置表单
@@ -1877,7 +2341,28 @@ function 显示用户中心() {
         const favoritesCount = AppState.userData.favorites.size;
         const historyCount = AppState.userData.history.length;
         
+        const user = AppState.auth?.用户;
+        
         content.innerHTML = `
+            ${user ? `
+                <div class="用户账号">
+                    <span><i class="fas fa-user-check"></i> ${user.昵称 || user.用户名}</span>
+                    <button class="操作按钮" onclick="退出登录()">
+                        <i class="fas fa-sign-out-alt"></i>
+                        退出登录
+                    </button>
+                </div>
+            ` : `
+                <form class="登录表单" onsubmit="event.preventDefault(); 提交登录('login')">
+                    <input id="登录用户名" type="text" placeholder="用户名" autocomplete="username">
+                    <input id="登录密码" type="password" placeholder="密码（至少8位）" autocomplete="current-password">
+                    <div class="登录操作">
+                        <button type="submit" class="操作按钮 主要">登录</button>
+                        <button type="button" class="操作按钮" onclick="提交登录('register')">注册</button>
+                    </div>
+                </form>
+            `}
+            
             <div class="用户概览">
                 <div class="用户头像">
                     <i class="fas fa-user-circle"></i>
@@ -1894,6 +2379,8 @@ function 显示用户中心() {
                 </div>
             </div>
             
+            ${user ? '<div id="我的投稿" class="我的投稿"></div>' : ''}
+            
             <div class="用户操作">
                 <button class="操作按钮" onclick="导出用户数据()">
                     <i class="fas fa-download"></i>
@@ -1912,6 +2399,36 @@ function 显示用户中心() {
     }
     
     showModal('用户中心弹窗');
+    
+    if (AppState.auth) {
+        loadSubmissions();
+    }
+}
+
+// 用户中心中的投稿列表，状态来自菜谱仓库中 Pull Request 的审核结果
+async function loadSubmissions() {
+    const container = document.getElementById('我的投稿');
+    if (!container) return;
+    
+    try {
+        const response = await apiRequest(API_CONFIG.endpoints.upload, { silent: true });
+        const submissions = response.投稿 || [];
+        if (submissions.length === 0) return;
+        
+        container.innerHTML = `
+            <h4>我的投稿</h4>
+            <ul>
+                ${submissions.map(item => `
+                    <li class="投稿项">
+                        <span>${item.菜品名称}</span>
+                        <a class="投稿状态 ${item.状态}" href="${item.PR地址}" target="_blank" rel="noopener">${item.状态说明}</a>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('加载投稿失败:', error);
+    }
 }
 
 // 隐藏用户中心
@@ -1949,6 +2466,7 @@ function 清空历史() {
     }
     
     if (confirm('确定要清空所有历史记录吗？')) {
+        AppState.userData.history.forEach(item => recordUserDataChange('历史', item.id, null));
         AppState.userData.history = [];
         saveUserData();
         showNotification('已清空', '历史记录已清空', 'success');
@@ -2012,6 +2530,9 @@ function updateThemeToggleIcon(isDarkMode) {
 
 // 加载用户数据
 function loadUserData() {
+    AppState.auth = loadFromStorage('auth');
+    saveOutboxAuth(AppState.auth);
+    
     const savedData = loadFromStorage('userData');
     if (savedData) {
         AppState.userData = { ...AppState.userData, ...savedData };
@@ -2037,6 +2558,7 @@ function saveToHistory(menuData) {
         id: Date.now(),
         timestamp: new Date().toISOString(),
         settings: { ...AppState.settings },
+        seed: menuData.seed,
         menuSummary: {
             菜品数量: Object.values(menuData.菜单).flat().length,
             总热量: menuData.营养信息?.总量.热量 || 0
@@ -2044,6 +2566,7 @@ function saveToHistory(menuData) {
     };
     
     AppState.userData.history.unshift(historyItem);
+    recordUserDataChange('历史', historyItem.id, historyItem);
     
     // 只保留最近50条记录
     if (AppState.userData.history.length > 50) {
@@ -2056,6 +2579,13 @@ function saveToHistory(menuData) {
 // 初始化数据
 async function initData() {
     try {
+        // 加载食材索引，购物车按其中的分类显示
+        if (typeof loadIngredientResolver === 'function') {
+            loadIngredientResolver().then(resolver => {
+                if (resolver) renderShoppingCart();
+            });
+        }
+        
         // 加载分类数据
         const categoriesResponse = await getCategories();
         if (categoriesResponse.成功) {
@@ -2208,6 +2738,17 @@ async function initApp() {
         updateFavoriteCount();
         updateShoppingCartCount();
         
+        // 8. 打开分享链接中的菜单
+        await openSharedMenu();
+        
+        // 9. 记下本机已有的收藏、历史和设置，已登录时同步账号数据（账号同步.js）
+        if (typeof initUserDataSync === 'function') {
+            initUserDataSync().seedFromApp();
+            if (AppState.auth) {
+                同步账号数据();
+            }
+        }
+        
         console.log('应用初始化完成');
         
         // 显示欢迎通知
@@ -2299,7 +2840,10 @@ window.选择季节 = 选择季节;
 window.切换标签 = 切换标签;
 window.生成菜单 = 生成菜单;
 window.重新生成 = 重新生成;
+window.用现有食材做菜 = 用现有食材做菜;
 window.查看菜谱详情 = 查看菜谱详情;
+window.开始烹饪 = 开始烹饪;
+window.开始步骤计时 = 开始步骤计时;
 window.切换收藏 = 切换收藏;
 window.清空收藏 = 清空收藏;
 window.添加购物车 = 添加购物车;
@@ -2307,6 +2851,7 @@ window.清空购物车 = 清空购物车;
 window.打印清单 = 打印清单;
 window.导出PDF = 导出PDF;
 window.导出图片 = 导出图片;
+window.导出日历 = 导出日历;
 window.生成购物清单 = 生成购物清单;
 window.分享菜单 = 分享菜单;
 window.保存收藏 = 保存收藏;
@@ -2318,6 +2863,9 @@ window.显示营养详情 = 显示营养详情;
 window.隐藏营养详情 = 隐藏营养详情;
 window.隐藏菜谱详情 = 隐藏菜谱详情;
 window.显示用户中心 = 显示用户中心;
+window.登录账号 = 登录账号;
+window.提交登录 = 提交登录;
+window.退出登录 = 退出登录;
 window.隐藏用户中心 = 隐藏用户中心;
 
 console.log('前端脚本已加载');
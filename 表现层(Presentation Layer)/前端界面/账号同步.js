@@ -0,0 +1,275 @@
+// ============================================
+// 智能菜谱推荐系统 - 账号数据同步模块
+// ============================================
+
+// 登录后把收藏、历史和设置同步到服务器（/api/sync），换设备登录后数据跟着账号走
+// 每条记录单独记下修改时间，和服务器逐条合并，较晚的修改获胜；设置按字段合并
+// 删除记为值为null的记录，这样删除也会同步到其他设备
+// 同步状态保存在 localStorage 的 syncState 中：各记录的值和修改时间、待上传的记录、上次同步的服务器时间
+
+const SYNC_COLLECTIONS = ['收藏', '历史', '设置'];
+
+class UserDataSync {
+    constructor() {
+        this.config = {
+            storageKey: 'syncState',
+            // 修改后等待多久再同步，连续修改只同步一次
+            debounceDelay: 2000,
+            // 页面重新可见时，距上次同步超过这么久才同步
+            refreshInterval: 60 * 1000
+        };
+
+        this.state = this.load();
+        this.syncing = null;
+        this.pendingAgain = false;
+        this.timer = null;
+    }
+
+    // ============================================
+    // 持久化
+    // ============================================
+
+    load() {
+        const empty = () => Object.fromEntries(SYNC_COLLECTIONS.map(集合 => [集合, {}]));
+        const saved = loadFromStorage(this.config.storageKey, null);
+
+        return {
+            用户标识: saved?.用户标识 || null,
+            记录: { ...empty(), ...saved?.记录 },
+            待上传: { ...empty(), ...saved?.待上传 },
+            服务器时间: saved?.服务器时间 || 0,
+            上次同步: saved?.上次同步 || 0
+        };
+    }
+
+    save() {
+        saveToStorage(this.config.storageKey, this.state);
+    }
+
+    // 换账号登录时重新开始，本机数据作为较旧的记录和新账号合并
+    // 登录前的修改保留，作为第一次登录的账号的修改上传
+    resetFor(用户标识) {
+        if (this.state.用户标识 === 用户标识) return;
+
+        if (this.state.用户标识) {
+            SYNC_COLLECTIONS.forEach(集合 => {
+                this.state.记录[集合] = {};
+                this.state.待上传[集合] = {};
+            });
+        }
+        this.state.用户标识 = 用户标识;
+        this.state.服务器时间 = 0;
+        this.save();
+    }
+
+    // ============================================
+    // 记录本机修改
+    // ============================================
+
+    // 值为null表示删除
+    record(集合, 键, 值, 更新时间 = Date.now()) {
+        this.state.记录[集合][键] = { 值, 更新时间 };
+        this.state.待上传[集合][键] = true;
+        this.save();
+        this.scheduleSync();
+    }
+
+    // 设置逐字段比较，只记录变化的字段
+    recordSettings(settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            const current = this.state.记录.设置[key];
+            if (!current || JSON.stringify(current.值) !== JSON.stringify(value)) {
+                this.record('设置', key, value);
+            }
+        });
+    }
+
+    // 启动时和第一次同步前，把本机已有但还没有记录的数据记为最旧的修改：
+    // 服务器上有同一条记录时以服务器为准，没有时上传本机的数据；
+    // 之后修改设置时 recordSettings 和这里记下的值比较，只记录真正变化的字段
+    seedFromApp() {
+        const seed = (集合, 键, 值) => {
+            if (this.state.记录[集合][键]) return;
+            this.state.记录[集合][键] = { 值, 更新时间: 1 };
+            this.state.待上传[集合][键] = true;
+        };
+
+        AppState.userData.favorites.forEach(id => seed('收藏', String(id), true));
+        AppState.userData.history.forEach(item => seed('历史', String(item.id), item));
+        Object.entries(AppState.settings).forEach(([key, value]) => seed('设置', key, value));
+        this.save();
+    }
+
+    scheduleSync() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), this.config.debounceDelay);
+    }
+
+    // ============================================
+    // 同步
+    // ============================================
+
+    // 上传待同步的记录并拉取其他设备的修改；未登录时不做任何事
+    async sync() {
+        if (!AppState.auth?.用户) return false;
+
+        // 同步进行中又有修改时，结束后再同步一次
+        if (this.syncing) {
+            this.pendingAgain = true;
+            return this.syncing;
+        }
+
+        this.syncing = this.runSync().finally(() => {
+            this.syncing = null;
+            if (this.pendingAgain) {
+                this.pendingAgain = false;
+                this.scheduleSync();
+            }
+        });
+        return this.syncing;
+    }
+
+    async runSync() {
+        this.resetFor(AppState.auth.用户.用户标识);
+        if (this.state.服务器时间 === 0) {
+            this.seedFromApp();
+        }
+
+        // 记下上传的版本，同步期间又修改的记录留到下次上传
+        const 变更 = Object.fromEntries(SYNC_COLLECTIONS.map(集合 => [
+            集合,
+            Object.fromEntries(Object.keys(this.state.待上传[集合]).map(键 => [键, { ...this.state.记录[集合][键] }]))
+        ]));
+
+        try {
+            const response = await apiRequest(API_CONFIG.endpoints.sync, {
+                method: 'POST',
+                silent: true,
+                queueKey: 'sync',
+                queueLabel: '同步收藏、历史和设置',
+                body: JSON.stringify({ 变更, since: this.state.服务器时间 })
+            });
+
+            // 离线时请求进入离线队列，记录仍然待上传，联网后重新同步时拉取其他设备的修改
+            if (response.已排队) {
+                return false;
+            }
+
+            if (!response.成功) {
+                throw new Error(response.错误 || '同步失败');
+            }
+
+            SYNC_COLLECTIONS.forEach(集合 => {
+                Object.entries(变更[集合]).forEach(([键, sent]) => {
+                    if (this.state.记录[集合][键]?.更新时间 === sent.更新时间) {
+                        delete this.state.待上传[集合][键];
+                    }
+                });
+            });
+
+            this.apply(response.变更 || {});
+            this.state.服务器时间 = response.服务器时间;
+            this.state.上次同步 = Date.now();
+            this.save();
+            return true;
+        } catch (error) {
+            console.error('同步账号数据失败:', error);
+            return false;
+        }
+    }
+
+    // 应用服务器返回的记录，本机的修改更晚时保留本机的；修改时间相同时以服务器为准
+    apply(变更) {
+        const changed = new Set();
+
+        SYNC_COLLECTIONS.forEach(集合 => {
+            Object.entries(变更[集合] || {}).forEach(([键, remote]) => {
+                const local = this.state.记录[集合][键];
+                if (local && local.更新时间 > remote.更新时间) return;
+                if (local && JSON.stringify(local.值) === JSON.stringify(remote.值)) {
+                    delete this.state.待上传[集合][键];
+                    return;
+                }
+
+                this.state.记录[集合][键] = { 值: remote.值, 更新时间: remote.更新时间 };
+                delete this.state.待上传[集合][键];
+                this.applyToApp(集合, 键, remote.值);
+                changed.add(集合);
+            });
+        });
+
+        if (changed.has('收藏') || changed.has('历史')) {
+            AppState.userData.history.sort((a, b) => b.id - a.id);
+            saveUserData();
+            renderFavorites();
+        }
+        if (changed.has('设置')) {
+            saveToStorage('userSettings', AppState.settings);
+            updateSettingsUI();
+        }
+    }
+
+    applyToApp(集合, 键, 值) {
+        switch (集合) {
+            case '收藏':
+                if (值) {
+                    AppState.userData.favorites.add(键);
+                } else {
+                    AppState.userData.favorites.delete(键);
+                }
+                break;
+
+            case '历史': {
+                const history = AppState.userData.history.filter(item => String(item.id) !== 键);
+                AppState.userData.history = 值 ? [值, ...history] : history;
+                break;
+            }
+
+            case '设置':
+                if (值 !== null) {
+                    AppState.settings[键] = 值;
+                }
+                break;
+        }
+    }
+}
+
+// ============================================
+// 初始化和全局函数
+// ============================================
+
+let userDataSync = null;
+
+function initUserDataSync() {
+    if (!userDataSync) {
+        userDataSync = new UserDataSync();
+    }
+    return userDataSync;
+}
+
+// 立即同步，返回是否成功
+async function 同步账号数据() {
+    return initUserDataSync().sync();
+}
+
+// 导出函数到全局
+window.UserDataSync = UserDataSync;
+window.initUserDataSync = initUserDataSync;
+window.同步账号数据 = 同步账号数据;
+
+// 网络恢复和页面重新可见时同步
+window.addEventListener('online', () => initUserDataSync().sync());
+document.addEventListener('visibilitychange', () => {
+    const sync = initUserDataSync();
+    if (!document.hidden && Date.now() - sync.state.上次同步 > sync.config.refreshInterval) {
+        sync.sync();
+    }
+});
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UserDataSync,
+        同步账号数据
+    };
+}
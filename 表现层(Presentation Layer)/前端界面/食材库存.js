@@ -0,0 +1,344 @@
+// ============================================
+// 智能菜谱推荐系统 - 家庭食材库存模块
+// ============================================
+
+// 库存按批次记录：同一种食材可以有多批，各自的购买日期和过期日期不同
+// 扣减时先用最早过期的批次；已过期的批次不计入可用库存
+// 数据用 localforage 保存在 IndexedDB 中
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PantryManager {
+    constructor(options = {}) {
+        this.config = {
+            storageKey: 'pantry',
+            // 单位换算表，通常传入 ShoppingListGenerator 的 config.unitConversions
+            unitConversions: options.unitConversions || {},
+            // 名称标准化函数，通常传入 ShoppingListGenerator 的 normalizeName
+            normalizeName: options.normalizeName || (name => String(name).replace(/\s+/g, '').trim()),
+            // 即将过期的提醒天数
+            expiringDays: 3
+        };
+
+        this.items = [];
+        this.loaded = false;
+        this.store = typeof localforage !== 'undefined'
+            ? localforage.createInstance({ name: 'smart-recipe', storeName: 'pantry' })
+            : null;
+    }
+
+    // ============================================
+    // 持久化
+    // ============================================
+
+    // 从存储加载库存
+    async load() {
+        try {
+            if (this.store) {
+                this.items = (await this.store.getItem(this.config.storageKey)) || [];
+            } else {
+                console.warn('localforage未加载，库存只保存在内存中');
+            }
+        } catch (error) {
+            console.error('加载食材库存失败:', error);
+            this.items = [];
+        }
+
+        this.loaded = true;
+        return this.items;
+    }
+
+    // 保存库存
+    async save() {
+        if (!this.store) return false;
+
+        try {
+            await this.store.setItem(this.config.storageKey, this.items);
+            return true;
+        } catch (error) {
+            console.error('保存食材库存失败:', error);
+            return false;
+        }
+    }
+
+    // ============================================
+    // 库存增删改
+    // ============================================
+
+    // 添加一批食材
+    async addItem({ 名称, 数量, 单位 = '', 购买日期 = null, 过期日期 = null, 备注 = '' }) {
+        const amount = Number(数量);
+        if (!名称 || !(amount > 0)) {
+            throw new Error('请填写食材名称和数量');
+        }
+
+        const item = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            名称: 名称.trim(),
+            数量: amount,
+            单位: 单位,
+            购买日期: 购买日期 || this.today(),
+            过期日期: 过期日期 || null,
+            备注: 备注
+        };
+
+        this.items.push(item);
+        await this.save();
+        return item;
+    }
+
+    // 修改某批食材
+    async updateItem(id, changes) {
+        const item = this.items.find(entry => entry.id === id);
+        if (!item) return null;
+
+        Object.assign(item, changes, { id });
+        if (!(item.数量 > 0)) {
+            this.items = this.items.filter(entry => entry.id !== id);
+        }
+
+        await this.save();
+        return item;
+    }
+
+    // 删除某批食材
+    async removeItem(id) {
+        const count = this.items.length;
+        this.items = this.items.filter(entry => entry.id !== id);
+
+        if (this.items.length !== count) {
+            await this.save();
+            return true;
+        }
+        return false;
+    }
+
+    // 清理已过期的批次，返回被清理的批次
+    async removeExpired() {
+        const expired = this.getExpiredItems();
+        if (expired.length > 0) {
+            this.items = this.items.filter(item => !expired.includes(item));
+            await this.save();
+        }
+        return expired;
+    }
+
+    // ============================================
+    // 查询
+    // ============================================
+
+    // 获取全部批次，按名称和过期日期排序
+    getItems() {
+        return [...this.items].sort((a, b) =>
+            a.名称.localeCompare(b.名称, 'zh-CN') || this.compareExpiry(a, b)
+        );
+    }
+
+    // 已过期的批次
+    getExpiredItems() {
+        return this.items.filter(item => this.isExpired(item));
+    }
+
+    // 即将过期的批次
+    getExpiringItems(days = this.config.expiringDays) {
+        const limit = this.today(days);
+        return this.items.filter(item =>
+            item.过期日期 && !this.isExpired(item) && item.过期日期 <= limit
+        );
+    }
+
+    // 家中是否有某种食材（不论数量和单位）
+    hasItem(name) {
+        return this.findBatches(name).length > 0;
+    }
+
+    // 某种食材的可用数量，换算为指定单位
+    // 单位不能互相换算的批次不计入
+    getAvailable(name, unit = '') {
+        return this.findBatches(name).reduce((sum, batch) => {
+            const converted = this.convert(batch.数量, batch.单位, unit);
+            return converted === null ? sum : sum + converted;
+        }, 0);
+    }
+
+    // 从需要的数量中扣除库存，返回还需购买的数量和家中已有的数量
+    subtractStock(name, amount, unit = '') {
+        const inStock = Math.min(this.getAvailable(name, unit), amount);
+        return { remaining: this.round(amount - inStock), inStock: this.round(inStock) };
+    }
+
+    // 未过期的同名批次，先过期的排在前面
+    findBatches(name) {
+        const key = this.config.normalizeName(name);
+        return this.items
+            .filter(item => this.config.normalizeName(item.名称) === key && !this.isExpired(item))
+            .sort((a, b) => this.compareExpiry(a, b));
+    }
+
+    // ============================================
+    // 扣减
+    // ============================================
+
+    // 按用量扣减库存，items: [{ name, amount, unit }]
+    // 返回实际扣减的和库存不足的项目
+    async consume(items) {
+        const result = { 已扣除: [], 库存不足: [] };
+
+        items.forEach(({ name, amount, unit = '' }) => {
+            if (typeof amount !== 'number' || !(amount > 0)) return;
+
+            let remaining = amount;
+            for (const batch of this.findBatches(name)) {
+                const available = this.convert(batch.数量, batch.单位, unit);
+                if (available === null || available <= 0) continue;
+
+                const used = Math.min(available, remaining);
+                batch.数量 = this.round(batch.数量 - this.convert(used, unit, batch.单位));
+                remaining = this.round(remaining - used);
+
+                if (remaining <= 0) break;
+            }
+
+            const deducted = this.round(amount - remaining);
+            if (deducted > 0) {
+                result.已扣除.push({ 名称: name, 数量: deducted, 单位: unit });
+            }
+            if (remaining > 0) {
+                result.库存不足.push({ 名称: name, 数量: remaining, 单位: unit });
+            }
+        });
+
+        // 用完的批次直接移除
+        this.items = this.items.filter(item => item.数量 > 0);
+        await this.save();
+
+        return result;
+    }
+
+    // ============================================
+    // 工具函数
+    // ============================================
+
+    // 单位换算，同类单位（重量、体积、数量）之间可换算，否则要求单位相同
+    convert(amount, fromUnit, toUnit) {
+        if ((fromUnit || '') === (toUnit || '')) return amount;
+
+        const from = this.config.unitConversions[fromUnit];
+        const to = this.config.unitConversions[toUnit];
+        if (!from || !to || from.type !== to.type) return null;
+
+        return amount * from.base / to.base;
+    }
+
+    isExpired(item) {
+        return Boolean(item.过期日期) && item.过期日期 < this.today();
+    }
+
+    // 没有过期日期的排在最后
+    compareExpiry(a, b) {
+        return (a.过期日期 || '9999-12-31').localeCompare(b.过期日期 || '9999-12-31');
+    }
+
+    // 今天（或若干天后）的日期，格式 YYYY-MM-DD
+    today(offsetDays = 0) {
+        const date = new Date(Date.now() + offsetDays * DAY_MS);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// ============================================
+// 导出函数
+// ============================================
+
+// 全局库存实例
+let pantryManager = null;
+
+// 初始化库存（换算表和名称标准化与购物清单生成器保持一致）
+function initPantryManager() {
+    if (!pantryManager) {
+        const generator = typeof ShoppingListGenerator !== 'undefined' ? new ShoppingListGenerator() : null;
+
+        pantryManager = new PantryManager(generator ? {
+            unitConversions: generator.config.unitConversions,
+            normalizeName: name => generator.normalizeName(name)
+        } : {});
+
+        pantryManager.ready = pantryManager.load();
+    }
+    return pantryManager;
+}
+
+// 添加库存
+async function 添加库存(名称, 数量, 单位 = '', 过期日期 = null) {
+    try {
+        const pantry = initPantryManager();
+        await pantry.ready;
+
+        const item = await pantry.addItem({ 名称, 数量, 单位, 过期日期 });
+        showNotification('已加入库存', `${item.名称} ${item.数量}${item.单位}`, 'success');
+        return item;
+    } catch (error) {
+        console.error('添加库存失败:', error);
+        showNotification('添加失败', error.message, 'error');
+        return null;
+    }
+}
+
+// 做完当前菜单后，从库存中扣除用掉的食材
+async function 标记已烹饪(menuData = null) {
+    try {
+        const menu = menuData || (typeof AppState !== 'undefined' && AppState.currentMenu) || window.currentMenu;
+        if (!menu) {
+            throw new Error('没有找到菜单数据，请先生成菜单');
+        }
+
+        const pantry = initPantryManager();
+        await Promise.all([pantry.ready, loadIngredientResolver(), loadQuantityParser()]);
+
+        const generator = new ShoppingListGenerator();
+        const requirements = generator.getRequirements(menu, menu.参数?.用餐人数 || 6);
+        const result = await pantry.consume(requirements);
+
+        const message = result.库存不足.length > 0
+            ? `已扣除${result.已扣除.length}项食材，${result.库存不足.length}项的库存记录不足`
+            : `已扣除${result.已扣除.length}项食材`;
+        showNotification('库存已更新', message, 'success');
+
+        return result;
+    } catch (error) {
+        console.error('更新库存失败:', error);
+        showNotification('更新库存失败', error.message, 'error');
+        return null;
+    }
+}
+
+// 导出函数到全局
+window.PantryManager = PantryManager;
+window.initPantryManager = initPantryManager;
+window.添加库存 = 添加库存;
+window.标记已烹饪 = 标记已烹饪;
+
+// 自动初始化
+document.addEventListener('DOMContentLoaded', () => {
+    initPantryManager().ready.then(items => {
+        const expiring = pantryManager.getExpiringItems();
+        if (expiring.length > 0) {
+            showNotification('食材即将过期', `${expiring.map(item => item.名称).join('、')}即将过期，请尽快使用`, 'warning');
+        }
+        console.log(`食材库存已加载: ${items.length}批`);
+    });
+});
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PantryManager,
+        添加库存,
+        标记已烹饪
+    };
+}
@@ -236,7 +236,7 @@ class PDFExporter {
         currentDoc.setTextColor(...config.colors.muted);
         
         const totalRecipes = Object.values(menuData.菜单 || {}).flat().length;
-        const totalTime = this.calculateTotalTime(menuData.菜单);
+        const totalTime = menuData.烹饪时间线?.总时长 ?? this.calculateTotalTime(menuData.菜单);
         
         currentDoc.text(`菜品总数: ${totalRecipes}道`, 20, this.currentY);
         currentDoc.text(`预计总耗时: ${this.formatTime(totalTime)}`, pageWidth - 20, this.currentY, { align: 'right' });
@@ -272,6 +272,11 @@ class PDFExporter {
             this.currentY += 5;
         }
         
+        // 烹饪时间线
+        if (menuData.烹饪时间线?.步骤?.length > 0) {
+            this.addCookingTimeline(menuData.烹饪时间线);
+        }
+        
         // 烹饪提示
         if (menuData.提示 && menuData.提示.length > 0) {
             this.addCookingTips(menuData.提示);
@@ -414,8 +419,8 @@ class PDFExporter {
         this.addDivider();
         this.currentY += 5;
         
-        // 按类别显示购物清单
-        const categories = ['蔬菜类', '肉类', '水产类', '调味品', '主食类', '其他'];
+        // 按类别显示购物清单（分类与 分类索引/食材索引.json 的大类一致，沿用清单中的顺序）
+        const categories = Object.keys(shoppingList.清单 || {});
         
         for (const category of categories) {
             const items = shoppingList.清单?.[category] || [];
@@ -668,6 +673,42 @@ class PDFExporter {
         this.currentY += 5;
     }
     
+    // 添加烹饪时间线，按开始时间列出各道菜的步骤
+    addCookingTimeline(timeline) {
+        const { config, currentDoc, pageWidth } = this;
+        
+        if (this.currentY > this.pageHeight - 50) {
+            this.addNewPage();
+        }
+        
+        currentDoc.setFont(config.fonts.bold);
+        currentDoc.setFontSize(12);
+        currentDoc.setTextColor(...config.colors.secondary);
+        currentDoc.text(`烹饪时间线（约${this.formatTime(timeline.总时长)}）`, 20, this.currentY);
+        this.currentY += 8;
+        
+        currentDoc.setFont(config.fonts.normal);
+        currentDoc.setFontSize(10);
+        
+        for (const step of timeline.步骤) {
+            if (this.currentY > this.pageHeight - 30) {
+                this.addNewPage();
+            }
+            
+            const time = step.开始时刻 || `第${step.开始}分钟`;
+            const stepLines = currentDoc.splitTextToSize(`${step.菜品名称}：${step.步骤描述}`, pageWidth - 70);
+            
+            currentDoc.setTextColor(...config.colors.accent);
+            currentDoc.text(time, 25, this.currentY);
+            currentDoc.setTextColor(...config.colors.text);
+            currentDoc.text(stepLines, 50, this.currentY);
+            
+            this.currentY += stepLines.length * 5 + 2;
+        }
+        
+        this.currentY += 5;
+    }
+    
     // 添加烹饪提示
     addCookingTips(tips, title = '烹饪提示') {
         const { config, currentDoc } = this;
@@ -824,7 +865,7 @@ class PDFExporter {
         currentDoc.setFont(config.fonts.normal);
         currentDoc.setFontSize(10);
         currentDoc.setTextColor(...config.colors.primary);
-        currentDoc.text(`${item.用量} ${item.单位}`, 120, this.currentY);
+        currentDoc.text(`${item.用量} ${item.单位}${item.约合 ? `（${item.约合}）` : ''}`, 120, this.currentY);
         
         this.currentY += 6;
     }
@@ -5,20 +5,6 @@
 class ShoppingListGenerator {
     constructor() {
         this.config = {
-            // 食材分类
-            categories: {
-                '蔬菜类': ['菜', '笋', '菇', '菌', '椒', '瓜', '茄', '豆', '萝卜', '胡萝卜', '土豆', '红薯', '葱', '姜', '蒜', '香菜', '芹菜', '菠菜', '生菜', '油菜'],
-                '水果类': ['果', '桃', '梨', '苹果', '橘子', '橙子', '香蕉', '葡萄', '草莓', '西瓜', '芒果'],
-                '肉类': ['肉', '排', '腿', '蹄', '肝', '肚', '肠', '里脊', '五花', '排骨', '鸡', '鸭', '鹅', '牛', '羊', '猪'],
-                '水产类': ['鱼', '虾', '蟹', '贝', '蛤', '蛏', '蚝', '参', '鲍鱼', '鱿鱼', '墨鱼', '海带', '紫菜'],
-                '蛋奶类': ['蛋', '鸡蛋', '鸭蛋', '鹌鹑蛋', '牛奶', '酸奶', '奶酪', '黄油', '奶油'],
-                '豆制品': ['豆腐', '豆干', '豆皮', '腐竹', '豆泡', '豆浆', '黄豆', '绿豆', '红豆'],
-                '调味品': ['油', '盐', '酱', '醋', '糖', '料酒', '生抽', '老抽', '蚝油', '香油', '麻油', '辣椒', '花椒', '八角', '桂皮', '香叶'],
-                '主食类': ['米', '面', '粉', '饭', '粥', '馒头', '包子', '饺子', '面条', '面包', '饼干', '蛋糕'],
-                '干货类': ['木耳', '香菇', '红枣', '枸杞', '桂圆', '莲子', '花生', '核桃', '芝麻'],
-                '其他': [] // 默认分类
-            },
-            
             // 单位转换表
             unitConversions: {
                 // 重量单位
@@ -68,14 +54,15 @@ class ShoppingListGenerator {
                 '蔬菜类': '建议新鲜购买，当天使用',
                 '肉类': '可冷冻保存，使用前解冻',
                 '水产类': '建议当天购买，保持新鲜',
-                '水果类': '按需购买，避免存放过久',
-                '调味品': '检查家中存量，按需补充'
+                '蛋奶豆制品': '豆腐等豆制品不耐放，建议当天购买',
+                '调味品类': '检查家中存量，按需补充'
             }
         };
         
         this.shoppingList = {
             items: {}, // 按名称存储，合并相同食材
             categories: {}, // 按分类存储
+            recipeCosts: [], // 每道菜的预计花费
             stats: {
                 totalItems: 0,
                 totalCategories: 0,
@@ -95,8 +82,19 @@ class ShoppingListGenerator {
             autoCategorize: true,
             addCommonSeasonings: true,
             includeTips: true,
+            // 估算价格用的 { 城市, 季节, 门店 }，未填写的项取菜单参数
+            priceOptions: {},
             format: 'detailed' // 'detailed' | 'compact' | 'minimal'
         };
+        
+        // 家中食材库存（PantryManager），未设置时不扣减
+        this.pantry = null;
+        
+        // 食材解析器（IngredientResolver），未设置时使用 loadIngredientResolver 加载的全局实例
+        this.resolver = null;
+        
+        // 价格估算器（PriceEstimator），未设置时使用 loadPriceEstimator 加载的全局实例
+        this.priceEstimator = null;
     }
     
     // ============================================
@@ -119,7 +117,13 @@ class ShoppingListGenerator {
                 generatedAt: new Date().toISOString(),
                 menuPeople: people,
                 menuName: menu.参数?.季节 ? `${menu.参数.季节}菜单` : '智能推荐菜单',
-                notes: menu.提示 || []
+                notes: menu.提示 || [],
+                priceOptions: {
+                    城市: menu.参数?.城市 || null,
+                    季节: menu.参数?.季节 || null,
+                    门店: menu.参数?.门店 || null,
+                    ...this.userPreferences.priceOptions
+                }
             };
             
             // 处理所有菜谱
@@ -133,6 +137,11 @@ class ShoppingListGenerator {
                 this.addCommonSeasonings(allRecipes);
             }
             
+            // 扣除家中库存（在分类和统计之前，花费按实际要买的数量估算）
+            if (this.userPreferences.excludeExisting) {
+                this.checkExistingItems();
+            }
+            
             // 分类整理
             if (this.userPreferences.autoCategorize) {
                 this.categorizeItems();
@@ -146,11 +155,6 @@ class ShoppingListGenerator {
                 this.addShoppingTips();
             }
             
-            // 检查家中已有食材（模拟）
-            if (this.userPreferences.excludeExisting) {
-                this.checkExistingItems();
-            }
-            
             console.log('购物清单生成完成:', this.shoppingList.stats);
             return this.getFormattedList();
             
@@ -160,6 +164,23 @@ class ShoppingListGenerator {
         }
     }
     
+    // 计算菜单需要的全部食材用量（不加常用调味品，不扣库存），用于做完菜后扣减库存
+    getRequirements(menu, people = 6) {
+        const saved = this.shoppingList;
+        
+        this.resetShoppingList();
+        this.mergeIngredients(this.extractRecipesFromMenu(menu), people);
+        
+        const requirements = Object.values(this.shoppingList.items).map(item => ({
+            name: item.name,
+            amount: item.amount,
+            unit: item.unit
+        }));
+        
+        this.shoppingList = saved;
+        return requirements;
+    }
+    
     // 从单个菜谱生成购物清单
     generateFromRecipe(recipe, people = 4, options = {}) {
         const mockMenu = {
@@ -189,12 +210,24 @@ class ShoppingListGenerator {
         return recipes;
     }
     
-    // 合并食材（按人数调整分量）
+    // 合并食材（按人数调整分量），同时估算每道菜的花费
     mergeIngredients(recipes, people) {
+        const estimator = this.getPriceEstimator();
+        
         recipes.forEach(recipe => {
             const basePeople = recipe.标准份量?.基准人数 || 4;
             const ratio = people / basePeople;
             
+            if (estimator && recipe.标准份量) {
+                const cost = estimator.estimateRecipe(recipe, people, this.getPriceOptions());
+                this.shoppingList.recipeCosts.push({
+                    name: recipe.菜品名称,
+                    cost: Math.round(cost.金额 * 10) / 10,
+                    perPerson: Math.round(cost.每人 * 10) / 10,
+                    unpriced: cost.未计价
+                });
+            }
+            
             // 处理主要食材
             if (recipe.标准份量?.食材列表) {
                 recipe.标准份量.食材列表.forEach(ingredient => {
@@ -214,119 +247,196 @@ class ShoppingListGenerator {
     // 添加单个食材
     addIngredient(ingredient, ratio = 1, sourceRecipe = '', isSeasoning = false) {
         const name = ingredient.食材名称 || ingredient.名称;
-        let amount = ingredient.用量;
-        let unit = ingredient.单位 || '';
+        const unit = ingredient.单位 || '';
         
-        if (!name || !amount) {
+        if (!name) {
             return;
         }
         
-        // 调整用量
-        const adjustedAmount = this.adjustAmount(amount, ratio, unit);
+        // 解析并按人数调整用量，重量换算为克、体积换算为毫升后再合并
+        const quantity = this.adjustAmount(ingredient.用量, ratio, unit);
+        if (!quantity) {
+            return;
+        }
+        
+        const parser = this.getQuantityParser();
+        const qualitative = parser.isQualitative(quantity);
         
-        // 标准化单位
-        const standardized = this.standardizeUnit(adjustedAmount, unit);
+        // 按个、根等计数的食材有单位重量时换算为克，和按重量写的同一食材合并为一项
+        const counted = this.toWeight(name, quantity);
+        const base = counted ? counted.weight : parser.toBaseUnit(quantity);
+        
+        // 同一食材已有具体用量时，适量 的用量只记录来源
+        const measured = this.findItems(name).find(item => !parser.isQualitative(item.quantity));
+        if (qualitative && measured) {
+            if (sourceRecipe) measured.sources.push(sourceRecipe);
+            return;
+        }
         
         // 生成唯一键
-        const key = this.generateItemKey(name, standardized.unit);
+        const key = this.generateItemKey(name, qualitative ? '适量' : base.单位);
+        
+        // 先记为 适量 的同一食材，有了具体用量后合并为一项
+        const vagueKey = this.generateItemKey(name, '适量');
+        const vague = !qualitative && key !== vagueKey ? this.shoppingList.items[vagueKey] : null;
+        if (vague) {
+            delete this.shoppingList.items[vagueKey];
+        }
         
         // 添加或更新食材
         if (this.shoppingList.items[key]) {
             // 合并相同食材
-            this.shoppingList.items[key].amount += standardized.amount;
-            this.shoppingList.items[key].sources.push(sourceRecipe);
+            const item = this.shoppingList.items[key];
+            item.quantity = parser.addQuantities(item.quantity, base);
+            this.addCount(item, counted);
+            if (sourceRecipe) item.sources.push(sourceRecipe);
+            this.applyQuantity(item);
         } else {
             // 新食材
-            this.shoppingList.items[key] = {
+            const item = {
                 name: name,
-                amount: standardized.amount,
-                unit: standardized.unit,
+                quantity: base,
+                amount: null,
+                unit: '',
+                // 换算前的计数用量和每个计数单位的克数，只按重量写过时 count 为 null
+                count: null,
+                unitWeight: null,
+                weighed: false,
+                approx: '',
                 originalUnit: unit,
                 category: this.categorizeIngredient(name),
                 isSeasoning: isSeasoning,
                 purchased: false,
                 priority: isSeasoning ? 'low' : 'normal',
                 notes: ingredient.备注 || '',
-                sources: sourceRecipe ? [sourceRecipe] : [],
+                sources: [...(vague ? vague.sources : []), ...(sourceRecipe ? [sourceRecipe] : [])],
                 alternatives: this.getAlternatives(name)
             };
+            this.addCount(item, counted);
+            this.applyQuantity(item);
+            this.shoppingList.items[key] = item;
         }
     }
     
-    // 调整用量（根据人数比例）
-    adjustAmount(amount, ratio, unit) {
-        let numericAmount;
-        
-        // 解析用量
-        if (typeof amount === 'number') {
-            numericAmount = amount;
-        } else if (typeof amount === 'string') {
-            // 处理字符串用量如 "2-3", "适量"
-            if (amount === '适量' || amount === '少许') {
-                return amount; // 返回原字符串
-            }
-            
-            // 提取数字
-            const match = amount.match(/(\d+(\.\d+)?)/);
-            numericAmount = match ? parseFloat(match[1]) : 1;
-        } else {
-            numericAmount = 1;
+    // 计数用量按单位重量换算为克，如 青椒 2个 → 200克；不是计数单位或没有单位重量时返回null
+    toWeight(name, quantity) {
+        const parser = this.getQuantityParser();
+        const resolver = this.getResolver();
+        if (!resolver || parser.isQualitative(quantity) || parser.unitType(quantity.单位)) {
+            return null;
         }
         
-        // 应用比例
-        if (typeof numericAmount === 'number' && ratio !== 1) {
-            return numericAmount * ratio;
+        const unitWeight = resolver.getUnitWeight(name, quantity.单位);
+        if (!unitWeight) {
+            return null;
         }
         
-        return amount;
+        return {
+            count: quantity,
+            unitWeight: unitWeight,
+            weight: { ...quantity, 最小: quantity.最小 * unitWeight, 最大: quantity.最大 * unitWeight, 单位: '克' }
+        };
     }
     
-    // 标准化单位
-    standardizeUnit(amount, unit) {
-        // 如果是"适量"等特殊单位，保持不变
-        if (typeof amount === 'string' && (amount === '适量' || amount === '少许')) {
-            return { amount: amount, unit: '' };
+    // 记录合并进来的计数用量；有按重量写的用量或计数单位不同时，只能按重量购买
+    addCount(item, counted) {
+        const parser = this.getQuantityParser();
+        if (parser.isQualitative(item.quantity)) {
+            return;
         }
         
-        // 如果没有单位或单位不在转换表中，保持不变
-        if (!unit || !this.config.unitConversions[unit]) {
-            return { amount: amount, unit: unit || '' };
+        if (!counted) {
+            item.weighed = true;
+            return;
         }
         
-        const conversion = this.config.unitConversions[unit];
+        if (!item.unitWeight) {
+            item.unitWeight = counted.unitWeight;
+            item.countUnit = counted.count.单位;
+        }
         
-        // 如果是数字，尝试转换到更合适的单位
-        if (typeof amount === 'number') {
-            // 重量单位优化（克 -> 斤/两）
-            if (conversion.type === 'weight') {
-                const grams = amount * conversion.base;
-                
-                if (grams >= 500) {
-                    // 使用斤
-                    return { amount: grams / 500, unit: '斤' };
-                } else if (grams >= 50) {
-                    // 使用两
-                    return { amount: grams / 50, unit: '两' };
-                } else {
-                    // 使用克
-                    return { amount: grams, unit: '克' };
-                }
-            }
-            
-            // 体积单位优化（毫升 -> 升）
-            if (conversion.type === 'volume') {
-                const ml = amount * conversion.base;
-                
-                if (ml >= 1000) {
-                    return { amount: ml / 1000, unit: '升' };
-                } else {
-                    return { amount: ml, unit: '毫升' };
-                }
+        if (item.count && item.count.单位 !== counted.count.单位) {
+            item.weighed = true;
+        }
+        item.count = parser.addQuantities(item.count, counted.count);
+    }
+    
+    // 按合并后的用量设置要买的数量和单位：换成便于购买的单位，范围用量按上限购买
+    // 换算过单位重量的食材同时给出另一种写法：全是计数时附上大约重量，否则附上大约个数
+    applyQuantity(item) {
+        const parser = this.getQuantityParser();
+        const quantity = parser.simplifyQuantity(item.quantity);
+        item.approx = '';
+        
+        if (parser.isQualitative(quantity)) {
+            item.amount = quantity.定性;
+            item.unit = '';
+        } else if (item.count && !item.weighed) {
+            // 不到一斤的直接写克数，如 约165克
+            const weight = item.quantity.最大 >= 500 ? quantity : item.quantity;
+            item.amount = item.count.最大;
+            item.unit = item.count.单位;
+            item.approx = `约${Math.round(weight.最大 * 10) / 10}${weight.单位}`;
+        } else {
+            item.amount = quantity.最大;
+            item.unit = quantity.单位;
+            if (item.unitWeight) {
+                item.approx = `约${Math.ceil(item.quantity.最大 / item.unitWeight)}${item.countUnit}`;
             }
         }
+    }
+    
+    // 显示用的花费，价格数据未加载时为 暂无
+    formatCost(cost) {
+        return typeof cost === 'number' ? `约${cost}元` : '暂无';
+    }
+    
+    // 显示用的用量，如 "300克"、"2个（约200克）"、"适量"
+    formatAmount(item) {
+        if (typeof item.amount !== 'number') {
+            return item.amount;
+        }
+        return `${item.amount}${item.unit}${item.approx ? `（${item.approx}）` : ''}`;
+    }
+    
+    // 同一食材（按标准名称）的全部条目
+    findItems(name) {
+        const normalizedName = this.normalizeName(name);
+        return Object.values(this.shoppingList.items)
+            .filter(item => this.normalizeName(item.name) === normalizedName);
+    }
+    
+    // 调整用量（根据人数比例），返回 用量解析.js 的结构化用量
+    // 无法解析的用量（如 "一把左右"）按原写法保留为定性用量
+    adjustAmount(amount, ratio, unit) {
+        const parser = this.getQuantityParser();
+        const quantity = parser.parseQuantity(amount, unit);
+        
+        if (!quantity) {
+            const text = String(amount ?? '').trim();
+            return text ? { 最小: null, 最大: null, 单位: unit, 定性: text } : null;
+        }
         
-        // 默认返回原单位和数量
-        return { amount: amount, unit: unit };
+        return parser.scaleQuantity(quantity, ratio);
+    }
+    
+    // 标准化单位：重量按大小换成 斤/两/克，体积换成 升/毫升
+    standardizeUnit(amount, unit) {
+        if (typeof amount !== 'number') {
+            return { amount: amount, unit: '' };
+        }
+        
+        const parser = this.getQuantityParser();
+        const quantity = parser.simplifyQuantity(parser.parseQuantity(amount, unit));
+        return { amount: quantity.最大, unit: quantity.单位 };
+    }
+    
+    // 用量解析模块（与 Worker 共用 用量解析.js），由 loadQuantityParser 加载
+    getQuantityParser() {
+        if (!window.quantityParser) {
+            throw new Error('用量解析模块尚未加载');
+        }
+        return window.quantityParser;
     }
     
     // 生成食材唯一键
@@ -336,46 +446,47 @@ class ShoppingListGenerator {
         return `${normalizedName}_${unit}`.toLowerCase();
     }
     
-    // 标准化名称
+    // 标准化名称，如 西红柿 → 番茄（别名来自 分类索引/食材索引.json）
     normalizeName(name) {
-        // 移除多余空格和特殊字符
-        let normalized = name
+        const resolver = this.getResolver();
+        if (resolver) {
+            return resolver.normalize(name);
+        }
+        
+        // 食材索引未加载时只移除空格和括号
+        return String(name)
             .replace(/\s+/g, '')
             .replace(/[()（）]/g, '')
             .trim();
-        
-        // 常见别名映射
-        const aliases = {
-            '蕃茄': '番茄',
-            '西红柿': '番茄',
-            '马铃薯': '土豆',
-            '洋芋': '土豆',
-            '地瓜': '红薯',
-            '甘薯': '红薯',
-            '卷心菜': '包菜',
-            '圆白菜': '包菜',
-            '青江菜': '青菜',
-            '小青菜': '青菜',
-            '豇豆': '豆角',
-            '菜椒': '青椒'
-        };
-        
-        return aliases[normalizedName] || normalized;
     }
     
-    // 分类食材
+    // 分类食材，分类与 分类索引/食材索引.json 的大类一致
     categorizeIngredient(name) {
-        const normalizedName = this.normalizeName(name);
-        
-        for (const [category, keywords] of Object.entries(this.config.categories)) {
-            for (const keyword of keywords) {
-                if (normalizedName.includes(keyword)) {
-                    return category;
-                }
-            }
-        }
-        
-        return '其他';
+        const resolver = this.getResolver();
+        return resolver ? resolver.categorize(name) : '其他';
+    }
+    
+    // 设置食材解析器
+    setResolver(resolver) {
+        this.resolver = resolver;
+    }
+    
+    getResolver() {
+        return this.resolver || window.ingredientResolver || null;
+    }
+    
+    // 设置价格估算器
+    setPriceEstimator(estimator) {
+        this.priceEstimator = estimator;
+    }
+    
+    getPriceEstimator() {
+        return this.priceEstimator || window.priceEstimator || null;
+    }
+    
+    // 估算价格用的城市、季节和门店
+    getPriceOptions() {
+        return this.shoppingList.metadata.priceOptions || this.userPreferences.priceOptions;
     }
     
     // 智能添加常见调味品
@@ -386,14 +497,15 @@ class ShoppingListGenerator {
             // 检查是否已经有这种调味品
             const seasoningKey = this.generateItemKey(seasoning, '适量');
             
-            if (!this.shoppingList.items[seasoningKey]) {
+            if (this.findItems(seasoning).length === 0) {
                 // 添加常见调味品
                 this.shoppingList.items[seasoningKey] = {
                     name: seasoning,
+                    quantity: { 最小: null, 最大: null, 单位: '', 定性: '适量' },
                     amount: '适量',
                     unit: '',
                     originalUnit: '',
-                    category: '调味品',
+                    category: this.categorizeIngredient(seasoning),
                     isSeasoning: true,
                     purchased: false,
                     priority: 'low',
@@ -406,19 +518,20 @@ class ShoppingListGenerator {
         
         // 根据已用食材添加搭配调味品
         Object.values(this.shoppingList.items).forEach(item => {
-            if (item.category !== '调味品' && !item.isSeasoning) {
+            if (item.category !== '调味品类' && !item.isSeasoning) {
                 const pairings = this.config.smartRecommendations.commonPairings[item.name];
                 if (pairings) {
                     pairings.forEach(pairing => {
                         const pairingKey = this.generateItemKey(pairing, '适量');
                         
-                        if (!this.shoppingList.items[pairingKey]) {
+                        if (this.findItems(pairing).length === 0) {
                             this.shoppingList.items[pairingKey] = {
                                 name: pairing,
+                                quantity: { 最小: null, 最大: null, 单位: '', 定性: '适量' },
                                 amount: '适量',
                                 unit: '',
                                 originalUnit: '',
-                                category: '调味品',
+                                category: this.categorizeIngredient(pairing),
                                 isSeasoning: true,
                                 purchased: false,
                                 priority: 'low',
@@ -470,47 +583,36 @@ class ShoppingListGenerator {
             totalItems: items.length,
             totalCategories: Object.keys(this.shoppingList.categories).length,
             estimatedCost: this.estimateCost(items),
+            recipeCosts: this.shoppingList.recipeCosts,
             shoppingTime: this.estimateShoppingTime(items),
             itemBreakdown: this.getItemBreakdown(items),
             seasoningsCount: items.filter(item => item.isSeasoning).length
         };
     }
     
-    // 估算成本
+    // 按 分类索引/食材价格.json 估算每项要买的数量的价格（元），家中已有的不计入
+    // 价格数据未加载时返回null
     estimateCost(items) {
-        // 简单的成本估算模型（可根据实际数据调整）
-        const priceRanges = {
-            '蔬菜类': { min: 5, max: 20 },
-            '水果类': { min: 10, max: 30 },
-            '肉类': { min: 20, max: 50 },
-            '水产类': { min: 30, max: 80 },
-            '蛋奶类': { min: 10, max: 25 },
-            '豆制品': { min: 5, max: 15 },
-            '调味品': { min: 5, max: 20 },
-            '主食类': { min: 10, max: 30 },
-            '干货类': { min: 15, max: 40 },
-            '其他': { min: 10, max: 25 }
-        };
+        const estimator = this.getPriceEstimator();
+        if (!estimator) {
+            return null;
+        }
         
+        const parser = this.getQuantityParser();
         let total = 0;
         
         items.forEach(item => {
-            const range = priceRanges[item.category] || priceRanges['其他'];
-            
-            // 根据数量和类型调整价格
-            let itemPrice = (range.min + range.max) / 2;
-            
-            if (typeof item.amount === 'number') {
-                if (item.unit === '斤' || item.unit === '千克') {
-                    itemPrice *= item.amount;
-                } else if (item.unit === '克') {
-                    itemPrice *= item.amount / 500; // 按斤换算
-                } else if (item.unit === '个' || item.unit === '只') {
-                    itemPrice *= Math.max(1, item.amount / 2);
-                }
+            item.estimatedPrice = null;
+            if (item.purchased || typeof item.amount !== 'number') {
+                return;
             }
             
-            total += itemPrice;
+            const quantity = parser.parseQuantity(item.amount, item.unit);
+            const { 金额 } = estimator.estimate(item.name, quantity, this.getPriceOptions());
+            if (金额 !== null) {
+                item.estimatedPrice = Math.round(金额 * 10) / 10;
+                total += 金额;
+            }
         });
         
         return Math.round(total);
@@ -561,7 +663,7 @@ class ShoppingListGenerator {
         
         if (this.shoppingList.stats.seasoningsCount > 5) {
             this.shoppingList.tips.push({
-                category: '调味品',
+                category: '调味品类',
                 tip: '调味品较多，建议检查家中存量',
                 items: this.shoppingList.stats.seasoningsCount
             });
@@ -577,21 +679,54 @@ class ShoppingListGenerator {
         }
     }
     
-    // 检查家中已有食材（模拟）
+    // 设置家中食材库存
+    setPantry(pantry) {
+        this.pantry = pantry;
+    }
+    
+    // 按家中库存扣减购买数量，库存足够的标记为已有
     checkExistingItems() {
-        // 模拟用户已有的常见食材
-        const commonExistingItems = [
-            '盐', '糖', '油', '大米', '面粉', '鸡蛋', '生姜', '大蒜', '葱'
-        ];
+        if (!this.pantry) {
+            return;
+        }
         
         Object.values(this.shoppingList.items).forEach(item => {
-            if (commonExistingItems.includes(item.name)) {
+            // "适量"的调味品家中有就不用买
+            if (typeof item.amount !== 'number') {
+                if (this.pantry.hasItem(item.name)) {
+                    item.purchased = true;
+                    item.notes = this.appendNote(item.notes, '家中已有');
+                }
+                return;
+            }
+            
+            const { remaining, inStock } = this.pantry.subtractStock(item.name, item.amount, item.unit);
+            if (inStock <= 0) {
+                return;
+            }
+            
+            item.inStock = inStock;
+            
+            if (remaining <= 0) {
                 item.purchased = true;
-                item.notes = (item.notes ? item.notes + '，' : '') + '家中已有';
+                item.notes = this.appendNote(item.notes, '家中库存充足');
+            } else {
+                item.notes = this.appendNote(item.notes, `家中已有${inStock}${item.unit}`);
+                
+                const standardized = this.standardizeUnit(remaining, item.unit);
+                item.amount = Math.round(standardized.amount * 100) / 100;
+                item.unit = standardized.unit;
+                // 扣减后原来的换算不再对应
+                item.approx = '';
             }
         });
     }
     
+    // 追加备注
+    appendNote(notes, note) {
+        return notes ? `${notes}，${note}` : note;
+    }
+    
     // 获取替代品
     getAlternatives(name) {
         const alternatives = {
@@ -649,9 +784,7 @@ class ShoppingListGenerator {
             compactList.push(`【${category}】`);
             items.forEach(item => {
                 const checkmark = item.purchased ? '✓' : '□';
-                const amountStr = typeof item.amount === 'number' 
-                    ? `${item.amount}${item.unit}`
-                    : item.amount;
+                const amountStr = this.formatAmount(item);
                 compactList.push(`  ${checkmark} ${item.name}: ${amountStr}`);
             });
             compactList.push('');
@@ -661,7 +794,7 @@ class ShoppingListGenerator {
             list: compactList.join('\n'),
             stats: {
                 总项数: this.shoppingList.stats.totalItems,
-                预计花费: `约${this.shoppingList.stats.estimatedCost}元`,
+                预计花费: this.formatCost(this.shoppingList.stats.estimatedCost),
                 预计时间: `${this.shoppingList.stats.shoppingTime}分钟`
             },
             timestamp: this.shoppingList.metadata.generatedAt
@@ -675,9 +808,7 @@ class ShoppingListGenerator {
         Object.entries(this.shoppingList.categories).forEach(([category, items]) => {
             lines.push(`${category}:`);
             items.forEach(item => {
-                const amountStr = typeof item.amount === 'number' 
-                    ? `${item.amount}${item.unit}`
-                    : item.amount;
+                const amountStr = this.formatAmount(item);
                 lines.push(`- ${item.name} ${amountStr}`);
             });
         });
@@ -948,7 +1079,7 @@ class ShoppingListGenerator {
                     <div class="stat-label">分类数</div>
                 </div>
                 <div class="stat-item">
-                    <div class="stat-value">${this.shoppingList.stats.estimatedCost}元</div>
+                    <div class="stat-value">${this.formatCost(this.shoppingList.stats.estimatedCost)}</div>
                     <div class="stat-label">预计花费</div>
                 </div>
                 <div class="stat-item">
@@ -970,9 +1101,7 @@ class ShoppingListGenerator {
             `;
             
             items.forEach(item => {
-                const amountStr = typeof item.amount === 'number' 
-                    ? `${item.amount}${item.unit}`
-                    : item.amount;
+                const amountStr = this.formatAmount(item);
                 
                 const checkedClass = item.purchased ? 'checked' : '';
                 const notesHTML = item.notes ? `<div class="item-notes">${item.notes}</div>` : '';
@@ -984,7 +1113,7 @@ class ShoppingListGenerator {
                             <div class="item-name">${item.name}</div>
                             ${notesHTML}
                         </div>
-                        <div class="item-amount">${amountStr}</div>
+                        <div class="item-amount">${amountStr}${item.estimatedPrice !== null && item.estimatedPrice !== undefined ? ` · 约${item.estimatedPrice}元` : ''}</div>
                     </div>
                 `;
             });
@@ -1039,6 +1168,7 @@ class ShoppingListGenerator {
         this.shoppingList = {
             items: {},
             categories: {},
+            recipeCosts: [],
             stats: {
                 totalItems: 0,
                 totalCategories: 0,
@@ -1142,15 +1272,113 @@ let shoppingListGenerator = null;
 function initShoppingListGenerator() {
     if (!shoppingListGenerator) {
         shoppingListGenerator = new ShoppingListGenerator();
+        loadIngredientResolver();
+        loadQuantityParser();
+        
+        // 接入家中食材库存（食材库存.js）
+        if (typeof initPantryManager === 'function') {
+            shoppingListGenerator.setPantry(initPantryManager());
+        }
     }
     return shoppingListGenerator;
 }
 
-// 主生成函数（与现有代码兼容）
-function 生成购物清单(menuData = null, options = {}) {
+// 加载食材解析器：与 Worker 共用 食材解析.js，数据来自 分类索引/食材索引.json
+// 这几个共用模块和 分类索引/ 由 工具层/管理工具/构建前端.js 复制到站点根目录
+// 加载完成后保存在 window.ingredientResolver，失败时下次调用会重试
+let ingredientResolverLoading = null;
+
+function loadIngredientResolver() {
+    if (window.ingredientResolver) {
+        return Promise.resolve(window.ingredientResolver);
+    }
+    
+    if (!ingredientResolverLoading) {
+        ingredientResolverLoading = Promise.all([
+            import('/食材解析.js'),
+            fetch('/分类索引/食材索引.json').then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+        ]).then(([module, index]) => {
+            window.ingredientResolver = new module.IngredientResolver(index);
+            return window.ingredientResolver;
+        }).catch(error => {
+            console.warn('加载食材索引失败，食材将不做别名合并和分类:', error);
+            ingredientResolverLoading = null;
+            return null;
+        });
+    }
+    
+    return ingredientResolverLoading;
+}
+
+// 加载用量解析模块（与 Worker 共用 用量解析.js），加载完成后保存在 window.quantityParser
+let quantityParserLoading = null;
+
+function loadQuantityParser() {
+    if (window.quantityParser) {
+        return Promise.resolve(window.quantityParser);
+    }
+    
+    if (!quantityParserLoading) {
+        quantityParserLoading = import('/用量解析.js').then(module => {
+            window.quantityParser = module;
+            return module;
+        }).catch(error => {
+            console.warn('加载用量解析模块失败:', error);
+            quantityParserLoading = null;
+            return null;
+        });
+    }
+    
+    return quantityParserLoading;
+}
+
+// 加载价格估算器：与 Worker 共用 价格估算.js，数据来自 分类索引/食材价格.json
+// 依赖食材解析器，加载完成后保存在 window.priceEstimator，失败时下次调用会重试
+let priceEstimatorLoading = null;
+
+function loadPriceEstimator() {
+    if (window.priceEstimator) {
+        return Promise.resolve(window.priceEstimator);
+    }
+    
+    if (!priceEstimatorLoading) {
+        priceEstimatorLoading = Promise.all([
+            import('/价格估算.js'),
+            fetch('/分类索引/食材价格.json').then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            }),
+            loadIngredientResolver()
+        ]).then(([module, catalog, resolver]) => {
+            if (!resolver) {
+                throw new Error('食材索引未加载');
+            }
+            window.priceEstimator = new module.PriceEstimator(catalog, resolver);
+            return window.priceEstimator;
+        }).catch(error => {
+            console.warn('加载食材价格失败，购物清单将不估算花费:', error);
+            priceEstimatorLoading = null;
+            return null;
+        });
+    }
+    
+    return priceEstimatorLoading;
+}
+
+// 主生成函数：按菜单生成购物清单并保存到本地存储
+// 页面上的 生成购物清单 按钮由 脚本.js 处理（加入购物车），这里换一个名字避免覆盖它
+async function 从菜单生成购物清单(menuData = null, options = {}) {
     try {
         // 初始化生成器
         const generator = initShoppingListGenerator();
+        await Promise.all([loadIngredientResolver(), loadQuantityParser(), loadPriceEstimator()]);
         
         // 如果没有提供菜单数据，使用当前菜单
         let targetMenu = menuData;
@@ -1172,14 +1400,14 @@ function 生成购物清单(menuData = null, options = {}) {
         generator.saveToLocalStorage();
         
         // 显示成功通知
-        showNotification('购物清单已生成', `共${result.stats.totalItems}项物品`, 'success');
+        notifyShoppingList('购物清单已生成', `共${result.stats.totalItems}项物品`, 'success');
         
         // 返回结果
         return result;
         
     } catch (error) {
         console.error('生成购物清单失败:', error);
-        showNotification('生成失败', error.message, 'error');
+        notifyShoppingList('生成失败', error.message, 'error');
         throw error;
     }
 }
@@ -1193,7 +1421,7 @@ function 显示购物清单() {
         if (Object.keys(generator.shoppingList.items).length === 0) {
             // 尝试从本地存储加载
             if (!generator.loadFromLocalStorage()) {
-                showNotification('提示', '请先生成购物清单', 'warning');
+                notifyShoppingList('提示', '请先生成购物清单', 'warning');
                 return;
             }
         }
@@ -1213,7 +1441,7 @@ function 显示购物清单() {
         
     } catch (error) {
         console.error('显示购物清单失败:', error);
-        showNotification('显示失败', error.message, 'error');
+        notifyShoppingList('显示失败', error.message, 'error');
     }
 }
 
@@ -1223,7 +1451,7 @@ function 导出购物清单文本() {
         const generator = initShoppingListGenerator();
         
         if (Object.keys(generator.shoppingList.items).length === 0) {
-            showNotification('提示', '请先生成购物清单', 'warning');
+            notifyShoppingList('提示', '请先生成购物清单', 'warning');
             return;
         }
         
@@ -1240,17 +1468,17 @@ function 导出购物清单文本() {
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
         
-        showNotification('导出成功', '文本文件已保存', 'success');
+        notifyShoppingList('导出成功', '文本文件已保存', 'success');
         
     } catch (error) {
         console.error('导出文本失败:', error);
-        showNotification('导出失败', error.message, 'error');
+        notifyShoppingList('导出失败', error.message, 'error');
     }
 }
 
 // 显示通知函数（与主应用兼容）
-function showNotification(title, message, type = 'info') {
-    if (window.showNotification) {
+function notifyShoppingList(title, message, type = 'info') {
+    if (typeof window.showNotification === 'function') {
         window.showNotification(title, message, type);
     } else {
         console.log(`[${type.toUpperCase()}] ${title}: ${message}`);
@@ -1258,10 +1486,13 @@ function showNotification(title, message, type = 'info') {
 }
 
 // 导出函数到全局
-window.生成购物清单 = 生成购物清单;
+window.从菜单生成购物清单 = 从菜单生成购物清单;
 window.显示购物清单 = 显示购物清单;
 window.导出购物清单文本 = 导出购物清单文本;
 window.ShoppingListGenerator = ShoppingListGenerator;
+window.loadIngredientResolver = loadIngredientResolver;
+window.loadQuantityParser = loadQuantityParser;
+window.loadPriceEstimator = loadPriceEstimator;
 
 // 自动初始化
 document.addEventListener('DOMContentLoaded', () => {
@@ -1280,7 +1511,10 @@ document.addEventListener('DOMContentLoaded', () => {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         ShoppingListGenerator,
-        生成购物清单,
+        loadIngredientResolver,
+        loadQuantityParser,
+        loadPriceEstimator,
+        从菜单生成购物清单,
         显示购物清单,
         导出购物清单文本
     };
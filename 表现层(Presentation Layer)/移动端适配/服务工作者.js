@@ -2,6 +2,9 @@
 // 智能菜谱推荐系统 - Service Worker
 // ============================================
 
+// 离线写入队列（和页面共用）
+importScripts('/离线队列.js');
+
 // 版本控制
 const VERSION = '1.0.0';
 const CACHE_NAME = `smart-recipe-cache-v${VERSION}`;
@@ -13,6 +16,16 @@ const CACHE_ASSETS = [
   '/index.html',
   '/样式.css',
   '/脚本.js',
+  '/购物清单生成.js',
+  '/注册服务工作者.js',
+  '/食材库存.js',
+  '/食材解析.js',
+  '/用量解析.js',
+  '/价格估算.js',
+  '/烹饪模式.js',
+  '/账号同步.js',
+  '/离线队列.js',
+  '/离线队列状态.js',
   
   // 图标和manifest
   '/manifest.json',
@@ -32,7 +45,10 @@ const CACHE_ASSETS = [
   
   // 菜谱数据（预缓存关键数据）
   '/分类索引/菜品分类.json',
-  '/分类索引/时令数据.json'
+  '/分类索引/时令数据.json',
+  '/分类索引/菜谱清单.json',
+  '/分类索引/食材索引.json',
+  '/分类索引/食材价格.json'
 ];
 
 // 需要动态缓存的API端点
@@ -45,6 +61,8 @@ const API_CACHE_PATTERNS = [
 // 不缓存的资源（动态内容、实时数据）
 const NO_CACHE_PATTERNS = [
   '/api/upload',
+  '/api/auth',
+  '/api/user',
   '/api/analytics',
   '/api/errors'
 ];
@@ -372,8 +390,15 @@ self.addEventListener('message', event => {
       sendCacheInfo(event.source);
       break;
       
-    case 'SYNC_RECIPES':
-      backgroundSyncRecipes();
+    case 'REPLAY_OUTBOX':
+      event.waitUntil(replayOutbox().catch(error => {
+        console.log('[Service Worker] 离线队列稍后重试:', error.message);
+      }));
+      break;
+      
+    case 'SHOW_NOTIFICATION':
+      // 页面内产生的提醒（如烹饪计时结束），和推送消息一样显示为系统通知
+      event.waitUntil(showAppNotification(data));
       break;
   }
 });
@@ -473,8 +498,9 @@ self.addEventListener('sync', event => {
   console.log('[Service Worker] 后台同步事件:', event.tag);
   
   switch (event.tag) {
+    case 'sync-outbox':
     case 'sync-recipes':
-      event.waitUntil(syncRecipes());
+      event.waitUntil(replayOutbox());
       break;
       
     case 'sync-settings':
@@ -487,115 +513,69 @@ self.addEventListener('sync', event => {
   }
 });
 
-// 同步菜谱数据
-async function syncRecipes() {
+// 重放离线写入队列（离线队列.js），访问令牌取自页面保存到 IndexedDB 的登录状态
+// 还有请求等待重试时抛出错误，浏览器会稍后再次触发这个同步
+async function replayOutbox() {
+  const result = await OfflineOutbox.replay({
+    getToken: async entry => {
+      const auth = await OfflineOutbox.getAuth();
+      return auth && OfflineOutbox.belongsTo(entry, auth.用户标识) ? auth.访问令牌 : null;
+    },
+    refreshToken: refreshOutboxAuth
+  });
+  
+  // 页面正在重放
+  if (!result) return;
+  
+  await sendMessageToClients({ type: 'OUTBOX_UPDATED', data: result });
+  
+  if (result.等待 > 0) {
+    throw new Error(`还有${result.等待}个请求等待发送`);
+  }
+}
+
+// 访问令牌过期时用刷新令牌换取新的，并通知页面更新登录状态
+async function refreshOutboxAuth(entry) {
+  const auth = await OfflineOutbox.getAuth();
+  if (!auth?.刷新令牌 || !auth.刷新地址 || !OfflineOutbox.belongsTo(entry, auth.用户标识)) return null;
+  
   try {
-    // 从IndexedDB获取待同步的数据
-    const pendingRecipes = await getPendingRecipes();
-    
-    if (pendingRecipes.length === 0) {
-      return;
-    }
-    
-    // 同步到服务器
-    const response = await fetch('/api/sync/recipes', {
+    const response = await fetch(auth.刷新地址, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ recipes: pendingRecipes })
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ 刷新令牌: auth.刷新令牌 })
     });
+    const data = await response.json();
+    if (!response.ok || !data.成功) return null;
     
-    if (response.ok) {
-      // 同步成功，清除待同步数据
-      await clearPendingRecipes();
-      
-      // 发送通知
-      sendMessageToClients({
-        type: 'SYNC_COMPLETE',
-        data: {
-          type: 'recipes',
-          count: pendingRecipes.length,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
+    const tokens = { 访问令牌: data.访问令牌, 刷新令牌: data.刷新令牌 };
+    await OfflineOutbox.setAuth({ ...auth, ...tokens });
+    await sendMessageToClients({ type: 'AUTH_UPDATED', data: tokens });
+    return data.访问令牌;
   } catch (error) {
-    console.error('[Service Worker] 同步菜谱失败:', error);
+    console.error('[Service Worker] 刷新登录状态失败:', error);
+    return null;
   }
 }
 
-// 同步设置
+// 同步设置、收藏和历史：访问令牌和待同步的数据都在页面中（账号同步.js），
+// 这里通知打开的页面调用 /api/sync；没有打开的页面时等下次打开页面再同步
 async function syncSettings() {
-  // 实现类似syncRecipes的逻辑
+  await requestClientSync('settings');
 }
 
-// 同步收藏
 async function syncFavorites() {
-  // 实现类似syncRecipes的逻辑
+  await requestClientSync('favorites');
 }
 
-// 从IndexedDB获取待同步的菜谱
-async function getPendingRecipes() {
-  try {
-    const db = await openIndexedDB();
-    const transaction = db.transaction(['pendingRecipes'], 'readonly');
-    const store = transaction.objectStore('pendingRecipes');
-    const recipes = await store.getAll();
-    return recipes;
-  } catch (error) {
-    console.error('[Service Worker] 获取待同步菜谱失败:', error);
-    return [];
-  }
-}
-
-// 清除已同步的菜谱
-async function clearPendingRecipes() {
-  try {
-    const db = await openIndexedDB();
-    const transaction = db.transaction(['pendingRecipes'], 'readwrite');
-    const store = transaction.objectStore('pendingRecipes');
-    await store.clear();
-  } catch (error) {
-    console.error('[Service Worker] 清除待同步菜谱失败:', error);
+async function requestClientSync(type) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  if (clients.length === 0) {
+    console.log('[Service Worker] 没有打开的页面，稍后再同步:', type);
+    return;
   }
-}
-
-// 打开IndexedDB
-function openIndexedDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('RecipeSyncDB', 1);
-    
-    request.onupgradeneeded = event => {
-      const db = event.target.result;
-      
-      // 创建待同步菜谱存储
-      if (!db.objectStoreNames.contains('pendingRecipes')) {
-        const store = db.createObjectStore('pendingRecipes', { 
-          keyPath: 'id',
-          autoIncrement: true 
-        });
-        store.createIndex('timestamp', 'timestamp', { unique: false });
-      }
-      
-      // 创建离线操作存储
-      if (!db.objectStoreNames.contains('offlineActions')) {
-        const store = db.createObjectStore('offlineActions', { 
-          keyPath: 'id',
-          autoIncrement: true 
-        });
-        store.createIndex('type', 'type', { unique: false });
-      }
-    };
-    
-    request.onsuccess = event => {
-      resolve(event.target.result);
-    };
-    
-    request.onerror = event => {
-      reject(event.target.error);
-    };
-  });
+  
+  clients[0].postMessage({ type: 'SYNC_USER_DATA', data: { type } });
 }
 
 // ============================================
@@ -606,6 +586,11 @@ self.addEventListener('push', event => {
   console.log('[Service Worker] 收到推送消息');
   
   const data = event.data ? event.data.json() : {};
+  event.waitUntil(showAppNotification(data));
+});
+
+// 显示系统通知，data: { title, body, url, tag }；同一 tag 的通知会替换旧的
+function showAppNotification(data = {}) {
   const options = {
     body: data.body || '食刻智能菜谱有新消息',
     icon: '/图标.png',
@@ -627,10 +612,13 @@ self.addEventListener('push', event => {
     ]
   };
   
-  event.waitUntil(
-    self.registration.showNotification(data.title || '食刻智能菜谱', options)
-  );
-});
+  if (data.tag) {
+    options.tag = data.tag;
+    options.renotify = true;
+  }
+  
+  return self.registration.showNotification(data.title || '食刻智能菜谱', options);
+}
 
 self.addEventListener('notificationclick', event => {
   console.log('[Service Worker] 通知被点击');
@@ -808,7 +796,7 @@ async function sendErrorReport(error) {
 // 存储错误报告
 async function storeErrorReport(errorData) {
   try {
-    const db = await openIndexedDB();
+    const db = await openRecipeSyncDB();
     const transaction = db.transaction(['errorReports'], 'readwrite');
     const store = transaction.objectStore('errorReports');
     await store.add(errorData);
@@ -40,9 +40,30 @@ if ('serviceWorker' in navigator) {
             break;
             
           case 'SYNC_COMPLETE':
-            showNotification('同步完成', `${data.count}个菜谱已同步`, 'success');
+            showSystemNotification('同步完成', `${data.count}个菜谱已同步`, 'success');
             break;
             
+          case 'SYNC_USER_DATA':
+            // 后台同步时网络已恢复，由页面带上访问令牌同步账号数据
+            if (typeof 同步账号数据 === 'function') {
+              同步账号数据();
+            }
+            break;
+
+          case 'OUTBOX_UPDATED':
+            // 后台同步重放了离线队列，更新页面上的队列状态（离线队列状态.js）
+            if (typeof 更新离线队列状态 === 'function') {
+              更新离线队列状态(data);
+            }
+            break;
+
+          case 'AUTH_UPDATED':
+            // 后台同步时刷新了访问令牌，页面改用新的令牌
+            if (typeof setAuth === 'function' && AppState.auth) {
+              setAuth({ ...AppState.auth, ...data });
+            }
+            break;
+
           case 'CACHE_UPDATED':
             console.log('缓存已更新:', data);
             break;
@@ -77,8 +98,8 @@ function showUpdateNotification(registration) {
   }
 }
 
-// 显示通知
-function showNotification(title, message, type = 'info') {
+// 显示系统通知（页面内的提示用 脚本.js 的 showNotification）
+function showSystemNotification(title, message, type = 'info') {
   if ('Notification' in window && Notification.permission === 'granted') {
     new Notification(title, {
       body: message,
@@ -106,7 +127,7 @@ function updateCacheInfo(data) {
 async function clearCache() {
   if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
     navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_CACHE' });
-    showNotification('缓存清理', '正在清理缓存...', 'info');
+    showSystemNotification('缓存清理', '正在清理缓存...', 'info');
   }
 }
 
@@ -114,12 +135,12 @@ async function clearCache() {
 async function updateCache() {
   if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
     navigator.serviceWorker.controller.postMessage({ type: 'UPDATE_CACHE' });
-    showNotification('缓存更新', '正在更新缓存...', 'info');
+    showSystemNotification('缓存更新', '正在更新缓存...', 'info');
   }
 }
 
-// 获取缓存信息
-async function getCacheInfo() {
+// 请求缓存信息，Service Worker 回复 CACHE_INFO 后由 updateCacheInfo 显示
+async function requestCacheInfo() {
   if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
     navigator.serviceWorker.controller.postMessage({ type: 'GET_CACHE_INFO' });
   }
@@ -156,6 +177,6 @@ async function registerBackgroundSync(tag = 'sync-recipes') {
 // 导出全局函数
 window.clearCache = clearCache;
 window.updateCache = updateCache;
-window.getCacheInfo = getCacheInfo;
+window.requestCacheInfo = requestCacheInfo;
 window.requestNotificationPermission = requestNotificationPermission;
 window.registerBackgroundSync = registerBackgroundSync;
@@ -0,0 +1,268 @@
+// ============================================
+// 智能菜谱推荐系统 - 离线写入队列
+// ============================================
+
+// 网络不通时发送失败的写请求（上传菜谱、账号同步等POST）保存在 IndexedDB 的 outbox 中，网络恢复后按加入顺序重放
+// 页面（apiRequest）和 Service Worker（后台同步 sync-outbox）都加载这个文件，共用同一个队列
+// 每个请求加入时生成 Idempotency-Key，重放时不变，服务器据此识别重复提交，同一请求最多生效一次
+// 网络错误、5xx 和 429 是暂时的失败，按指数退避稍后再试，并且后面的请求也等它成功后再发，保持顺序；
+// 其他 4xx 说明请求本身有问题，标记为失败，不阻塞后面的请求，由用户在页面上重试或丢弃
+// 访问令牌不随请求保存（重放时可能已过期），只记下发出请求的账号，重放时由调用方提供这个账号当前的令牌；
+// 换了账号登录时不带令牌发送，需要登录的请求会失败，不会用另一个账号的身份提交
+
+const OUTBOX_CONFIG = {
+  dbName: 'RecipeSyncDB',
+  dbVersion: 2,
+  // 第一次重试等待的时间，之后每次翻倍，最多等待 maxDelay
+  baseDelay: 5000,
+  maxDelay: 30 * 60 * 1000,
+  // 页面和 Service Worker 同时重放时只让一方执行
+  lockName: 'recipe-outbox-replay'
+};
+
+// 打开 RecipeSyncDB：outbox 保存待发送的请求，meta 保存 Service Worker 重放时需要的登录状态
+// 版本1中的 pendingRecipes、offlineActions 没有任何地方写入过，升级时删除
+function openRecipeSyncDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_CONFIG.dbName, OUTBOX_CONFIG.dbVersion);
+
+    request.onupgradeneeded = event => {
+      const db = event.target.result;
+
+      ['pendingRecipes', 'offlineActions'].forEach(name => {
+        if (db.objectStoreNames.contains(name)) {
+          db.deleteObjectStore(name);
+        }
+      });
+
+      if (!db.objectStoreNames.contains('outbox')) {
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      }
+
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta');
+      }
+    };
+
+    request.onsuccess = event => {
+      resolve(event.target.result);
+    };
+
+    request.onerror = event => {
+      reject(event.target.error);
+    };
+  });
+}
+
+// 在一个事务中操作 store，事务完成后返回 callback 的结果；结果是 IDBRequest 时返回请求的结果
+async function outboxTransaction(storeName, mode, callback) {
+  const db = await openRecipeSyncDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const result = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(result instanceof IDBRequest ? result.result : result);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+class OfflineOutbox {
+  // ============================================
+  // 队列
+  // ============================================
+
+  // 加入队列，返回队列中的id
+  // request: { 幂等键, 地址, 方法, 请求头, 请求体, 说明, 合并键, 用户标识 }
+  // 合并键相同的请求只保留最新的一个（如账号同步，新的请求已包含旧请求的全部修改）
+  static async add(request) {
+    const entry = {
+      幂等键: request.幂等键,
+      地址: request.地址,
+      方法: request.方法 || 'POST',
+      请求头: request.请求头 || {},
+      请求体: request.请求体 ?? null,
+      说明: request.说明 || '',
+      合并键: request.合并键 || null,
+      用户标识: request.用户标识 || null,
+      创建时间: Date.now(),
+      尝试次数: 0,
+      下次尝试: 0,
+      状态: '等待',
+      错误: null
+    };
+
+    return outboxTransaction('outbox', 'readwrite', store => {
+      if (entry.合并键) {
+        store.openCursor().onsuccess = event => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          if (cursor.value.合并键 === entry.合并键 && cursor.value.状态 === '等待') {
+            cursor.delete();
+          }
+          cursor.continue();
+        };
+      }
+      return store.add(entry);
+    });
+  }
+
+  // 按加入顺序返回全部请求
+  static list() {
+    return outboxTransaction('outbox', 'readonly', store => store.getAll());
+  }
+
+  static update(entry) {
+    return outboxTransaction('outbox', 'readwrite', store => store.put(entry));
+  }
+
+  static remove(id) {
+    return outboxTransaction('outbox', 'readwrite', store => store.delete(id));
+  }
+
+  // 失败的请求重新排队，立即可以重放
+  static async retry(id) {
+    const entry = await outboxTransaction('outbox', 'readonly', store => store.get(id));
+    if (!entry) return;
+
+    await this.update({ ...entry, 状态: '等待', 尝试次数: 0, 下次尝试: 0, 错误: null });
+  }
+
+  // 队列概况：{ 等待, 失败, 下次尝试 }，请求按顺序重放，下次尝试为第一个等待中请求的重试时间
+  static async summary() {
+    const entries = await this.list();
+    const waiting = entries.filter(entry => entry.状态 === '等待');
+
+    return {
+      等待: waiting.length,
+      失败: entries.length - waiting.length,
+      下次尝试: waiting.length > 0 ? waiting[0].下次尝试 : null
+    };
+  }
+
+  // ============================================
+  // 登录状态
+  // ============================================
+
+  // auth: { 用户标识, 访问令牌, 刷新令牌, 刷新地址 }，null 表示退出登录
+  static setAuth(auth) {
+    return outboxTransaction('meta', 'readwrite', store => (auth ? store.put(auth, 'auth') : store.delete('auth')));
+  }
+
+  static getAuth() {
+    return outboxTransaction('meta', 'readonly', store => store.get('auth'));
+  }
+
+  // 请求是当前登录的账号发出的
+  static belongsTo(entry, 用户标识) {
+    return Boolean(entry.用户标识) && entry.用户标识 === 用户标识;
+  }
+
+  // ============================================
+  // 重放
+  // ============================================
+
+  // 第n次失败后等待的时间，带 ±25% 的随机抖动，避免很多设备同时重试
+  static backoff(尝试次数) {
+    const delay = Math.min(OUTBOX_CONFIG.maxDelay, OUTBOX_CONFIG.baseDelay * 2 ** (尝试次数 - 1));
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+  }
+
+  // 按加入顺序重放到期的请求，返回 { 成功, 等待, 失败, 下次尝试 }；另一方正在重放时返回null
+  // getToken(entry) 返回发出这个请求的账号当前的访问令牌，没有时返回null；
+  // refreshToken(entry) 刷新这个账号的登录状态，返回新的访问令牌，刷新失败返回null
+  static async replay({ getToken = async () => null, refreshToken = async () => null } = {}) {
+    const run = () => this.replayEntries(getToken, refreshToken);
+
+    if (self.navigator?.locks) {
+      return navigator.locks.request(OUTBOX_CONFIG.lockName, { ifAvailable: true }, lock => (lock ? run() : null));
+    }
+    return run();
+  }
+
+  static async replayEntries(getToken, refreshToken) {
+    let 成功 = 0;
+
+    for (const entry of await this.list()) {
+      if (entry.状态 === '失败') continue;
+      // 前面的请求还没到重试时间，后面的也不发
+      if (entry.下次尝试 > Date.now()) break;
+
+      const result = await this.send(entry, getToken, refreshToken);
+      if (result.ok) {
+        await this.remove(entry.id);
+        成功++;
+        continue;
+      }
+
+      entry.尝试次数++;
+      entry.错误 = result.错误;
+
+      if (result.retry) {
+        entry.下次尝试 = Date.now() + this.backoff(entry.尝试次数);
+        await this.update(entry);
+        break;
+      }
+
+      entry.状态 = '失败';
+      await this.update(entry);
+    }
+
+    return { 成功, ...(await this.summary()) };
+  }
+
+  // 发送一个请求，返回 { ok, retry, 错误 }；401 时刷新登录状态后再发一次
+  static async send(entry, getToken, refreshToken) {
+    const request = token => fetch(entry.地址, {
+      method: entry.方法,
+      headers: {
+        ...entry.请求头,
+        'Idempotency-Key': entry.幂等键,
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: entry.请求体
+    });
+
+    try {
+      let response = await request(await getToken(entry));
+
+      if (response.status === 401) {
+        const token = await refreshToken(entry);
+        if (token) {
+          response = await request(token);
+        }
+      }
+
+      if (response.ok) {
+        return { ok: true };
+      }
+
+      const data = await response.json().catch(() => null);
+      return {
+        ok: false,
+        retry: response.status >= 500 || response.status === 429,
+        错误: data?.错误 || data?.error || `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return { ok: false, retry: true, 错误: error.message || '网络错误' };
+    }
+  }
+}
+
+// 导出到全局（页面中为 window，Service Worker 中为 self）
+self.OfflineOutbox = OfflineOutbox;
+self.openRecipeSyncDB = openRecipeSyncDB;
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OfflineOutbox,
+    openRecipeSyncDB
+  };
+}